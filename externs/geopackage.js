@@ -8,16 +8,87 @@
  * @typedef {{
  *  id: !string,
  *  type: !string,
+ *  requestId: (string|undefined),
  *  data: (ArrayBuffer|Object|undefined),
  *  tileCoord: (Array<number>|undefined),
+ *  tileCoords: (Array<Array<number>>|undefined),
+ *  tileSize: (Array<number>|undefined),
  *  tableName: (string|undefined),
+ *  featureId: (number|undefined),
+ *  extent: (Array<number>|undefined),
+ *  projection: (string|undefined),
+ *  layout: (string|undefined),
+ *  style: (GeoPackageStyle|undefined),
+ *  filter: (GeoPackageFilter|undefined),
+ *  time: (GeoPackageTimeQuery|undefined),
+ *  offset: (number|undefined),
+ *  limit: (number|undefined),
  *  url: (string|undefined),
  *  columns: ({field: string, type: string}|undefined),
- *  command: (string|undefined)
+ *  command: (string|undefined),
+ *  metadata: (GeoPackageProvenance|undefined),
+ *  schedulerId: (number|undefined)
  * }}
  */
 var GeoPackageWorkerMessage;
 
+/**
+ * Structured attribute filter, translated to a SQL WHERE clause by the worker. The op is one of `and`, `or`, `not`
+ * (with child filters), `=`, `!=`, `<`, `<=`, `>`, `>=`, `like` (with a value), `null` or `between` (with values).
+ * Comparisons and `like` match case unless matchCase is false.
+ * @typedef {{
+ *  op: !string,
+ *  column: (string|undefined),
+ *  value: (string|number|undefined),
+ *  matchCase: (boolean|undefined),
+ *  values: (Array<string|number>|undefined),
+ *  filters: (Array<GeoPackageFilter>|undefined)
+ * }}
+ */
+var GeoPackageFilter;
+
+/**
+ * A style in the NGA feature style extension. Colors are hex (`#RRGGBB`), with opacity from 0 to 1.
+ * @typedef {{
+ *  color: (string|undefined),
+ *  opacity: (number|undefined),
+ *  width: (number|undefined),
+ *  fillColor: (string|undefined),
+ *  fillOpacity: (number|undefined),
+ *  icon: (GeoPackageIcon|undefined)
+ * }}
+ */
+var GeoPackageStyle;
+
+/**
+ * An icon in the NGA feature style extension. The image data is only sent the first time an icon URL is used in an
+ * export. The width and height are the display size in pixels, and the anchor is the fraction of the image width and
+ * height at the feature location. Icons read from a GeoPackage have a data URL for the embedded image, and the scale
+ * from the image size to the display size.
+ * @typedef {{
+ *  url: !string,
+ *  data: (ArrayBuffer|Array<number>|undefined),
+ *  width: number,
+ *  height: number,
+ *  anchorU: number,
+ *  anchorV: number,
+ *  scale: (number|undefined)
+ * }}
+ */
+var GeoPackageIcon;
+
+/**
+ * Time range query. Times are in milliseconds since the epoch. If the end column is omitted, the start column is
+ * treated as an instant.
+ * @typedef {{
+ *  start: number,
+ *  end: number,
+ *  startColumn: !string,
+ *  endColumn: (string|undefined)
+ * }}
+ */
+var GeoPackageTimeQuery;
+
 /**
  * @typedef {{
  *  message: !GeoPackageWorkerMessage,
@@ -27,3 +98,165 @@ var GeoPackageWorkerMessage;
  * }}
  */
 var GeoPackageWorkerResponse;
+
+/**
+ * Options for sampling elevations from a gridded coverage table. With `line`, the coordinates are the vertices of a
+ * line that is sampled at `samples` evenly spaced points (100 by default). The resolution is in the units of the
+ * coverage projection, and the finest zoom level is sampled by default.
+ * @typedef {{
+ *  projection: (string|undefined),
+ *  line: (boolean|undefined),
+ *  samples: (number|undefined),
+ *  resolution: (number|undefined)
+ * }}
+ */
+var GeoPackageElevationOptions;
+
+/**
+ * Elevations sampled from a gridded coverage table. The elevations are null where the coverage has no value, and the
+ * distances along a sampled line are in meters.
+ * @typedef {{
+ *  coordinates: !Array<!Array<number>>,
+ *  elevations: !Array<?number>,
+ *  distances: (Array<number>|undefined)
+ * }}
+ */
+var GeoPackageElevations;
+
+/**
+ * A query for a page of rows in an attributes table. The search matches text in any column, and the join names a table
+ * linked by the related tables extension whose columns are added for each related row.
+ * @typedef {{
+ *  offset: (number|undefined),
+ *  limit: (number|undefined),
+ *  sort: (string|undefined),
+ *  descending: (boolean|undefined),
+ *  search: (string|undefined),
+ *  join: (string|undefined)
+ * }}
+ */
+var GeoPackageAttributeQuery;
+
+/**
+ * A page of rows from an attributes table, with the values of each row in column order. Joined columns are named
+ * `table.column`.
+ * @typedef {{
+ *  columns: !Array<string>,
+ *  rows: !Array<!Array<*>>,
+ *  total: number
+ * }}
+ */
+var GeoPackageAttributePage;
+
+/**
+ * A read-only SQL query. The SQL is a single SELECT (or WITH or VALUES) statement, and the limit is the most rows to
+ * return (1000 by default, up to 10000).
+ * @typedef {{
+ *  sql: string,
+ *  limit: (number|undefined)
+ * }}
+ */
+var GeoPackageSqlQuery;
+
+/**
+ * The rows from a SQL query, with the values of each row in column order. `truncated` is set if the query had more
+ * rows than the limit. The geometry column is the index of the first column of GeoPackage geometries (or -1), and its
+ * geometries are GeoJSON in EPSG:4326 (or null), in row order.
+ * @typedef {{
+ *  columns: !Array<string>,
+ *  rows: !Array<!Array<*>>,
+ *  truncated: boolean,
+ *  geometryColumn: number,
+ *  geometries: (Array<Object>|undefined)
+ * }}
+ */
+var GeoPackageSqlResult;
+
+/**
+ * A record from the metadata extension. The reference scope is `geopackage`, `table`, `column`, `row` or `row/col`,
+ * and the timestamp is an ISO 8601 date.
+ * @typedef {{
+ *  scope: string,
+ *  standardUri: string,
+ *  mimeType: string,
+ *  metadata: string,
+ *  referenceScope: string,
+ *  columnName: (string|undefined),
+ *  rowId: (number|undefined),
+ *  timestamp: string
+ * }}
+ */
+var GeoPackageMetadata;
+
+/**
+ * Who exported a GeoPackage or table, from which layer, and when. The export time is an ISO 8601 date. The source
+ * layer is omitted for the GeoPackage, which can hold tables from several layers.
+ * @typedef {{
+ *  author: (string|undefined),
+ *  classification: (string|undefined),
+ *  source: (string|undefined),
+ *  exported: string
+ * }}
+ */
+var GeoPackageProvenance;
+
+/**
+ * The result of a check of a GeoPackage against the GeoPackage specification. The status is `pass`, `warn` or `fail`,
+ * and the table name is undefined for checks of the whole GeoPackage.
+ * @typedef {{
+ *  tableName: (string|undefined),
+ *  check: string,
+ *  status: string,
+ *  message: string
+ * }}
+ */
+var GeoPackageValidationResult;
+
+/**
+ * Source tiles for a tile in a projection the map cannot display. The tiles are placed in a mosaic of the width and
+ * height, with their data as for a single tile. The grid has the mosaic pixel (x, y) of each of the
+ * `(gridSize + 1) * (gridSize + 1)` points of a grid over the requested tile, by row from the top left, or null where
+ * a point cannot be transformed.
+ * @typedef {{
+ *  width: number,
+ *  height: number,
+ *  tiles: !Array<{x: number, y: number, data: (string|Array<number>)}>,
+ *  gridSize: number,
+ *  grid: !Array<?number>
+ * }}
+ */
+var GeoPackageReprojectedTile;
+
+/**
+ * @typedef {{
+ *  features: !Array<Object>,
+ *  loaded: number,
+ *  total: number
+ * }}
+ */
+var GeoPackageFeatureBatch;
+
+/**
+ * A query for the features in a table. Without an extent, every feature is read. The extent is in EPSG:4326 unless
+ * the projection is set. The offset and limit select a page of the matching features, in the order of the table.
+ * @typedef {{
+ *  extent: (Array<number>|undefined),
+ *  projection: (string|undefined),
+ *  filter: (GeoPackageFilter|undefined),
+ *  time: (GeoPackageTimeQuery|undefined),
+ *  offset: (number|undefined),
+ *  limit: (number|undefined)
+ * }}
+ */
+var GeoPackageFeatureQuery;
+
+/**
+ * Options for a request to the worker. The timeout is the most milliseconds to wait for a response, or for the next
+ * batch of a streamed response, and is not limited by default. The transfer list holds objects to transfer to the
+ * worker with the message.
+ * @typedef {{
+ *  timeout: (number|undefined),
+ *  transfer: (Array<Transferable>|undefined)
+ * }}
+ */
+var GeoPackageRequestOptions;
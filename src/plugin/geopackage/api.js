@@ -0,0 +1,181 @@
+/**
+ * @fileoverview Public API for other plugins to read the GeoPackages open in the application. GeoPackages are
+ * identified by the ID of their provider, and tables by name. Every request is read from the GeoPackage in the worker,
+ * so it reflects edits and exports to the GeoPackage.
+ *
+ * Requests for a GeoPackage that is not open are rejected, as are requests the worker fails, with an `Error` giving
+ * the reason.
+ */
+
+goog.provide('plugin.geopackage.api');
+
+goog.require('goog.Promise');
+goog.require('plugin.geopackage');
+goog.require('plugin.geopackage.Client');
+goog.require('plugin.geopackage.GeoPackageProvider');
+goog.require('plugin.geopackage.TileCache');
+
+
+/**
+ * Get the open GeoPackages. GeoPackages that failed to load are left out.
+ * @return {!Array<!plugin.geopackage.GeoPackageProvider>}
+ */
+plugin.geopackage.api.getProviders = function() {
+  return /** @type {!Array<!plugin.geopackage.GeoPackageProvider>} */ (
+    (os.dataManager.getProviderRoot().getChildren() || []).filter(function(provider) {
+      return provider instanceof plugin.geopackage.GeoPackageProvider && !provider.getError();
+    }));
+};
+
+
+/**
+ * Get an open GeoPackage.
+ * @param {string} id The provider ID
+ * @return {plugin.geopackage.GeoPackageProvider} The provider, or null if the GeoPackage is not open
+ */
+plugin.geopackage.api.getProvider = function(id) {
+  var provider = os.dataManager.getProvider(id);
+  return provider instanceof plugin.geopackage.GeoPackageProvider && !provider.getError() ? provider : null;
+};
+
+
+/**
+ * List the tables in a GeoPackage. Each table is described by the layer config it is added to the map with, with the
+ * table name (`tableName`), title and `type`:
+ *  - `geopackage-tile`: a tile table, with its projection, extent, zoom levels and tile sizes
+ *  - `geopackage-vector-tile`: a vector tiles table
+ *  - `geopackage-elevation`: a gridded coverage (elevation) table
+ *  - `geopackage-vector`: a feature table, with its columns (`dbColumns`) and projection (`tableProjection`)
+ *  - `geopackage-attributes`: an attributes (non-spatial) table
+ *
+ * @param {string} id The provider ID
+ * @return {!goog.Promise<!Array<Object<string, *>>>} The table configs
+ */
+plugin.geopackage.api.getTables = function(id) {
+  return plugin.geopackage.api.request_(id, function(client) {
+    return client.list(id);
+  });
+};
+
+
+/**
+ * Read a page of the features in a table. The features are GeoJSON in EPSG:4326, in the order of the table, and only
+ * the features matching the extent, filter and time range of the query are counted for the offset and limit.
+ * @param {string} id The provider ID
+ * @param {string} tableName The feature table
+ * @param {GeoPackageFeatureQuery=} opt_query The query. All features are read by default.
+ * @return {!goog.Promise<!Array<Object>>} The GeoJSON features
+ */
+plugin.geopackage.api.getFeatures = function(id, tableName, opt_query) {
+  var features = [];
+
+  return plugin.geopackage.api.request_(id, function(client) {
+    return client.query(id, tableName, opt_query || /** @type {GeoPackageFeatureQuery} */ ({}), function(batch) {
+      features = features.concat(batch.features);
+    }).then(function() {
+      return features;
+    });
+  });
+};
+
+
+/**
+ * Read the features in a table in batches, for tables too large to read at once. The features are GeoJSON in
+ * EPSG:4326. Stop reading the table with {@link plugin.geopackage.api.cancel}.
+ * @param {string} id The provider ID
+ * @param {string} tableName The feature table
+ * @param {GeoPackageFeatureQuery} query The query
+ * @param {function(!Array<Object>)} onFeatures Called with each batch of features
+ * @return {!goog.Promise} Resolved when every feature has been read
+ */
+plugin.geopackage.api.forEachFeature = function(id, tableName, query, onFeatures) {
+  return plugin.geopackage.api.request_(id, function(client) {
+    return client.query(id, tableName, query, function(batch) {
+      onFeatures(batch.features);
+    });
+  });
+};
+
+
+/**
+ * Read a page of the rows in an attributes (non-spatial) table.
+ * @param {string} id The provider ID
+ * @param {string} tableName The attributes table
+ * @param {GeoPackageAttributeQuery=} opt_query The query, which can sort, search and join related tables
+ * @return {!goog.Promise<!GeoPackageAttributePage>}
+ */
+plugin.geopackage.api.getAttributes = function(id, tableName, opt_query) {
+  return plugin.geopackage.api.request_(id, function(client) {
+    return client.queryAttributes(id, tableName, opt_query || /** @type {GeoPackageAttributeQuery} */ ({}));
+  });
+};
+
+
+/**
+ * Get a tile image from a tile table, on the tile grid of the layer config for the table. The image is read from the
+ * tile cache shared with the map layers when it is there. Revoke the URL with `URL.revokeObjectURL` when the image is
+ * no longer needed.
+ * @param {string} id The provider ID
+ * @param {string} tableName The tile table
+ * @param {ol.TileCoord} tileCoord The tile coordinate
+ * @return {!goog.Promise<?string>} The object URL of the image, or null if the table has no tile at the coordinate
+ */
+plugin.geopackage.api.getTile = function(id, tableName, tileCoord) {
+  return plugin.geopackage.api.request_(id, function() {
+    return plugin.geopackage.TileCache.getInstance().getTile(id, tableName, tileCoord).then(function(blob) {
+      return blob ? URL.createObjectURL(blob) : null;
+    });
+  });
+};
+
+
+/**
+ * Get the records from the metadata extension for a table, or for the whole GeoPackage.
+ * @param {string} id The provider ID
+ * @param {string=} opt_tableName The table. The records about the whole GeoPackage are returned by default.
+ * @return {!goog.Promise<!Array<GeoPackageMetadata>>} The records, oldest first
+ */
+plugin.geopackage.api.getMetadata = function(id, opt_tableName) {
+  return plugin.geopackage.api.getTables(id).then(function(configs) {
+    if (opt_tableName) {
+      var config = configs.find(function(config) {
+        return config['tableName'] === opt_tableName;
+      });
+
+      if (!config) {
+        throw new Error(opt_tableName + ' is not a table in ' + id);
+      }
+
+      return /** @type {!Array<GeoPackageMetadata>} */ (config['metadata'] || []);
+    }
+
+    // the records about the whole GeoPackage are listed with each table
+    return /** @type {!Array<GeoPackageMetadata>} */ (configs.length && configs[0]['packageMetadata'] || []);
+  });
+};
+
+
+/**
+ * Stop reading a table for {@link plugin.geopackage.api.forEachFeature}. The promise for the request is rejected with
+ * a {@link goog.Promise.CancellationError}.
+ * @param {goog.Promise} request The promise returned for the request
+ */
+plugin.geopackage.api.cancel = function(request) {
+  plugin.geopackage.Client.getInstance().cancel(request);
+};
+
+
+/**
+ * Make a request to an open GeoPackage.
+ * @param {string} id The provider ID
+ * @param {function(!plugin.geopackage.Client):!goog.Promise} request Function making the request with the client
+ * @return {!goog.Promise}
+ * @private
+ */
+plugin.geopackage.api.request_ = function(id, request) {
+  if (!plugin.geopackage.api.getProvider(id)) {
+    return goog.Promise.reject(new Error('No GeoPackage with the ID ' + id + ' is open'));
+  }
+
+  return request(plugin.geopackage.Client.getInstance());
+};
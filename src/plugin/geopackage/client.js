@@ -0,0 +1,553 @@
+goog.provide('plugin.geopackage.Client');
+
+goog.require('goog.Promise');
+goog.require('goog.Timer');
+goog.require('goog.events.EventType');
+goog.require('goog.string');
+goog.require('plugin.geopackage');
+
+
+/**
+ * Client for requests to the GeoPackage worker. Each request is given a unique request ID, and its response is passed
+ * to the promise for that request only, so overlapping requests for the same GeoPackage or table do not collide.
+ * @constructor
+ */
+plugin.geopackage.Client = function() {
+  /**
+   * Requests waiting for the worker, by request ID.
+   * @type {!Object<string, plugin.geopackage.ClientRequest>}
+   * @private
+   */
+  this.requests_ = {};
+
+  /**
+   * @type {function((Event|GeoPackageWorkerResponse))}
+   * @private
+   */
+  this.workerHandler_ = this.onMessage_.bind(this);
+
+  plugin.geopackage.getWorker().addEventListener(goog.events.EventType.MESSAGE, this.workerHandler_);
+};
+goog.addSingletonGetter(plugin.geopackage.Client);
+
+
+/**
+ * The timeout in milliseconds for requests that a view is waiting on, such as a page of attributes or a terrain tile,
+ * so the view can show an error instead of waiting on a busy or stopped worker.
+ * @type {number}
+ * @const
+ */
+plugin.geopackage.Client.TIMEOUT = 30000;
+
+
+/**
+ * A request waiting for the worker. Streamed requests pass each response to the data callback until the worker sends
+ * a response with no data.
+ * @typedef {{
+ *   msg: GeoPackageWorkerMessage,
+ *   promise: !goog.Promise,
+ *   resolve: function(*),
+ *   reject: function(*),
+ *   onData: (function(*)|undefined),
+ *   timeout: number,
+ *   timer: (number|undefined)
+ * }}
+ */
+plugin.geopackage.ClientRequest;
+
+
+/**
+ * Send a message to the worker without waiting for a response, for messages the worker does not answer.
+ * @param {GeoPackageWorkerMessage} msg The message
+ * @param {Array<Transferable>=} opt_transfer Objects to transfer to the worker
+ */
+plugin.geopackage.Client.prototype.post = function(msg, opt_transfer) {
+  plugin.geopackage.getWorker().postMessage(msg, opt_transfer);
+};
+
+
+/**
+ * Send a request to the worker.
+ * @param {GeoPackageWorkerMessage} msg The message. Its request ID is set by the client.
+ * @param {GeoPackageRequestOptions=} opt_options The request options
+ * @return {!goog.Promise<*>} The response data, or an error with the reason the request failed
+ */
+plugin.geopackage.Client.prototype.send = function(msg, opt_options) {
+  return this.request_(msg, undefined, opt_options);
+};
+
+
+/**
+ * Send a request for a streamed response, such as features read in batches.
+ * @param {GeoPackageWorkerMessage} msg The message. Its request ID is set by the client.
+ * @param {function(*)} onData Called with the data of each response
+ * @param {GeoPackageRequestOptions=} opt_options The request options
+ * @return {!goog.Promise} Resolved when the worker has sent everything, or rejected with the reason it failed
+ */
+plugin.geopackage.Client.prototype.stream = function(msg, onData, opt_options) {
+  return this.request_(msg, onData, opt_options);
+};
+
+
+/**
+ * Cancel a request. The worker stops the request if it is still running, and the promise is rejected with a
+ * {@link goog.Promise.CancellationError}.
+ * @param {goog.Promise} promise The promise returned for the request
+ * @param {string=} opt_message The reason for the cancellation
+ */
+plugin.geopackage.Client.prototype.cancel = function(promise, opt_message) {
+  for (var requestId in this.requests_) {
+    var request = this.requests_[requestId];
+
+    if (request.promise === promise) {
+      this.abort_(request, new goog.Promise.CancellationError(opt_message || 'The request was cancelled'));
+      break;
+    }
+  }
+};
+
+
+/**
+ * Open a GeoPackage, closing any version of it that is already open.
+ * @param {string} id The GeoPackage ID
+ * @param {string|ArrayBuffer} source The URL of the file, or its contents. The contents are transferred to the worker.
+ * @return {!goog.Promise}
+ */
+plugin.geopackage.Client.prototype.open = function(id, source) {
+  this.close(id);
+
+  var msg = /** @type {GeoPackageWorkerMessage} */ ({
+    id: id,
+    type: plugin.geopackage.MsgType.OPEN
+  });
+
+  var options = /** @type {GeoPackageRequestOptions} */ ({});
+
+  if (source instanceof ArrayBuffer) {
+    msg.data = source;
+    options.transfer = [source];
+  } else {
+    msg.url = source;
+  }
+
+  return this.send(msg, options);
+};
+
+
+/**
+ * Close a GeoPackage.
+ * @param {string} id The GeoPackage ID
+ */
+plugin.geopackage.Client.prototype.close = function(id) {
+  this.post(/** @type {GeoPackageWorkerMessage} */ ({
+    id: id,
+    type: plugin.geopackage.MsgType.CLOSE
+  }));
+};
+
+
+/**
+ * List the tables in a GeoPackage.
+ * @param {string} id The GeoPackage ID
+ * @return {!goog.Promise<!Array<Object<string, *>>>} The layer config for each table
+ */
+plugin.geopackage.Client.prototype.list = function(id) {
+  return /** @type {!goog.Promise<!Array<Object<string, *>>>} */ (this.send(/** @type {GeoPackageWorkerMessage} */ ({
+    id: id,
+    type: plugin.geopackage.MsgType.LIST_DESCRIPTORS
+  })));
+};
+
+
+/**
+ * List the projections that new tables can be declared in when exporting.
+ * @return {!goog.Promise<!Array<string>>} The projection codes
+ */
+plugin.geopackage.Client.prototype.listProjections = function() {
+  // the message is not for a GeoPackage, so it goes to every worker and the first answer is used
+  return /** @type {!goog.Promise<!Array<string>>} */ (this.send(/** @type {GeoPackageWorkerMessage} */ ({
+    type: plugin.geopackage.MsgType.LIST_PROJECTIONS
+  })));
+};
+
+
+/**
+ * Get a tile image from a tile table.
+ * @param {string} id The GeoPackage ID
+ * @param {string} tableName The table
+ * @param {ol.TileCoord} tileCoord The tile coordinate
+ * @param {GeoPackageRequestOptions=} opt_options The request options
+ * @return {!goog.Promise<string|Array<number>|undefined>} The object URL from a web worker, or the image bytes from
+ *     the Electron worker. Nothing is returned if the table has no tile at the coordinate.
+ */
+plugin.geopackage.Client.prototype.getTile = function(id, tableName, tileCoord, opt_options) {
+  return /** @type {!goog.Promise<string|Array<number>|undefined>} */ (this.send(
+      /** @type {GeoPackageWorkerMessage} */ ({
+        id: id,
+        type: plugin.geopackage.MsgType.GET_TILE,
+        tableName: tableName,
+        tileCoord: tileCoord
+      }), opt_options));
+};
+
+
+/**
+ * Get several tile images from a tile table in one request.
+ * @param {string} id The GeoPackage ID
+ * @param {string} tableName The table
+ * @param {!Array<ol.TileCoord>} tileCoords The tile coordinates, up to 64
+ * @param {GeoPackageRequestOptions=} opt_options The request options
+ * @return {!goog.Promise<!Array<ArrayBuffer|Array<number>>>} The image bytes for each coordinate, in order, which
+ *     are numbers from the Electron worker. The bytes are null where the table has no tile.
+ */
+plugin.geopackage.Client.prototype.getTiles = function(id, tableName, tileCoords, opt_options) {
+  return /** @type {!goog.Promise<!Array<ArrayBuffer|Array<number>>>} */ (this.send(
+      /** @type {GeoPackageWorkerMessage} */ ({
+        id: id,
+        type: plugin.geopackage.MsgType.GET_TILES,
+        tableName: tableName,
+        tileCoords: tileCoords
+      }), opt_options));
+};
+
+
+/**
+ * Get the source tiles for a tile in another projection, to be rendered with {@link plugin.geopackage.reproject}.
+ * @param {string} id The GeoPackage ID
+ * @param {string} tableName The table
+ * @param {ol.Extent} extent The tile extent
+ * @param {string} projection The projection code of the extent
+ * @param {ol.Size} tileSize The tile size in pixels
+ * @param {GeoPackageRequestOptions=} opt_options The request options
+ * @return {!goog.Promise<GeoPackageReprojectedTile|undefined>} Nothing is returned if the table has no tiles there
+ */
+plugin.geopackage.Client.prototype.getReprojectedTile = function(id, tableName, extent, projection, tileSize,
+    opt_options) {
+  return /** @type {!goog.Promise<GeoPackageReprojectedTile|undefined>} */ (this.send(
+      /** @type {GeoPackageWorkerMessage} */ ({
+        id: id,
+        type: plugin.geopackage.MsgType.GET_REPROJECTED_TILE,
+        tableName: tableName,
+        extent: extent,
+        projection: projection,
+        tileSize: tileSize
+      }), opt_options));
+};
+
+
+/**
+ * Get a vector tile from a vector tiles table.
+ * @param {string} id The GeoPackage ID
+ * @param {string} tableName The table
+ * @param {ol.TileCoord} tileCoord The tile coordinate
+ * @param {GeoPackageRequestOptions=} opt_options The request options
+ * @return {!goog.Promise<ArrayBuffer|Array<number>|undefined>} The tile bytes. Nothing is returned if the table has
+ *     no tile at the coordinate.
+ */
+plugin.geopackage.Client.prototype.getVectorTile = function(id, tableName, tileCoord, opt_options) {
+  return /** @type {!goog.Promise<ArrayBuffer|Array<number>|undefined>} */ (this.send(
+      /** @type {GeoPackageWorkerMessage} */ ({
+        id: id,
+        type: plugin.geopackage.MsgType.GET_VECTOR_TILE,
+        tableName: tableName,
+        tileCoord: tileCoord
+      }), opt_options));
+};
+
+
+/**
+ * Get the elevations of a tile from a gridded coverage table.
+ * @param {string} id The GeoPackage ID
+ * @param {string} tableName The table
+ * @param {ol.TileCoord} tileCoord The tile coordinate
+ * @param {GeoPackageRequestOptions=} opt_options The request options
+ * @return {!goog.Promise<Object|undefined>} The width, height and values of the tile. Nothing is returned if the
+ *     table has no tile at the coordinate.
+ */
+plugin.geopackage.Client.prototype.getCoverageTile = function(id, tableName, tileCoord, opt_options) {
+  return /** @type {!goog.Promise<Object|undefined>} */ (this.send(/** @type {GeoPackageWorkerMessage} */ ({
+    id: id,
+    type: plugin.geopackage.MsgType.GET_COVERAGE_TILE,
+    tableName: tableName,
+    tileCoord: tileCoord
+  }), opt_options));
+};
+
+
+/**
+ * Sample the elevations of a gridded coverage table on a grid covering an extent, as for a terrain heightmap. The
+ * grid includes the edges of the extent.
+ * @param {string} id The GeoPackage ID
+ * @param {string} tableName The table
+ * @param {ol.Extent} extent The extent
+ * @param {string} projection The projection code of the extent
+ * @param {ol.Size} size The number of samples across and down the grid
+ * @param {GeoPackageRequestOptions=} opt_options The request options
+ * @return {!goog.Promise<!(ArrayBuffer|Array<?number>)>} The elevations by row from the north, which are numbers from
+ *     the Electron worker. Elevations are 0 where the coverage has no value.
+ */
+plugin.geopackage.Client.prototype.getCoverageGrid = function(id, tableName, extent, projection, size, opt_options) {
+  return /** @type {!goog.Promise<!(ArrayBuffer|Array<?number>)>} */ (this.send(
+      /** @type {GeoPackageWorkerMessage} */ ({
+        id: id,
+        type: plugin.geopackage.MsgType.GET_COVERAGE_GRID,
+        tableName: tableName,
+        extent: extent,
+        projection: projection,
+        data: {width: size[0], height: size[1]}
+      }), opt_options));
+};
+
+
+/**
+ * Read the features in a table. The features are converted to GeoJSON in EPSG:4326 and sent in batches.
+ * @param {string} id The GeoPackage ID
+ * @param {string} tableName The table
+ * @param {GeoPackageFeatureQuery} query The extent, filter, time and page to query
+ * @param {function(GeoPackageFeatureBatch)} onBatch Called with each batch of features
+ * @param {GeoPackageRequestOptions=} opt_options The request options
+ * @return {!goog.Promise} Resolved when every feature has been read
+ */
+plugin.geopackage.Client.prototype.query = function(id, tableName, query, onBatch, opt_options) {
+  return this.stream(/** @type {GeoPackageWorkerMessage} */ ({
+    id: id,
+    type: query.extent ? plugin.geopackage.MsgType.QUERY_FEATURES : plugin.geopackage.MsgType.GET_FEATURES,
+    tableName: tableName,
+    extent: query.extent,
+    projection: query.projection,
+    filter: query.filter,
+    time: query.time,
+    offset: query.offset,
+    limit: query.limit
+  }), /** @type {function(*)} */ (onBatch), opt_options);
+};
+
+
+/**
+ * Read a page of the rows in an attributes (non-spatial) table.
+ * @param {string} id The GeoPackage ID
+ * @param {string} tableName The table
+ * @param {GeoPackageAttributeQuery} query The page, sort, search and join to query
+ * @param {GeoPackageRequestOptions=} opt_options The request options
+ * @return {!goog.Promise<!GeoPackageAttributePage>} The page
+ */
+plugin.geopackage.Client.prototype.queryAttributes = function(id, tableName, query, opt_options) {
+  return /** @type {!goog.Promise<!GeoPackageAttributePage>} */ (this.send(/** @type {GeoPackageWorkerMessage} */ ({
+    id: id,
+    type: plugin.geopackage.MsgType.QUERY_ATTRIBUTES,
+    tableName: tableName,
+    data: query
+  }), opt_options));
+};
+
+
+/**
+ * Get the rows related to a feature by the related tables extension.
+ * @param {string} id The GeoPackage ID
+ * @param {string} tableName The feature table
+ * @param {number} featureId The primary key of the feature
+ * @param {GeoPackageRequestOptions=} opt_options The request options
+ * @return {!goog.Promise<!Array<!Object>>} The `{tableName, relationName, columns, rows, ids, contentTypes}` of each
+ *     relation with rows. Media relations have the content type of each row.
+ */
+plugin.geopackage.Client.prototype.getRelated = function(id, tableName, featureId, opt_options) {
+  return /** @type {!goog.Promise<!Array<!Object>>} */ (this.send(/** @type {GeoPackageWorkerMessage} */ ({
+    id: id,
+    type: plugin.geopackage.MsgType.GET_RELATED,
+    tableName: tableName,
+    featureId: featureId
+  }), opt_options));
+};
+
+
+/**
+ * Get the data in a row of a media table.
+ * @param {string} id The GeoPackage ID
+ * @param {string} tableName The media table
+ * @param {number} mediaId The ID of the media row
+ * @param {GeoPackageRequestOptions=} opt_options The request options
+ * @return {!goog.Promise<!Object>} The `{data, contentType}` of the media. The data is numbers from the Electron
+ *     worker.
+ */
+plugin.geopackage.Client.prototype.getMedia = function(id, tableName, mediaId, opt_options) {
+  return /** @type {!goog.Promise<!Object>} */ (this.send(/** @type {GeoPackageWorkerMessage} */ ({
+    id: id,
+    type: plugin.geopackage.MsgType.GET_MEDIA,
+    tableName: tableName,
+    featureId: mediaId
+  }), opt_options));
+};
+
+
+/**
+ * Write an edit to a feature table.
+ * @param {string} id The GeoPackage ID
+ * @param {string} tableName The feature table
+ * @param {plugin.geopackage.EditCommands} command The edit command
+ * @param {number=} opt_featureId The primary key of the feature to update or delete
+ * @param {Object=} opt_feature The GeoJSON feature to insert or update, in EPSG:4326
+ * @param {GeoPackageRequestOptions=} opt_options The request options
+ * @return {!goog.Promise<number|undefined>} The primary key of an inserted feature
+ */
+plugin.geopackage.Client.prototype.edit = function(id, tableName, command, opt_featureId, opt_feature, opt_options) {
+  return /** @type {!goog.Promise<number|undefined>} */ (this.send(/** @type {GeoPackageWorkerMessage} */ ({
+    id: id,
+    type: plugin.geopackage.MsgType.EDIT,
+    command: command,
+    tableName: tableName,
+    featureId: opt_featureId,
+    data: opt_feature
+  }), opt_options));
+};
+
+
+/**
+ * Run a read-only SQL query. The worker refuses statements other than a single query.
+ * @param {string} id The GeoPackage ID
+ * @param {GeoPackageSqlQuery} query The SQL and row limit
+ * @param {GeoPackageRequestOptions=} opt_options The request options
+ * @return {!goog.Promise<!GeoPackageSqlResult>} The rows
+ */
+plugin.geopackage.Client.prototype.querySql = function(id, query, opt_options) {
+  return /** @type {!goog.Promise<!GeoPackageSqlResult>} */ (this.send(/** @type {GeoPackageWorkerMessage} */ ({
+    id: id,
+    type: plugin.geopackage.MsgType.QUERY_SQL,
+    data: query
+  }), opt_options));
+};
+
+
+/**
+ * Run an export command in the worker.
+ * @param {string} id The ID of the GeoPackage being exported
+ * @param {plugin.geopackage.ExportCommands} command The command
+ * @param {Object=} opt_fields Other message fields for the command, such as the table and data to write. This object
+ *     is sent as the message.
+ * @param {GeoPackageRequestOptions=} opt_options The request options
+ * @return {!goog.Promise<*>} The result of the command
+ */
+plugin.geopackage.Client.prototype.exportCommand = function(id, command, opt_fields, opt_options) {
+  var msg = /** @type {GeoPackageWorkerMessage} */ (opt_fields || {});
+  msg.id = id;
+  msg.type = plugin.geopackage.MsgType.EXPORT;
+  msg.command = command;
+
+  return this.send(msg, opt_options);
+};
+
+
+/**
+ * @param {GeoPackageWorkerMessage} msg The message
+ * @param {function(*)|undefined} onData The callback for a streamed response
+ * @param {GeoPackageRequestOptions=} opt_options The request options
+ * @return {!goog.Promise<*>}
+ * @private
+ */
+plugin.geopackage.Client.prototype.request_ = function(msg, onData, opt_options) {
+  var options = opt_options || /** @type {GeoPackageRequestOptions} */ ({});
+  var resolver = goog.Promise.withResolver();
+
+  msg.requestId = goog.string.createUniqueString();
+
+  var request = /** @type {plugin.geopackage.ClientRequest} */ ({
+    msg: msg,
+    promise: resolver.promise,
+    resolve: resolver.resolve,
+    reject: resolver.reject,
+    onData: onData,
+    timeout: options.timeout || 0,
+    timer: undefined
+  });
+
+  this.requests_[msg.requestId] = request;
+  this.startTimer_(request);
+  this.post(msg, options.transfer);
+
+  return resolver.promise;
+};
+
+
+/**
+ * Start, or restart, the timeout for a request.
+ * @param {plugin.geopackage.ClientRequest} request The request
+ * @private
+ */
+plugin.geopackage.Client.prototype.startTimer_ = function(request) {
+  goog.Timer.clear(request.timer);
+
+  if (request.timeout > 0) {
+    request.timer = goog.Timer.callOnce(this.onTimeout_.bind(this, request), request.timeout);
+  }
+};
+
+
+/**
+ * @param {plugin.geopackage.ClientRequest} request The request
+ * @private
+ */
+plugin.geopackage.Client.prototype.onTimeout_ = function(request) {
+  var msg = request.msg;
+  this.abort_(request, new Error(msg.type + ' for ' + msg.id + ' timed out after ' + request.timeout + 'ms'));
+};
+
+
+/**
+ * Stop a request in the worker, so a streamed or queued request does not hold up the GeoPackage, and reject it.
+ * @param {plugin.geopackage.ClientRequest} request The request
+ * @param {*} reason The reason for the rejection
+ * @private
+ */
+plugin.geopackage.Client.prototype.abort_ = function(request, reason) {
+  this.finish_(request);
+  this.post(/** @type {GeoPackageWorkerMessage} */ ({
+    id: request.msg.id,
+    type: plugin.geopackage.MsgType.CANCEL,
+    requestId: request.msg.requestId
+  }));
+
+  request.reject(reason);
+};
+
+
+/**
+ * Stop tracking a request.
+ * @param {plugin.geopackage.ClientRequest} request The request
+ * @private
+ */
+plugin.geopackage.Client.prototype.finish_ = function(request) {
+  goog.Timer.clear(request.timer);
+  delete this.requests_[request.msg.requestId];
+};
+
+
+/**
+ * @param {Event|GeoPackageWorkerResponse} evt The message event from a web worker, or the message from a process
+ * @private
+ */
+plugin.geopackage.Client.prototype.onMessage_ = function(evt) {
+  var msg = /** @type {GeoPackageWorkerResponse} */ (evt instanceof Event ? evt.data : evt);
+  var requestId = msg && msg.message ? msg.message.requestId : undefined;
+  var request = requestId ? this.requests_[requestId] : undefined;
+
+  if (!request) {
+    return;
+  }
+
+  if (msg.type !== plugin.geopackage.MsgType.SUCCESS) {
+    this.finish_(request);
+    request.reject(new Error(String(msg.reason)));
+  } else if (!request.onData) {
+    this.finish_(request);
+    request.resolve(msg.data);
+  } else if (msg.data === 0) {
+    // the worker has sent everything
+    this.finish_(request);
+    request.resolve(undefined);
+  } else {
+    this.startTimer_(request);
+
+    if (msg.data) {
+      request.onData(msg.data);
+    }
+  }
+};
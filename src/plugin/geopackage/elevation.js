@@ -0,0 +1,167 @@
+goog.provide('plugin.geopackage.elevation');
+
+
+/**
+ * Colors for elevations in meters, from the sea floor to snow caps. Elevations between the stops are blended.
+ * @type {!Array<{elevation: number, color: !Array<number>}>}
+ * @const
+ */
+plugin.geopackage.elevation.COLOR_RAMP = [
+  {elevation: -500, color: [8, 48, 107]},
+  {elevation: 0, color: [33, 102, 172]},
+  {elevation: 1, color: [26, 152, 80]},
+  {elevation: 300, color: [145, 207, 96]},
+  {elevation: 800, color: [254, 224, 139]},
+  {elevation: 1500, color: [191, 129, 45]},
+  {elevation: 2500, color: [140, 81, 10]},
+  {elevation: 4000, color: [240, 240, 240]}
+];
+
+
+/**
+ * The direction of the light for hillshading, in degrees clockwise from north.
+ * @type {number}
+ * @const
+ */
+plugin.geopackage.elevation.AZIMUTH = 315;
+
+
+/**
+ * The angle of the light for hillshading, in degrees above the horizon.
+ * @type {number}
+ * @const
+ */
+plugin.geopackage.elevation.ALTITUDE = 45;
+
+
+/**
+ * Get the color for an elevation.
+ * @param {number} elevation The elevation, in meters
+ * @return {!Array<number>} The RGB color
+ */
+plugin.geopackage.elevation.getColor = function(elevation) {
+  var ramp = plugin.geopackage.elevation.COLOR_RAMP;
+
+  if (elevation <= ramp[0].elevation) {
+    return ramp[0].color.slice();
+  }
+
+  for (var i = 1; i < ramp.length; i++) {
+    if (elevation <= ramp[i].elevation) {
+      var low = ramp[i - 1];
+      var high = ramp[i];
+      var ratio = (elevation - low.elevation) / (high.elevation - low.elevation);
+
+      return low.color.map(function(value, index) {
+        return Math.round(value + (high.color[index] - value) * ratio);
+      });
+    }
+  }
+
+  return ramp[ramp.length - 1].color.slice();
+};
+
+
+/**
+ * Get the hillshade of each value in an elevation grid, from 0 (in shadow) to 1 (facing the light). Slopes are
+ * computed from the neighboring values with Horn's method, and edges and missing values are treated as flat.
+ * @param {number} width The grid width
+ * @param {number} height The grid height
+ * @param {!(Float32Array|Array<number>)} values The elevations, in meters, by row from the north
+ * @param {number} cellSize The size of a grid cell, in meters
+ * @return {!Float32Array} The hillshade values
+ */
+plugin.geopackage.elevation.getHillshade = function(width, height, values, cellSize) {
+  var zenith = (90 - plugin.geopackage.elevation.ALTITUDE) * Math.PI / 180;
+  var azimuth = (360 - plugin.geopackage.elevation.AZIMUTH + 90) % 360 * Math.PI / 180;
+  var shade = new Float32Array(width * height);
+
+  var get = function(x, y, fallback) {
+    x = Math.max(0, Math.min(width - 1, x));
+    y = Math.max(0, Math.min(height - 1, y));
+    var value = values[y * width + x];
+    return value === value ? value : fallback;
+  };
+
+  for (var y = 0; y < height; y++) {
+    for (var x = 0; x < width; x++) {
+      var center = values[y * width + x];
+      if (center !== center) {
+        continue;
+      }
+
+      var a = get(x - 1, y - 1, center);
+      var b = get(x, y - 1, center);
+      var c = get(x + 1, y - 1, center);
+      var d = get(x - 1, y, center);
+      var f = get(x + 1, y, center);
+      var g = get(x - 1, y + 1, center);
+      var h = get(x, y + 1, center);
+      var i = get(x + 1, y + 1, center);
+
+      var dzdx = ((c + 2 * f + i) - (a + 2 * d + g)) / (8 * cellSize);
+      var dzdy = ((g + 2 * h + i) - (a + 2 * b + c)) / (8 * cellSize);
+      var slope = Math.atan(Math.sqrt(dzdx * dzdx + dzdy * dzdy));
+      var aspect = Math.atan2(dzdy, -dzdx);
+
+      shade[y * width + x] = Math.max(0, Math.cos(zenith) * Math.cos(slope) +
+          Math.sin(zenith) * Math.sin(slope) * Math.cos(azimuth - aspect));
+    }
+  }
+
+  return shade;
+};
+
+
+/**
+ * Draw an elevation grid as colored, hillshaded relief. Missing values are transparent.
+ * @param {number} width The grid width
+ * @param {number} height The grid height
+ * @param {!(Float32Array|Array<number>)} values The elevations, in meters, by row from the north
+ * @param {number} cellSize The size of a grid cell, in meters
+ * @return {!HTMLCanvasElement} The relief
+ */
+plugin.geopackage.elevation.render = function(width, height, values, cellSize) {
+  var canvas = /** @type {!HTMLCanvasElement} */ (document.createElement('canvas'));
+  canvas.width = width;
+  canvas.height = height;
+
+  var context = canvas.getContext('2d');
+  var imageData = context.createImageData(width, height);
+  var pixels = imageData.data;
+  var shade = plugin.geopackage.elevation.getHillshade(width, height, values, cellSize);
+
+  for (var i = 0, n = width * height; i < n; i++) {
+    var value = values[i];
+
+    if (value === value) {
+      // keep some of the color on slopes facing away from the light
+      var light = 0.4 + 0.6 * shade[i];
+      var color = plugin.geopackage.elevation.getColor(value);
+      pixels[i * 4] = color[0] * light;
+      pixels[i * 4 + 1] = color[1] * light;
+      pixels[i * 4 + 2] = color[2] * light;
+      pixels[i * 4 + 3] = 255;
+    }
+  }
+
+  context.putImageData(imageData, 0, 0);
+  return canvas;
+};
+
+
+/**
+ * Convert elevations posted by the worker. Web workers transfer the buffer of the values, and the Electron worker
+ * posts an array with null rather than NaN where there is no value.
+ * @param {!(ArrayBuffer|Float32Array|Array<?number>)} values The posted values
+ * @return {!Float32Array} The elevations
+ */
+plugin.geopackage.elevation.toFloat32Array = function(values) {
+  if (values instanceof ArrayBuffer) {
+    return new Float32Array(values);
+  }
+
+  return values instanceof Float32Array ? values : Float32Array.from(values, function(value) {
+    return value == null ? NaN : value;
+  });
+};
@@ -0,0 +1,183 @@
+goog.provide('plugin.geopackage.filter');
+
+goog.require('goog.array');
+goog.require('goog.dom');
+goog.require('goog.dom.NodeType');
+goog.require('goog.dom.xml');
+goog.require('goog.string');
+
+
+/**
+ * OGC comparison elements, mapped to the structured filter operator.
+ * @type {Object<string, string>}
+ * @const
+ */
+plugin.geopackage.filter.COMPARISONS = {
+  'PropertyIsEqualTo': '=',
+  'PropertyIsNotEqualTo': '!=',
+  'PropertyIsLessThan': '<',
+  'PropertyIsLessThanOrEqualTo': '<=',
+  'PropertyIsGreaterThan': '>',
+  'PropertyIsGreaterThanOrEqualTo': '>='
+};
+
+
+/**
+ * Translates an OGC filter to a structured filter that the GeoPackage worker can run as a SQL query.
+ *
+ * Only attribute filters are supported. If any part of the filter cannot be translated (spatial or temporal
+ * operators, functions, etc), null is returned so that the caller can fall back to requesting all features.
+ * Comparisons with `matchCase="false"` are marked to be matched without regard to case.
+ *
+ * @param {string|Node} xml The OGC filter XML
+ * @return {?GeoPackageFilter} The structured filter, or null if the filter could not be translated
+ */
+plugin.geopackage.filter.fromOGC = function(xml) {
+  var node = goog.isString(xml) ? goog.dom.xml.loadXml(xml) : xml;
+
+  if (node && node.nodeType === goog.dom.NodeType.DOCUMENT) {
+    node = /** @type {Document} */ (node).documentElement;
+  }
+
+  if (!node) {
+    return null;
+  }
+
+  try {
+    return plugin.geopackage.filter.parseNode_(/** @type {!Element} */ (node));
+  } catch (e) {
+    return null;
+  }
+};
+
+
+/**
+ * @param {!Element} node The OGC filter element
+ * @return {!GeoPackageFilter}
+ * @throws {Error} If the element cannot be translated
+ * @private
+ */
+plugin.geopackage.filter.parseNode_ = function(node) {
+  var name = node.localName;
+  var children = goog.dom.getChildren(node);
+
+  if (name === 'Filter') {
+    if (children.length === 1) {
+      return plugin.geopackage.filter.parseNode_(children[0]);
+    }
+
+    name = 'And';
+  }
+
+  if (name === 'And' || name === 'Or' || name === 'Not') {
+    if (!children.length) {
+      throw new Error('Empty logical operator ' + name);
+    }
+
+    return /** @type {!GeoPackageFilter} */ ({
+      'op': name.toLowerCase(),
+      'filters': goog.array.map(children, plugin.geopackage.filter.parseNode_)
+    });
+  }
+
+  var column = plugin.geopackage.filter.getChildText_(node, 'PropertyName');
+  if (!column) {
+    throw new Error('Unsupported filter element ' + name);
+  }
+
+  var filter = /** @type {!GeoPackageFilter} */ ({
+    'column': column
+  });
+
+  if (name in plugin.geopackage.filter.COMPARISONS) {
+    filter['op'] = plugin.geopackage.filter.COMPARISONS[name];
+    filter['value'] = plugin.geopackage.filter.getChildText_(node, 'Literal');
+  } else if (name === 'PropertyIsLike') {
+    filter['op'] = 'like';
+    filter['value'] = plugin.geopackage.filter.likeToSql(
+        plugin.geopackage.filter.getChildText_(node, 'Literal') || '',
+        node.getAttribute('wildCard') || '*',
+        node.getAttribute('singleChar') || '.',
+        node.getAttribute('escapeChar') || node.getAttribute('escape') || '\\');
+  } else if (name === 'PropertyIsNull') {
+    filter['op'] = 'null';
+  } else if (name === 'PropertyIsBetween') {
+    filter['op'] = 'between';
+    filter['values'] = ['LowerBoundary', 'UpperBoundary'].map(function(boundary) {
+      var boundaryNode = plugin.geopackage.filter.getChild_(node, boundary);
+      return boundaryNode ? plugin.geopackage.filter.getChildText_(boundaryNode, 'Literal') : null;
+    });
+  } else {
+    throw new Error('Unsupported filter element ' + name);
+  }
+
+  if (filter['value'] === null || (filter['values'] && filter['values'].indexOf(null) > -1)) {
+    throw new Error('Missing literal for ' + name);
+  }
+
+  if (filter['value'] != null && node.getAttribute('matchCase') === 'false') {
+    filter['matchCase'] = false;
+  }
+
+  return filter;
+};
+
+
+/**
+ * Converts an OGC PropertyIsLike pattern to a SQL LIKE pattern using `\` as the escape character.
+ * @param {string} pattern The OGC pattern
+ * @param {string} wildCard The OGC multi-character wildcard
+ * @param {string} singleChar The OGC single character wildcard
+ * @param {string} escapeChar The OGC escape character
+ * @return {string} The SQL LIKE pattern
+ */
+plugin.geopackage.filter.likeToSql = function(pattern, wildCard, singleChar, escapeChar) {
+  var result = '';
+
+  for (var i = 0, n = pattern.length; i < n; i++) {
+    var c = pattern.charAt(i);
+
+    if (c === escapeChar && i + 1 < n) {
+      c = pattern.charAt(++i);
+    } else if (c === wildCard) {
+      result += '%';
+      continue;
+    } else if (c === singleChar) {
+      result += '_';
+      continue;
+    }
+
+    if (c === '%' || c === '_' || c === '\\') {
+      result += '\\';
+    }
+
+    result += c;
+  }
+
+  return result;
+};
+
+
+/**
+ * @param {!Element} node The parent element
+ * @param {string} localName The child element name, without a namespace prefix
+ * @return {Element} The first matching child
+ * @private
+ */
+plugin.geopackage.filter.getChild_ = function(node, localName) {
+  return goog.array.find(goog.dom.getChildren(node), function(child) {
+    return child.localName === localName;
+  });
+};
+
+
+/**
+ * @param {!Element} node The parent element
+ * @param {string} localName The child element name, without a namespace prefix
+ * @return {?string} The text of the first matching child, or null if there is no such child
+ * @private
+ */
+plugin.geopackage.filter.getChildText_ = function(node, localName) {
+  var child = plugin.geopackage.filter.getChild_(node, localName);
+  return child ? goog.string.trim(child.textContent || '') : null;
+};
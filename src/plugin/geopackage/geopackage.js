@@ -37,8 +37,24 @@ plugin.geopackage.MsgType = {
   OPEN: 'open',
   CLOSE: 'close',
   LIST_DESCRIPTORS: 'listDescriptors',
+  LIST_PROJECTIONS: 'listProjections',
   GET_TILE: 'getTile',
+  GET_TILES: 'getTiles',
+  GET_REPROJECTED_TILE: 'getReprojectedTile',
+  GET_VECTOR_TILE: 'getVectorTile',
+  GET_COVERAGE_TILE: 'getCoverageTile',
+  GET_COVERAGE_GRID: 'getCoverageGrid',
+  GET_ELEVATIONS: 'getElevations',
   GET_FEATURES: 'getFeatures',
+  QUERY_FEATURES: 'queryFeatures',
+  QUERY_ATTRIBUTES: 'queryAttributes',
+  GET_RELATED: 'getRelated',
+  GET_MEDIA: 'getMedia',
+  QUERY_SQL: 'querySql',
+  VALIDATE: 'validate',
+  CANCEL: 'cancel',
+  EDIT: 'edit',
+  DOWNLOAD: 'download',
   EXPORT: 'export',
   SUCCESS: 'success',
   ERROR: 'error'
@@ -50,15 +66,26 @@ plugin.geopackage.MsgType = {
 plugin.geopackage.ExportCommands = {
   CREATE: 'create',
   CREATE_TABLE: 'createTable',
+  CREATE_TILE_TABLE: 'createTileTable',
   GEOJSON: 'geojson',
+  TILE: 'tile',
   WRITE: 'write',
   GET_CHUNK: 'getChunk',
   WRITE_FINISH: 'writeFinish'
 };
 
+/**
+ * @enum {string}
+ */
+plugin.geopackage.EditCommands = {
+  INSERT: 'insert',
+  UPDATE: 'update',
+  DELETE: 'delete'
+};
+
 
 /**
- * @type {?Worker}
+ * @type {plugin.geopackage.WorkerPool}
  * @private
  */
 plugin.geopackage.worker_ = null;
@@ -83,67 +110,114 @@ plugin.geopackage.isElectron = function() {
 
 
 /**
- * @return {!Worker} The GeoPackage worker
+ * Get the GeoPackage worker. This is a pool of workers, with the size from the settings, that is used like a single
+ * worker.
+ * @return {!plugin.geopackage.WorkerPool} The GeoPackage worker
  */
 plugin.geopackage.getWorker = function() {
   if (!plugin.geopackage.worker_) {
-    var src = plugin.geopackage.ROOT + 'src/worker/gpkg.worker.js';
-
-    var electron = plugin.geopackage.getElectron();
-    if (electron) {
-      // The node context (as opposed to the electron browser context), loads
-      // paths relative to process.cwd(). Therefore, we need to make our source
-      // path absolute.
-      src = electron.resolveOpenspherePath(src);
-
-      // spawn a child process and make it look like a worker
-
-      // CLEVER HACK ALERT!
-      // The child process has a node-only environment by default, rather than an Electron
-      // environment. However, electron-builder only packages the version built for the
-      // Electron environment.
-      //
-      // Therefore, pass the electron version to the script via an env variable so that
-      // it can know that we intend to load Electron bindings for native modules rather
-      // than node bindings.
-      //
-      // see associated hack in gpkg.worker.js
-      var options = electron.getElectronEnvOptions();
-
-      // to debug this guy:
-      //  - open chrome://inspect/#devices
-      //  - uncomment the debug option below
-      //  - open the application
-      //  - go to your chrome://inspect/#devices tab in Chrome
-      //  - select "Inspect" on the newly visible item
-
-      // DEBUG VERSION! Do not commit next line uncommented
-      // options['execArgv'] = ['--inspect-brk'];
-      var child = electron.forkProcess(src, [], options);
-
-      child['addEventListener'] = child['addListener'];
-      child['removeEventListener'] = child['removeListener'];
-
-      /**
-       * fake up postMessage() via send()
-       * @param {GeoPackageWorkerMessage} msg
-       */
-      child['postMessage'] = function(msg) {
-        child['send'](msg);
-      };
-
-      plugin.geopackage.worker_ = /** @type {!Worker} */ (child);
-
-      goog.log.info(plugin.geopackage.LOGGER, 'GeoPackage worker configured via node child process');
-    } else {
-      plugin.geopackage.worker_ = new Worker(src);
-      plugin.geopackage.worker_.postMessage(/** @type {GeoPackageWorkerMessage} */ ({
-        type: plugin.geopackage.MsgType.OPEN_LIBRARY,
-        url: (!plugin.geopackage.GPKG_PATH.startsWith('/') ? '../../' : '') + plugin.geopackage.GPKG_PATH
-      }));
-      goog.log.info(plugin.geopackage.LOGGER, 'GeoPackage worker configured via web worker');
-    }
+    var size = /** @type {number} */ (os.settings.get(plugin.geopackage.WorkerPool.SIZE_KEY,
+        plugin.geopackage.WorkerPool.getDefaultSize()));
+
+    plugin.geopackage.worker_ = new plugin.geopackage.WorkerPool(size, plugin.geopackage.createWorker_);
   }
 
   return plugin.geopackage.worker_;
 };
+
+
+/**
+ * Start a GeoPackage worker.
+ * @return {!Worker} The worker
+ * @private
+ */
+plugin.geopackage.createWorker_ = function() {
+  var worker;
+  var src = plugin.geopackage.ROOT + 'src/worker/gpkg.worker.js';
+
+  var electron = plugin.geopackage.getElectron();
+  if (electron) {
+    // The node context (as opposed to the electron browser context), loads
+    // paths relative to process.cwd(). Therefore, we need to make our source
+    // path absolute.
+    src = electron.resolveOpenspherePath(src);
+
+    // spawn a child process and make it look like a worker
+
+    // CLEVER HACK ALERT!
+    // The child process has a node-only environment by default, rather than an Electron
+    // environment. However, electron-builder only packages the version built for the
+    // Electron environment.
+    //
+    // Therefore, pass the electron version to the script via an env variable so that
+    // it can know that we intend to load Electron bindings for native modules rather
+    // than node bindings.
+    //
+    // see associated hack in gpkg.worker.js
+    var options = electron.getElectronEnvOptions();
+
+    // to debug this guy:
+    //  - open chrome://inspect/#devices
+    //  - uncomment the debug option below
+    //  - open the application
+    //  - go to your chrome://inspect/#devices tab in Chrome
+    //  - select "Inspect" on the newly visible item
+
+    // DEBUG VERSION! Do not commit next line uncommented
+    // options['execArgv'] = ['--inspect-brk'];
+    var child = electron.forkProcess(src, [], options);
+
+    child['addEventListener'] = child['addListener'];
+    child['removeEventListener'] = child['removeListener'];
+
+    /**
+     * fake up postMessage() via send()
+     * @param {GeoPackageWorkerMessage} msg
+     */
+    child['postMessage'] = function(msg) {
+      child['send'](msg);
+    };
+
+    worker = /** @type {!Worker} */ (child);
+
+    goog.log.info(plugin.geopackage.LOGGER, 'GeoPackage worker configured via node child process');
+  } else {
+    worker = new Worker(src);
+    worker.postMessage(/** @type {GeoPackageWorkerMessage} */ ({
+      type: plugin.geopackage.MsgType.OPEN_LIBRARY,
+      url: (!plugin.geopackage.GPKG_PATH.startsWith('/') ? '../../' : '') + plugin.geopackage.GPKG_PATH
+    }));
+    goog.log.info(plugin.geopackage.LOGGER, 'GeoPackage worker configured via web worker');
+  }
+
+  return worker;
+};
+
+
+/**
+ * Encode an image as a PNG. This throws if the image cannot be read, such as an image from another origin that was
+ * loaded without CORS headers.
+ * @param {HTMLCanvasElement|HTMLImageElement|HTMLVideoElement} image The image
+ * @param {number} width The width of the PNG
+ * @param {number} height The height of the PNG
+ * @param {HTMLCanvasElement=} opt_canvas A canvas to draw the image on, to avoid creating one for each image
+ * @return {!Uint8Array} The PNG bytes
+ */
+plugin.geopackage.encodePNG = function(image, width, height, opt_canvas) {
+  var canvas = opt_canvas || /** @type {HTMLCanvasElement} */ (document.createElement('canvas'));
+  canvas.width = width;
+  canvas.height = height;
+
+  var context = canvas.getContext('2d');
+  context.drawImage(image, 0, 0, width, height);
+
+  var dataUrl = canvas.toDataURL('image/png');
+  var binary = window.atob(dataUrl.substring(dataUrl.indexOf(',') + 1));
+  var data = new Uint8Array(binary.length);
+
+  for (var i = 0, n = binary.length; i < n; i++) {
+    data[i] = binary.charCodeAt(i);
+  }
+
+  return data;
+};
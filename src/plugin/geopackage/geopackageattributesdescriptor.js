@@ -0,0 +1,31 @@
+goog.provide('plugin.geopackage.AttributesDescriptor');
+
+goog.require('plugin.geopackage.AttributesUICtrl');
+goog.require('plugin.geopackage.Descriptor');
+
+
+/**
+ * Descriptor for an attributes (non-spatial) table in a GeoPackage. Attributes tables have no features to map, so
+ * activating the descriptor opens the table in a window instead of adding a layer.
+ *
+ * @extends {plugin.geopackage.Descriptor}
+ * @constructor
+ */
+plugin.geopackage.AttributesDescriptor = function() {
+  plugin.geopackage.AttributesDescriptor.base(this, 'constructor');
+};
+goog.inherits(plugin.geopackage.AttributesDescriptor, plugin.geopackage.Descriptor);
+
+
+/**
+ * @inheritDoc
+ */
+plugin.geopackage.AttributesDescriptor.prototype.setActiveInternal = function() {
+  if (this.isActive()) {
+    plugin.geopackage.AttributesUICtrl.launch(this);
+  } else {
+    plugin.geopackage.AttributesUICtrl.close(this);
+  }
+
+  return true;
+};
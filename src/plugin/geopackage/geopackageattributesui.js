@@ -0,0 +1,352 @@
+goog.provide('plugin.geopackage.AttributesUICtrl');
+goog.provide('plugin.geopackage.attributesDirective');
+
+goog.require('goog.string');
+goog.require('os.ui');
+goog.require('os.ui.Module');
+goog.require('os.ui.data.BaseProvider');
+goog.require('os.ui.window');
+goog.require('plugin.geopackage');
+goog.require('plugin.geopackage.Client');
+
+
+/**
+ * The attributes table directive.
+ * @return {angular.Directive}
+ */
+plugin.geopackage.attributesDirective = function() {
+  return {
+    restrict: 'E',
+    replace: true,
+    scope: {
+      'descriptor': '='
+    },
+    template: '<div class="d-flex flex-column flex-fill">' +
+        '<div class="d-flex flex-shrink-0 align-items-center p-1 border-bottom">' +
+        '<input class="form-control form-control-sm w-auto mr-1" type="search" placeholder="Search..." ' +
+        'ng-model="ctrl.search" ng-model-options="{debounce: 300}" ng-change="ctrl.first()">' +
+        '<select class="custom-select custom-select-sm w-auto mr-1" ng-if="ctrl.relations.length" ' +
+        'ng-model="ctrl.join" ng-change="ctrl.first()" ng-options="table for table in ctrl.relations" ' +
+        'title="Adds the columns of the related rows in another table">' +
+        '<option value="">No Join</option>' +
+        '</select>' +
+        '<span class="ml-auto mr-1 text-nowrap" ng-if="ctrl.total">' +
+        '{{ctrl.offset + 1}}-{{ctrl.offset + ctrl.rows.length}} of {{ctrl.total}}</span>' +
+        '<span class="ml-auto mr-1" ng-if="!ctrl.total && !ctrl.loading">No rows</span>' +
+        '<div class="btn-group btn-group-sm">' +
+        '<button class="btn btn-secondary" ng-click="ctrl.previous()" title="Previous page" ' +
+        'ng-disabled="ctrl.loading || ctrl.offset === 0"><i class="fa fa-chevron-left"></i></button>' +
+        '<button class="btn btn-secondary" ng-click="ctrl.next()" title="Next page" ' +
+        'ng-disabled="ctrl.loading || ctrl.offset + ctrl.rows.length >= ctrl.total">' +
+        '<i class="fa fa-chevron-right"></i></button>' +
+        '</div>' +
+        '</div>' +
+        '<div class="text-danger p-1" ng-if="ctrl.error">{{ctrl.error}}</div>' +
+        '<div class="flex-fill overflow-auto">' +
+        '<table class="table table-sm table-striped table-hover mb-0">' +
+        '<thead><tr>' +
+        '<th class="text-nowrap" ng-repeat="column in ctrl.columns track by $index" ng-click="ctrl.setSort(column)" ' +
+        'title="Sort by {{column}}">{{column}} ' +
+        '<i class="fa" ng-if="ctrl.sort === column" ' +
+        'ng-class="ctrl.descending ? \'fa-sort-desc\' : \'fa-sort-asc\'"></i>' +
+        '</th>' +
+        '</tr></thead>' +
+        '<tbody><tr ng-repeat="row in ctrl.rows track by $index">' +
+        '<td class="text-nowrap" ng-repeat="value in row track by $index">{{value}}</td>' +
+        '</tr></tbody>' +
+        '</table>' +
+        '</div>' +
+        '</div>',
+    controller: plugin.geopackage.AttributesUICtrl,
+    controllerAs: 'ctrl'
+  };
+};
+
+
+/**
+ * Add the directive to the module.
+ */
+os.ui.Module.directive('gpkgattributes', [plugin.geopackage.attributesDirective]);
+
+
+
+/**
+ * Controller for browsing an attributes (non-spatial) table. Pages of rows are queried from the worker as they are
+ * needed, so large tables are never loaded all at once.
+ * @param {!angular.Scope} $scope
+ * @constructor
+ * @ngInject
+ */
+plugin.geopackage.AttributesUICtrl = function($scope) {
+  /**
+   * @type {?angular.Scope}
+   * @private
+   */
+  this.scope_ = $scope;
+
+  /**
+   * @type {!os.data.ConfigDescriptor}
+   * @private
+   */
+  this.descriptor_ = /** @type {!os.data.ConfigDescriptor} */ ($scope['descriptor']);
+
+  var config = this.descriptor_.getBaseConfig();
+
+  /**
+   * @type {string}
+   * @private
+   */
+  this.providerId_ = this.descriptor_.getId().split(os.ui.data.BaseProvider.ID_DELIMITER)[0];
+
+  /**
+   * @type {string}
+   * @private
+   */
+  this.tableName_ = /** @type {string} */ (config['tableName']);
+
+  /**
+   * The latest query. Older queries are cancelled.
+   * @type {goog.Promise}
+   * @private
+   */
+  this.request_ = null;
+
+  /**
+   * @type {!Array<string>}
+   */
+  this['columns'] = /** @type {!Array<{name: string}>} */ (config['dbColumns'] || []).map(function(column) {
+    return column.name;
+  });
+
+  /**
+   * @type {!Array<!Array<*>>}
+   */
+  this['rows'] = [];
+
+  /**
+   * @type {number}
+   */
+  this['total'] = 0;
+
+  /**
+   * @type {number}
+   */
+  this['offset'] = 0;
+
+  /**
+   * @type {string}
+   */
+  this['search'] = '';
+
+  /**
+   * @type {?string}
+   */
+  this['sort'] = null;
+
+  /**
+   * @type {boolean}
+   */
+  this['descending'] = false;
+
+  /**
+   * The tables related to this one, which can be joined.
+   * @type {!Array<string>}
+   */
+  this['relations'] = /** @type {Array<string>} */ (config['relations']) || [];
+
+  /**
+   * @type {?string}
+   */
+  this['join'] = null;
+
+  /**
+   * @type {boolean}
+   */
+  this['loading'] = false;
+
+  /**
+   * @type {?string}
+   */
+  this['error'] = null;
+
+  this.query_();
+
+  $scope.$on('$destroy', this.destroy_.bind(this));
+};
+
+
+/**
+ * The number of rows in a page.
+ * @type {number}
+ * @const
+ */
+plugin.geopackage.AttributesUICtrl.PAGE_SIZE = 100;
+
+
+/**
+ * @private
+ */
+plugin.geopackage.AttributesUICtrl.prototype.destroy_ = function() {
+  this.cancel_();
+
+  // closing the window closes the table
+  if (this.descriptor_.isActive()) {
+    this.descriptor_.setActive(false);
+  }
+
+  this.scope_ = null;
+};
+
+
+/**
+ * Query the first page, as when the search or join changes.
+ * @export
+ */
+plugin.geopackage.AttributesUICtrl.prototype.first = function() {
+  this['offset'] = 0;
+  this.query_();
+};
+
+
+/**
+ * Query the previous page.
+ * @export
+ */
+plugin.geopackage.AttributesUICtrl.prototype.previous = function() {
+  this['offset'] = Math.max(0, this['offset'] - plugin.geopackage.AttributesUICtrl.PAGE_SIZE);
+  this.query_();
+};
+
+
+/**
+ * Query the next page.
+ * @export
+ */
+plugin.geopackage.AttributesUICtrl.prototype.next = function() {
+  this['offset'] += plugin.geopackage.AttributesUICtrl.PAGE_SIZE;
+  this.query_();
+};
+
+
+/**
+ * Sort by a column, or reverse the sort if the rows are already sorted by it.
+ * @param {string} column The column
+ * @export
+ */
+plugin.geopackage.AttributesUICtrl.prototype.setSort = function(column) {
+  this['descending'] = this['sort'] === column ? !this['descending'] : false;
+  this['sort'] = column;
+  this.first();
+};
+
+
+/**
+ * @private
+ */
+plugin.geopackage.AttributesUICtrl.prototype.query_ = function() {
+  this.cancel_();
+  this['loading'] = true;
+  this['error'] = null;
+
+  var request = plugin.geopackage.Client.getInstance().queryAttributes(this.providerId_, this.tableName_,
+      /** @type {GeoPackageAttributeQuery} */ ({
+        offset: this['offset'],
+        limit: plugin.geopackage.AttributesUICtrl.PAGE_SIZE,
+        sort: this['sort'] || undefined,
+        descending: this['descending'],
+        search: this['search'] || undefined,
+        join: this['join'] || undefined
+      }), {timeout: plugin.geopackage.Client.TIMEOUT});
+
+  this.request_ = request;
+
+  // a cancelled query is no longer the latest one, so its results are ignored
+  request.then(function(page) {
+    if (this.request_ === request) {
+      this['columns'] = page.columns;
+      this['rows'] = page.rows;
+      this['total'] = page.total;
+    }
+  }, function(e) {
+    if (this.request_ === request) {
+      this['rows'] = [];
+      this['total'] = 0;
+      this['error'] = 'Failed to query ' + this.tableName_ + ': ' + (e instanceof Error ? e.message : e);
+    }
+  }, this).thenAlways(function() {
+    if (this.request_ === request) {
+      this.request_ = null;
+      this['loading'] = false;
+      os.ui.apply(this.scope_);
+    }
+  }, this);
+};
+
+
+/**
+ * Cancel the query in progress.
+ * @private
+ */
+plugin.geopackage.AttributesUICtrl.prototype.cancel_ = function() {
+  if (this.request_) {
+    plugin.geopackage.Client.getInstance().cancel(this.request_);
+    this.request_ = null;
+  }
+};
+
+
+/**
+ * @param {!os.data.ConfigDescriptor} descriptor The attributes table descriptor
+ * @return {string} The window ID
+ * @private
+ */
+plugin.geopackage.AttributesUICtrl.getWindowId_ = function(descriptor) {
+  return 'gpkgAttributes' + goog.string.hashCode(descriptor.getId());
+};
+
+
+/**
+ * Open the window for an attributes table, or bring it to the front if it is already open.
+ * @param {!os.data.ConfigDescriptor} descriptor The attributes table descriptor
+ */
+plugin.geopackage.AttributesUICtrl.launch = function(descriptor) {
+  var id = plugin.geopackage.AttributesUICtrl.getWindowId_(descriptor);
+
+  if (os.ui.window.exists(id)) {
+    os.ui.window.bringToFront(id);
+    return;
+  }
+
+  var windowOptions = {
+    'id': id,
+    'label': descriptor.getTitle(),
+    'icon': 'fa fa-table',
+    'x': 'center',
+    'y': 'center',
+    'width': '800',
+    'min-width': '400',
+    'max-width': '2000',
+    'height': '500',
+    'min-height': '250',
+    'max-height': '2000',
+    'show-close': 'true'
+  };
+
+  var template = '<gpkgattributes descriptor="descriptor"></gpkgattributes>';
+  os.ui.window.create(windowOptions, template, undefined, undefined, undefined, {
+    'descriptor': descriptor
+  });
+};
+
+
+/**
+ * Close the window for an attributes table.
+ * @param {!os.data.ConfigDescriptor} descriptor The attributes table descriptor
+ */
+plugin.geopackage.AttributesUICtrl.close = function(descriptor) {
+  var id = plugin.geopackage.AttributesUICtrl.getWindowId_(descriptor);
+
+  if (os.ui.window.exists(id)) {
+    os.ui.window.close(os.ui.window.getById(id));
+  }
+};
@@ -0,0 +1,35 @@
+goog.provide('plugin.geopackage.Descriptor');
+
+goog.require('os.data.ConfigDescriptor');
+goog.require('plugin.geopackage.metadata');
+
+
+/**
+ * Descriptor for a table in a GeoPackage. The info in the Add Data window includes the records from the metadata
+ * extension for the table and for the whole GeoPackage.
+ *
+ * @extends {os.data.ConfigDescriptor}
+ * @constructor
+ */
+plugin.geopackage.Descriptor = function() {
+  plugin.geopackage.Descriptor.base(this, 'constructor');
+};
+goog.inherits(plugin.geopackage.Descriptor, os.data.ConfigDescriptor);
+
+
+/**
+ * @inheritDoc
+ */
+plugin.geopackage.Descriptor.prototype.getHtmlDescription = function() {
+  var html = plugin.geopackage.Descriptor.base(this, 'getHtmlDescription') || '';
+  var config = this.getBaseConfig();
+
+  if (config) {
+    html += plugin.geopackage.metadata.toHtml(
+        /** @type {Array<GeoPackageMetadata>|undefined} */ (config['metadata']), 'Table Metadata');
+    html += plugin.geopackage.metadata.toHtml(
+        /** @type {Array<GeoPackageMetadata>|undefined} */ (config['packageMetadata']), 'GeoPackage Metadata');
+  }
+
+  return html;
+};
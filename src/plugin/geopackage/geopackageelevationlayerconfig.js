@@ -0,0 +1,96 @@
+goog.provide('plugin.geopackage.ElevationLayerConfig');
+
+goog.require('goog.log');
+goog.require('ol.ImageTile');
+goog.require('ol.TileState');
+goog.require('ol.size');
+goog.require('os.ui.data.BaseProvider');
+goog.require('plugin.geopackage');
+goog.require('plugin.geopackage.Client');
+goog.require('plugin.geopackage.TileLayerConfig');
+goog.require('plugin.geopackage.elevation');
+
+
+/**
+ * Creates a tile layer from a GeoPackage gridded coverage (elevation) table. The elevations are drawn as colored,
+ * hillshaded relief.
+ *
+ * @extends {plugin.geopackage.TileLayerConfig}
+ * @constructor
+ */
+plugin.geopackage.ElevationLayerConfig = function() {
+  plugin.geopackage.ElevationLayerConfig.base(this, 'constructor');
+
+  // the elevations are read on the tile grid of the table
+  this.canReproject = false;
+};
+goog.inherits(plugin.geopackage.ElevationLayerConfig, plugin.geopackage.TileLayerConfig);
+
+
+/**
+ * @inheritDoc
+ */
+plugin.geopackage.ElevationLayerConfig.prototype.getSource = function(options) {
+  var source = plugin.geopackage.ElevationLayerConfig.base(this, 'getSource', options);
+  var parts = options['id'].split(os.ui.data.BaseProvider.ID_DELIMITER);
+
+  source.setTileLoadFunction(plugin.geopackage.ElevationLayerConfig.getTileLoadFunction_(parts[0], source));
+  return source;
+};
+
+
+/**
+ * @param {string} providerId
+ * @param {!ol.source.TileImage} source The tile source
+ * @return {!ol.TileLoadFunctionType}
+ * @private
+ * @suppress {accessControls}
+ */
+plugin.geopackage.ElevationLayerConfig.getTileLoadFunction_ = function(providerId, source) {
+  return (
+    /**
+     * @param {ol.Tile} tile The image tile
+     * @param {string} layerName The layer name
+     */
+    function(tile, layerName) {
+      var imageTile = /** @type {ol.ImageTile} */ (tile);
+      var tileCoord = imageTile.getTileCoord();
+      var tileGrid = source.getTileGrid();
+      var tileSize = ol.size.toSize(tileGrid.getTileSize(tileCoord[0]));
+
+      // the width of the tile in meters, for the slopes of the hillshade
+      var width = tileGrid.getResolution(tileCoord[0]) * tileSize[0] * source.getProjection().getMetersPerUnit();
+
+      plugin.geopackage.Client.getInstance().getCoverageTile(providerId, layerName, tileCoord).then(function(data) {
+        plugin.geopackage.ElevationLayerConfig.onTile_(imageTile, width, data);
+      }, function(e) {
+        imageTile.handleImageError_();
+        goog.log.error(plugin.geopackage.LOGGER, 'Error querying elevation tile from GeoPackage: ' +
+            (e instanceof Error ? e.message : e));
+      });
+    });
+};
+
+
+/**
+ * @param {ol.ImageTile} imageTile The tile
+ * @param {number} tileWidth The width of the tile in meters
+ * @param {Object|undefined} data The elevations from the worker
+ * @private
+ * @suppress {accessControls}
+ */
+plugin.geopackage.ElevationLayerConfig.onTile_ = function(imageTile, tileWidth, data) {
+  if (data) {
+    var width = /** @type {number} */ (data['width']);
+    var height = /** @type {number} */ (data['height']);
+    var values = plugin.geopackage.elevation.toFloat32Array(data['values']);
+
+    imageTile.image_ = plugin.geopackage.elevation.render(width, height, values, tileWidth / width);
+  } else {
+    // there is no tile at this coordinate, so display a blank image as for other GeoPackage tiles
+    imageTile.image_ = ol.ImageTile.getBlankImage();
+  }
+
+  imageTile.state = ol.TileState.LOADED;
+  imageTile.changed();
+};
@@ -1,10 +1,20 @@
 goog.provide('plugin.geopackage.Exporter');
 
+goog.require('goog.Promise');
 goog.require('goog.log');
+goog.require('ol.extent');
 goog.require('ol.format.GeoJSON');
+goog.require('ol.geom.GeometryCollection');
+goog.require('ol.geom.GeometryLayout');
+goog.require('ol.geom.SimpleGeometry');
+goog.require('ol.proj');
 goog.require('os.data.RecordField');
 goog.require('os.ex.AbstractExporter');
 goog.require('os.map');
+goog.require('os.proj');
+goog.require('plugin.geopackage.Client');
+goog.require('plugin.geopackage.metadata');
+goog.require('plugin.geopackage.style');
 
 
 /**
@@ -18,7 +28,9 @@ plugin.geopackage.Exporter = function() {
   this.format = new ol.format.GeoJSON();
 
   /**
-   * @type {!Object<string, null>}
+   * The table written for each layer title. This differs from the title when appending to a GeoPackage that already
+   * has an incompatible table with the same name.
+   * @type {!Object<string, string>}
    * @private
    */
   this.tables_ = {};
@@ -29,13 +41,47 @@ plugin.geopackage.Exporter = function() {
    */
   this.idsToTables_ = {};
 
+  /**
+   * Source IDs with icons loaded for the layer and feature styles.
+   * @type {!Object<string, boolean>}
+   * @private
+   */
+  this.styled_ = {};
+
+  /**
+   * Icons loaded for the export, by URL. Icons that could not be loaded are null.
+   * @type {!Object<string, ?{data: !Uint8Array, width: number, height: number}>}
+   * @private
+   */
+  this.icons_ = {};
+
+  /**
+   * Icon URLs that have been sent to the worker. The worker keeps the icon for the rest of the export, so the image
+   * is only sent once.
+   * @type {!Object<string, boolean>}
+   * @private
+   */
+  this.sentIcons_ = {};
+
   /**
    * @type {string}
    * @protected
    */
   this.lastId = '';
 
-  this.workerHandler_ = this.onMessage.bind(this);
+  /**
+   * An open GeoPackage to add the exported tables to, instead of creating a new one.
+   * @type {plugin.geopackage.GeoPackageProvider}
+   * @private
+   */
+  this.target_ = null;
+
+  /**
+   * The projection code for new feature tables.
+   * @type {string}
+   * @private
+   */
+  this.projection_ = os.proj.EPSG4326;
 };
 goog.inherits(plugin.geopackage.Exporter, os.ex.AbstractExporter);
 
@@ -106,21 +152,69 @@ plugin.geopackage.Exporter.prototype.reset = function() {
   this.gpkg_ = null;
   this.tables_ = {};
   this.idsToTables_ = {};
+  this.styled_ = {};
+  this.icons_ = {};
+  this.sentIcons_ = {};
   plugin.geopackage.Exporter.ID_++;
 
-  var worker = plugin.geopackage.getWorker();
-  worker.removeEventListener(goog.events.EventType.MESSAGE, this.workerHandler_);
+  // ignore the responses to commands from the last export
+  this.lastId = '';
+};
+
+
+/**
+ * Get the open GeoPackage that the export will be added to.
+ * @return {plugin.geopackage.GeoPackageProvider}
+ */
+plugin.geopackage.Exporter.prototype.getTarget = function() {
+  return this.target_;
+};
+
+
+/**
+ * Set an open GeoPackage to add the export to. Layers are appended to existing tables with matching columns, or are
+ * written to new tables. The output is the full GeoPackage with the additions. Set to null to export to a new
+ * GeoPackage.
+ * @param {plugin.geopackage.GeoPackageProvider} target The GeoPackage provider
+ */
+plugin.geopackage.Exporter.prototype.setTarget = function(target) {
+  this.target_ = target;
+};
+
+
+/**
+ * Get the projection that new feature tables are declared in.
+ * @return {string} The projection code
+ */
+plugin.geopackage.Exporter.prototype.getProjection = function() {
+  return this.projection_;
+};
+
+
+/**
+ * Set the projection that new feature tables are declared in. The GeoPackage reprojects the features to the table,
+ * so this must be an EPSG code listed by {@link plugin.geopackage.Client#listProjections}. Tables that are appended
+ * to keep their own projection.
+ * @param {string} projection The projection code, such as `EPSG:32618`
+ */
+plugin.geopackage.Exporter.prototype.setProjection = function(projection) {
+  this.projection_ = projection;
 };
 
 
 /**
  * @param {!string} errorMsg
- * @private
+ * @protected
  */
-plugin.geopackage.Exporter.prototype.reportError_ = function(errorMsg) {
+plugin.geopackage.Exporter.prototype.reportError = function(errorMsg) {
   var msg = 'Error creating ' + this.getLabel() + ' file: ' + errorMsg;
   os.alertManager.sendAlert(msg, os.alert.AlertEventSeverity.ERROR, this.log);
 
+  if (this.target_) {
+    // show any tables that were added before the error
+    this.target_.refresh();
+  }
+
   if (this.gpkg_) {
     this.gpkg_.close();
   }
@@ -132,104 +226,311 @@ plugin.geopackage.Exporter.prototype.reportError_ = function(errorMsg) {
  * @inheritDoc
  */
 plugin.geopackage.Exporter.prototype.process = function() {
-  var worker = plugin.geopackage.getWorker();
-  worker.addEventListener(goog.events.EventType.MESSAGE, this.workerHandler_);
+  if (this.target_) {
+    this.lastId = this.target_.getId();
+    this.writeItems();
+  } else {
+    this.lastId = 'export' + plugin.geopackage.Exporter.ID_;
 
-  this.lastId = 'export' + plugin.geopackage.Exporter.ID_;
-  this.exportCommand(plugin.geopackage.ExportCommands.CREATE);
+    // new GeoPackages are marked with who exported them and when
+    this.exportCommand(plugin.geopackage.ExportCommands.CREATE, {
+      metadata: plugin.geopackage.metadata.getProvenance()
+    });
+  }
 };
 
 
 /**
- * @param {Event|GeoPackageWorkerResponse} e
+ * Start writing the exported items once the GeoPackage is open in the worker.
  * @protected
  */
-plugin.geopackage.Exporter.prototype.onMessage = function(e) {
-  var msg = /** @type {GeoPackageWorkerResponse} */ (e instanceof window.Event ? e.data : e);
-
-  if (msg && msg.message.id === this.lastId && msg.message.type === plugin.geopackage.MsgType.EXPORT) {
-    if (msg.type === plugin.geopackage.MsgType.SUCCESS) {
-      if (msg.message.command === plugin.geopackage.ExportCommands.CREATE) {
-        this.index_ = 0;
-      } else if (msg.message.command === plugin.geopackage.ExportCommands.CREATE_TABLE) {
-        this.tables_[/** @type {!string} */ (msg.message.tableName)] = null;
-      } else if (msg.message.command === plugin.geopackage.ExportCommands.GEOJSON) {
-        this.index_++;
-      }
+plugin.geopackage.Exporter.prototype.writeItems = function() {
+  this.index_ = 0;
+  this.parseNext_();
+};
+
+
+/**
+ * Continue the export after the worker completes a command that writes to the GeoPackage.
+ * @param {GeoPackageWorkerMessage} msg The command
+ * @param {*} data The result of the command
+ * @protected
+ */
+plugin.geopackage.Exporter.prototype.onCommand = function(msg, data) {
+  if (msg.command === plugin.geopackage.ExportCommands.CREATE) {
+    this.writeItems();
+    return;
+  }
+
+  if (msg.command === plugin.geopackage.ExportCommands.CREATE_TABLE) {
+    var tableName = /** @type {!string} */ (msg.tableName);
+    this.tables_[tableName] = /** @type {string} */ (data || tableName);
+  } else if (msg.command === plugin.geopackage.ExportCommands.GEOJSON) {
+    this.index_++;
+  }
+
+  this.parseNext_();
+};
+
+
+/**
+ * @inheritDoc
+ */
+plugin.geopackage.Exporter.prototype.getUI = function() {
+  return '<gpkgexport exporter="exporter"></gpkgexport>';
+};
 
-      if (msg.message.command === plugin.geopackage.ExportCommands.WRITE) {
-        this.output = [];
+
+/**
+ * @param {GeoPackageWorkerMessage} msg The command
+ * @param {*} data The result of the command
+ * @protected
+ */
+plugin.geopackage.Exporter.prototype.onResponse = function(msg, data) {
+  if (msg.id === this.lastId) {
+    if (msg.command === plugin.geopackage.ExportCommands.WRITE) {
+      this.output = [];
+      this.exportCommand(plugin.geopackage.ExportCommands.GET_CHUNK);
+    } else if (msg.command === plugin.geopackage.ExportCommands.GET_CHUNK) {
+      if (data instanceof ArrayBuffer) {
+        this.output = data;
+        this.exportCommand(plugin.geopackage.ExportCommands.WRITE_FINISH);
+      } else if (data && data.length) {
+        this.output = this.output.concat(data);
         this.exportCommand(plugin.geopackage.ExportCommands.GET_CHUNK);
-      } else if (msg.message.command === plugin.geopackage.ExportCommands.GET_CHUNK) {
-        if (msg.data instanceof ArrayBuffer) {
-          this.output = msg.data;
-          this.exportCommand(plugin.geopackage.ExportCommands.WRITE_FINISH);
-        } else if (msg.data && msg.data.length) {
-          this.output = this.output.concat(msg.data);
-          this.exportCommand(plugin.geopackage.ExportCommands.GET_CHUNK);
-        } else {
-          this.exportCommand(plugin.geopackage.ExportCommands.WRITE_FINISH);
-        }
-      } else if (msg.message.command === plugin.geopackage.ExportCommands.WRITE_FINISH) {
-        if (!(this.output instanceof ArrayBuffer)) {
-          this.output = Uint8Array.from(/** @type {!Array<!number>} */ (this.output)).buffer;
-        }
+      } else {
+        this.exportCommand(plugin.geopackage.ExportCommands.WRITE_FINISH);
+      }
+    } else if (msg.command === plugin.geopackage.ExportCommands.WRITE_FINISH) {
+      if (!(this.output instanceof ArrayBuffer)) {
+        this.output = Uint8Array.from(/** @type {!Array<!number>} */ (this.output)).buffer;
+      }
 
+      var electron = plugin.geopackage.getElectron();
+      if (this.target_) {
+        // list the new tables with the rest of the GeoPackage
+        this.target_.refresh();
+      } else if (electron) {
         // remove it
-        var electron = plugin.geopackage.getElectron();
-        if (electron) {
-          electron.unlinkFile('tmp.gpkg', function(err) {
-            if (err) {
-              goog.log.error(plugin.geopackage.Exporter.LOGGER_, 'Could not delete tmp.gpkg!');
-            } else {
-              goog.log.info(plugin.geopackage.Exporter.LOGGER_, 'Removed tmp.gpkg');
-            }
-          });
-        }
-
-        this.dispatchEvent(os.events.EventType.COMPLETE);
-      } else {
-        this.parseNext_();
+        electron.unlinkFile('tmp.gpkg', function(err) {
+          if (err) {
+            goog.log.error(plugin.geopackage.Exporter.LOGGER_, 'Could not delete tmp.gpkg!');
+          } else {
+            goog.log.info(plugin.geopackage.Exporter.LOGGER_, 'Removed tmp.gpkg');
+          }
+        });
       }
+
+      this.dispatchEvent(os.events.EventType.COMPLETE);
     } else {
-      this.reportError_('GeoPackage creation failed! ' + msg.reason);
+      this.onCommand(msg, data);
     }
   }
 };
 
 
 /**
- * @param {plugin.geopackage.ExportCommands} cmd
+ * @param {GeoPackageWorkerMessage} msg The command
+ * @param {*} e The error
+ * @protected
+ */
+plugin.geopackage.Exporter.prototype.onCommandError = function(msg, e) {
+  if (msg.id === this.lastId) {
+    this.reportError('GeoPackage creation failed! ' + (e instanceof Error ? e.message : e));
+  }
+};
+
+
+/**
+ * Send an export command to the worker, and continue the export with its result.
+ * @param {plugin.geopackage.ExportCommands} cmd The command
+ * @param {Object=} opt_fields Other message fields for the command
+ * @param {Array<Transferable>=} opt_transfer Objects to transfer to the worker
  * @protected
  */
-plugin.geopackage.Exporter.prototype.exportCommand = function(cmd) {
-  var worker = plugin.geopackage.getWorker();
-  worker.postMessage(/** @type {GeoPackageWorkerMessage} */ ({
-    id: this.lastId,
-    type: plugin.geopackage.MsgType.EXPORT,
-    command: cmd
-  }));
+plugin.geopackage.Exporter.prototype.exportCommand = function(cmd, opt_fields, opt_transfer) {
+  var msg = /** @type {GeoPackageWorkerMessage} */ (opt_fields || {});
+  var request = plugin.geopackage.Client.getInstance().exportCommand(this.lastId, cmd, msg,
+      /** @type {GeoPackageRequestOptions} */ ({transfer: opt_transfer}));
+
+  request.then(this.onResponse.bind(this, msg), this.onCommandError.bind(this, msg));
 };
 
 
 /**
  * @param {os.data.ColumnDefinition} colDef
+ * @param {Array<ol.Feature>=} opt_features The features in the table, to determine the type of untyped columns
  * @return {{field: string, type: string}}
  */
-plugin.geopackage.Exporter.mapColumnDefToColumn = function(colDef) {
+plugin.geopackage.Exporter.mapColumnDefToColumn = function(colDef, opt_features) {
   return {
     'field': colDef.field,
-    'type': colDef.type
+    'type': plugin.geopackage.Exporter.getColumnType(colDef, opt_features || [])
   };
 };
 
 
+/**
+ * GeoPackage data types for typed OpenSphere columns.
+ * @type {!Object<string, string>}
+ * @const
+ */
+plugin.geopackage.Exporter.COLUMN_TYPES = {
+  'boolean': 'BOOLEAN',
+  'integer': 'INTEGER',
+  'float': 'FLOAT',
+  'double': 'DOUBLE',
+  'decimal': 'REAL',
+  'date': 'DATE',
+  'datetime': 'DATETIME',
+  'blob': 'BLOB'
+};
+
+
+/**
+ * GeoPackage geometry type names, by OpenLayers geometry type.
+ * @type {!Object<string, string>}
+ * @const
+ */
+plugin.geopackage.Exporter.GEOMETRY_TYPES = {
+  'Point': 'POINT',
+  'LineString': 'LINESTRING',
+  'Polygon': 'POLYGON',
+  'MultiPoint': 'MULTIPOINT',
+  'MultiLineString': 'MULTILINESTRING',
+  'MultiPolygon': 'MULTIPOLYGON',
+  'GeometryCollection': 'GEOMETRYCOLLECTION'
+};
+
+
+/**
+ * Get the GeoPackage data type for a column. Columns without a specific type (such as strings) are typed by their
+ * values, so that numbers, booleans, dates and binary data are not all written as text.
+ * @param {os.data.ColumnDefinition} colDef The column
+ * @param {!Array<ol.Feature>} features The features in the table
+ * @return {string} The GeoPackage data type name
+ */
+plugin.geopackage.Exporter.getColumnType = function(colDef, features) {
+  var type = (colDef.type || '').toLowerCase();
+  if (type in plugin.geopackage.Exporter.COLUMN_TYPES) {
+    return plugin.geopackage.Exporter.COLUMN_TYPES[type];
+  }
+
+  var result = null;
+
+  for (var i = 0, n = features.length; i < n; i++) {
+    var value = features[i].get(colDef.field);
+    var valueType;
+
+    if (value == null || value === '') {
+      continue;
+    } else if (typeof value === 'boolean') {
+      valueType = 'BOOLEAN';
+    } else if (typeof value === 'number') {
+      valueType = Math.round(value) === value ? 'INTEGER' : 'REAL';
+    } else if (value instanceof Date) {
+      valueType = 'DATETIME';
+    } else if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) {
+      valueType = 'BLOB';
+    } else {
+      return 'TEXT';
+    }
+
+    if (result && result !== valueType) {
+      if ((result === 'INTEGER' || result === 'REAL') && (valueType === 'INTEGER' || valueType === 'REAL')) {
+        valueType = 'REAL';
+      } else {
+        return 'TEXT';
+      }
+    }
+
+    result = valueType;
+  }
+
+  return result || 'TEXT';
+};
+
+
+/**
+ * Get the geometry column definition for a table. The geometry type is specific if every feature has the same type,
+ * and Z and M values are mandatory (1) if every geometry has them, optional (2) if some do, or prohibited (0).
+ * @param {!Array<ol.Feature>} features The features in the table
+ * @return {{geometryType: string, z: number, m: number}}
+ */
+plugin.geopackage.Exporter.getGeometryInfo = function(features) {
+  var geometryType = null;
+  var count = 0;
+  var withZ = 0;
+  var withM = 0;
+
+  features.forEach(function(feature) {
+    var geometry = feature.getGeometry();
+
+    if (geometry) {
+      var type = plugin.geopackage.Exporter.GEOMETRY_TYPES[geometry.getType()] || 'GEOMETRY';
+      geometryType = !geometryType || geometryType === type ? type : 'GEOMETRY';
+
+      var layout = plugin.geopackage.Exporter.getLayout(geometry);
+      withZ += layout.indexOf('Z') > -1 ? 1 : 0;
+      withM += layout.indexOf('M') > -1 ? 1 : 0;
+      count++;
+    }
+  });
+
+  return {
+    'geometryType': geometryType || 'GEOMETRY',
+    'z': withZ ? (withZ === count ? 1 : 2) : 0,
+    'm': withM ? (withM === count ? 1 : 2) : 0
+  };
+};
+
+
+/**
+ * Get the extent of features in a projection.
+ * @param {!Array<ol.Feature>} features The features
+ * @param {string} projection The projection code
+ * @return {Array<number>|undefined} The extent, or undefined if the features have no geometry or fall outside the
+ *     projection
+ */
+plugin.geopackage.Exporter.getExtent = function(features, projection) {
+  var extent = ol.extent.createEmpty();
+
+  features.forEach(function(feature) {
+    var geometry = feature.getGeometry();
+    if (geometry) {
+      ol.extent.extend(extent, geometry.getExtent());
+    }
+  });
+
+  if (!ol.extent.isEmpty(extent)) {
+    extent = ol.proj.transformExtent(extent, os.map.PROJECTION, projection);
+    if (extent.every(isFinite)) {
+      return extent;
+    }
+  }
+
+  return undefined;
+};
+
+
+/**
+ * Get the coordinate layout of a geometry. Collections use the layout of their first geometry.
+ * @param {ol.geom.Geometry} geometry The geometry
+ * @return {string} The layout
+ */
+plugin.geopackage.Exporter.getLayout = function(geometry) {
+  if (geometry instanceof ol.geom.GeometryCollection) {
+    geometry = geometry.getGeometries()[0];
+  }
+
+  return geometry instanceof ol.geom.SimpleGeometry ? geometry.getLayout() : ol.geom.GeometryLayout.XY;
+};
+
+
 /**
  * @private
  */
 plugin.geopackage.Exporter.prototype.parseNext_ = function() {
-  var worker = plugin.geopackage.getWorker();
-
   if (this.index_ === this.items.length) {
     this.exportCommand(plugin.geopackage.ExportCommands.WRITE);
     return;
@@ -238,7 +539,7 @@ plugin.geopackage.Exporter.prototype.parseNext_ = function() {
   var feature = this.items[this.index_];
   var source = this.getSource_(feature);
   if (!source) {
-    this.reportError_('Could not determine source for ' + feature.getId());
+    this.reportError('Could not determine source for ' + feature.getId());
     return;
   }
 
@@ -253,18 +554,35 @@ plugin.geopackage.Exporter.prototype.parseNext_ = function() {
   }
 
   if (!tableName) {
-    this.reportError_('Could not determine table name for ' + feature.getId());
+    this.reportError('Could not determine table name for ' + feature.getId());
     return;
   }
 
   if (!(tableName in this.tables_)) {
-    worker.postMessage(/** @type {GeoPackageWorkerMessage} */ ({
-      id: this.lastId,
-      type: plugin.geopackage.MsgType.EXPORT,
-      command: plugin.geopackage.ExportCommands.CREATE_TABLE,
-      columns: source.getColumns().map(plugin.geopackage.Exporter.mapColumnDefToColumn),
-      tableName: tableName
-    }));
+    var features = this.items.filter(function(item) {
+      return item.get(os.data.RecordField.SOURCE_ID) === id;
+    });
+
+    if (!this.styled_[id]) {
+      this.loadIcons_(id, features);
+      return;
+    }
+
+    var layer = /** @type {os.layer.ILayer} */ (os.MapContainer.getInstance().getLayer(id));
+    var table = plugin.geopackage.Exporter.getGeometryInfo(features);
+    table['style'] = this.getStyle_(plugin.geopackage.style.getLayerConfig(id));
+    table['layerOptions'] = layer ? plugin.geopackage.style.getLayerOptions(layer) : null;
+
+    this.exportCommand(plugin.geopackage.ExportCommands.CREATE_TABLE, {
+      columns: source.getColumns().map(function(colDef) {
+        return plugin.geopackage.Exporter.mapColumnDefToColumn(colDef, features);
+      }),
+      tableName: tableName,
+      projection: this.projection_,
+      extent: plugin.geopackage.Exporter.getExtent(features, this.projection_),
+      data: table,
+      metadata: plugin.geopackage.metadata.getProvenance(layer ? layer.getTitle() : tableName)
+    });
     return;
   }
 
@@ -276,6 +594,18 @@ plugin.geopackage.Exporter.prototype.parseNext_ = function() {
 
   var props = geojson['properties'];
 
+  if (plugin.geopackage.isElectron()) {
+    // binary values do not survive the trip to the worker process
+    for (var key in props) {
+      var value = props[key];
+      if (ArrayBuffer.isView(value)) {
+        props[key] = Array.from(new Uint8Array(value.buffer, value.byteOffset, value.byteLength));
+      } else if (value instanceof ArrayBuffer) {
+        props[key] = Array.from(new Uint8Array(value));
+      }
+    }
+  }
+
   var itime = feature.get(os.data.RecordField.TIME);
   if (itime) {
     props[plugin.geopackage.Exporter.RECORD_TIME_START_FIELD] = new Date(itime.getStart()).toISOString();
@@ -285,13 +615,68 @@ plugin.geopackage.Exporter.prototype.parseNext_ = function() {
     }
   }
 
-  worker.postMessage(/** @type {GeoPackageWorkerMessage} */ ({
-    id: this.lastId,
-    type: plugin.geopackage.MsgType.EXPORT,
-    command: plugin.geopackage.ExportCommands.GEOJSON,
-    tableName: tableName,
+  this.exportCommand(plugin.geopackage.ExportCommands.GEOJSON, {
+    tableName: this.tables_[tableName],
+    layout: plugin.geopackage.Exporter.getLayout(feature.getGeometry()),
+    style: this.getStyle_(plugin.geopackage.style.getFeatureConfig(feature)) || undefined,
     data: geojson
-  }));
+  });
+};
+
+
+/**
+ * Load the icons used by a layer and its features, then continue the export.
+ * @param {string} id The source ID
+ * @param {!Array<ol.Feature>} features The features from the source
+ * @private
+ */
+plugin.geopackage.Exporter.prototype.loadIcons_ = function(id, features) {
+  var exportId = plugin.geopackage.Exporter.ID_;
+  var urls = {};
+
+  var addUrl = function(config) {
+    var url = plugin.geopackage.style.getIconUrl(config);
+    if (url && !(url in this.icons_)) {
+      urls[url] = true;
+    }
+  };
+
+  addUrl.call(this, plugin.geopackage.style.getLayerConfig(id));
+  features.forEach(function(feature) {
+    addUrl.call(this, plugin.geopackage.style.getFeatureConfig(feature));
+  }, this);
+
+  var toLoad = Object.keys(urls);
+  goog.Promise.all(toLoad.map(plugin.geopackage.style.loadIcon)).then(function(icons) {
+    // ignore the icons if the export was reset while they loaded
+    if (exportId === plugin.geopackage.Exporter.ID_) {
+      toLoad.forEach(function(url, i) {
+        this.icons_[url] = icons[i];
+      }, this);
+
+      this.styled_[id] = true;
+      this.parseNext_();
+    }
+  }, undefined, this);
+};
+
+
+/**
+ * Get the GeoPackage style for a style config, with the icon image if it has not been sent to the worker.
+ * @param {Object<string, *>} config The style config
+ * @return {?GeoPackageStyle}
+ * @private
+ */
+plugin.geopackage.Exporter.prototype.getStyle_ = function(config) {
+  var style = plugin.geopackage.style.fromConfig(config, this.icons_);
+
+  if (style && style.icon && !this.sentIcons_[style.icon.url]) {
+    var data = this.icons_[style.icon.url].data;
+    style.icon.data = plugin.geopackage.isElectron() ? Array.from(data) : data.buffer;
+    this.sentIcons_[style.icon.url] = true;
+  }
+
+  return style;
 };
 
 
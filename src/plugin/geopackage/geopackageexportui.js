@@ -0,0 +1,195 @@
+goog.provide('plugin.geopackage.ExportUICtrl');
+goog.provide('plugin.geopackage.exportDirective');
+
+goog.require('ol.proj');
+goog.require('os.proj');
+goog.require('os.ui');
+goog.require('os.ui.Module');
+goog.require('plugin.geopackage.Client');
+goog.require('plugin.geopackage.Exporter');
+goog.require('plugin.geopackage.GeoPackageProvider');
+goog.require('plugin.geopackage.provenanceDirective');
+
+
+/**
+ * The GeoPackage export options directive.
+ * @return {angular.Directive}
+ */
+plugin.geopackage.exportDirective = function() {
+  return {
+    restrict: 'E',
+    replace: true,
+    scope: {
+      'exporter': '='
+    },
+    template: '<div>' +
+        '<div class="form-group row">' +
+        '<label class="col-form-label col-3" for="gpkgExportTarget">GeoPackage</label>' +
+        '<div class="col">' +
+        '<select class="custom-select" id="gpkgExportTarget" ng-model="ctrl.target" ' +
+        'ng-options="provider.getLabel() for provider in ctrl.providers" ng-change="ctrl.onTargetChange()" ' +
+        'title="Create a new GeoPackage or add the layers to one that is open">' +
+        '<option value="">New GeoPackage</option>' +
+        '</select>' +
+        '<small class="form-text text-muted" ng-if="ctrl.target">Layers are appended to tables with matching ' +
+        'columns. Other layers are added as new tables.</small>' +
+        '</div>' +
+        '</div>' +
+        '<div class="form-group row">' +
+        '<label class="col-form-label col-3" for="gpkgExportProjection">Projection</label>' +
+        '<div class="col">' +
+        '<select class="custom-select" id="gpkgExportProjection" ng-model="ctrl.projection" ' +
+        'ng-options="code for code in ctrl.projections" ng-change="ctrl.onProjectionChange()" ' +
+        'title="The coordinate reference system for new tables"></select>' +
+        '</div>' +
+        '</div>' +
+        '<gpkgprovenance label-class="col-3"></gpkgprovenance>' +
+        '</div>',
+    controller: plugin.geopackage.ExportUICtrl,
+    controllerAs: 'ctrl'
+  };
+};
+
+
+/**
+ * Add the directive to the module.
+ */
+os.ui.Module.directive('gpkgexport', [plugin.geopackage.exportDirective]);
+
+
+
+/**
+ * Controller for the GeoPackage export options.
+ * @param {!angular.Scope} $scope
+ * @constructor
+ * @ngInject
+ */
+plugin.geopackage.ExportUICtrl = function($scope) {
+  /**
+   * @type {plugin.geopackage.Exporter}
+   * @private
+   */
+  this.exporter_ = /** @type {plugin.geopackage.Exporter} */ ($scope['exporter']);
+
+  /**
+   * The open GeoPackages that can be added to.
+   * @type {!Array<!plugin.geopackage.GeoPackageProvider>}
+   */
+  this['providers'] = plugin.geopackage.ExportUICtrl.getTargets();
+
+  /**
+   * @type {plugin.geopackage.GeoPackageProvider}
+   */
+  this['target'] = null;
+
+  /**
+   * @type {?angular.Scope}
+   * @private
+   */
+  this.scope_ = $scope;
+
+  /**
+   * The projections that new tables can be declared in.
+   * @type {!Array<string>}
+   */
+  this['projections'] = [os.proj.EPSG4326];
+
+  /**
+   * @type {string}
+   */
+  this['projection'] = os.proj.EPSG4326;
+
+  if (this.exporter_) {
+    this.exporter_.setTarget(null);
+    this.exporter_.setProjection(this['projection']);
+  }
+
+  plugin.geopackage.ExportUICtrl.getProjections().then(function(projections) {
+    if (this.scope_) {
+      this['projections'] = projections;
+      os.ui.apply(this.scope_);
+    }
+  }, undefined, this);
+
+  $scope.$on('$destroy', this.destroy_.bind(this));
+};
+
+
+/**
+ * Get the open GeoPackages that can be added to. Providers that failed to load are left out.
+ * @return {!Array<!plugin.geopackage.GeoPackageProvider>}
+ */
+plugin.geopackage.ExportUICtrl.getTargets = function() {
+  return /** @type {!Array<!plugin.geopackage.GeoPackageProvider>} */ (
+    os.dataManager.getProviderRoot().getChildren().filter(function(provider) {
+      return provider instanceof plugin.geopackage.GeoPackageProvider && !provider.getError();
+    }));
+};
+
+
+/**
+ * The projections that exported tables can be declared in.
+ * @type {goog.Promise<!Array<string>>}
+ * @private
+ */
+plugin.geopackage.ExportUICtrl.projections_ = null;
+
+
+/**
+ * Get the projections that exported tables can be declared in. These are the EPSG projections registered with proj4,
+ * which the worker can also add to a GeoPackage. The worker is only asked once.
+ * @return {!goog.Promise<!Array<string>>} The projection codes, starting with EPSG:4326
+ */
+plugin.geopackage.ExportUICtrl.getProjections = function() {
+  if (!plugin.geopackage.ExportUICtrl.projections_) {
+    plugin.geopackage.ExportUICtrl.projections_ = plugin.geopackage.Client.getInstance().listProjections().then(
+        function(workerCodes) {
+          var codes = Object.keys(proj4.defs).filter(function(code) {
+            return /^EPSG:\d+$/.test(code) && code !== os.proj.EPSG4326 && workerCodes.indexOf(code) > -1 &&
+                !!ol.proj.get(code);
+          }).sort(function(a, b) {
+            return Number(a.substr(5)) - Number(b.substr(5));
+          });
+
+          codes.unshift(os.proj.EPSG4326);
+          return codes;
+        }, function() {
+          // ask again next time
+          plugin.geopackage.ExportUICtrl.projections_ = null;
+          return [os.proj.EPSG4326];
+        });
+  }
+
+  return plugin.geopackage.ExportUICtrl.projections_;
+};
+
+
+/**
+ * @private
+ */
+plugin.geopackage.ExportUICtrl.prototype.destroy_ = function() {
+  this.exporter_ = null;
+  this.scope_ = null;
+};
+
+
+/**
+ * Update the exporter with the selected GeoPackage.
+ * @export
+ */
+plugin.geopackage.ExportUICtrl.prototype.onTargetChange = function() {
+  if (this.exporter_) {
+    this.exporter_.setTarget(this['target'] || null);
+  }
+};
+
+
+/**
+ * Update the exporter with the selected projection.
+ * @export
+ */
+plugin.geopackage.ExportUICtrl.prototype.onProjectionChange = function() {
+  if (this.exporter_) {
+    this.exporter_.setProjection(this['projection']);
+  }
+};
@@ -0,0 +1,336 @@
+goog.provide('plugin.geopackage.FeatureEditor');
+
+goog.require('goog.Disposable');
+goog.require('goog.async.Delay');
+goog.require('goog.events.EventHandler');
+goog.require('goog.log');
+goog.require('ol');
+goog.require('ol.format.GeoJSON');
+goog.require('ol.source.VectorEventType');
+goog.require('os.alert.AlertEventSeverity');
+goog.require('os.alert.AlertManager');
+goog.require('os.map');
+goog.require('os.proj');
+goog.require('plugin.geopackage');
+goog.require('plugin.geopackage.Client');
+
+
+/**
+ * Writes edits made to the features in a GeoPackage vector source back to the table in the open GeoPackage.
+ *
+ * Features are matched to their row by the table's primary key. Loaded features are compared against the values they
+ * had when they were loaded, so only changes to the geometry or table columns (and not styles, selection, etc) are
+ * written. Features added to the source without a primary key are inserted as new rows, and features removed from
+ * the source with {@link plugin.geopackage.VectorSource#removeFeatures} are deleted.
+ *
+ * @param {!os.source.Vector} source The source to watch for edits
+ * @param {string} gpkgId The ID of the open GeoPackage in the worker
+ * @param {string} tableName The feature table name
+ * @param {string} primaryKey The primary key column
+ * @param {Array<string>} columns The table columns to write, excluding the primary key and geometry
+ * @extends {goog.Disposable}
+ * @constructor
+ */
+plugin.geopackage.FeatureEditor = function(source, gpkgId, tableName, primaryKey, columns) {
+  plugin.geopackage.FeatureEditor.base(this, 'constructor');
+
+  /**
+   * @type {string}
+   * @private
+   */
+  this.gpkgId_ = gpkgId;
+
+  /**
+   * @type {string}
+   * @private
+   */
+  this.tableName_ = tableName;
+
+  /**
+   * @type {string}
+   * @private
+   */
+  this.primaryKey_ = primaryKey;
+
+  /**
+   * @type {Array<string>}
+   * @private
+   */
+  this.columns_ = columns.filter(function(column) {
+    return column !== primaryKey;
+  });
+
+  /**
+   * The state of each feature as it was last read from or written to the table, by feature UID.
+   * @type {!Object<string, string>}
+   * @private
+   */
+  this.states_ = {};
+
+  /**
+   * Features that changed since the last write, by feature UID.
+   * @type {!Object<string, !ol.Feature>}
+   * @private
+   */
+  this.changed_ = {};
+
+  /**
+   * UIDs of features waiting on the worker to insert them.
+   * @type {!Object<string, boolean>}
+   * @private
+   */
+  this.inserting_ = {};
+
+  /**
+   * @type {ol.format.GeoJSON}
+   * @private
+   */
+  this.format_ = new ol.format.GeoJSON();
+
+  /**
+   * Delay to batch up the changes made by an edit.
+   * @type {goog.async.Delay}
+   * @private
+   */
+  this.writeDelay_ = new goog.async.Delay(this.writeChanges_, 250, this);
+
+  /**
+   * @type {goog.events.EventHandler<!plugin.geopackage.FeatureEditor>}
+   * @private
+   */
+  this.handler_ = new goog.events.EventHandler(this);
+  this.handler_.listen(source, ol.source.VectorEventType.ADDFEATURE, this.onAddFeature_);
+  this.handler_.listen(source, ol.source.VectorEventType.CHANGEFEATURE, this.onChangeFeature_);
+  this.handler_.listen(source, ol.source.VectorEventType.CLEAR, this.onClear_);
+};
+goog.inherits(plugin.geopackage.FeatureEditor, goog.Disposable);
+
+
+/**
+ * Logger
+ * @type {goog.log.Logger}
+ * @const
+ * @private
+ */
+plugin.geopackage.FeatureEditor.LOGGER_ = goog.log.getLogger('plugin.geopackage.FeatureEditor');
+
+
+/**
+ * @inheritDoc
+ */
+plugin.geopackage.FeatureEditor.prototype.disposeInternal = function() {
+  // write anything still waiting on the delay
+  if (this.writeDelay_.isActive()) {
+    this.writeDelay_.fire();
+  }
+
+  goog.dispose(this.writeDelay_);
+  goog.dispose(this.handler_);
+
+  // the writes already sent are left to finish
+  this.states_ = {};
+  this.changed_ = {};
+  this.inserting_ = {};
+
+  plugin.geopackage.FeatureEditor.base(this, 'disposeInternal');
+};
+
+
+/**
+ * Delete features from the table.
+ * @param {Array<!ol.Feature>} features The features
+ */
+plugin.geopackage.FeatureEditor.prototype.deleteFeatures = function(features) {
+  features.forEach(function(feature) {
+    var uid = ol.getUid(feature);
+    delete this.states_[uid];
+    delete this.changed_[uid];
+
+    var id = feature.get(this.primaryKey_);
+    if (id != null) {
+      this.send_(plugin.geopackage.EditCommands.DELETE, feature, Number(id));
+    }
+  }, this);
+};
+
+
+/**
+ * Get the state of a feature to compare with the last written state.
+ * @param {!ol.Feature} feature The feature
+ * @return {string}
+ * @private
+ */
+plugin.geopackage.FeatureEditor.prototype.getState_ = function(feature) {
+  var geometry = feature.getGeometry();
+  var values = this.columns_.map(function(column) {
+    return feature.get(column);
+  });
+
+  return (geometry ? ol.getUid(geometry) + ':' + geometry.getRevision() : '') + '|' + JSON.stringify(values);
+};
+
+
+/**
+ * @param {ol.source.Vector.Event} event
+ * @private
+ */
+plugin.geopackage.FeatureEditor.prototype.onAddFeature_ = function(event) {
+  var feature = event.feature;
+
+  if (feature) {
+    if (feature.get(this.primaryKey_) != null) {
+      // loaded from the table
+      this.states_[ol.getUid(feature)] = this.getState_(feature);
+    } else {
+      this.onChangeFeature_(event);
+    }
+  }
+};
+
+
+/**
+ * @param {ol.source.Vector.Event} event
+ * @private
+ */
+plugin.geopackage.FeatureEditor.prototype.onChangeFeature_ = function(event) {
+  var feature = event.feature;
+
+  if (feature) {
+    this.changed_[ol.getUid(feature)] = feature;
+    this.writeDelay_.start();
+  }
+};
+
+
+/**
+ * Forget the loaded features when the source is cleared. Clearing the source does not delete features from the table.
+ * @private
+ */
+plugin.geopackage.FeatureEditor.prototype.onClear_ = function() {
+  if (this.writeDelay_.isActive()) {
+    this.writeDelay_.fire();
+  }
+
+  this.states_ = {};
+};
+
+
+/**
+ * Write the features that changed since they were last read or written.
+ * @private
+ */
+plugin.geopackage.FeatureEditor.prototype.writeChanges_ = function() {
+  var changed = this.changed_;
+  this.changed_ = {};
+
+  for (var uid in changed) {
+    var feature = changed[uid];
+
+    if (this.inserting_[uid]) {
+      // wait for the primary key so the change is not inserted twice
+      this.changed_[uid] = feature;
+      continue;
+    }
+
+    var state = this.getState_(feature);
+
+    if (feature.getGeometry() && state !== this.states_[uid]) {
+      this.states_[uid] = state;
+
+      var id = feature.get(this.primaryKey_);
+      if (id != null) {
+        this.send_(plugin.geopackage.EditCommands.UPDATE, feature, Number(id));
+      } else {
+        this.inserting_[uid] = true;
+        this.send_(plugin.geopackage.EditCommands.INSERT, feature);
+      }
+    }
+  }
+};
+
+
+/**
+ * @param {plugin.geopackage.EditCommands} command The edit command
+ * @param {!ol.Feature} feature The feature
+ * @param {number=} opt_id The primary key of the feature
+ * @private
+ */
+plugin.geopackage.FeatureEditor.prototype.send_ = function(command, feature, opt_id) {
+  var data;
+
+  if (command !== plugin.geopackage.EditCommands.DELETE) {
+    var properties = {};
+    this.columns_.forEach(function(column) {
+      var value = feature.get(column);
+      if (value !== undefined) {
+        properties[column] = value instanceof Date ? value.toISOString() : value;
+      }
+    });
+
+    data = {
+      'type': 'Feature',
+      'geometry': this.format_.writeGeometryObject(/** @type {!ol.geom.Geometry} */ (feature.getGeometry()), {
+        featureProjection: os.map.PROJECTION,
+        dataProjection: os.proj.EPSG4326
+      }),
+      'properties': properties
+    };
+  }
+
+  plugin.geopackage.Client.getInstance().edit(this.gpkgId_, this.tableName_, command, opt_id, data, {
+    timeout: plugin.geopackage.Client.TIMEOUT
+  }).then(function(result) {
+    this.onWrite_(command, feature, opt_id != null ? opt_id : result);
+  }, function(e) {
+    this.onWriteError_(feature, e);
+  }, this);
+};
+
+
+/**
+ * @param {plugin.geopackage.EditCommands} command The edit command
+ * @param {!ol.Feature} feature The feature
+ * @param {number|undefined} id The primary key of the feature, which is new for an insert
+ * @private
+ */
+plugin.geopackage.FeatureEditor.prototype.onWrite_ = function(command, feature, id) {
+  if (this.isDisposed()) {
+    return;
+  }
+
+  if (command === plugin.geopackage.EditCommands.INSERT) {
+    // the primary key ties the feature to its new row, so later edits update it
+    var uid = ol.getUid(feature);
+    delete this.inserting_[uid];
+    feature.set(this.primaryKey_, id, true);
+
+    if (uid in this.changed_) {
+      this.writeDelay_.start();
+    }
+  }
+
+  goog.log.fine(plugin.geopackage.FeatureEditor.LOGGER_, 'Wrote ' + command + ' for feature ' + id + ' to ' +
+      this.tableName_);
+};
+
+
+/**
+ * @param {!ol.Feature} feature The feature
+ * @param {*} e The error
+ * @private
+ */
+plugin.geopackage.FeatureEditor.prototype.onWriteError_ = function(feature, e) {
+  if (this.isDisposed()) {
+    return;
+  }
+
+  // allow the feature to be written again on the next change
+  var uid = ol.getUid(feature);
+  delete this.inserting_[uid];
+  delete this.states_[uid];
+
+  var errorMsg = 'Failed to save changes to GeoPackage table "' + this.tableName_ + '": ' +
+      (e instanceof Error ? e.message : e);
+  os.alert.AlertManager.getInstance().sendAlert(errorMsg, os.alert.AlertEventSeverity.ERROR,
+      plugin.geopackage.FeatureEditor.LOGGER_);
+};
@@ -8,14 +8,25 @@ goog.require('os.file.FileStorage');
 goog.require('os.net.RequestHandlerFactory');
 goog.require('os.plugin.AbstractPlugin');
 goog.require('os.plugin.PluginManager');
+goog.require('os.ui.FeatureInfoTabManager');
 goog.require('os.ui.exportManager');
+goog.require('os.ui.tab.FeatureTab');
+goog.require('plugin.file.geojson.GeoJSONLayerConfig');
 goog.require('plugin.geopackage');
+goog.require('plugin.geopackage.ElevationLayerConfig');
+goog.require('plugin.geopackage.ExportUICtrl');
 goog.require('plugin.geopackage.Exporter');
 goog.require('plugin.geopackage.GeoPackageImportUI');
 goog.require('plugin.geopackage.GeoPackageProvider');
+goog.require('plugin.geopackage.RelatedTabCtrl');
 goog.require('plugin.geopackage.RequestHandler');
+goog.require('plugin.geopackage.TerrainProvider');
 goog.require('plugin.geopackage.TileLayerConfig');
 goog.require('plugin.geopackage.VectorLayerConfig');
+goog.require('plugin.geopackage.VectorTileLayerConfig');
+goog.require('plugin.geopackage.WorkerPool');
+goog.require('plugin.geopackage.api');
+goog.require('plugin.geopackage.menu');
 goog.require('plugin.geopackage.mime');
 
 
@@ -47,6 +58,11 @@ plugin.geopackage.GeoPackagePlugin.prototype.init = function() {
   var lcm = os.layer.config.LayerConfigManager.getInstance();
   lcm.registerLayerConfig(plugin.geopackage.ID + '-tile', plugin.geopackage.TileLayerConfig);
   lcm.registerLayerConfig(plugin.geopackage.ID + '-vector', plugin.geopackage.VectorLayerConfig);
+  lcm.registerLayerConfig(plugin.geopackage.ID + '-vector-tile', plugin.geopackage.VectorTileLayerConfig);
+  lcm.registerLayerConfig(plugin.geopackage.ID + '-elevation', plugin.geopackage.ElevationLayerConfig);
+
+  // features from SQL queries are loaded like GeoJSON, without the view extent and filters used for tables
+  lcm.registerLayerConfig(plugin.geopackage.ID + '-sql', plugin.file.geojson.GeoJSONLayerConfig);
 
   os.net.RequestHandlerFactory.addHandler(plugin.geopackage.RequestHandler);
 
@@ -57,6 +73,12 @@ plugin.geopackage.GeoPackagePlugin.prototype.init = function() {
   im.registerImportDetails('GeoPackage', true);
   im.registerImportUI(plugin.geopackage.mime.TYPE, new plugin.geopackage.GeoPackageImportUI);
 
+  plugin.geopackage.menu.setup();
+
+  // show rows and media related to GeoPackage features in the feature info window
+  os.ui.FeatureInfoTabManager.getInstance().registerTab(new os.ui.tab.FeatureTab(plugin.geopackage.RELATED_TAB_ID,
+      'Related', 'fa-link', 'gpkgrelatedtab', undefined, plugin.geopackage.RelatedTabCtrl.isEnabled));
+
   os.dataManager.listen(os.data.DataProviderEventType.REMOVE_PROVIDER, this.onProviderRemove_, false, this);
 };
 
@@ -65,6 +87,11 @@ plugin.geopackage.GeoPackagePlugin.prototype.init = function() {
  * @param {os.data.DataProviderEvent} evt
  */
 plugin.geopackage.GeoPackagePlugin.prototype.onProviderRemove_ = function(evt) {
+  var terrain = plugin.geopackage.TerrainProvider.getActive();
+  if (terrain && evt.dataProvider && terrain.getProviderId() === evt.dataProvider.getId()) {
+    plugin.geopackage.TerrainProvider.setActive(null);
+  }
+
   if (evt.dataProvider instanceof plugin.geopackage.GeoPackageProvider && os.file.isLocal(evt.dataProvider.getUrl())) {
     var fs = os.file.FileStorage.getInstance();
     if (fs.fileExists(evt.dataProvider.getUrl())) {
@@ -0,0 +1,76 @@
+goog.provide('plugin.geopackage.ProvenanceUICtrl');
+goog.provide('plugin.geopackage.provenanceDirective');
+
+goog.require('os.ui.Module');
+goog.require('plugin.geopackage.metadata');
+
+
+/**
+ * The export provenance directive, with the author and classification written to exported GeoPackages.
+ * @return {angular.Directive}
+ */
+plugin.geopackage.provenanceDirective = function() {
+  return {
+    restrict: 'E',
+    replace: true,
+    scope: {
+      'labelClass': '@'
+    },
+    template: '<div>' +
+        '<div class="form-group row">' +
+        '<label class="col-form-label {{labelClass}}" for="gpkgAuthor">Author</label>' +
+        '<div class="col">' +
+        '<input class="form-control" id="gpkgAuthor" ng-model="ctrl.author" ng-change="ctrl.save()" ' +
+        'title="The author saved in the metadata of exported GeoPackages">' +
+        '</div>' +
+        '</div>' +
+        '<div class="form-group row">' +
+        '<label class="col-form-label {{labelClass}}" for="gpkgClassification">Classification</label>' +
+        '<div class="col">' +
+        '<input class="form-control" id="gpkgClassification" ng-model="ctrl.classification" ng-change="ctrl.save()" ' +
+        'title="The classification saved in the metadata of exported GeoPackages">' +
+        '</div>' +
+        '</div>' +
+        '</div>',
+    controller: plugin.geopackage.ProvenanceUICtrl,
+    controllerAs: 'ctrl'
+  };
+};
+
+
+/**
+ * Add the directive to the module.
+ */
+os.ui.Module.directive('gpkgprovenance', [plugin.geopackage.provenanceDirective]);
+
+
+
+/**
+ * Controller for the export provenance. The values are kept in the settings, so they are filled in for later exports.
+ * @constructor
+ * @ngInject
+ */
+plugin.geopackage.ProvenanceUICtrl = function() {
+  var SettingsKey = plugin.geopackage.metadata.SettingsKey;
+
+  /**
+   * @type {string}
+   */
+  this['author'] = /** @type {string} */ (os.settings.get(SettingsKey.AUTHOR, ''));
+
+  /**
+   * @type {string}
+   */
+  this['classification'] = /** @type {string} */ (os.settings.get(SettingsKey.CLASSIFICATION, ''));
+};
+
+
+/**
+ * Save the author and classification to the settings.
+ * @export
+ */
+plugin.geopackage.ProvenanceUICtrl.prototype.save = function() {
+  var SettingsKey = plugin.geopackage.metadata.SettingsKey;
+  os.settings.set(SettingsKey.AUTHOR, this['author'] || '');
+  os.settings.set(SettingsKey.CLASSIFICATION, this['classification'] || '');
+};
@@ -1,19 +1,37 @@
 goog.provide('plugin.geopackage.GeoPackageProvider');
 
+goog.require('goog.Promise');
+goog.require('goog.array');
 goog.require('goog.log');
 goog.require('goog.log.Logger');
 goog.require('goog.string');
+goog.require('os.alert.AlertEventSeverity');
 goog.require('os.data.ConfigDescriptor');
+goog.require('os.file');
+goog.require('os.file.persist');
+goog.require('os.implements');
 goog.require('os.net.Request');
 goog.require('os.ui.Icons');
 goog.require('os.ui.data.DescriptorNode');
+goog.require('os.ui.menu.IMenuSupplier');
+goog.require('os.ui.menu.Menu');
+goog.require('os.ui.menu.MenuItem');
+goog.require('os.ui.menu.MenuItemType');
 goog.require('os.ui.server.AbstractLoadingServer');
 goog.require('plugin.geopackage');
+goog.require('plugin.geopackage.AttributesDescriptor');
+goog.require('plugin.geopackage.Client');
+goog.require('plugin.geopackage.Descriptor');
+goog.require('plugin.geopackage.SqlUICtrl');
+goog.require('plugin.geopackage.TileCache');
+goog.require('plugin.geopackage.ValidationUICtrl');
+goog.require('plugin.geopackage.mime');
 
 
 /**
  * GeoPackage provider
  * @extends {os.ui.server.AbstractLoadingServer}
+ * @implements {os.ui.menu.IMenuSupplier}
  * @constructor
  */
 plugin.geopackage.GeoPackageProvider = function() {
@@ -21,15 +39,22 @@ plugin.geopackage.GeoPackageProvider = function() {
   this.log = plugin.geopackage.GeoPackageProvider.LOGGER_;
 
   /**
+   * Elevation and validation requests waiting for the worker.
+   * @type {!Array<!goog.Promise>}
    * @private
    */
-  this.workerHandler_ = this.onWorkerMessage_.bind(this);
+  this.requests_ = [];
 
-  var w = plugin.geopackage.getWorker();
-  w.addEventListener(goog.events.EventType.MESSAGE, this.workerHandler_);
+  /**
+   * The context menu for the GeoPackage in the Add Data window.
+   * @type {os.ui.menu.Menu|undefined}
+   * @private
+   */
+  this.menu_ = undefined;
 };
 goog.inherits(plugin.geopackage.GeoPackageProvider, os.ui.server.AbstractLoadingServer);
 goog.addSingletonGetter(plugin.geopackage.GeoPackageProvider);
+os.implements(plugin.geopackage.GeoPackageProvider, os.ui.menu.IMenuSupplier.ID);
 
 
 /**
@@ -41,22 +66,92 @@ goog.addSingletonGetter(plugin.geopackage.GeoPackageProvider);
 plugin.geopackage.GeoPackageProvider.LOGGER_ = goog.log.getLogger('plugin.geopackage.GeoPackageProvider');
 
 
+/**
+ * Events for the context menu of the GeoPackage in the Add Data window.
+ * @enum {string}
+ */
+plugin.geopackage.GeoPackageProvider.MenuEventType = {
+  SQL: 'geopackage:providerSql',
+  VALIDATE: 'geopackage:providerValidate'
+};
+
+
+/**
+ * The type of attributes (non-spatial) tables in the Add Data window.
+ * @type {string}
+ * @const
+ */
+plugin.geopackage.GeoPackageProvider.TABLES = 'Tables';
+
+
+/**
+ * The icon for attributes (non-spatial) tables.
+ * @type {string}
+ * @const
+ */
+plugin.geopackage.GeoPackageProvider.TABLE_ICON = '<i class="fa fa-table fa-fw" title="Table"></i>';
+
+
 /**
  * @inheritDoc
  */
 plugin.geopackage.GeoPackageProvider.prototype.disposeInternal = function() {
-  // close any previously-opened versions
-  var worker = plugin.geopackage.getWorker();
-  worker.postMessage(/** @type {GeoPackageWorkerMessage} */ ({
-    id: this.getId(),
-    type: plugin.geopackage.MsgType.CLOSE
-  }));
+  var client = plugin.geopackage.Client.getInstance();
+  client.close(this.getId());
+  plugin.geopackage.TileCache.getInstance().clear(this.getId());
+
+  this.requests_.forEach(function(request) {
+    client.cancel(request, this.getLabel() + ' was closed');
+  }, this);
+  this.requests_ = [];
+
+  goog.dispose(this.menu_);
+  this.menu_ = undefined;
 
-  worker.removeEventListener(goog.events.EventType.MESSAGE, this.workerHandler_);
   plugin.geopackage.GeoPackageProvider.base(this, 'disposeInternal');
 };
 
 
+/**
+ * @inheritDoc
+ */
+plugin.geopackage.GeoPackageProvider.prototype.getMenu = function() {
+  if (!this.menu_) {
+    var provider = this;
+
+    this.menu_ = new os.ui.menu.Menu(new os.ui.menu.MenuItem({
+      type: os.ui.menu.MenuItemType.ROOT,
+      children: [{
+        label: 'Validate GeoPackage',
+        eventType: plugin.geopackage.GeoPackageProvider.MenuEventType.VALIDATE,
+        tooltip: 'Checks the GeoPackage against the GeoPackage specification',
+        icons: ['<i class="fa fa-fw fa-check-square-o"></i>'],
+        handler: function() {
+          plugin.geopackage.ValidationUICtrl.launch(provider);
+        }
+      }, {
+        label: 'Query GeoPackage with SQL',
+        eventType: plugin.geopackage.GeoPackageProvider.MenuEventType.SQL,
+        tooltip: 'Runs read-only SQL queries against the GeoPackage',
+        icons: ['<i class="fa fa-fw fa-database"></i>'],
+        /**
+         * @this {os.ui.menu.MenuItem}
+         */
+        beforeRender: function() {
+          // a GeoPackage that failed to open cannot be queried
+          this.visible = !provider.getError();
+        },
+        handler: function() {
+          plugin.geopackage.SqlUICtrl.launch(provider);
+        }
+      }]
+    }));
+  }
+
+  return this.menu_;
+};
+
+
 /**
  * @inheritDoc
  */
@@ -75,21 +170,8 @@ plugin.geopackage.GeoPackageProvider.prototype.load = function(opt_ping) {
 
   var url = this.getUrl();
 
-  if (plugin.geopackage.isElectron() && os.file.isFileSystem(url)) {
-    var worker = plugin.geopackage.getWorker();
-
-    // close any previously-opened versions
-    worker.postMessage(/** @type {GeoPackageWorkerMessage} */ ({
-      id: this.getId(),
-      type: plugin.geopackage.MsgType.CLOSE
-    }));
-
-    // open the DB
-    worker.postMessage(/** @type {GeoPackageWorkerMessage} */ ({
-      id: this.getId(),
-      type: plugin.geopackage.MsgType.OPEN,
-      url: url
-    }));
+  if (this.isFileBacked()) {
+    this.open_(/** @type {string} */ (url));
   } else {
     var request = new os.net.Request(this.getUrl());
     request.setHeader('Accept', '*/*');
@@ -101,30 +183,173 @@ plugin.geopackage.GeoPackageProvider.prototype.load = function(opt_ping) {
 };
 
 /**
- * @param {Event|GeoPackageWorkerMessage} e
+ * Open the GeoPackage in the worker, closing any previously-opened version, and list its tables.
+ * @param {string|ArrayBuffer} source The URL of the file, or its contents
+ * @private
+ */
+plugin.geopackage.GeoPackageProvider.prototype.open_ = function(source) {
+  // tiles cached from a previous version of the GeoPackage may have changed
+  plugin.geopackage.TileCache.getInstance().clear(this.getId());
+  plugin.geopackage.Client.getInstance().open(this.getId(), source).then(this.list_, this.onOpenError_, this);
+};
+
+
+/**
+ * List the tables of the open GeoPackage.
+ * @private
+ */
+plugin.geopackage.GeoPackageProvider.prototype.list_ = function() {
+  plugin.geopackage.Client.getInstance().list(this.getId()).then(function(configs) {
+    if (!this.isDisposed()) {
+      configs.forEach(this.addDescriptor_, this);
+      this.finish();
+    }
+  }, this.onOpenError_, this);
+};
+
+
+/**
+ * @param {*} e The reason the GeoPackage could not be opened or listed
+ * @private
+ */
+plugin.geopackage.GeoPackageProvider.prototype.onOpenError_ = function(e) {
+  if (this.isDisposed()) {
+    return;
+  }
+
+  // errors for other messages (such as feature requests and edits) are reported by the code that sent them
+  this.logError(this.getId() + ' failed to open! ' + (e instanceof Error ? e.message : e));
+
+  if (!this.getPing()) {
+    // show what is wrong with the file, rather than only the error that stopped it from loading
+    plugin.geopackage.ValidationUICtrl.launch(this);
+  }
+};
+
+
+/**
+ * Sample elevations from a gridded coverage table, at points or evenly along a line for an elevation profile. The
+ * samples are interpolated from the four nearest values in the coverage.
+ * @param {string} tableName The coverage table
+ * @param {!Array<!Array<number>>} coordinates The points, or the vertices of the line
+ * @param {GeoPackageElevationOptions=} opt_options The options. Coordinates are in EPSG:4326 by default.
+ * @return {!goog.Promise<!GeoPackageElevations>}
+ */
+plugin.geopackage.GeoPackageProvider.prototype.getElevations = function(tableName, coordinates, opt_options) {
+  var options = opt_options || /** @type {GeoPackageElevationOptions} */ ({});
+  var request = plugin.geopackage.Client.getInstance().send(/** @type {GeoPackageWorkerMessage} */ ({
+    id: this.getId(),
+    type: plugin.geopackage.MsgType.GET_ELEVATIONS,
+    tableName: tableName,
+    projection: options.projection,
+    data: {
+      coordinates: coordinates,
+      line: !!options.line,
+      samples: options.samples,
+      resolution: options.resolution
+    }
+  }));
+
+  return /** @type {!goog.Promise<!GeoPackageElevations>} */ (this.track_(request,
+      'Failed to get elevations from ' + tableName + ': '));
+};
+
+
+/**
+ * Check the GeoPackage against the requirements of the GeoPackage specification. GeoPackages that failed to load are
+ * checked as well, to report what is wrong with them.
+ * @return {!goog.Promise<!Array<GeoPackageValidationResult>>} The result of each check
+ */
+plugin.geopackage.GeoPackageProvider.prototype.validate = function() {
+  var request = plugin.geopackage.Client.getInstance().send(/** @type {GeoPackageWorkerMessage} */ ({
+    id: this.getId(),
+    type: plugin.geopackage.MsgType.VALIDATE
+  }));
+
+  return /** @type {!goog.Promise<!Array<GeoPackageValidationResult>>} */ (this.track_(request,
+      'Failed to validate ' + this.getLabel() + ': '));
+};
+
+
+/**
+ * Keep a request until it is done, so it can be cancelled when the provider is disposed.
+ * @param {!goog.Promise} request The request
+ * @param {string} errorPrefix Prefix for the reason the worker gives for an error
+ * @return {!goog.Promise} The result of the request
+ * @private
  */
-plugin.geopackage.GeoPackageProvider.prototype.onWorkerMessage_ = function(e) {
-  var msg = /** @type {GeoPackageWorkerResponse} */ (e instanceof Event ? e.data : e);
-  var worker = plugin.geopackage.getWorker();
-
-  if (msg.message.id === this.getId()) {
-    if (msg.type === plugin.geopackage.MsgType.SUCCESS) {
-      if (msg.message.type === plugin.geopackage.MsgType.OPEN) {
-        worker.postMessage(/** @type {GeoPackageWorkerMessage} */ ({
-          id: this.getId(),
-          type: plugin.geopackage.MsgType.LIST_DESCRIPTORS
-        }));
-      } else if (msg.message.type === plugin.geopackage.MsgType.LIST_DESCRIPTORS) {
-        var configs = /** @type {Array<Object<string, *>>} */ (msg.data);
-        configs.forEach(this.addDescriptor_, this);
-        this.finish();
-      }
-    } else {
-      this.logError(msg.message.id + ' ' + msg.message.type + ' failed! ' + msg.reason);
+plugin.geopackage.GeoPackageProvider.prototype.track_ = function(request, errorPrefix) {
+  this.requests_.push(request);
+
+  return request.then(function(data) {
+    goog.array.remove(this.requests_, request);
+    return data;
+  }, function(e) {
+    goog.array.remove(this.requests_, request);
+
+    if (e instanceof goog.Promise.CancellationError) {
+      throw e;
     }
+
+    throw new Error(errorPrefix + (e instanceof Error ? e.message : e));
+  }, this);
+};
+
+
+/**
+ * If edits to the GeoPackage are written directly to its file. Otherwise the GeoPackage is open in memory, and must
+ * be downloaded to keep the edits.
+ * @return {boolean}
+ */
+plugin.geopackage.GeoPackageProvider.prototype.isFileBacked = function() {
+  var url = this.getUrl();
+  return plugin.geopackage.isElectron() && !!url && os.file.isFileSystem(url);
+};
+
+
+/**
+ * Update the layers listed for the open GeoPackage, such as after tables are added to it. Unlike {@link #load}, this
+ * does not reopen the GeoPackage, so changes to an in-memory GeoPackage are kept.
+ */
+plugin.geopackage.GeoPackageProvider.prototype.refresh = function() {
+  this.setChildren(null);
+  this.setLoading(true);
+  this.list_();
+};
+
+
+/**
+ * Save the current contents of the open GeoPackage, including any edits, to a file.
+ */
+plugin.geopackage.GeoPackageProvider.prototype.download = function() {
+  plugin.geopackage.Client.getInstance().send(/** @type {GeoPackageWorkerMessage} */ ({
+    id: this.getId(),
+    type: plugin.geopackage.MsgType.DOWNLOAD
+  })).then(this.saveFile_, function(e) {
+    os.alertManager.sendAlert('Failed to save ' + this.getLabel() + ': ' + (e instanceof Error ? e.message : e),
+        os.alert.AlertEventSeverity.ERROR, this.log);
+  }, this);
+};
+
+
+/**
+ * @param {*} data The GeoPackage contents from the worker
+ * @private
+ */
+plugin.geopackage.GeoPackageProvider.prototype.saveFile_ = function(data) {
+  if (!(data instanceof ArrayBuffer)) {
+    data = Uint8Array.from(/** @type {!Array<number>} */ (data)).buffer;
   }
+
+  var fileName = this.getLabel() || this.getId();
+  if (!/\.gpkg$/i.test(fileName)) {
+    fileName += '.gpkg';
+  }
+
+  os.file.persist.saveFile(fileName, data, plugin.geopackage.mime.TYPE);
 };
 
+
 /**
  * @inheritDoc
  */
@@ -158,20 +383,7 @@ plugin.geopackage.GeoPackageProvider.prototype.onUrl_ = function(event) {
   goog.dispose(req);
 
   if (response instanceof ArrayBuffer) {
-    var worker = plugin.geopackage.getWorker();
-
-    // close any previously-opened versions
-    worker.postMessage(/** @type {GeoPackageWorkerMessage} */ ({
-      id: this.getId(),
-      type: plugin.geopackage.MsgType.CLOSE
-    }));
-
-    // open the DB
-    worker.postMessage(/** @type {GeoPackageWorkerMessage} */ ({
-      id: this.getId(),
-      type: plugin.geopackage.MsgType.OPEN,
-      data: response
-    }), [response]);
+    this.open_(response);
   }
 };
 
@@ -229,7 +441,8 @@ plugin.geopackage.GeoPackageProvider.prototype.addDescriptor_ = function(config)
   config['delayUpdateActive'] = true;
   config['provider'] = this.getLabel();
 
-  if (config['type'] === plugin.geopackage.ID + '-tile') {
+  if (config['type'] === plugin.geopackage.ID + '-tile' || config['type'] === plugin.geopackage.ID + '-vector-tile' ||
+      config['type'] === plugin.geopackage.ID + '-elevation') {
     config['layerType'] = os.layer.LayerType.TILES;
     config['icons'] = os.ui.Icons.TILES;
     config['minZoom'] = Math.max(config['minZoom'], 0);
@@ -243,12 +456,16 @@ plugin.geopackage.GeoPackageProvider.prototype.addDescriptor_ = function(config)
     config['icons'] = os.ui.Icons.FEATURES + (animate ? os.ui.Icons.TIME : '');
     config['url'] = 'gpkg://' + this.getId() + '/' + config['title'];
     config['animate'] = animate;
+  } else if (config['type'] === plugin.geopackage.ID + '-attributes') {
+    config['layerType'] = plugin.geopackage.GeoPackageProvider.TABLES;
+    config['icons'] = plugin.geopackage.GeoPackageProvider.TABLE_ICON;
   }
 
   if (id) {
     var descriptor = /** @type {os.data.ConfigDescriptor} */ (os.dataManager.getDescriptor(id));
     if (!descriptor) {
-      descriptor = new os.data.ConfigDescriptor();
+      descriptor = config['type'] === plugin.geopackage.ID + '-attributes' ?
+        new plugin.geopackage.AttributesDescriptor() : new plugin.geopackage.Descriptor();
     }
 
     descriptor.setBaseConfig(config);
@@ -0,0 +1,365 @@
+goog.provide('plugin.geopackage.RelatedTabCtrl');
+goog.provide('plugin.geopackage.relatedTabDirective');
+
+goog.require('goog.string');
+goog.require('ol.Feature');
+goog.require('os.data.ConfigDescriptor');
+goog.require('os.feature');
+goog.require('os.ui');
+goog.require('os.ui.Module');
+goog.require('os.ui.data.BaseProvider');
+goog.require('os.ui.feature.tab.AbstractFeatureTabCtrl');
+goog.require('plugin.geopackage');
+goog.require('plugin.geopackage.Client');
+
+
+/**
+ * The ID of the feature info tab for related rows.
+ * @type {string}
+ * @const
+ */
+plugin.geopackage.RELATED_TAB_ID = 'gpkgRelated';
+
+
+/**
+ * The related rows tab directive.
+ * @return {angular.Directive}
+ */
+plugin.geopackage.relatedTabDirective = function() {
+  return {
+    restrict: 'E',
+    replace: true,
+    template: '<div class="p-1">' +
+        '<div ng-if="ctrl.loading"><i class="fa fa-spinner fa-spin"></i> Loading...</div>' +
+        '<div class="text-danger" ng-if="ctrl.error">{{ctrl.error}}</div>' +
+        '<div class="mb-2" ng-repeat="relation in ctrl.relations">' +
+        '<h6>{{relation.tableName}} <small class="text-muted">{{relation.relationName}}</small></h6>' +
+        '<div class="d-flex flex-wrap" ng-if="relation.media">' +
+        '<div class="m-1 text-center" ng-repeat="item in relation.media | limitTo:relation.shown">' +
+        '<img class="img-thumbnail mw-100" ng-if="item.url && ctrl.isImage(item)" ng-src="{{item.url}}" ' +
+        'ng-click="ctrl.open(item)" title="Open {{item.contentType}}">' +
+        '<button class="btn btn-secondary" ng-if="item.url && !ctrl.isImage(item)" ng-click="ctrl.open(item)" ' +
+        'title="Open {{item.contentType}}">' +
+        '<i class="fa" ng-class="ctrl.isPdf(item) ? \'fa-file-pdf-o\' : \'fa-file-o\'"></i> {{item.contentType}}' +
+        '</button>' +
+        '<i class="fa fa-spinner fa-spin" ng-if="!item.url && !item.error"></i>' +
+        '<span class="text-danger" ng-if="item.error">{{item.error}}</span>' +
+        '</div>' +
+        '<button class="btn btn-sm btn-secondary m-1 align-self-center" ' +
+        'ng-if="relation.shown < relation.media.length" ng-click="ctrl.showMoreMedia(relation)" ' +
+        'title="Show more of the related media">' +
+        'Show More ({{relation.media.length - relation.shown}})</button>' +
+        '</div>' +
+        '<div class="overflow-auto" ng-if="!relation.media">' +
+        '<table class="table table-sm table-striped mb-0">' +
+        '<thead><tr><th class="text-nowrap" ng-repeat="column in relation.columns track by $index">{{column}}</th>' +
+        '</tr></thead>' +
+        '<tbody><tr ng-repeat="row in relation.rows track by $index">' +
+        '<td class="text-nowrap" ng-repeat="value in row track by $index">{{value}}</td>' +
+        '</tr></tbody>' +
+        '</table>' +
+        '</div>' +
+        '</div>' +
+        '<div ng-if="!ctrl.loading && !ctrl.error && !ctrl.relations.length">No related rows</div>' +
+        '</div>',
+    controller: plugin.geopackage.RelatedTabCtrl,
+    controllerAs: 'ctrl'
+  };
+};
+
+
+/**
+ * Add the directive to the module.
+ */
+os.ui.Module.directive('gpkgrelatedtab', [plugin.geopackage.relatedTabDirective]);
+
+
+
+/**
+ * Controller for the feature info tab that shows the rows and media related to a GeoPackage feature by the related
+ * tables extension.
+ * @param {!angular.Scope} $scope
+ * @param {!angular.JQLite} $element
+ * @extends {os.ui.feature.tab.AbstractFeatureTabCtrl}
+ * @constructor
+ * @ngInject
+ */
+plugin.geopackage.RelatedTabCtrl = function($scope, $element) {
+  /**
+   * The requests for the current feature, which are cancelled when the tab changes.
+   * @type {!Array<!goog.Promise>}
+   * @private
+   */
+  this.requests_ = [];
+
+  /**
+   * Object URLs for the media, to revoke when the tab changes.
+   * @type {!Array<string>}
+   * @private
+   */
+  this.urls_ = [];
+
+  /**
+   * @type {?string}
+   * @private
+   */
+  this.providerId_ = null;
+
+  /**
+   * @type {!Array<!Object>}
+   */
+  this['relations'] = [];
+
+  /**
+   * @type {boolean}
+   */
+  this['loading'] = false;
+
+  /**
+   * @type {?string}
+   */
+  this['error'] = null;
+
+  // the base constructor updates the tab for the current feature, so it is called once the state is set up
+  plugin.geopackage.RelatedTabCtrl.base(this, 'constructor', $scope, $element);
+};
+goog.inherits(plugin.geopackage.RelatedTabCtrl, os.ui.feature.tab.AbstractFeatureTabCtrl);
+
+
+/**
+ * The number of media items in a relation to read at a time.
+ * @type {number}
+ * @const
+ */
+plugin.geopackage.RelatedTabCtrl.MEDIA_PAGE_SIZE = 6;
+
+
+/**
+ * @inheritDoc
+ */
+plugin.geopackage.RelatedTabCtrl.prototype.destroy = function() {
+  this.reset_();
+
+  plugin.geopackage.RelatedTabCtrl.base(this, 'destroy');
+};
+
+
+/**
+ * @inheritDoc
+ */
+plugin.geopackage.RelatedTabCtrl.prototype.updateTab = function(event, data) {
+  this.reset_();
+
+  var feature = data instanceof ol.Feature ? /** @type {!ol.Feature} */ (data) : null;
+  var config = feature ? plugin.geopackage.RelatedTabCtrl.getConfig(feature) : null;
+
+  if (feature && config) {
+    var id = feature.get(/** @type {string} */ (config['primaryKey']));
+
+    if (id != null) {
+      this.providerId_ = /** @type {string} */ (config['id']).split(os.ui.data.BaseProvider.ID_DELIMITER)[0];
+      this['loading'] = true;
+
+      this.request_(plugin.geopackage.Client.getInstance().getRelated(this.providerId_,
+          /** @type {string} */ (config['tableName']), Number(id), {timeout: plugin.geopackage.Client.TIMEOUT}),
+      function(relations) {
+        this['loading'] = false;
+        this['relations'] = relations.map(this.createRelation_, this);
+      }, function(e) {
+        this['loading'] = false;
+        this['error'] = 'Failed to read related rows: ' + (e instanceof Error ? e.message : e);
+      });
+    }
+  }
+};
+
+
+/**
+ * @param {!Object} item The media item
+ * @return {boolean} If the media is an image
+ * @export
+ */
+plugin.geopackage.RelatedTabCtrl.prototype.isImage = function(item) {
+  return goog.string.startsWith(item['contentType'] || '', 'image/');
+};
+
+
+/**
+ * @param {!Object} item The media item
+ * @return {boolean} If the media is a PDF
+ * @export
+ */
+plugin.geopackage.RelatedTabCtrl.prototype.isPdf = function(item) {
+  return item['contentType'] === 'application/pdf';
+};
+
+
+/**
+ * Open media in a new browser tab.
+ * @param {!Object} item The media item
+ * @export
+ */
+plugin.geopackage.RelatedTabCtrl.prototype.open = function(item) {
+  if (item['url']) {
+    window.open(item['url'], '_blank');
+  }
+};
+
+
+/**
+ * @private
+ */
+plugin.geopackage.RelatedTabCtrl.prototype.reset_ = function() {
+  this.urls_.forEach(function(url) {
+    URL.revokeObjectURL(url);
+  });
+
+  this.requests_.forEach(function(request) {
+    plugin.geopackage.Client.getInstance().cancel(request);
+  });
+
+  this.urls_ = [];
+  this.requests_ = [];
+  this['relations'] = [];
+  this['loading'] = false;
+  this['error'] = null;
+};
+
+
+/**
+ * @param {!Object} relation The related rows from the worker
+ * @return {!Object} The relation to display
+ * @private
+ */
+plugin.geopackage.RelatedTabCtrl.prototype.createRelation_ = function(relation) {
+  var result = {
+    'tableName': relation['tableName'],
+    'relationName': relation['relationName'],
+    'columns': relation['columns'],
+    'rows': relation['rows'],
+    'media': null,
+    'shown': 0
+  };
+
+  var contentTypes = /** @type {Array<string>|undefined} */ (relation['contentTypes']);
+
+  if (contentTypes) {
+    result['media'] = contentTypes.map(function(contentType, i) {
+      return {
+        'id': relation['ids'][i],
+        'contentType': contentType,
+        'url': null,
+        'error': null
+      };
+    });
+
+    this.showMoreMedia(result);
+  }
+
+  return result;
+};
+
+
+/**
+ * Read the next page of media in a relation. Media is read a page at a time, so features with many photos or large
+ * files do not read them all from the GeoPackage at once.
+ * @param {!Object} relation The relation
+ * @export
+ */
+plugin.geopackage.RelatedTabCtrl.prototype.showMoreMedia = function(relation) {
+  var media = /** @type {!Array<!Object>} */ (relation['media']);
+  var shown = Math.min(media.length, relation['shown'] + plugin.geopackage.RelatedTabCtrl.MEDIA_PAGE_SIZE);
+
+  media.slice(relation['shown'], shown).forEach(function(item) {
+    this.request_(plugin.geopackage.Client.getInstance().getMedia(/** @type {string} */ (this.providerId_),
+        /** @type {string} */ (relation['tableName']), /** @type {number} */ (item['id']),
+        {timeout: plugin.geopackage.Client.TIMEOUT}),
+    function(result) {
+      var data = result['data'];
+      var bytes = goog.isArray(data) ?
+        // node process path
+        Uint8Array.from(/** @type {!Array<number>} */ (data)) : new Uint8Array(/** @type {!ArrayBuffer} */ (data));
+
+      item['url'] = URL.createObjectURL(new Blob([bytes], {type: item['contentType']}));
+      this.urls_.push(item['url']);
+    }, function() {
+      item['error'] = 'Failed to read media';
+    });
+  }, this);
+
+  relation['shown'] = shown;
+};
+
+
+/**
+ * Track a request for the current feature, and update the tab when it is done. Cancelled requests are ignored.
+ * @param {!goog.Promise<T>} request The request
+ * @param {function(this:plugin.geopackage.RelatedTabCtrl, T)} onSuccess Called with the result
+ * @param {function(this:plugin.geopackage.RelatedTabCtrl, *)} onError Called with the reason the request failed
+ * @template T
+ * @private
+ */
+plugin.geopackage.RelatedTabCtrl.prototype.request_ = function(request, onSuccess, onError) {
+  this.requests_.push(request);
+
+  request.then(function(result) {
+    if (this.finish_(request)) {
+      onSuccess.call(this, result);
+      os.ui.apply(this.scope);
+    }
+  }, function(e) {
+    if (this.finish_(request)) {
+      onError.call(this, e);
+      os.ui.apply(this.scope);
+    }
+  }, this);
+};
+
+
+/**
+ * @param {!goog.Promise} request The request
+ * @return {boolean} If the request was still tracked for the current feature
+ * @private
+ */
+plugin.geopackage.RelatedTabCtrl.prototype.finish_ = function(request) {
+  var index = this.requests_.indexOf(request);
+
+  if (index < 0 || !this.scope) {
+    return false;
+  }
+
+  this.requests_.splice(index, 1);
+  return true;
+};
+
+
+/**
+ * Get the layer config for a feature from a GeoPackage table with related tables.
+ * @param {!ol.Feature} feature The feature
+ * @return {Object<string, *>} The layer config, or null if the feature has no related tables
+ */
+plugin.geopackage.RelatedTabCtrl.getConfig = function(feature) {
+  var source = os.feature.getSource(feature);
+  var descriptor = source ? os.dataManager.getDescriptor(source.getId()) : null;
+
+  if (descriptor instanceof os.data.ConfigDescriptor) {
+    var config = descriptor.getBaseConfig();
+    var relations = config ? /** @type {Array<string>|undefined} */ (config['relations']) : undefined;
+
+    if (relations && relations.length && config['type'] === plugin.geopackage.ID + '-vector') {
+      return config;
+    }
+  }
+
+  return null;
+};
+
+
+/**
+ * Show the tab for features from GeoPackage tables with related tables.
+ * @param {ol.Feature} feature The feature
+ * @return {boolean}
+ */
+plugin.geopackage.RelatedTabCtrl.isEnabled = function(feature) {
+  return !!feature && !!plugin.geopackage.RelatedTabCtrl.getConfig(feature);
+};
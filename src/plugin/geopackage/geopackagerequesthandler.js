@@ -3,7 +3,11 @@ goog.provide('plugin.geopackage.RequestHandler');
 goog.require('goog.events.EventTarget');
 goog.require('goog.log');
 goog.require('goog.log.Logger');
+goog.require('os.load.LoadingManager');
 goog.require('os.net.IRequestHandler');
+goog.require('plugin.geopackage');
+goog.require('plugin.geopackage.Client');
+goog.require('plugin.geopackage.filter');
 
 
 /**
@@ -34,11 +38,6 @@ plugin.geopackage.RequestHandler = function() {
    */
   this.features = null;
 
-  /**
-   * @private
-   */
-  this.workerHandler_ = this.onMessage.bind(this);
-
   /**
    * @type {string}
    * @protected
@@ -50,6 +49,34 @@ plugin.geopackage.RequestHandler = function() {
    * @protected
    */
   this.lastTableName = '';
+
+  /**
+   * The features request in the worker, used to cancel it.
+   * @type {goog.Promise}
+   * @protected
+   */
+  this.lastRequest = null;
+
+  /**
+   * The number of rows read by the worker.
+   * @type {number}
+   * @protected
+   */
+  this.loaded = 0;
+
+  /**
+   * The number of rows the worker expects to read.
+   * @type {number}
+   * @protected
+   */
+  this.total = 0;
+
+  /**
+   * The ID of the loading task that shows the progress of the request.
+   * @type {string}
+   * @private
+   */
+  this.taskId_ = plugin.geopackage.ID + '-request-' + goog.getUid(this);
 };
 goog.inherits(plugin.geopackage.RequestHandler, goog.events.EventTarget);
 
@@ -63,12 +90,68 @@ goog.inherits(plugin.geopackage.RequestHandler, goog.events.EventTarget);
 plugin.geopackage.RequestHandler.LOGGER_ = goog.log.getLogger('plugin.geopackage.RequestHandler');
 
 
+/**
+ * URI parameter containing the extent to query, as `minX,minY,maxX,maxY`.
+ * @type {string}
+ * @const
+ */
+plugin.geopackage.RequestHandler.BBOX_PARAM = 'bbox';
+
+
+/**
+ * URI parameter containing the projection code of the extent to query. Defaults to EPSG:4326.
+ * @type {string}
+ * @const
+ */
+plugin.geopackage.RequestHandler.SRS_PARAM = 'srs';
+
+
+/**
+ * URI parameter containing an OGC filter to push down to the worker as a SQL query.
+ * @type {string}
+ * @const
+ */
+plugin.geopackage.RequestHandler.FILTER_PARAM = 'filter';
+
+
+/**
+ * URI parameter containing the time range to query, as an ISO 8601 interval (`start/end`).
+ * @type {string}
+ * @const
+ */
+plugin.geopackage.RequestHandler.TIME_PARAM = 'time';
+
+
+/**
+ * URI parameter containing the columns to compare with the time range, as `start,end` or a single instant column.
+ * @type {string}
+ * @const
+ */
+plugin.geopackage.RequestHandler.TIME_COLUMNS_PARAM = 'timeColumns';
+
+
+/**
+ * URI parameter containing a read-only SQL query to run instead of reading a table. Features are made from the rows,
+ * with the geometries in the first geometry column.
+ * @type {string}
+ * @const
+ */
+plugin.geopackage.RequestHandler.SQL_PARAM = 'sql';
+
+
+/**
+ * URI parameter containing the most rows to read for a SQL query.
+ * @type {string}
+ * @const
+ */
+plugin.geopackage.RequestHandler.LIMIT_PARAM = 'limit';
+
+
 /**
  * @inheritDoc
  */
 plugin.geopackage.RequestHandler.prototype.disposeInternal = function() {
-  var worker = plugin.geopackage.getWorker();
-  worker.removeEventListener(goog.events.EventType.MESSAGE, this.workerHandler_);
+  this.abort();
   plugin.geopackage.RequestHandler.base(this, 'disposeInternal');
 };
 
@@ -162,7 +245,26 @@ plugin.geopackage.RequestHandler.prototype.buildRequest = goog.nullFunction;
 /**
  * @inheritDoc
  */
-plugin.geopackage.RequestHandler.prototype.abort = goog.nullFunction;
+plugin.geopackage.RequestHandler.prototype.abort = function() {
+  if (this.lastRequest) {
+    // tell the worker to stop reading the table
+    var request = this.lastRequest;
+    this.lastRequest = null;
+    plugin.geopackage.Client.getInstance().cancel(request);
+
+    this.features = null;
+    this.setTaskTitle_(null);
+  }
+};
+
+
+/**
+ * Get the progress of the current request.
+ * @return {number} The fraction of rows read by the worker, from 0 to 1.
+ */
+plugin.geopackage.RequestHandler.prototype.getProgress = function() {
+  return this.total > 0 ? Math.min(this.loaded / this.total, 1) : 0;
+};
 
 
 /**
@@ -170,52 +272,167 @@ plugin.geopackage.RequestHandler.prototype.abort = goog.nullFunction;
  */
 plugin.geopackage.RequestHandler.prototype.execute = function(method, uri, opt_headers, opt_formatter,
     opt_nocache, opt_responseType) {
-  var worker = plugin.geopackage.getWorker();
-  worker.addEventListener(goog.events.EventType.MESSAGE, this.workerHandler_);
-
   this.lastId = uri.getDomain();
   this.lastTableName = uri.getPath().substring(1);
+  this.loaded = 0;
+  this.total = 0;
+
+  // the handler may be reused, so drop the response to the last request
+  this.features = null;
+  this.errors = [];
+  this.statusCode = -1;
+
+  var sql = uri.getParameterValue(plugin.geopackage.RequestHandler.SQL_PARAM);
+  var request = sql ? this.querySql(String(sql), Number(uri.getParameterValue(
+      plugin.geopackage.RequestHandler.LIMIT_PARAM)) || undefined) : this.queryTable(uri);
+  this.lastRequest = request;
 
-  worker.postMessage(/** @type {GeoPackageWorkerMessage} */ ({
-    id: this.lastId,
-    type: plugin.geopackage.MsgType.GET_FEATURES,
-    tableName: this.lastTableName
-  }));
+  request.then(function() {
+    if (this.lastRequest === request) {
+      this.lastRequest = null;
+      this.setTaskTitle_(null);
+      this.dispatchEvent(goog.net.EventType.SUCCESS);
+    }
+  }, function(e) {
+    if (this.lastRequest === request) {
+      this.lastRequest = null;
+      this.setTaskTitle_(null);
+      this.errors.push(e instanceof Error ? e.message : String(e));
+      this.statusCode = 500;
+      this.dispatchEvent(goog.net.EventType.ERROR);
+    }
+  }, this);
 };
 
 
 /**
- * @param {Event|GeoPackageWorkerResponse} e
+ * Read the features in the table, within the extent, filter and time range on the URI.
+ * @param {goog.Uri} uri The request URI
+ * @return {!goog.Promise} Resolved when every feature has been read
  * @protected
  */
-plugin.geopackage.RequestHandler.prototype.onMessage = function(e) {
-  var msg = /** @type {GeoPackageWorkerResponse} */ (e instanceof window.Event ? e.data : e);
-
-  if (msg.message.id === this.lastId && msg.message.tableName === this.lastTableName) {
-    var worker = plugin.geopackage.getWorker();
-
-    if (msg.type === plugin.geopackage.MsgType.SUCCESS) {
-      if (msg.data === 0) {
-        // finished
-        worker.removeEventListener(goog.events.EventType.MESSAGE, this.workerHandler_);
-        this.dispatchEvent(goog.net.EventType.SUCCESS);
-      } else if (msg.data) {
-        if ('geometry' in msg.data['properties']) {
-          // this will really screw up the resulting feature
-          delete msg.data['properties']['geometry'];
-        }
+plugin.geopackage.RequestHandler.prototype.queryTable = function(uri) {
+  var query = /** @type {GeoPackageFeatureQuery} */ ({});
+
+  var bbox = uri.getParameterValue(plugin.geopackage.RequestHandler.BBOX_PARAM);
+  if (bbox) {
+    // only query the features within the extent
+    query.extent = String(bbox).split(',').map(Number);
+    query.projection = /** @type {string|undefined} */ (
+      uri.getParameterValue(plugin.geopackage.RequestHandler.SRS_PARAM)) || undefined;
+  }
+
+  var filter = uri.getParameterValue(plugin.geopackage.RequestHandler.FILTER_PARAM);
+  if (filter) {
+    query.filter = plugin.geopackage.filter.fromOGC(String(filter)) || undefined;
+
+    if (!query.filter) {
+      goog.log.warning(this.log, 'The filter for ' + this.lastTableName + ' cannot be run on the GeoPackage, so ' +
+          'every feature is loaded: ' + filter);
+    }
+  }
+
+  var time = uri.getParameterValue(plugin.geopackage.RequestHandler.TIME_PARAM);
+  var timeColumns = uri.getParameterValue(plugin.geopackage.RequestHandler.TIME_COLUMNS_PARAM);
+  if (time && timeColumns) {
+    var range = String(time).split('/').map(Date.parse);
+    var columns = String(timeColumns).split(',');
+
+    if (range.length === 2 && !isNaN(range[0]) && !isNaN(range[1])) {
+      query.time = /** @type {GeoPackageTimeQuery} */ ({
+        start: range[0],
+        end: range[1],
+        startColumn: columns[0],
+        endColumn: columns[1]
+      });
+    }
+  }
+
+  return plugin.geopackage.Client.getInstance().query(this.lastId, this.lastTableName, query,
+      this.onBatch.bind(this));
+};
+
 
-        if (!this.features) {
-          this.features = [];
+/**
+ * Read the features from the rows of a SQL query.
+ * @param {string} sql The query
+ * @param {number=} opt_limit The most rows to read
+ * @return {!goog.Promise} Resolved when the features have been read
+ * @protected
+ */
+plugin.geopackage.RequestHandler.prototype.querySql = function(sql, opt_limit) {
+  return plugin.geopackage.Client.getInstance().querySql(this.lastId, /** @type {GeoPackageSqlQuery} */ ({
+    sql: sql,
+    limit: opt_limit
+  })).then(function(result) {
+    var features = result.rows.map(function(row, i) {
+      var properties = {};
+      result.columns.forEach(function(column, j) {
+        if (j !== result.geometryColumn) {
+          properties[column] = row[j];
         }
+      });
+
+      return {
+        'type': 'Feature',
+        'geometry': result.geometries ? result.geometries[i] : null,
+        'properties': properties
+      };
+    });
+
+    this.onBatch(/** @type {GeoPackageFeatureBatch} */ ({
+      features: features,
+      loaded: features.length,
+      total: features.length
+    }));
+  }, undefined, this);
+};
 
-        this.features.push(msg.data);
-      }
-    } else {
-      worker.removeEventListener(goog.events.EventType.MESSAGE, this.workerHandler_);
-      this.errors.push(String(msg.reason));
-      this.statusCode = 500;
-      this.dispatchEvent(goog.net.EventType.ERROR);
+
+/**
+ * @param {GeoPackageFeatureBatch} batch The features read by the worker
+ * @protected
+ */
+plugin.geopackage.RequestHandler.prototype.onBatch = function(batch) {
+  if (!this.features) {
+    this.features = [];
+  }
+
+  batch.features.forEach(function(feature) {
+    if ('geometry' in feature['properties']) {
+      // this will really screw up the resulting feature
+      delete feature['properties']['geometry'];
     }
+
+    this.features.push(feature);
+  }, this);
+
+  this.loaded = batch.loaded;
+  this.total = batch.total;
+
+  goog.log.fine(this.log, 'Read ' + this.loaded + ' of ' + this.total + ' rows from ' + this.lastTableName);
+
+  if (this.lastRequest && this.total > 0 && this.loaded < this.total) {
+    this.setTaskTitle_('Loading ' + (this.lastTableName || 'SQL query') + ': ' + this.loaded.toLocaleString() +
+        ' of ' + this.total.toLocaleString() + ' rows');
+  }
+
+  this.dispatchEvent(goog.net.EventType.PROGRESS);
+};
+
+
+/**
+ * Show the progress of the request with the other loading tasks in the application.
+ * @param {?string} title The task title, or null to remove the task when the request is done
+ * @private
+ */
+plugin.geopackage.RequestHandler.prototype.setTaskTitle_ = function(title) {
+  var lm = os.load.LoadingManager.getInstance();
+
+  // tasks cannot be renamed, so the task is added again with the new progress
+  lm.removeLoadingTask(this.taskId_);
+
+  if (title) {
+    lm.addLoadingTask(this.taskId_, title);
   }
 };
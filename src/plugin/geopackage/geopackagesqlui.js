@@ -0,0 +1,309 @@
+goog.provide('plugin.geopackage.SqlUICtrl');
+goog.provide('plugin.geopackage.sqlDirective');
+
+goog.require('goog.events.KeyCodes');
+goog.require('goog.string');
+goog.require('os.command.CommandProcessor');
+goog.require('os.command.LayerAdd');
+goog.require('os.layer.LayerType');
+goog.require('os.ui');
+goog.require('os.ui.Icons');
+goog.require('os.ui.Module');
+goog.require('os.ui.data.BaseProvider');
+goog.require('os.ui.window');
+goog.require('plugin.geopackage');
+goog.require('plugin.geopackage.Client');
+goog.require('plugin.geopackage.RequestHandler');
+
+
+/**
+ * The SQL console directive.
+ * @return {angular.Directive}
+ */
+plugin.geopackage.sqlDirective = function() {
+  return {
+    restrict: 'E',
+    replace: true,
+    scope: {
+      'provider': '='
+    },
+    template: '<div class="d-flex flex-column flex-fill">' +
+        '<div class="flex-shrink-0 p-1 border-bottom">' +
+        '<textarea class="form-control form-control-sm text-monospace" rows="4" ng-model="ctrl.sql" ' +
+        'placeholder="SELECT * FROM gpkg_contents" ng-keydown="ctrl.onKeyDown($event)" ' +
+        'title="A SELECT statement. Press Ctrl+Enter to run it."></textarea>' +
+        '<div class="d-flex align-items-center mt-1">' +
+        '<button class="btn btn-sm btn-primary mr-1" ng-click="ctrl.run()" ' +
+        'ng-disabled="ctrl.loading || !ctrl.sql" title="Run the query (Ctrl+Enter)">' +
+        '<i class="fa fa-play"></i> Run' +
+        '</button>' +
+        '<select class="custom-select custom-select-sm w-auto mr-1" ng-model="ctrl.limit" ' +
+        'ng-options="limit as (limit + \' rows\') for limit in ctrl.limits" title="The most rows to show">' +
+        '</select>' +
+        '<button class="btn btn-sm btn-secondary mr-1" ng-click="ctrl.addLayer()" ' +
+        'ng-disabled="ctrl.loading || ctrl.geometryColumn < 0" ' +
+        'title="Add the rows to the map as a layer, with the geometries in the {{ctrl.columns[ctrl.geometryColumn]}} ' +
+        'column">' +
+        '<i class="fa fa-plus"></i> Add as Layer' +
+        '</button>' +
+        '<span class="ml-auto text-nowrap" ng-if="ctrl.loading"><i class="fa fa-spinner fa-spin"></i> Running...' +
+        '</span>' +
+        '<span class="ml-auto text-nowrap" ng-if="!ctrl.loading && ctrl.ran">{{ctrl.rows.length}} rows' +
+        '<span ng-if="ctrl.truncated" class="text-warning"> (limited to {{ctrl.rows.length}})</span></span>' +
+        '</div>' +
+        '</div>' +
+        '<div class="text-danger p-1" ng-if="ctrl.error">{{ctrl.error}}</div>' +
+        '<div class="flex-fill overflow-auto">' +
+        '<table class="table table-sm table-striped table-hover mb-0">' +
+        '<thead><tr>' +
+        '<th class="text-nowrap" ng-repeat="column in ctrl.columns track by $index">{{column}}</th>' +
+        '</tr></thead>' +
+        '<tbody><tr ng-repeat="row in ctrl.rows track by $index">' +
+        '<td class="text-nowrap" ng-repeat="value in row track by $index">{{value}}</td>' +
+        '</tr></tbody>' +
+        '</table>' +
+        '</div>' +
+        '</div>',
+    controller: plugin.geopackage.SqlUICtrl,
+    controllerAs: 'ctrl'
+  };
+};
+
+
+/**
+ * Add the directive to the module.
+ */
+os.ui.Module.directive('gpkgsql', [plugin.geopackage.sqlDirective]);
+
+
+
+/**
+ * Controller for running read-only SQL queries against a GeoPackage. The worker only runs single SELECT statements,
+ * and refuses to change the GeoPackage while they run. Rows with geometries can be added to the map as a layer, which
+ * runs the query again when it loads.
+ * @param {!angular.Scope} $scope
+ * @constructor
+ * @ngInject
+ */
+plugin.geopackage.SqlUICtrl = function($scope) {
+  /**
+   * @type {?angular.Scope}
+   * @private
+   */
+  this.scope_ = $scope;
+
+  /**
+   * @type {!plugin.geopackage.GeoPackageProvider}
+   * @private
+   */
+  this.provider_ = /** @type {!plugin.geopackage.GeoPackageProvider} */ ($scope['provider']);
+
+  /**
+   * The query for the rows shown, which is used for layers rather than the query being edited.
+   * @type {?GeoPackageSqlQuery}
+   * @private
+   */
+  this.query_ = null;
+
+  /**
+   * @type {string}
+   */
+  this['sql'] = 'SELECT * FROM gpkg_contents';
+
+  /**
+   * @type {!Array<number>}
+   */
+  this['limits'] = plugin.geopackage.SqlUICtrl.LIMITS;
+
+  /**
+   * @type {number}
+   */
+  this['limit'] = plugin.geopackage.SqlUICtrl.LIMITS[1];
+
+  /**
+   * @type {!Array<string>}
+   */
+  this['columns'] = [];
+
+  /**
+   * @type {!Array<!Array<*>>}
+   */
+  this['rows'] = [];
+
+  /**
+   * @type {boolean}
+   */
+  this['truncated'] = false;
+
+  /**
+   * The index of the column with the geometries, or -1 if there is none.
+   * @type {number}
+   */
+  this['geometryColumn'] = -1;
+
+  /**
+   * If a query has been run.
+   * @type {boolean}
+   */
+  this['ran'] = false;
+
+  /**
+   * @type {boolean}
+   */
+  this['loading'] = false;
+
+  /**
+   * @type {?string}
+   */
+  this['error'] = null;
+
+  $scope.$on('$destroy', this.destroy_.bind(this));
+};
+
+
+/**
+ * The row limits to choose from.
+ * @type {!Array<number>}
+ * @const
+ */
+plugin.geopackage.SqlUICtrl.LIMITS = [100, 1000, 10000];
+
+
+/**
+ * @private
+ */
+plugin.geopackage.SqlUICtrl.prototype.destroy_ = function() {
+  this.scope_ = null;
+};
+
+
+/**
+ * Run the query.
+ * @export
+ */
+plugin.geopackage.SqlUICtrl.prototype.run = function() {
+  var query = /** @type {GeoPackageSqlQuery} */ ({
+    sql: this['sql'],
+    limit: this['limit']
+  });
+
+  this['loading'] = true;
+  this['error'] = null;
+
+  plugin.geopackage.Client.getInstance().querySql(this.provider_.getId(), query).then(function(result) {
+    if (this.scope_) {
+      this.query_ = query;
+      this['columns'] = result.columns;
+      this['rows'] = result.rows;
+      this['truncated'] = result.truncated;
+      this['geometryColumn'] = result.geometryColumn;
+      this['ran'] = true;
+      this['loading'] = false;
+      os.ui.apply(this.scope_);
+    }
+  }, function(e) {
+    if (this.scope_) {
+      this['loading'] = false;
+      this['error'] = 'Query failed: ' + (e instanceof Error ? e.message : String(e));
+      os.ui.apply(this.scope_);
+    }
+  }, this);
+};
+
+
+/**
+ * Run the query with Ctrl+Enter.
+ * @param {KeyboardEvent} event The keydown event
+ * @export
+ */
+plugin.geopackage.SqlUICtrl.prototype.onKeyDown = function(event) {
+  if (event.ctrlKey && event.keyCode === goog.events.KeyCodes.ENTER) {
+    event.preventDefault();
+
+    if (!this['loading'] && this['sql']) {
+      this.run();
+    }
+  }
+};
+
+
+/**
+ * Add the rows of the last query to the map as a layer. The layer is not saved with the GeoPackage.
+ * @export
+ */
+plugin.geopackage.SqlUICtrl.prototype.addLayer = function() {
+  if (this.query_) {
+    var options = plugin.geopackage.SqlUICtrl.getLayerOptions(this.provider_, this.query_);
+    os.command.CommandProcessor.getInstance().addCommand(new os.command.LayerAdd(options));
+  }
+};
+
+
+/**
+ * Get the options for a layer of the features from a SQL query.
+ * @param {!plugin.geopackage.GeoPackageProvider} provider The provider
+ * @param {GeoPackageSqlQuery} query The query
+ * @return {!Object<string, *>} The layer options
+ */
+plugin.geopackage.SqlUICtrl.getLayerOptions = function(provider, query) {
+  var params = [plugin.geopackage.RequestHandler.SQL_PARAM + '=' + encodeURIComponent(query.sql)];
+  if (query.limit) {
+    params.push(plugin.geopackage.RequestHandler.LIMIT_PARAM + '=' + query.limit);
+  }
+
+  return {
+    'id': provider.getId() + os.ui.data.BaseProvider.ID_DELIMITER + 'sql-' + goog.string.getRandomString(),
+    'type': plugin.geopackage.ID + '-sql',
+    'title': goog.string.truncate(query.sql.replace(/\s+/g, ' '), 50),
+    'description': query.sql,
+    'provider': provider.getLabel(),
+    'layerType': os.layer.LayerType.FEATURES,
+    'icons': os.ui.Icons.FEATURES,
+    'url': 'gpkg://' + provider.getId() + '/?' + params.join('&'),
+    'animate': false
+  };
+};
+
+
+/**
+ * @param {!plugin.geopackage.GeoPackageProvider} provider The provider
+ * @return {string} The window ID
+ * @private
+ */
+plugin.geopackage.SqlUICtrl.getWindowId_ = function(provider) {
+  return 'gpkgSql' + goog.string.hashCode(provider.getId());
+};
+
+
+/**
+ * Open the SQL console for a GeoPackage, or bring it to the front if it is already open.
+ * @param {!plugin.geopackage.GeoPackageProvider} provider The provider
+ */
+plugin.geopackage.SqlUICtrl.launch = function(provider) {
+  var id = plugin.geopackage.SqlUICtrl.getWindowId_(provider);
+
+  if (os.ui.window.exists(id)) {
+    os.ui.window.bringToFront(id);
+    return;
+  }
+
+  var windowOptions = {
+    'id': id,
+    'label': 'SQL: ' + provider.getLabel(),
+    'icon': 'fa fa-database',
+    'x': 'center',
+    'y': 'center',
+    'width': '800',
+    'min-width': '400',
+    'max-width': '2000',
+    'height': '500',
+    'min-height': '250',
+    'max-height': '2000',
+    'show-close': 'true'
+  };
+
+  var template = '<gpkgsql provider="provider"></gpkgsql>';
+  os.ui.window.create(windowOptions, template, undefined, undefined, undefined, {
+    'provider': provider
+  });
+};
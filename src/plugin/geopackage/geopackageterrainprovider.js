@@ -0,0 +1,312 @@
+goog.provide('plugin.geopackage.TerrainProvider');
+
+goog.require('goog.Promise');
+goog.require('goog.array');
+goog.require('goog.log');
+goog.require('ol.extent');
+goog.require('ol.proj');
+goog.require('ol.proj.Units');
+goog.require('os.MapContainer');
+goog.require('os.ui.data.BaseProvider');
+goog.require('plugin.geopackage');
+goog.require('plugin.geopackage.Client');
+goog.require('plugin.geopackage.elevation');
+
+
+/**
+ * Provides 3D terrain from a GeoPackage gridded coverage (elevation) table. Heights are sampled from the coverage by
+ * the worker, and are 0 outside of it.
+ *
+ * @param {string} providerId The GeoPackage provider ID
+ * @param {string} tableName The coverage table
+ * @param {ol.Extent} extent The extent of the coverage, in EPSG:4326
+ * @param {number} resolution The finest resolution of the coverage, in degrees
+ * @constructor
+ */
+plugin.geopackage.TerrainProvider = function(providerId, tableName, extent, resolution) {
+  /**
+   * @type {string}
+   * @private
+   */
+  this.providerId_ = providerId;
+
+  /**
+   * @type {string}
+   * @private
+   */
+  this.tableName_ = tableName;
+
+  /**
+   * @type {ol.Extent}
+   * @private
+   */
+  this.extent_ = extent;
+
+  /**
+   * Heights are not requested past the level where the samples are finer than the coverage, so Cesium upsamples the
+   * parent tiles instead.
+   * @type {number}
+   * @private
+   */
+  this.maxLevel_ = Math.max(0, Math.ceil(Math.log(180 / (plugin.geopackage.TerrainProvider.TILE_SIZE - 1) /
+      resolution) / Math.LN2));
+
+  /**
+   * The requests for heights that are waiting on the worker.
+   * @type {!Array<!goog.Promise>}
+   * @private
+   */
+  this.requests_ = [];
+
+  /**
+   * @type {!Cesium.GeographicTilingScheme}
+   */
+  this.tilingScheme = new Cesium.GeographicTilingScheme();
+
+  /**
+   * @type {boolean}
+   */
+  this.ready = true;
+
+  /**
+   * @type {!Cesium.Promise<boolean>}
+   */
+  this.readyPromise = Cesium.when.resolve(true);
+
+  /**
+   * @type {!Cesium.Event}
+   */
+  this.errorEvent = new Cesium.Event();
+
+  /**
+   * @type {Cesium.Credit|undefined}
+   */
+  this.credit = undefined;
+
+  /**
+   * @type {boolean}
+   */
+  this.hasWaterMask = false;
+
+  /**
+   * @type {boolean}
+   */
+  this.hasVertexNormals = false;
+
+  /**
+   * @type {number}
+   * @private
+   */
+  this.levelZeroError_ = Cesium.TerrainProvider.getEstimatedLevelZeroGeometricErrorForAHeightmap(
+      this.tilingScheme.ellipsoid, plugin.geopackage.TerrainProvider.TILE_SIZE,
+      this.tilingScheme.getNumberOfXTilesAtLevel(0));
+};
+
+
+/**
+ * Logger
+ * @type {goog.log.Logger}
+ * @private
+ * @const
+ */
+plugin.geopackage.TerrainProvider.LOGGER_ = goog.log.getLogger('plugin.geopackage.TerrainProvider');
+
+
+/**
+ * The number of heights along each side of a terrain tile.
+ * @type {number}
+ * @const
+ */
+plugin.geopackage.TerrainProvider.TILE_SIZE = 65;
+
+
+/**
+ * @return {string} The GeoPackage provider ID
+ */
+plugin.geopackage.TerrainProvider.prototype.getProviderId = function() {
+  return this.providerId_;
+};
+
+
+/**
+ * @return {string} The coverage table
+ */
+plugin.geopackage.TerrainProvider.prototype.getTableName = function() {
+  return this.tableName_;
+};
+
+
+/**
+ * Cancel the requests for heights, which fails the pending tiles.
+ */
+plugin.geopackage.TerrainProvider.prototype.dispose = function() {
+  var requests = this.requests_;
+  this.requests_ = [];
+
+  requests.forEach(function(request) {
+    plugin.geopackage.Client.getInstance().cancel(request, 'The terrain provider was disposed');
+  });
+};
+
+
+/**
+ * @param {number} level The tile level
+ * @return {number} The maximum geometric error of tiles at the level, in meters
+ */
+plugin.geopackage.TerrainProvider.prototype.getLevelMaximumGeometricError = function(level) {
+  return this.levelZeroError_ / (1 << level);
+};
+
+
+/**
+ * @param {number} x The tile X coordinate
+ * @param {number} y The tile Y coordinate
+ * @param {number} level The tile level
+ * @return {boolean} If heights should be requested for the tile
+ */
+plugin.geopackage.TerrainProvider.prototype.getTileDataAvailable = function(x, y, level) {
+  // Cesium needs the root tiles to start from, even where they only hold the ellipsoid
+  return level === 0 || level <= this.maxLevel_ && ol.extent.intersects(this.getTileExtent_(x, y, level), this.extent_);
+};
+
+
+/**
+ * @param {number} x The tile X coordinate
+ * @param {number} y The tile Y coordinate
+ * @param {number} level The tile level
+ * @param {Cesium.Request=} opt_request The request
+ * @return {Cesium.Promise<!Cesium.HeightmapTerrainData>|undefined}
+ */
+plugin.geopackage.TerrainProvider.prototype.requestTileGeometry = function(x, y, level, opt_request) {
+  var size = plugin.geopackage.TerrainProvider.TILE_SIZE;
+  var extent = this.getTileExtent_(x, y, level);
+
+  if (!ol.extent.intersects(extent, this.extent_)) {
+    return Cesium.when.resolve(this.createTerrainData_(new Float32Array(size * size), level));
+  }
+
+  var deferred = Cesium.when.defer();
+  var request = plugin.geopackage.Client.getInstance().getCoverageGrid(this.providerId_, this.tableName_, extent,
+      'EPSG:4326', [size, size], {timeout: plugin.geopackage.Client.TIMEOUT});
+
+  this.requests_.push(request);
+
+  // a timeout or failure rejects the tile, so Cesium can request it again
+  request.then(function(heights) {
+    deferred.resolve(this.createTerrainData_(plugin.geopackage.elevation.toFloat32Array(heights), level));
+  }, function(e) {
+    if (!(e instanceof goog.Promise.CancellationError)) {
+      goog.log.error(plugin.geopackage.TerrainProvider.LOGGER_, 'Error querying terrain from GeoPackage: ' +
+          (e instanceof Error ? e.message : e));
+    }
+
+    deferred.reject(e);
+  }, this).thenAlways(function() {
+    goog.array.remove(this.requests_, request);
+  }, this);
+
+  return deferred.promise;
+};
+
+
+/**
+ * @param {number} x The tile X coordinate
+ * @param {number} y The tile Y coordinate
+ * @param {number} level The tile level
+ * @return {ol.Extent} The extent of the tile, in EPSG:4326
+ * @private
+ */
+plugin.geopackage.TerrainProvider.prototype.getTileExtent_ = function(x, y, level) {
+  var rectangle = this.tilingScheme.tileXYToRectangle(x, y, level);
+  return [
+    Cesium.Math.toDegrees(rectangle.west),
+    Cesium.Math.toDegrees(rectangle.south),
+    Cesium.Math.toDegrees(rectangle.east),
+    Cesium.Math.toDegrees(rectangle.north)
+  ];
+};
+
+
+/**
+ * @param {!Float32Array} heights The heights, by row from the north
+ * @param {number} level The tile level
+ * @return {!Cesium.HeightmapTerrainData}
+ * @private
+ */
+plugin.geopackage.TerrainProvider.prototype.createTerrainData_ = function(heights, level) {
+  return new Cesium.HeightmapTerrainData({
+    buffer: heights,
+    width: plugin.geopackage.TerrainProvider.TILE_SIZE,
+    height: plugin.geopackage.TerrainProvider.TILE_SIZE,
+    // children past the finest level are upsampled from this tile
+    childTileMask: level < this.maxLevel_ ? 15 : 0
+  });
+};
+
+
+/**
+ * Create a terrain provider from the layer config of a coverage table.
+ * @param {Object<string, *>} config The layer config
+ * @return {!plugin.geopackage.TerrainProvider}
+ */
+plugin.geopackage.TerrainProvider.fromConfig = function(config) {
+  var parts = /** @type {string} */ (config['id']).split(os.ui.data.BaseProvider.ID_DELIMITER);
+  var projection = ol.proj.get(/** @type {string} */ (config['extentProjection'] || config['projection']));
+  var resolutions = /** @type {!Array<number>} */ (config['resolutions']);
+  var resolution = resolutions[resolutions.length - 1] * projection.getMetersPerUnit() /
+      ol.proj.METERS_PER_UNIT[ol.proj.Units.DEGREES];
+
+  return new plugin.geopackage.TerrainProvider(parts[0], parts[1],
+      ol.proj.transformExtent(/** @type {ol.Extent} */ (config['extent']), projection, 'EPSG:4326'), resolution);
+};
+
+
+/**
+ * The GeoPackage terrain provider used by the 3D view.
+ * @type {plugin.geopackage.TerrainProvider}
+ * @private
+ */
+plugin.geopackage.TerrainProvider.active_ = null;
+
+
+/**
+ * The terrain provider the 3D view used before the GeoPackage terrain.
+ * @type {Cesium.TerrainProvider|undefined}
+ * @private
+ */
+plugin.geopackage.TerrainProvider.previous_ = undefined;
+
+
+/**
+ * @return {plugin.geopackage.TerrainProvider} The GeoPackage terrain provider used by the 3D view
+ */
+plugin.geopackage.TerrainProvider.getActive = function() {
+  return plugin.geopackage.TerrainProvider.active_;
+};
+
+
+/**
+ * Use a GeoPackage terrain provider in the 3D view, or restore the terrain the view used before.
+ * @param {plugin.geopackage.TerrainProvider} provider The terrain provider, or null to restore the previous terrain
+ */
+plugin.geopackage.TerrainProvider.setActive = function(provider) {
+  var scene = os.MapContainer.getInstance().getCesiumScene();
+  var active = plugin.geopackage.TerrainProvider.active_;
+
+  if (active) {
+    active.dispose();
+  } else {
+    plugin.geopackage.TerrainProvider.previous_ = scene ? scene.terrainProvider : undefined;
+  }
+
+  plugin.geopackage.TerrainProvider.active_ = provider;
+
+  if (scene) {
+    scene.terrainProvider = provider ? /** @type {!Cesium.TerrainProvider} */ (provider) :
+      plugin.geopackage.TerrainProvider.previous_ || new Cesium.EllipsoidTerrainProvider();
+  }
+
+  if (!provider) {
+    plugin.geopackage.TerrainProvider.previous_ = undefined;
+  }
+};
@@ -0,0 +1,409 @@
+goog.provide('plugin.geopackage.TileExporter');
+
+goog.require('goog.events.EventType');
+goog.require('goog.log');
+goog.require('ol.TileState');
+goog.require('ol.events');
+goog.require('ol.events.EventType');
+goog.require('ol.extent');
+goog.require('ol.size');
+goog.require('os.map');
+goog.require('plugin.geopackage');
+goog.require('plugin.geopackage.Exporter');
+goog.require('plugin.geopackage.metadata');
+
+
+/**
+ * Exports the tiles of a tile layer to a GeoPackage tile table.
+ *
+ * The tile matrix set matches the tile grid the layer uses in the map projection, so each tile is loaded from the
+ * layer's source as-is and written to the table at the same zoom level. Tiles that fail to load are left out.
+ *
+ * @param {!ol.layer.Tile} layer The tile layer
+ * @param {ol.Extent} extent The area to export, in the map projection
+ * @param {number} minZoom The first zoom level to export
+ * @param {number} maxZoom The last zoom level to export
+ * @extends {plugin.geopackage.Exporter}
+ * @constructor
+ */
+plugin.geopackage.TileExporter = function(layer, extent, minZoom, maxZoom) {
+  plugin.geopackage.TileExporter.base(this, 'constructor');
+  this.log = plugin.geopackage.TileExporter.LOGGER_;
+
+  /**
+   * @type {!ol.source.TileImage}
+   * @private
+   */
+  this.source_ = /** @type {!ol.source.TileImage} */ (layer.getSource());
+
+  /**
+   * @type {!ol.tilegrid.TileGrid}
+   * @private
+   */
+  this.tileGrid_ = this.source_.getTileGridForProjection(os.map.PROJECTION);
+
+  /**
+   * @type {ol.Extent}
+   * @private
+   */
+  this.extent_ = ol.extent.getIntersection(extent, this.getGridExtent_());
+
+  /**
+   * @type {number}
+   * @private
+   */
+  this.minZoom_ = Math.max(minZoom, this.tileGrid_.getMinZoom());
+
+  /**
+   * @type {number}
+   * @private
+   */
+  this.maxZoom_ = Math.min(maxZoom, this.tileGrid_.getMaxZoom());
+
+  /**
+   * The table name
+   * @type {string}
+   * @private
+   */
+  this.tableName_ = /** @type {os.layer.ILayer} */ (layer).getTitle() || 'tiles';
+
+  /**
+   * The title of the exported layer, for the provenance metadata.
+   * @type {string}
+   * @private
+   */
+  this.layerTitle_ = this.tableName_;
+
+  /**
+   * Tiles waiting to be loaded.
+   * @type {!Array<!ol.TileCoord>}
+   * @private
+   */
+  this.queue_ = [];
+
+  /**
+   * The number of tiles being exported.
+   * @type {number}
+   * @private
+   */
+  this.total_ = 0;
+
+  /**
+   * The number of tiles loading from the source.
+   * @type {number}
+   * @private
+   */
+  this.loading_ = 0;
+
+  /**
+   * The number of tiles that were written or skipped.
+   * @type {number}
+   * @private
+   */
+  this.done_ = 0;
+
+  /**
+   * The number of tiles that were written.
+   * @type {number}
+   * @private
+   */
+  this.written_ = 0;
+
+  /**
+   * @type {HTMLCanvasElement}
+   * @private
+   */
+  this.canvas_ = null;
+};
+goog.inherits(plugin.geopackage.TileExporter, plugin.geopackage.Exporter);
+
+
+/**
+ * Logger
+ * @type {goog.log.Logger}
+ * @private
+ * @const
+ */
+plugin.geopackage.TileExporter.LOGGER_ = goog.log.getLogger('plugin.geopackage.TileExporter');
+
+
+/**
+ * The maximum number of tiles in an export.
+ * @type {number}
+ * @const
+ */
+plugin.geopackage.TileExporter.MAX_TILES = 50000;
+
+
+/**
+ * The number of tiles to load from the source at once.
+ * @type {number}
+ * @const
+ */
+plugin.geopackage.TileExporter.CONCURRENCY = 4;
+
+
+/**
+ * @inheritDoc
+ */
+plugin.geopackage.TileExporter.prototype.getLabel = function() {
+  return 'GeoPackage Tiles';
+};
+
+
+/**
+ * @inheritDoc
+ */
+plugin.geopackage.TileExporter.prototype.reset = function() {
+  plugin.geopackage.TileExporter.base(this, 'reset');
+  this.queue_ = [];
+  this.total_ = 0;
+  this.loading_ = 0;
+  this.done_ = 0;
+  this.written_ = 0;
+  this.canvas_ = null;
+};
+
+
+/**
+ * Set the name of the tile table. Defaults to the layer title.
+ * @param {string} tableName The table name
+ */
+plugin.geopackage.TileExporter.prototype.setTableName = function(tableName) {
+  this.tableName_ = tableName;
+};
+
+
+/**
+ * Get the number of tiles in the export.
+ * @return {number}
+ */
+plugin.geopackage.TileExporter.prototype.getTileCount = function() {
+  var count = 0;
+
+  if (this.extent_ && !ol.extent.isEmpty(this.extent_)) {
+    for (var z = this.minZoom_; z <= this.maxZoom_; z++) {
+      var range = this.tileGrid_.getTileRangeForExtentAndZ(this.extent_, z);
+      count += range.getWidth() * range.getHeight();
+    }
+  }
+
+  return count;
+};
+
+
+/**
+ * Get the export progress, from 0 to 1.
+ * @return {number}
+ */
+plugin.geopackage.TileExporter.prototype.getProgress = function() {
+  return this.total_ ? this.done_ / this.total_ : 0;
+};
+
+
+/**
+ * @inheritDoc
+ */
+plugin.geopackage.TileExporter.prototype.process = function() {
+  var count = this.getTileCount();
+
+  if (!count) {
+    this.reportError('The area does not contain any tiles for the layer.');
+  } else if (count > plugin.geopackage.TileExporter.MAX_TILES) {
+    this.reportError('The export has ' + count + ' tiles, which is more than the limit of ' +
+        plugin.geopackage.TileExporter.MAX_TILES + '. Choose a smaller area or fewer zoom levels.');
+  } else {
+    plugin.geopackage.TileExporter.base(this, 'process');
+  }
+};
+
+
+/**
+ * Create the tile table with a tile matrix for each zoom level.
+ * @inheritDoc
+ */
+plugin.geopackage.TileExporter.prototype.writeItems = function() {
+  var gridExtent = this.getGridExtent_();
+  var matrices = [];
+
+  for (var z = this.minZoom_; z <= this.maxZoom_; z++) {
+    var resolution = this.tileGrid_.getResolution(z);
+    var tileSize = ol.size.toSize(this.tileGrid_.getTileSize(z));
+
+    matrices.push({
+      'zoom': z,
+      'matrixWidth': Math.ceil(ol.extent.getWidth(gridExtent) / (tileSize[0] * resolution) - 1e-6),
+      'matrixHeight': Math.ceil(ol.extent.getHeight(gridExtent) / (tileSize[1] * resolution) - 1e-6),
+      'tileWidth': tileSize[0],
+      'tileHeight': tileSize[1],
+      'pixelXSize': resolution,
+      'pixelYSize': resolution
+    });
+  }
+
+  this.exportCommand(plugin.geopackage.ExportCommands.CREATE_TILE_TABLE, {
+    tableName: this.tableName_,
+    projection: os.map.PROJECTION.getCode(),
+    extent: this.extent_,
+    data: {
+      'extent': gridExtent,
+      'matrices': matrices
+    },
+    metadata: plugin.geopackage.metadata.getProvenance(this.layerTitle_)
+  });
+};
+
+
+/**
+ * @inheritDoc
+ */
+plugin.geopackage.TileExporter.prototype.onCommand = function(msg, data) {
+  var command = msg.command;
+
+  if (command === plugin.geopackage.ExportCommands.CREATE) {
+    this.writeItems();
+  } else if (command === plugin.geopackage.ExportCommands.CREATE_TILE_TABLE) {
+    // the worker renames the table if the name is taken
+    this.tableName_ = /** @type {string} */ (data || this.tableName_);
+
+    for (var z = this.minZoom_; z <= this.maxZoom_; z++) {
+      var range = this.tileGrid_.getTileRangeForExtentAndZ(this.extent_, z);
+
+      for (var x = range.minX; x <= range.maxX; x++) {
+        for (var y = range.minY; y <= range.maxY; y++) {
+          this.queue_.push([z, x, y]);
+        }
+      }
+    }
+
+    this.total_ = this.queue_.length;
+    this.loadNext_();
+  } else if (command === plugin.geopackage.ExportCommands.TILE) {
+    this.written_++;
+    this.onTileDone_();
+  }
+};
+
+
+/**
+ * Load tiles from the source until the concurrency limit is reached.
+ * @private
+ */
+plugin.geopackage.TileExporter.prototype.loadNext_ = function() {
+  while (this.queue_.length && this.loading_ < plugin.geopackage.TileExporter.CONCURRENCY) {
+    var tileCoord = this.queue_.shift();
+    var tile = /** @type {ol.ImageTile} */ (this.source_.getTile(tileCoord[0], tileCoord[1], tileCoord[2], 1,
+        os.map.PROJECTION));
+
+    this.loading_++;
+
+    if (tile.getState() === ol.TileState.IDLE || tile.getState() === ol.TileState.LOADING) {
+      ol.events.listen(tile, ol.events.EventType.CHANGE, this.onTileChange_, this);
+      tile.load();
+    } else {
+      this.writeTile_(tile);
+    }
+  }
+};
+
+
+/**
+ * @param {ol.events.Event} event The change event
+ * @private
+ */
+plugin.geopackage.TileExporter.prototype.onTileChange_ = function(event) {
+  var tile = /** @type {ol.ImageTile} */ (event.target);
+  var state = tile.getState();
+
+  if (state !== ol.TileState.IDLE && state !== ol.TileState.LOADING) {
+    ol.events.unlisten(tile, ol.events.EventType.CHANGE, this.onTileChange_, this);
+    this.writeTile_(tile);
+  }
+};
+
+
+/**
+ * Send a loaded tile to the worker, or skip it if it did not load.
+ * @param {ol.ImageTile} tile The tile
+ * @private
+ */
+plugin.geopackage.TileExporter.prototype.writeTile_ = function(tile) {
+  this.loading_--;
+
+  var data = tile.getState() === ol.TileState.LOADED ? this.getImageData_(tile) : null;
+  if (!data) {
+    this.onTileDone_();
+    return;
+  }
+
+  var tileCoord = tile.getTileCoord();
+  var tileExtent = this.tileGrid_.getTileCoordExtent(tileCoord);
+  var gridExtent = this.getGridExtent_();
+  var resolution = this.tileGrid_.getResolution(tileCoord[0]);
+  var tileSize = ol.size.toSize(this.tileGrid_.getTileSize(tileCoord[0]));
+
+  // tile rows in a GeoPackage count down from the top of the tile matrix set
+  var column = Math.round((tileExtent[0] - gridExtent[0]) / (tileSize[0] * resolution));
+  var row = Math.round((gridExtent[3] - tileExtent[3]) / (tileSize[1] * resolution));
+
+  var transfer = plugin.geopackage.isElectron() ? undefined : [data.buffer];
+  this.exportCommand(plugin.geopackage.ExportCommands.TILE, {
+    tableName: this.tableName_,
+    tileCoord: [tileCoord[0], column, row],
+    data: transfer ? data.buffer : Array.from(data)
+  }, transfer);
+
+  this.loadNext_();
+};
+
+
+/**
+ * Encode a tile image as a PNG.
+ * @param {ol.ImageTile} tile The tile
+ * @return {Uint8Array} The PNG bytes, or null if the image could not be read
+ * @private
+ */
+plugin.geopackage.TileExporter.prototype.getImageData_ = function(tile) {
+  var image = tile.getImage();
+  var tileSize = ol.size.toSize(this.tileGrid_.getTileSize(tile.getTileCoord()[0]));
+
+  if (!this.canvas_) {
+    this.canvas_ = /** @type {HTMLCanvasElement} */ (document.createElement('canvas'));
+  }
+
+  try {
+    return plugin.geopackage.encodePNG(image, tileSize[0], tileSize[1], this.canvas_);
+  } catch (e) {
+    // images from other origins without CORS headers cannot be read back from the canvas
+    goog.log.warning(this.log, 'Could not read tile ' + tile.getTileCoord().join(',') + ': ' + e);
+    return null;
+  }
+};
+
+
+/**
+ * @private
+ */
+plugin.geopackage.TileExporter.prototype.onTileDone_ = function() {
+  this.done_++;
+  this.dispatchEvent(goog.events.EventType.PROGRESS);
+
+  if (this.done_ === this.total_) {
+    if (this.written_) {
+      this.exportCommand(plugin.geopackage.ExportCommands.WRITE);
+    } else {
+      this.reportError('None of the tiles could be loaded from the layer.');
+    }
+  } else {
+    this.loadNext_();
+  }
+};
+
+
+/**
+ * @return {ol.Extent} The extent of the tile grid
+ * @private
+ */
+plugin.geopackage.TileExporter.prototype.getGridExtent_ = function() {
+  return this.tileGrid_.getExtent() || os.map.PROJECTION.getExtent();
+};
@@ -0,0 +1,356 @@
+goog.provide('plugin.geopackage.TileExportUICtrl');
+goog.provide('plugin.geopackage.tileExportDirective');
+
+goog.require('goog.events.EventType');
+goog.require('goog.log');
+goog.require('goog.math');
+goog.require('os.alert.AlertEventSeverity');
+goog.require('os.events.EventType');
+goog.require('os.file.persist');
+goog.require('os.ui');
+goog.require('os.ui.Module');
+goog.require('os.ui.window');
+goog.require('plugin.geopackage.ExportUICtrl');
+goog.require('plugin.geopackage.TileExporter');
+goog.require('plugin.geopackage.mime');
+goog.require('plugin.geopackage.provenanceDirective');
+
+
+/**
+ * The tile export directive.
+ * @return {angular.Directive}
+ */
+plugin.geopackage.tileExportDirective = function() {
+  return {
+    restrict: 'E',
+    replace: true,
+    scope: {
+      'layer': '='
+    },
+    template: '<div class="d-flex flex-column flex-fill">' +
+        '<form class="modal-body" name="tileExportForm">' +
+        '<p>Exports the tiles for <strong>{{ctrl.title}}</strong> in the current map view.</p>' +
+        '<fieldset ng-disabled="ctrl.exporting">' +
+        '<div class="form-group row">' +
+        '<label class="col-form-label col-4" for="gpkgTileTarget">GeoPackage</label>' +
+        '<div class="col">' +
+        '<select class="custom-select" id="gpkgTileTarget" ng-model="ctrl.target" ' +
+        'ng-options="provider.getLabel() for provider in ctrl.providers">' +
+        '<option value="">New GeoPackage</option>' +
+        '</select>' +
+        '</div>' +
+        '</div>' +
+        '<div class="form-group row" ng-if="!ctrl.target">' +
+        '<label class="col-form-label col-4" for="gpkgTileFile">File Name</label>' +
+        '<div class="col"><input class="form-control" id="gpkgTileFile" ng-model="ctrl.fileName" required></div>' +
+        '</div>' +
+        '<div class="form-group row">' +
+        '<label class="col-form-label col-4" for="gpkgTileTable">Table Name</label>' +
+        '<div class="col"><input class="form-control" id="gpkgTileTable" ng-model="ctrl.tableName" required></div>' +
+        '</div>' +
+        '<div class="form-group row">' +
+        '<label class="col-form-label col-4">Zoom Levels</label>' +
+        '<div class="col form-inline">' +
+        '<input class="form-control w-25" type="number" ng-model="ctrl.minZoom" min="{{ctrl.zoomMin}}" ' +
+        'max="{{ctrl.maxZoom}}" ng-change="ctrl.updateCount()" required>' +
+        '<span class="mx-2">to</span>' +
+        '<input class="form-control w-25" type="number" ng-model="ctrl.maxZoom" min="{{ctrl.minZoom}}" ' +
+        'max="{{ctrl.zoomMax}}" ng-change="ctrl.updateCount()" required>' +
+        '</div>' +
+        '</div>' +
+        '<gpkgprovenance label-class="col-4"></gpkgprovenance>' +
+        '</fieldset>' +
+        '<div ng-class="{\'text-danger\': ctrl.count > ctrl.maxTiles}">{{ctrl.count}} tiles</div>' +
+        '<div class="progress mt-2" ng-if="ctrl.exporting">' +
+        '<div class="progress-bar" ng-style="{width: (ctrl.progress * 100) + \'%\'}"></div>' +
+        '</div>' +
+        '</form>' +
+        '<div class="modal-footer">' +
+        '<button class="btn btn-primary" ng-click="ctrl.accept()" ' +
+        'ng-disabled="ctrl.exporting || tileExportForm.$invalid || !ctrl.count || ctrl.count > ctrl.maxTiles">' +
+        '<i class="fa fa-download"></i> Export' +
+        '</button>' +
+        '<button class="btn btn-secondary" ng-click="ctrl.close()" ng-disabled="ctrl.exporting">' +
+        '<i class="fa fa-ban"></i> Cancel' +
+        '</button>' +
+        '</div>' +
+        '</div>',
+    controller: plugin.geopackage.TileExportUICtrl,
+    controllerAs: 'ctrl'
+  };
+};
+
+
+/**
+ * Add the directive to the module.
+ */
+os.ui.Module.directive('gpkgtileexport', [plugin.geopackage.tileExportDirective]);
+
+
+
+/**
+ * Controller for the tile export window.
+ * @param {!angular.Scope} $scope
+ * @param {!angular.JQLite} $element
+ * @constructor
+ * @ngInject
+ */
+plugin.geopackage.TileExportUICtrl = function($scope, $element) {
+  /**
+   * @type {?angular.Scope}
+   * @private
+   */
+  this.scope_ = $scope;
+
+  /**
+   * @type {?angular.JQLite}
+   * @private
+   */
+  this.element_ = $element;
+
+  /**
+   * @type {!ol.layer.Tile}
+   * @private
+   */
+  this.layer_ = /** @type {!ol.layer.Tile} */ ($scope['layer']);
+
+  var map = os.MapContainer.getInstance().getMap();
+  var view = map.getView();
+
+  /**
+   * @type {ol.Extent}
+   * @private
+   */
+  this.extent_ = view.calculateExtent(map.getSize());
+
+  var tileGrid = /** @type {ol.source.TileImage} */ (this.layer_.getSource())
+      .getTileGridForProjection(os.map.PROJECTION);
+
+  /**
+   * @type {plugin.geopackage.TileExporter}
+   * @private
+   */
+  this.exporter_ = null;
+
+  /**
+   * @type {string}
+   */
+  this['title'] = /** @type {os.layer.ILayer} */ (this.layer_).getTitle();
+
+  /**
+   * @type {!Array<!plugin.geopackage.GeoPackageProvider>}
+   */
+  this['providers'] = plugin.geopackage.ExportUICtrl.getTargets();
+
+  /**
+   * @type {plugin.geopackage.GeoPackageProvider}
+   */
+  this['target'] = null;
+
+  /**
+   * @type {string}
+   */
+  this['fileName'] = this['title'] + '.gpkg';
+
+  /**
+   * @type {string}
+   */
+  this['tableName'] = this['title'];
+
+  /**
+   * @type {number}
+   */
+  this['zoomMin'] = tileGrid.getMinZoom();
+
+  /**
+   * @type {number}
+   */
+  this['zoomMax'] = tileGrid.getMaxZoom();
+
+  /**
+   * @type {number}
+   */
+  this['minZoom'] = goog.math.clamp(Math.round(view.getZoom() || 0), this['zoomMin'], this['zoomMax']);
+
+  /**
+   * @type {number}
+   */
+  this['maxZoom'] = Math.min(this['minZoom'] + 2, this['zoomMax']);
+
+  /**
+   * @type {number}
+   */
+  this['count'] = 0;
+
+  /**
+   * @type {number}
+   * @const
+   */
+  this['maxTiles'] = plugin.geopackage.TileExporter.MAX_TILES;
+
+  /**
+   * @type {boolean}
+   */
+  this['exporting'] = false;
+
+  /**
+   * @type {number}
+   */
+  this['progress'] = 0;
+
+  this.updateCount();
+
+  $scope.$on('$destroy', this.destroy_.bind(this));
+};
+
+
+/**
+ * Logger
+ * @type {goog.log.Logger}
+ * @private
+ * @const
+ */
+plugin.geopackage.TileExportUICtrl.LOGGER_ = goog.log.getLogger('plugin.geopackage.TileExportUICtrl');
+
+
+/**
+ * @private
+ */
+plugin.geopackage.TileExportUICtrl.prototype.destroy_ = function() {
+  if (this.exporter_) {
+    this.exporter_.reset();
+    goog.dispose(this.exporter_);
+    this.exporter_ = null;
+  }
+
+  this.scope_ = null;
+  this.element_ = null;
+};
+
+
+/**
+ * @return {!plugin.geopackage.TileExporter}
+ * @private
+ */
+plugin.geopackage.TileExportUICtrl.prototype.createExporter_ = function() {
+  return new plugin.geopackage.TileExporter(this.layer_, this.extent_, this['minZoom'], this['maxZoom']);
+};
+
+
+/**
+ * Update the number of tiles in the export.
+ * @export
+ */
+plugin.geopackage.TileExportUICtrl.prototype.updateCount = function() {
+  var valid = goog.isNumber(this['minZoom']) && goog.isNumber(this['maxZoom']) && this['minZoom'] <= this['maxZoom'];
+  this['count'] = valid ? this.createExporter_().getTileCount() : 0;
+};
+
+
+/**
+ * Start the export.
+ * @export
+ */
+plugin.geopackage.TileExportUICtrl.prototype.accept = function() {
+  var exporter = this.exporter_ = this.createExporter_();
+  exporter.setTableName(this['tableName']);
+  exporter.setTarget(this['target'] || null);
+  exporter.listen(goog.events.EventType.PROGRESS, this.onProgress_, false, this);
+  exporter.listen(os.events.EventType.COMPLETE, this.onComplete_, false, this);
+  exporter.listen(os.events.EventType.ERROR, this.onError_, false, this);
+
+  this['exporting'] = true;
+  this['progress'] = 0;
+  exporter.process();
+};
+
+
+/**
+ * Close the window.
+ * @export
+ */
+plugin.geopackage.TileExportUICtrl.prototype.close = function() {
+  if (this.element_) {
+    os.ui.window.close(this.element_);
+  }
+};
+
+
+/**
+ * @private
+ */
+plugin.geopackage.TileExportUICtrl.prototype.onProgress_ = function() {
+  if (this.exporter_ && this.scope_) {
+    this['progress'] = this.exporter_.getProgress();
+    os.ui.apply(this.scope_);
+  }
+};
+
+
+/**
+ * @private
+ */
+plugin.geopackage.TileExportUICtrl.prototype.onComplete_ = function() {
+  var exporter = this.exporter_;
+
+  if (exporter) {
+    var target = exporter.getTarget();
+    var msg;
+
+    if (target) {
+      msg = 'Added tiles for ' + this['title'] + ' to ' + target.getLabel();
+    } else {
+      var fileName = /\.gpkg$/i.test(this['fileName']) ? this['fileName'] : this['fileName'] + '.gpkg';
+      os.file.persist.saveFile(fileName, exporter.getOutput(), plugin.geopackage.mime.TYPE);
+      msg = 'Exported tiles for ' + this['title'] + ' to ' + fileName;
+    }
+
+    os.alertManager.sendAlert(msg, os.alert.AlertEventSeverity.SUCCESS, plugin.geopackage.TileExportUICtrl.LOGGER_);
+  }
+
+  this.close();
+};
+
+
+/**
+ * The exporter reports the error, so allow the user to change the options and try again.
+ * @private
+ */
+plugin.geopackage.TileExportUICtrl.prototype.onError_ = function() {
+  if (this.exporter_) {
+    this.exporter_.reset();
+    goog.dispose(this.exporter_);
+    this.exporter_ = null;
+  }
+
+  if (this.scope_) {
+    this['exporting'] = false;
+    os.ui.apply(this.scope_);
+  }
+};
+
+
+/**
+ * Launch the tile export window for a layer.
+ * @param {!ol.layer.Tile} layer The tile layer
+ */
+plugin.geopackage.TileExportUICtrl.launch = function(layer) {
+  var windowOptions = {
+    'id': 'gpkgTileExport',
+    'label': 'Export Tiles to GeoPackage',
+    'icon': 'fa fa-download',
+    'x': 'center',
+    'y': 'center',
+    'width': '450',
+    'min-width': '350',
+    'max-width': '800',
+    'height': 'auto',
+    'modal': 'true',
+    'show-close': 'true'
+  };
+
+  var template = '<gpkgtileexport layer="layer"></gpkgtileexport>';
+  os.ui.window.create(windowOptions, template, undefined, undefined, undefined, {
+    'layer': layer
+  });
+};
@@ -3,10 +3,18 @@ goog.provide('plugin.geopackage.TileLayerConfig');
 goog.require('goog.log');
 goog.require('ol.ImageTile');
 goog.require('ol.TileState');
+goog.require('ol.proj');
+goog.require('ol.size');
 goog.require('ol.source.TileImage');
+goog.require('ol.tilegrid');
 goog.require('ol.tilegrid.TileGrid');
 goog.require('os.layer.config.AbstractTileLayerConfig');
+goog.require('os.map');
+goog.require('os.proj');
+goog.require('plugin.geopackage.Client');
 goog.require('plugin.geopackage.Tile');
+goog.require('plugin.geopackage.TileCache');
+goog.require('plugin.geopackage.reproject');
 
 
 /**
@@ -18,14 +26,56 @@ goog.require('plugin.geopackage.Tile');
 plugin.geopackage.TileLayerConfig = function() {
   plugin.geopackage.TileLayerConfig.base(this, 'constructor');
   this.tileClass = plugin.geopackage.Tile;
+
+  /**
+   * If the worker can reproject the tiles to the map projection, when the map cannot display the table projection.
+   * @type {boolean}
+   * @protected
+   */
+  this.canReproject = true;
+
+  /**
+   * If the tiles are reprojected to the map projection by the worker.
+   * @type {boolean}
+   * @protected
+   */
+  this.reprojectTiles = false;
 };
 goog.inherits(plugin.geopackage.TileLayerConfig, os.layer.config.AbstractTileLayerConfig);
 
 
+/**
+ * @inheritDoc
+ */
+plugin.geopackage.TileLayerConfig.prototype.initializeConfig = function(options) {
+  // the table projection is kept when the layer is reprojected, as the options are saved with the layer
+  var code = /** @type {string|undefined} */ (options['tableProjection'] || options['projection']);
+  var definition = /** @type {string|undefined} */ (options['projectionDefinition']);
+  var projection = plugin.geopackage.reproject.registerProjection(code, definition);
+
+  // the map cannot display the table projection, so show the tiles in the map projection over the table extent
+  var wgs84Extent = /** @type {ol.Extent|undefined} */ (options['wgs84Extent']);
+  this.reprojectTiles = this.canReproject && !plugin.geopackage.reproject.canDisplay(projection) && !!wgs84Extent;
+
+  if (this.reprojectTiles) {
+    options['tableProjection'] = code;
+    options['projection'] = os.map.PROJECTION;
+    options['extent'] = ol.proj.transformExtent(wgs84Extent, os.proj.EPSG4326, os.map.PROJECTION);
+    options['extentProjection'] = os.map.PROJECTION;
+  }
+
+  plugin.geopackage.TileLayerConfig.base(this, 'initializeConfig', options);
+};
+
+
 /**
  * @inheritDoc
  */
 plugin.geopackage.TileLayerConfig.prototype.getSource = function(options) {
+  if (this.reprojectTiles) {
+    return this.getReprojectedSource(options);
+  }
+
   var parts = options['id'].split(os.ui.data.BaseProvider.ID_DELIMITER);
 
   var source = new ol.source.TileImage(/** @type {olx.source.TileImageOptions} */ ({
@@ -41,7 +91,31 @@ plugin.geopackage.TileLayerConfig.prototype.getSource = function(options) {
     'wrapX': this.projection.isGlobal()
   }));
 
-  plugin.geopackage.addTileListener_();
+  return source;
+};
+
+
+/**
+ * Get a source for tiles reprojected by the worker. The tiles are on a grid over the table extent in the map
+ * projection.
+ * @param {Object<string, *>} options The layer options
+ * @return {!ol.source.TileImage}
+ * @protected
+ */
+plugin.geopackage.TileLayerConfig.prototype.getReprojectedSource = function(options) {
+  var parts = /** @type {string} */ (options['id']).split(os.ui.data.BaseProvider.ID_DELIMITER);
+  var tileGrid = ol.tilegrid.createXYZ({
+    'extent': /** @type {ol.Extent} */ (options['extent'])
+  });
+
+  var source = new ol.source.TileImage(/** @type {olx.source.TileImageOptions} */ ({
+    'projection': this.projection,
+    'tileLoadFunction': plugin.geopackage.getReprojectedTileLoadFunction_(parts[0], tileGrid, this.projection),
+    'tileUrlFunction': plugin.geopackage.getTileUrlFunction_(parts[1]),
+    'tileGrid': tileGrid,
+    'wrapX': false
+  }));
+
   return source;
 };
 
@@ -66,93 +140,89 @@ plugin.geopackage.getTileLoadFunction_ = function(providerId) {
       }
 
       if (layerName) {
-        var msg = /** @type {GeoPackageWorkerMessage} */ ({
-          id: providerId,
-          type: plugin.geopackage.MsgType.GET_TILE,
-          tableName: layerName,
-          tileCoord: imageTile.getTileCoord()
-        });
-
-        var key = msg.id + '#' + msg.type + '#' + msg.tableName + '#' + msg.tileCoord.join(',');
-        plugin.geopackage.tiles_[key] = imageTile;
-        plugin.geopackage.getWorker().postMessage(msg);
+        plugin.geopackage.TileCache.getInstance().getTile(providerId, layerName, imageTile.getTileCoord()).then(
+            function(blob) {
+              plugin.geopackage.setTileImage_(imageTile, blob);
+            },
+            function(e) {
+              plugin.geopackage.onTileError_(imageTile, e);
+            });
       }
     });
 };
 
 
 /**
- * @type {boolean}
+ * @param {string} providerId
+ * @param {!ol.tilegrid.TileGrid} tileGrid The tile grid, in the map projection
+ * @param {!ol.proj.Projection} projection The map projection
+ * @return {!ol.TileLoadFunctionType}
  * @private
  */
-plugin.geopackage.tileListenerSet_ = false;
+plugin.geopackage.getReprojectedTileLoadFunction_ = function(providerId, tileGrid, projection) {
+  return (
+    /**
+     * @param {ol.Tile} tile The image tile
+     * @param {string} layerName The layer name
+     */
+    function(tile, layerName) {
+      var imageTile = /** @type {ol.ImageTile} */ (tile);
+      var tileCoord = imageTile.getTileCoord();
+      var tileSize = ol.size.toSize(tileGrid.getTileSize(tileCoord[0]));
+
+      if (layerName) {
+        var request = plugin.geopackage.Client.getInstance().getReprojectedTile(providerId, layerName,
+            tileGrid.getTileCoordExtent(tileCoord), projection.getCode(), tileSize);
+
+        request.then(function(data) {
+          return data ? plugin.geopackage.reproject.render(data, tileSize[0], tileSize[1]) : undefined;
+        }).then(function(canvas) {
+          plugin.geopackage.setTileImage_(imageTile, canvas);
+        }, function(e) {
+          plugin.geopackage.onTileError_(imageTile, e);
+        });
+      }
+    });
+};
 
 
 /**
+ * Show a tile from the worker.
+ * @param {ol.ImageTile} imageTile The tile
+ * @param {HTMLCanvasElement|Blob|undefined} data A rendered tile, or the tile image from the cache. The tile is blank
+ *     without data.
  * @private
+ * @suppress {accessControls}
  */
-plugin.geopackage.addTileListener_ = function() {
-  if (!plugin.geopackage.tileListenerSet_) {
-    plugin.geopackage.getWorker().addEventListener(goog.events.EventType.MESSAGE, plugin.geopackage.tileListener_);
-    plugin.geopackage.tileListenerSet_ = true;
+plugin.geopackage.setTileImage_ = function(imageTile, data) {
+  if (data instanceof HTMLCanvasElement) {
+    imageTile.image_ = data;
+    imageTile.state = ol.TileState.LOADED;
+    imageTile.changed();
+  } else if (data) {
+    // each tile has its own URL for the cached image, which is revoked when the tile is recycled
+    imageTile.getImage().src = URL.createObjectURL(data);
+  } else {
+    // Tile is emtpy, so display a blank image. Note that ol.TileState.EMPTY is NOT WHAT WE WANT.
+    // Empty causes OpenLayers to keep displaying the parent tile for coverage. We want a blank
+    // tile.
+    imageTile.image_ = ol.ImageTile.getBlankImage();
+    imageTile.state = ol.TileState.LOADED;
+    imageTile.changed();
   }
 };
 
 
 /**
- * @type {!Object<string, !ol.ImageTile>}
- */
-plugin.geopackage.tiles_ = {};
-
-
-/**
- * @param {Event|GeoPackageWorkerResponse} evt
+ * @param {ol.ImageTile} imageTile The tile
+ * @param {*} e The error
  * @private
  * @suppress {accessControls}
  */
-plugin.geopackage.tileListener_ = function(evt) {
-  var msg = /** @type {GeoPackageWorkerResponse} */ (evt instanceof Event ? evt.data : evt);
-
-  if (msg.message.type === plugin.geopackage.MsgType.GET_TILE) {
-    var key = msg.message.id + '#' + msg.message.type + '#' + msg.message.tableName + '#' +
-        msg.message.tileCoord.join(',');
-    var imageTile = plugin.geopackage.tiles_[key];
-
-    if (imageTile) {
-      delete plugin.geopackage.tiles_[key];
-
-      if (msg.type === plugin.geopackage.MsgType.SUCCESS) {
-        if (msg.data) {
-          var url = null;
-
-          if (goog.isString(msg.data)) {
-            // Web Worker path
-            url = msg.data;
-          } else if (goog.isArray(msg.data)) {
-            // node process path
-            var i32arr = Int32Array.from(/** @type {!Array<!number>} */ (msg.data));
-            var i8arr = new Uint8Array(i32arr);
-            var blob = new Blob([i8arr]);
-            url = URL.createObjectURL(blob);
-          }
-
-          if (url) {
-            imageTile.getImage().src = url;
-          }
-        } else {
-          // Tile is emtpy, so display a blank image. Note that ol.TileState.EMPTY is NOT WHAT WE WANT.
-          // Empty causes OpenLayers to keep displaying the parent tile for coverage. We want a blank
-          // tile.
-          imageTile.image_ = ol.ImageTile.getBlankImage();
-          imageTile.state = ol.TileState.LOADED;
-          imageTile.changed();
-        }
-      } else {
-        imageTile.handleImageError_();
-        goog.log.error(plugin.geopackage.LOGGER, 'Error querying tile from GeoPackage:' + msg.reason);
-      }
-    }
-  }
+plugin.geopackage.onTileError_ = function(imageTile, e) {
+  imageTile.handleImageError_();
+  var reason = e instanceof Error ? e.message : e;
+  goog.log.error(plugin.geopackage.LOGGER, 'Error querying tile from GeoPackage:' + reason);
 };
 
 
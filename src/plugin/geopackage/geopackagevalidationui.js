@@ -0,0 +1,284 @@
+goog.provide('plugin.geopackage.ValidationUICtrl');
+goog.provide('plugin.geopackage.validationDirective');
+
+goog.require('goog.string');
+goog.require('os.file.persist');
+goog.require('os.ui');
+goog.require('os.ui.Module');
+goog.require('os.ui.window');
+
+
+/**
+ * The validation report directive.
+ * @return {angular.Directive}
+ */
+plugin.geopackage.validationDirective = function() {
+  return {
+    restrict: 'E',
+    replace: true,
+    scope: {
+      'provider': '='
+    },
+    template: '<div class="d-flex flex-column flex-fill">' +
+        '<div class="d-flex flex-shrink-0 align-items-center p-1 border-bottom">' +
+        '<span class="mr-2 text-success" title="Passed"><i class="fa fa-check"></i> {{ctrl.counts.pass}}</span>' +
+        '<span class="mr-2 text-warning" title="Warnings"><i class="fa fa-exclamation-triangle"></i> ' +
+        '{{ctrl.counts.warn}}</span>' +
+        '<span class="mr-2 text-danger" title="Failed"><i class="fa fa-times"></i> {{ctrl.counts.fail}}</span>' +
+        '<div class="custom-control custom-checkbox ml-2">' +
+        '<input class="custom-control-input" type="checkbox" id="gpkgValidationPassed" ng-model="ctrl.showPassed">' +
+        '<label class="custom-control-label" for="gpkgValidationPassed">Show passed checks</label>' +
+        '</div>' +
+        '<button class="btn btn-sm btn-secondary ml-auto" ng-click="ctrl.save()" ng-disabled="!ctrl.results.length" ' +
+        'title="Save the report as a text file">' +
+        '<i class="fa fa-download"></i> Save Report' +
+        '</button>' +
+        '</div>' +
+        '<div class="p-1" ng-if="ctrl.loading"><i class="fa fa-spinner fa-spin"></i> Validating...</div>' +
+        '<div class="text-danger p-1" ng-if="ctrl.error">{{ctrl.error}}</div>' +
+        '<div class="flex-fill overflow-auto">' +
+        '<div ng-repeat="group in ctrl.groups">' +
+        '<h6 class="mt-2 mx-1">{{group.label}}</h6>' +
+        '<table class="table table-sm mb-0">' +
+        '<tr ng-repeat="result in group.results" ng-if="ctrl.showPassed || result.status !== \'pass\'">' +
+        '<td class="text-center" ng-class="ctrl.getClass(result)"><i class="fa fa-fw" ' +
+        'ng-class="ctrl.getIcon(result)" title="{{result.status}}"></i></td>' +
+        '<td class="text-nowrap">{{result.check}}</td>' +
+        '<td>{{result.message}}</td>' +
+        '</tr>' +
+        '</table>' +
+        '</div>' +
+        '</div>' +
+        '</div>',
+    controller: plugin.geopackage.ValidationUICtrl,
+    controllerAs: 'ctrl'
+  };
+};
+
+
+/**
+ * Add the directive to the module.
+ */
+os.ui.Module.directive('gpkgvalidation', [plugin.geopackage.validationDirective]);
+
+
+
+/**
+ * Controller for the report of a GeoPackage checked against the GeoPackage specification. The results are grouped by
+ * table, after the checks of the whole GeoPackage.
+ * @param {!angular.Scope} $scope
+ * @constructor
+ * @ngInject
+ */
+plugin.geopackage.ValidationUICtrl = function($scope) {
+  /**
+   * @type {?angular.Scope}
+   * @private
+   */
+  this.scope_ = $scope;
+
+  /**
+   * @type {!plugin.geopackage.GeoPackageProvider}
+   * @private
+   */
+  this.provider_ = /** @type {!plugin.geopackage.GeoPackageProvider} */ ($scope['provider']);
+
+  /**
+   * @type {!Array<GeoPackageValidationResult>}
+   */
+  this['results'] = [];
+
+  /**
+   * @type {!Array<{label: string, results: !Array<GeoPackageValidationResult>}>}
+   */
+  this['groups'] = [];
+
+  /**
+   * @type {!Object<string, number>}
+   */
+  this['counts'] = {'pass': 0, 'warn': 0, 'fail': 0};
+
+  /**
+   * @type {boolean}
+   */
+  this['showPassed'] = false;
+
+  /**
+   * @type {boolean}
+   */
+  this['loading'] = true;
+
+  /**
+   * @type {?string}
+   */
+  this['error'] = null;
+
+  this.provider_.validate().then(this.onResults_, this.onError_, this);
+
+  $scope.$on('$destroy', this.destroy_.bind(this));
+};
+
+
+/**
+ * The icons for each status.
+ * @type {!Object<string, string>}
+ * @const
+ */
+plugin.geopackage.ValidationUICtrl.ICONS = {
+  'pass': 'fa-check',
+  'warn': 'fa-exclamation-triangle',
+  'fail': 'fa-times'
+};
+
+
+/**
+ * The text classes for each status.
+ * @type {!Object<string, string>}
+ * @const
+ */
+plugin.geopackage.ValidationUICtrl.CLASSES = {
+  'pass': 'text-success',
+  'warn': 'text-warning',
+  'fail': 'text-danger'
+};
+
+
+/**
+ * @private
+ */
+plugin.geopackage.ValidationUICtrl.prototype.destroy_ = function() {
+  this.scope_ = null;
+};
+
+
+/**
+ * @param {!Array<GeoPackageValidationResult>} results The results
+ * @private
+ */
+plugin.geopackage.ValidationUICtrl.prototype.onResults_ = function(results) {
+  if (!this.scope_) {
+    return;
+  }
+
+  var groups = {};
+  var counts = {'pass': 0, 'warn': 0, 'fail': 0};
+
+  results.forEach(function(result) {
+    var label = result.tableName || 'GeoPackage';
+    groups[label] = groups[label] || {'label': label, 'results': []};
+    groups[label]['results'].push(result);
+    counts[result.status]++;
+  });
+
+  this['results'] = results;
+  this['groups'] = Object.keys(groups).map(function(label) {
+    return groups[label];
+  });
+  this['counts'] = counts;
+  this['loading'] = false;
+
+  // show everything when there is nothing wrong, so the report is not empty
+  this['showPassed'] = !counts['warn'] && !counts['fail'];
+
+  os.ui.apply(this.scope_);
+};
+
+
+/**
+ * @param {*} error The error
+ * @private
+ */
+plugin.geopackage.ValidationUICtrl.prototype.onError_ = function(error) {
+  if (this.scope_) {
+    this['loading'] = false;
+    this['error'] = error instanceof Error ? error.message : String(error);
+    os.ui.apply(this.scope_);
+  }
+};
+
+
+/**
+ * @param {GeoPackageValidationResult} result The result
+ * @return {string} The icon for the result
+ * @export
+ */
+plugin.geopackage.ValidationUICtrl.prototype.getIcon = function(result) {
+  return plugin.geopackage.ValidationUICtrl.ICONS[result.status] || '';
+};
+
+
+/**
+ * @param {GeoPackageValidationResult} result The result
+ * @return {string} The text class for the result
+ * @export
+ */
+plugin.geopackage.ValidationUICtrl.prototype.getClass = function(result) {
+  return plugin.geopackage.ValidationUICtrl.CLASSES[result.status] || '';
+};
+
+
+/**
+ * Save the report as a text file, to send to whoever made the GeoPackage.
+ * @export
+ */
+plugin.geopackage.ValidationUICtrl.prototype.save = function() {
+  var label = this.provider_.getLabel() || 'GeoPackage';
+  var lines = ['GeoPackage validation report for ' + label, 'Created ' + new Date().toISOString(), '',
+    'Passed: ' + this['counts']['pass'] + ', Warnings: ' + this['counts']['warn'] + ', Failed: ' +
+        this['counts']['fail']];
+
+  this['groups'].forEach(function(group) {
+    lines.push('', group['label']);
+
+    group['results'].forEach(function(result) {
+      lines.push('  ' + result.status.toUpperCase() + '  ' + result.check + ': ' + result.message);
+    });
+  });
+
+  var fileName = label.replace(/\.gpkg$/i, '') + '-validation.txt';
+  os.file.persist.saveFile(fileName, lines.join('\n') + '\n', 'text/plain');
+};
+
+
+/**
+ * @param {!plugin.geopackage.GeoPackageProvider} provider The provider
+ * @return {string} The window ID
+ * @private
+ */
+plugin.geopackage.ValidationUICtrl.getWindowId_ = function(provider) {
+  return 'gpkgValidation' + goog.string.hashCode(provider.getId());
+};
+
+
+/**
+ * Open the validation report for a GeoPackage, or bring it to the front if it is already open.
+ * @param {!plugin.geopackage.GeoPackageProvider} provider The provider
+ */
+plugin.geopackage.ValidationUICtrl.launch = function(provider) {
+  var id = plugin.geopackage.ValidationUICtrl.getWindowId_(provider);
+
+  if (os.ui.window.exists(id)) {
+    os.ui.window.bringToFront(id);
+    return;
+  }
+
+  var windowOptions = {
+    'id': id,
+    'label': 'Validation Report: ' + provider.getLabel(),
+    'icon': 'fa fa-check-square-o',
+    'x': 'center',
+    'y': 'center',
+    'width': '700',
+    'min-width': '400',
+    'max-width': '2000',
+    'height': '500',
+    'min-height': '250',
+    'max-height': '2000',
+    'show-close': 'true'
+  };
+
+  var template = '<gpkgvalidation provider="provider"></gpkgvalidation>';
+  os.ui.window.create(windowOptions, template, undefined, undefined, undefined, {
+    'provider': provider
+  });
+};
@@ -3,7 +3,11 @@ goog.provide('plugin.geopackage.VectorLayerConfig');
 goog.require('os.im.mapping.TimeType');
 goog.require('os.im.mapping.time.DateTimeMapping');
 goog.require('os.ogc.wfs.FeatureType');
+goog.require('os.ui.data.BaseProvider');
 goog.require('plugin.file.geojson.GeoJSONLayerConfig');
+goog.require('plugin.geopackage.Exporter');
+goog.require('plugin.geopackage.VectorSource');
+goog.require('plugin.geopackage.style');
 goog.require('plugin.ogc.wfs.WFSLayerConfig');
 
 
@@ -20,10 +24,116 @@ goog.inherits(plugin.geopackage.VectorLayerConfig, plugin.file.geojson.GeoJSONLa
 /**
  * @inheritDoc
  */
-plugin.geopackage.VectorLayerConfig.prototype.getLayer = function(source, options) {
-  var featureType = new os.ogc.wfs.FeatureType(
+plugin.geopackage.VectorLayerConfig.prototype.initializeConfig = function(options) {
+  plugin.geopackage.VectorLayerConfig.applyLayerStyle(options);
+  plugin.geopackage.VectorLayerConfig.base(this, 'initializeConfig', options);
+};
+
+
+/**
+ * Apply the layer style saved with a table when it was exported from OpenSphere, or the default table style from the
+ * NGA feature style extension if the table was styled by another application. Options that are already set, such as
+ * those restored from a saved state, take precedence.
+ * @param {Object<string, *>} options The layer options
+ */
+plugin.geopackage.VectorLayerConfig.applyLayerStyle = function(options) {
+  var layerStyle = /** @type {Object<string, *>|undefined} */ (options['layerStyle']);
+  var featureStyle = /** @type {GeoPackageStyle|undefined} */ (options['featureStyle']);
+
+  if (!layerStyle && featureStyle) {
+    layerStyle = plugin.geopackage.style.toLayerOptions(featureStyle);
+  }
+
+  if (layerStyle) {
+    for (var key in layerStyle) {
+      if (options[key] == null) {
+        options[key] = layerStyle[key];
+      }
+    }
+  }
+};
+
+
+/**
+ * @inheritDoc
+ */
+plugin.geopackage.VectorLayerConfig.prototype.getSource = function(options) {
+  var source = new plugin.geopackage.VectorSource(undefined);
+
+  if (options['animate']) {
+    var timeColumns = plugin.geopackage.VectorLayerConfig.getTimeColumns(options,
+        plugin.geopackage.VectorLayerConfig.createFeatureType(options));
+    source.setTimeColumns(timeColumns.start, timeColumns.end);
+  }
+
+  var tableName = /** @type {string|undefined} */ (options['tableName']);
+  var primaryKey = /** @type {string|undefined} */ (options['primaryKey']);
+
+  if (tableName && primaryKey) {
+    // write edits back to the table in the GeoPackage opened by the provider
+    var gpkgId = String(options['id']).split(os.ui.data.BaseProvider.ID_DELIMITER)[0];
+    var geometryColumn = options['geometryColumn'];
+    var columns = /** @type {Array<os.ogc.FeatureTypeColumn>} */ (options['dbColumns'] || []).map(function(col) {
+      return col.name;
+    }).filter(function(name) {
+      return name !== geometryColumn;
+    });
+
+    source.setEditable(gpkgId, tableName, primaryKey, columns);
+  }
+
+  return source;
+};
+
+
+/**
+ * @param {Object<string, *>} options The layer options
+ * @return {!os.ogc.wfs.FeatureType}
+ */
+plugin.geopackage.VectorLayerConfig.createFeatureType = function(options) {
+  return new os.ogc.wfs.FeatureType(
       /** @type {string} */ (options['id']),
       /** @type {Array<!os.ogc.FeatureTypeColumn>} */ (options['dbColumns']));
+};
+
+
+/**
+ * Get the start and end time columns for a layer. The columns written by the GeoPackage exporter are preferred over
+ * the columns detected by the feature type.
+ * @param {Object<string, *>} options The layer options
+ * @param {os.ogc.IFeatureType} featureType The feature type
+ * @return {{start: ?string, end: ?string}}
+ */
+plugin.geopackage.VectorLayerConfig.getTimeColumns = function(options, featureType) {
+  var startField = plugin.geopackage.Exporter.RECORD_TIME_START_FIELD;
+  var endField = plugin.geopackage.Exporter.RECORD_TIME_STOP_FIELD;
+  var columns = /** @type {Array<os.ogc.FeatureTypeColumn>} */ (options['dbColumns']) || [];
+
+  var hasColumn = function(name) {
+    return columns.some(function(col) {
+      return col.name === name;
+    });
+  };
+
+  if (hasColumn(startField)) {
+    return {
+      start: startField,
+      end: hasColumn(endField) ? endField : startField
+    };
+  }
+
+  return {
+    start: featureType.getStartDateColumnName() || null,
+    end: featureType.getEndDateColumnName() || null
+  };
+};
+
+
+/**
+ * @inheritDoc
+ */
+plugin.geopackage.VectorLayerConfig.prototype.getLayer = function(source, options) {
+  var featureType = plugin.geopackage.VectorLayerConfig.createFeatureType(options);
 
   var layer = plugin.geopackage.VectorLayerConfig.base(this, 'getLayer', source, options);
 
@@ -45,8 +155,9 @@ plugin.geopackage.VectorLayerConfig.prototype.addMappings = function(layer, opti
   var importer = /** @type {os.im.Importer} */ (source.getImporter());
 
   var execMappings = [];
-  var startField = featureType.getStartDateColumnName();
-  var endField = featureType.getEndDateColumnName();
+  var timeColumns = plugin.geopackage.VectorLayerConfig.getTimeColumns(options, featureType);
+  var startField = timeColumns.start;
+  var endField = timeColumns.end;
 
   if (animate && startField) {
     if (startField != endField) {
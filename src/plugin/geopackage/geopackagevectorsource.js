@@ -0,0 +1,389 @@
+goog.provide('plugin.geopackage.VectorSource');
+
+goog.require('goog.async.Delay');
+goog.require('ol.extent');
+goog.require('os.MapContainer');
+goog.require('os.MapEvent');
+goog.require('os.map');
+goog.require('os.source.Request');
+goog.require('os.style');
+goog.require('os.time.TimelineController');
+goog.require('os.time.TimelineEventType');
+goog.require('os.ui.filter.FilterManager');
+goog.require('os.ui.query.QueryManager');
+goog.require('plugin.geopackage.FeatureEditor');
+goog.require('plugin.geopackage.RequestHandler');
+goog.require('plugin.geopackage.style');
+
+
+/**
+ * Request source that loads GeoPackage features by the bbox strategy, querying only the features within the current
+ * view extent and querying again as the view moves outside of the last loaded extent. The filters applied to the
+ * layer are sent with the request so they can be run as a query against the table, and animated layers only query
+ * the features within the timeline range. Edits to the features can be written back to the table with
+ * {@link plugin.geopackage.VectorSource#setEditable}.
+ *
+ * @param {olx.source.VectorOptions=} opt_options
+ * @extends {os.source.Request}
+ * @constructor
+ */
+plugin.geopackage.VectorSource = function(opt_options) {
+  plugin.geopackage.VectorSource.base(this, 'constructor', opt_options);
+
+  /**
+   * The extent covered by the last request, in the map projection.
+   * @type {?ol.Extent}
+   * @private
+   */
+  this.loadedExtent_ = null;
+
+  /**
+   * Delay to avoid querying on every view change while the user pans and zooms.
+   * @type {goog.async.Delay}
+   * @private
+   */
+  this.extentDelay_ = new goog.async.Delay(this.onExtentDelay_, 500, this);
+
+  /**
+   * The OGC filter sent with the last request.
+   * @type {?string}
+   * @private
+   */
+  this.loadedFilter_ = null;
+
+  /**
+   * The column containing the feature start time (or instant).
+   * @type {?string}
+   * @private
+   */
+  this.startColumn_ = null;
+
+  /**
+   * The column containing the feature end time.
+   * @type {?string}
+   * @private
+   */
+  this.endColumn_ = null;
+
+  /**
+   * The time range sent with the last request.
+   * @type {?string}
+   * @private
+   */
+  this.loadedTime_ = null;
+
+  /**
+   * Writes edits to the features back to the table.
+   * @type {plugin.geopackage.FeatureEditor}
+   * @private
+   */
+  this.editor_ = null;
+
+  /**
+   * If the source is being cleared.
+   * @type {boolean}
+   * @private
+   */
+  this.clearing_ = false;
+
+  os.MapContainer.getInstance().listen(os.MapEvent.VIEW_CHANGE, this.onViewChange_, false, this);
+  os.ui.queryManager.listen(goog.events.EventType.CHANGE, this.onQueryChange_, false, this);
+};
+goog.inherits(plugin.geopackage.VectorSource, os.source.Request);
+
+
+/**
+ * Ratio of the view size to add around the view extent when querying, so small pans do not trigger a new query.
+ * @type {number}
+ * @const
+ */
+plugin.geopackage.VectorSource.EXTENT_BUFFER = 0.25;
+
+
+/**
+ * @inheritDoc
+ */
+plugin.geopackage.VectorSource.prototype.disposeInternal = function() {
+  os.MapContainer.getInstance().unlisten(os.MapEvent.VIEW_CHANGE, this.onViewChange_, false, this);
+  os.ui.queryManager.unlisten(goog.events.EventType.CHANGE, this.onQueryChange_, false, this);
+  this.setTimeColumns(null);
+
+  goog.dispose(this.extentDelay_);
+  this.extentDelay_ = null;
+
+  goog.dispose(this.editor_);
+  this.editor_ = null;
+
+  plugin.geopackage.VectorSource.base(this, 'disposeInternal');
+};
+
+
+/**
+ * @inheritDoc
+ */
+plugin.geopackage.VectorSource.prototype.setRequest = function(request) {
+  if (request) {
+    this.updateRequestExtent_(request);
+    this.updateRequestFilter_(request);
+    this.updateRequestTime_(request);
+  }
+
+  plugin.geopackage.VectorSource.base(this, 'setRequest', request);
+};
+
+
+/**
+ * @inheritDoc
+ */
+plugin.geopackage.VectorSource.prototype.clear = function(opt_fast) {
+  this.clearing_ = true;
+  plugin.geopackage.VectorSource.base(this, 'clear', opt_fast);
+  this.clearing_ = false;
+};
+
+
+/**
+ * Remove features from the source. Removed features are deleted from the table when editing is enabled.
+ * @param {Array<!ol.Feature>} features The features
+ * @override
+ */
+plugin.geopackage.VectorSource.prototype.removeFeatures = function(features) {
+  if (this.editor_ && !this.clearing_ && features.length) {
+    this.editor_.deleteFeatures(features);
+  }
+
+  plugin.geopackage.VectorSource.base(this, 'removeFeatures', features);
+};
+
+
+/**
+ * Apply the style read from the NGA feature style extension to a feature. Features without their own style use the
+ * layer style.
+ * @param {!ol.Feature} feature The feature
+ * @override
+ */
+plugin.geopackage.VectorSource.prototype.processFeature = function(feature) {
+  var style = /** @type {GeoPackageStyle|undefined} */ (feature.get(plugin.geopackage.style.FEATURE_FIELD));
+
+  if (style) {
+    feature.unset(plugin.geopackage.style.FEATURE_FIELD, true);
+    feature.set(os.style.StyleType.FEATURE, plugin.geopackage.style.toConfig(style), true);
+  }
+
+  plugin.geopackage.VectorSource.base(this, 'processFeature', feature);
+};
+
+
+/**
+ * Enable writing edits to the features back to a table in the open GeoPackage.
+ * @param {string} gpkgId The ID of the open GeoPackage in the worker
+ * @param {string} tableName The feature table name
+ * @param {string} primaryKey The primary key column
+ * @param {Array<string>} columns The table columns to write, excluding the geometry
+ */
+plugin.geopackage.VectorSource.prototype.setEditable = function(gpkgId, tableName, primaryKey, columns) {
+  goog.dispose(this.editor_);
+  this.editor_ = new plugin.geopackage.FeatureEditor(this, gpkgId, tableName, primaryKey, columns);
+};
+
+
+/**
+ * Set the columns compared with the timeline range. Features are only queried by time if a start column is set.
+ * @param {?string} startColumn The start (or instant) column
+ * @param {?string=} opt_endColumn The end column
+ */
+plugin.geopackage.VectorSource.prototype.setTimeColumns = function(startColumn, opt_endColumn) {
+  var tlc = os.time.TimelineController.getInstance();
+
+  if (this.startColumn_) {
+    tlc.unlisten(os.time.TimelineEventType.RESET, this.onTimelineReset_, false, this);
+  }
+
+  this.startColumn_ = startColumn;
+  this.endColumn_ = opt_endColumn || null;
+
+  if (this.startColumn_) {
+    tlc.listen(os.time.TimelineEventType.RESET, this.onTimelineReset_, false, this);
+  }
+};
+
+
+/**
+ * Get the extent to query, in the map projection.
+ * @return {?ol.Extent}
+ * @private
+ */
+plugin.geopackage.VectorSource.prototype.getQueryExtent_ = function() {
+  var extent = os.MapContainer.getInstance().getViewExtent();
+
+  if (extent && !ol.extent.isEmpty(extent)) {
+    var buffer = Math.max(ol.extent.getWidth(extent), ol.extent.getHeight(extent)) *
+        plugin.geopackage.VectorSource.EXTENT_BUFFER;
+    extent = ol.extent.getIntersection(ol.extent.buffer(extent, buffer), os.map.PROJECTION.getExtent());
+  }
+
+  return extent && !ol.extent.isEmpty(extent) ? extent : null;
+};
+
+
+/**
+ * Set the query extent on the request URI. If the view extent is not available, the whole table will be requested.
+ * @param {os.net.Request} request
+ * @private
+ */
+plugin.geopackage.VectorSource.prototype.updateRequestExtent_ = function(request) {
+  var uri = request.getUri();
+  var extent = this.getQueryExtent_();
+
+  if (extent) {
+    uri.setParameterValue(plugin.geopackage.RequestHandler.BBOX_PARAM, extent.join(','));
+    uri.setParameterValue(plugin.geopackage.RequestHandler.SRS_PARAM, os.map.PROJECTION.getCode());
+  } else {
+    uri.removeParameter(plugin.geopackage.RequestHandler.BBOX_PARAM);
+    uri.removeParameter(plugin.geopackage.RequestHandler.SRS_PARAM);
+  }
+
+  this.loadedExtent_ = extent;
+};
+
+
+/**
+ * Get the OGC filter for the filters enabled on the layer.
+ * @return {?string}
+ * @private
+ */
+plugin.geopackage.VectorSource.prototype.getFilter_ = function() {
+  var layerId = this.getId();
+  var filters = (os.ui.filterManager.getFilters(layerId) || []).filter(function(entry) {
+    return os.ui.filterManager.isEnabled(entry, layerId);
+  }).map(function(entry) {
+    return entry.getFilter();
+  });
+
+  if (filters.length > 1) {
+    var group = os.ui.filterManager.getGrouping(layerId) ? 'And' : 'Or';
+    return '<' + group + '>' + filters.join('') + '</' + group + '>';
+  }
+
+  return filters[0] || null;
+};
+
+
+/**
+ * Set the layer filter on the request URI.
+ * @param {os.net.Request} request
+ * @private
+ */
+plugin.geopackage.VectorSource.prototype.updateRequestFilter_ = function(request) {
+  var uri = request.getUri();
+  var filter = this.getFilter_();
+
+  if (filter) {
+    uri.setParameterValue(plugin.geopackage.RequestHandler.FILTER_PARAM, filter);
+  } else {
+    uri.removeParameter(plugin.geopackage.RequestHandler.FILTER_PARAM);
+  }
+
+  this.loadedFilter_ = filter;
+};
+
+
+/**
+ * Query the table again when the filters for the layer change.
+ * @private
+ */
+plugin.geopackage.VectorSource.prototype.onQueryChange_ = function() {
+  var request = this.getRequest();
+
+  if (request && this.getFilter_() !== this.loadedFilter_) {
+    this.updateRequestFilter_(request);
+
+    // features loaded with the old filter may not match the new one
+    this.clear();
+    this.refresh();
+  }
+};
+
+
+/**
+ * Get the timeline range as an ISO 8601 interval.
+ * @return {?string}
+ * @private
+ */
+plugin.geopackage.VectorSource.prototype.getTime_ = function() {
+  if (!this.startColumn_) {
+    return null;
+  }
+
+  var tlc = os.time.TimelineController.getInstance();
+  return new Date(tlc.getStart()).toISOString() + '/' + new Date(tlc.getEnd()).toISOString();
+};
+
+
+/**
+ * Set the timeline range on the request URI.
+ * @param {os.net.Request} request
+ * @private
+ */
+plugin.geopackage.VectorSource.prototype.updateRequestTime_ = function(request) {
+  var uri = request.getUri();
+  var time = this.getTime_();
+
+  if (time) {
+    var columns = this.endColumn_ && this.endColumn_ != this.startColumn_ ?
+      [this.startColumn_, this.endColumn_] : [this.startColumn_];
+    uri.setParameterValue(plugin.geopackage.RequestHandler.TIME_PARAM, time);
+    uri.setParameterValue(plugin.geopackage.RequestHandler.TIME_COLUMNS_PARAM, columns.join(','));
+  } else {
+    uri.removeParameter(plugin.geopackage.RequestHandler.TIME_PARAM);
+    uri.removeParameter(plugin.geopackage.RequestHandler.TIME_COLUMNS_PARAM);
+  }
+
+  this.loadedTime_ = time;
+};
+
+
+/**
+ * Query the table again when the timeline range changes.
+ * @private
+ */
+plugin.geopackage.VectorSource.prototype.onTimelineReset_ = function() {
+  var request = this.getRequest();
+
+  if (request && this.getTime_() !== this.loadedTime_) {
+    this.updateRequestTime_(request);
+
+    // drop the features from the old range so long archives do not accumulate in memory
+    this.clear();
+    this.refresh();
+  }
+};
+
+
+/**
+ * Handle map view changes.
+ * @private
+ */
+plugin.geopackage.VectorSource.prototype.onViewChange_ = function() {
+  // the whole table has been loaded if there is no loaded extent
+  if (this.loadedExtent_ && this.extentDelay_) {
+    var extent = os.MapContainer.getInstance().getViewExtent();
+    if (extent && !ol.extent.containsExtent(this.loadedExtent_, extent)) {
+      this.extentDelay_.start();
+    }
+  }
+};
+
+
+/**
+ * Query the new view extent.
+ * @private
+ */
+plugin.geopackage.VectorSource.prototype.onExtentDelay_ = function() {
+  var request = this.getRequest();
+
+  if (request) {
+    this.updateRequestExtent_(request);
+    this.refresh();
+  }
+};
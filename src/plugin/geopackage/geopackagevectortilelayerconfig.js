@@ -0,0 +1,202 @@
+goog.provide('plugin.geopackage.VectorTileLayerConfig');
+
+goog.require('goog.color');
+goog.require('goog.log');
+goog.require('ol.color');
+goog.require('ol.format.MVT');
+goog.require('ol.proj');
+goog.require('ol.source.VectorTile');
+goog.require('ol.style.Circle');
+goog.require('ol.style.Fill');
+goog.require('ol.style.Stroke');
+goog.require('ol.style.Style');
+goog.require('ol.tilegrid.TileGrid');
+goog.require('os.layer.VectorTile');
+goog.require('os.layer.config.AbstractLayerConfig');
+goog.require('os.map');
+goog.require('os.ui.data.BaseProvider');
+goog.require('plugin.geopackage');
+goog.require('plugin.geopackage.Client');
+
+
+/**
+ * Creates a vector tile layer from a GeoPackage table of Mapbox vector tiles. Each layer in the tiles is drawn in its
+ * own color.
+ *
+ * @extends {os.layer.config.AbstractLayerConfig}
+ * @constructor
+ */
+plugin.geopackage.VectorTileLayerConfig = function() {
+  plugin.geopackage.VectorTileLayerConfig.base(this, 'constructor');
+};
+goog.inherits(plugin.geopackage.VectorTileLayerConfig, os.layer.config.AbstractLayerConfig);
+
+
+/**
+ * The opacity of polygon fills, relative to the layer color.
+ * @type {number}
+ * @const
+ */
+plugin.geopackage.VectorTileLayerConfig.FILL_OPACITY = 0.25;
+
+
+/**
+ * @inheritDoc
+ */
+plugin.geopackage.VectorTileLayerConfig.prototype.createLayer = function(options) {
+  this.initializeConfig(options);
+
+  var parts = options['id'].split(os.ui.data.BaseProvider.ID_DELIMITER);
+  var projection = ol.proj.get(/** @type {string|undefined} */ (options['projection']) || os.map.PROJECTION);
+
+  var source = new ol.source.VectorTile(/** @type {olx.source.VectorTileOptions} */ ({
+    'format': new ol.format.MVT(),
+    'projection': projection,
+    'tileLoadFunction': plugin.geopackage.VectorTileLayerConfig.getTileLoadFunction_(parts[0]),
+    'tileUrlFunction': plugin.geopackage.VectorTileLayerConfig.getTileUrlFunction_(parts[1]),
+    'tileGrid': new ol.tilegrid.TileGrid(/** @type {olx.tilegrid.TileGridOptions} */ ({
+      'extent': options['extent'],
+      'minZoom': Math.max(0, Math.round(options['minZoom'])),
+      'resolutions': options['resolutions'],
+      'tileSizes': options['tileSizes']
+    })),
+    'wrapX': projection.isGlobal()
+  }));
+
+  var layer = new os.layer.VectorTile(/** @type {olx.layer.VectorTileOptions} */ ({
+    'source': source,
+    'style': plugin.geopackage.VectorTileLayerConfig.createStyleFunction(
+        /** @type {Array<string>|undefined} */ (options['vectorLayers']))
+  }));
+
+  layer.setId(this.id);
+  layer.restore(options);
+
+  return layer;
+};
+
+
+/**
+ * Get the color for a layer in the vector tiles. Hues are spread by the golden angle, so neighboring layers are easy
+ * to tell apart.
+ * @param {number} index The index of the layer
+ * @return {string} The hex color
+ */
+plugin.geopackage.VectorTileLayerConfig.getLayerColor = function(index) {
+  return goog.color.hslToHex((index * 137.508) % 360, 0.65, 0.5);
+};
+
+
+/**
+ * Create the style function for a vector tile layer. Layers listed by the table keep the same color each time the
+ * table is opened, and unlisted layers are assigned colors as they are drawn.
+ * @param {Array<string>=} opt_layerNames The layer names listed by the table
+ * @return {ol.StyleFunction}
+ */
+plugin.geopackage.VectorTileLayerConfig.createStyleFunction = function(opt_layerNames) {
+  var layerNames = opt_layerNames ? opt_layerNames.slice() : [];
+  var styles = {};
+
+  return (
+    /**
+     * @param {ol.Feature|ol.render.Feature} feature The feature
+     * @param {number} resolution The resolution
+     * @return {ol.style.Style}
+     */
+    function(feature, resolution) {
+      var layerName = /** @type {string} */ (feature.get('layer')) || '';
+
+      if (!styles[layerName]) {
+        var index = layerNames.indexOf(layerName);
+        if (index < 0) {
+          index = layerNames.push(layerName) - 1;
+        }
+
+        var rgb = goog.color.hexToRgb(plugin.geopackage.VectorTileLayerConfig.getLayerColor(index));
+        var color = ol.color.asString(rgb.concat(1));
+        var fill = new ol.style.Fill({
+          color: ol.color.asString(rgb.concat(plugin.geopackage.VectorTileLayerConfig.FILL_OPACITY))
+        });
+
+        styles[layerName] = new ol.style.Style({
+          fill: fill,
+          stroke: new ol.style.Stroke({color: color, width: 1.5}),
+          image: new ol.style.Circle({
+            fill: new ol.style.Fill({color: color}),
+            radius: 3
+          })
+        });
+      }
+
+      return styles[layerName];
+    });
+};
+
+
+/**
+ * @param {string} providerId
+ * @return {!ol.TileLoadFunctionType}
+ * @private
+ */
+plugin.geopackage.VectorTileLayerConfig.getTileLoadFunction_ = function(providerId) {
+  return (
+    /**
+     * @param {ol.Tile} tile The vector tile
+     * @param {string} layerName The layer name
+     */
+    function(tile, layerName) {
+      var vectorTile = /** @type {ol.VectorTile} */ (tile);
+
+      vectorTile.setLoader(function() {
+        plugin.geopackage.Client.getInstance().getVectorTile(providerId, layerName, vectorTile.getTileCoord()).then(
+            function(data) {
+              plugin.geopackage.VectorTileLayerConfig.onTile_(vectorTile, data);
+            },
+            function(e) {
+              vectorTile.onError();
+              goog.log.error(plugin.geopackage.LOGGER, 'Error querying vector tile from GeoPackage: ' +
+                  (e instanceof Error ? e.message : e));
+            });
+      });
+    });
+};
+
+
+/**
+ * @param {string} layerName The table name for the layer
+ * @return {ol.TileUrlFunctionType}
+ * @private
+ */
+plugin.geopackage.VectorTileLayerConfig.getTileUrlFunction_ = function(layerName) {
+  return (
+    /**
+     * @param {ol.TileCoord} tileCoord The tile coordinate
+     * @param {number} pixelRatio The tile pixel ratio
+     * @param {ol.proj.Projection} projection The projection
+     * @return {string|undefined} Tile URL
+     */
+    function(tileCoord, pixelRatio, projection) {
+      return layerName;
+    });
+};
+
+
+/**
+ * @param {ol.VectorTile} tile The vector tile
+ * @param {ArrayBuffer|Array<number>|undefined} data The tile bytes from the worker
+ * @private
+ */
+plugin.geopackage.VectorTileLayerConfig.onTile_ = function(tile, data) {
+  if (data) {
+    var buffer = goog.isArray(data) ?
+      // node process path
+      Uint8Array.from(/** @type {!Array<number>} */ (data)).buffer :
+      /** @type {ArrayBuffer} */ (data);
+
+    var format = /** @type {ol.format.MVT} */ (tile.getFormat());
+    tile.onLoad(format.readFeatures(buffer), format.readProjection(buffer), format.getLastExtent());
+  } else {
+    // there is no tile at this coordinate
+    tile.setFeatures([]);
+  }
+};
@@ -0,0 +1,296 @@
+goog.provide('plugin.geopackage.menu');
+
+goog.require('goog.asserts');
+goog.require('ol.layer.Tile');
+goog.require('os.MapContainer');
+goog.require('os.data.ConfigDescriptor');
+goog.require('os.ui.data.BaseProvider');
+goog.require('os.ui.menu.layer');
+goog.require('plugin.geopackage');
+goog.require('plugin.geopackage.GeoPackageProvider');
+goog.require('plugin.geopackage.SqlUICtrl');
+goog.require('plugin.geopackage.TerrainProvider');
+goog.require('plugin.geopackage.TileExportUICtrl');
+goog.require('plugin.geopackage.ValidationUICtrl');
+
+
+/**
+ * @enum {string}
+ */
+plugin.geopackage.menu.EventType = {
+  DOWNLOAD: 'geopackage:download',
+  EXPORT_TILES: 'geopackage:exportTiles',
+  SQL: 'geopackage:sql',
+  USE_TERRAIN: 'geopackage:useTerrain',
+  STOP_TERRAIN: 'geopackage:stopTerrain',
+  VALIDATE: 'geopackage:validate'
+};
+
+
+/**
+ * Add GeoPackage items to the layer menu.
+ */
+plugin.geopackage.menu.setup = function() {
+  var menu = os.ui.menu.layer.MENU;
+
+  if (menu && !menu.getRoot().find(plugin.geopackage.menu.EventType.DOWNLOAD)) {
+    var group = menu.getRoot().find(os.ui.menu.layer.GroupLabel.TOOLS);
+    goog.asserts.assert(group, 'Group "' + os.ui.menu.layer.GroupLabel.TOOLS + '" should exist!');
+
+    group.addChild({
+      label: 'Save GeoPackage',
+      eventType: plugin.geopackage.menu.EventType.DOWNLOAD,
+      tooltip: 'Saves the GeoPackage with any edits made to its layers',
+      icons: ['<i class="fa fa-fw fa-download"></i>'],
+      beforeRender: plugin.geopackage.menu.visibleIfInMemory_,
+      handler: plugin.geopackage.menu.onDownload_
+    });
+
+    group.addChild({
+      label: 'Validate GeoPackage',
+      eventType: plugin.geopackage.menu.EventType.VALIDATE,
+      tooltip: 'Checks the GeoPackage against the GeoPackage specification',
+      icons: ['<i class="fa fa-fw fa-check-square-o"></i>'],
+      beforeRender: plugin.geopackage.menu.visibleIfGeoPackage_,
+      handler: plugin.geopackage.menu.onValidate_
+    });
+
+    group.addChild({
+      label: 'Query GeoPackage with SQL',
+      eventType: plugin.geopackage.menu.EventType.SQL,
+      tooltip: 'Runs read-only SQL queries against the GeoPackage',
+      icons: ['<i class="fa fa-fw fa-database"></i>'],
+      beforeRender: plugin.geopackage.menu.visibleIfGeoPackage_,
+      handler: plugin.geopackage.menu.onSql_
+    });
+
+    group.addChild({
+      label: 'Export Tiles to GeoPackage',
+      eventType: plugin.geopackage.menu.EventType.EXPORT_TILES,
+      tooltip: 'Saves the tiles for the layer in the current view to a GeoPackage for offline use',
+      icons: ['<i class="fa fa-fw fa-th"></i>'],
+      beforeRender: plugin.geopackage.menu.visibleIfTileLayer_,
+      handler: plugin.geopackage.menu.onExportTiles_
+    });
+
+    group.addChild({
+      label: 'Use for 3D Terrain',
+      eventType: plugin.geopackage.menu.EventType.USE_TERRAIN,
+      tooltip: 'Uses the elevations in the layer for the terrain of the 3D view',
+      icons: ['<i class="fa fa-fw fa-area-chart"></i>'],
+      beforeRender: plugin.geopackage.menu.visibleIfTerrainInactive_,
+      handler: plugin.geopackage.menu.onUseTerrain_
+    });
+
+    group.addChild({
+      label: 'Stop Using for 3D Terrain',
+      eventType: plugin.geopackage.menu.EventType.STOP_TERRAIN,
+      tooltip: 'Restores the previous terrain of the 3D view',
+      icons: ['<i class="fa fa-fw fa-area-chart"></i>'],
+      beforeRender: plugin.geopackage.menu.visibleIfTerrainActive_,
+      handler: plugin.geopackage.menu.onStopTerrain_
+    });
+  }
+};
+
+
+/**
+ * Get the provider for the single GeoPackage layer in a layer menu context.
+ * @param {os.ui.menu.layer.Context} context The menu context
+ * @return {plugin.geopackage.GeoPackageProvider}
+ */
+plugin.geopackage.menu.getProvider = function(context) {
+  var layers = os.ui.menu.layer.getLayersFromContext(context);
+
+  if (layers.length === 1) {
+    var id = layers[0].getId().split(os.ui.data.BaseProvider.ID_DELIMITER)[0];
+    var provider = os.dataManager.getProvider(id);
+
+    if (provider instanceof plugin.geopackage.GeoPackageProvider) {
+      return provider;
+    }
+  }
+
+  return null;
+};
+
+
+/**
+ * Show the menu item for GeoPackages that are open in memory. Edits to file-backed GeoPackages are already saved.
+ * @param {os.ui.menu.layer.Context} context The menu context
+ * @this {os.ui.menu.MenuItem}
+ * @private
+ */
+plugin.geopackage.menu.visibleIfInMemory_ = function(context) {
+  var provider = plugin.geopackage.menu.getProvider(context);
+  this.visible = !!provider && !provider.isFileBacked();
+};
+
+
+/**
+ * @param {os.ui.menu.MenuEvent<os.ui.menu.layer.Context>} event The menu event
+ * @private
+ */
+plugin.geopackage.menu.onDownload_ = function(event) {
+  var provider = plugin.geopackage.menu.getProvider(event.getContext());
+
+  if (provider) {
+    provider.download();
+  }
+};
+
+
+/**
+ * Show the menu item for a single layer from a GeoPackage.
+ * @param {os.ui.menu.layer.Context} context The menu context
+ * @this {os.ui.menu.MenuItem}
+ * @private
+ */
+plugin.geopackage.menu.visibleIfGeoPackage_ = function(context) {
+  this.visible = !!plugin.geopackage.menu.getProvider(context);
+};
+
+
+/**
+ * @param {os.ui.menu.MenuEvent<os.ui.menu.layer.Context>} event The menu event
+ * @private
+ */
+plugin.geopackage.menu.onValidate_ = function(event) {
+  var provider = plugin.geopackage.menu.getProvider(event.getContext());
+
+  if (provider) {
+    plugin.geopackage.ValidationUICtrl.launch(provider);
+  }
+};
+
+
+/**
+ * @param {os.ui.menu.MenuEvent<os.ui.menu.layer.Context>} event The menu event
+ * @private
+ */
+plugin.geopackage.menu.onSql_ = function(event) {
+  var provider = plugin.geopackage.menu.getProvider(event.getContext());
+
+  if (provider) {
+    plugin.geopackage.SqlUICtrl.launch(provider);
+  }
+};
+
+
+/**
+ * Get the single tile layer in a layer menu context.
+ * @param {os.ui.menu.layer.Context} context The menu context
+ * @return {ol.layer.Tile}
+ */
+plugin.geopackage.menu.getTileLayer = function(context) {
+  var layers = os.ui.menu.layer.getLayersFromContext(context);
+  return layers.length === 1 && layers[0] instanceof ol.layer.Tile ? /** @type {ol.layer.Tile} */ (layers[0]) : null;
+};
+
+
+/**
+ * Show the menu item for a single tile layer.
+ * @param {os.ui.menu.layer.Context} context The menu context
+ * @this {os.ui.menu.MenuItem}
+ * @private
+ */
+plugin.geopackage.menu.visibleIfTileLayer_ = function(context) {
+  this.visible = !!plugin.geopackage.menu.getTileLayer(context);
+};
+
+
+/**
+ * @param {os.ui.menu.MenuEvent<os.ui.menu.layer.Context>} event The menu event
+ * @private
+ */
+plugin.geopackage.menu.onExportTiles_ = function(event) {
+  var layer = plugin.geopackage.menu.getTileLayer(event.getContext());
+
+  if (layer) {
+    plugin.geopackage.TileExportUICtrl.launch(layer);
+  }
+};
+
+
+/**
+ * Get the layer config of the single elevation layer in a layer menu context.
+ * @param {os.ui.menu.layer.Context} context The menu context
+ * @return {Object<string, *>} The layer config, or null if the context is not a single elevation layer
+ */
+plugin.geopackage.menu.getElevationConfig = function(context) {
+  var layers = os.ui.menu.layer.getLayersFromContext(context);
+
+  if (layers.length === 1) {
+    var descriptor = os.dataManager.getDescriptor(layers[0].getId());
+
+    if (descriptor instanceof os.data.ConfigDescriptor) {
+      var config = descriptor.getBaseConfig();
+
+      if (config && config['type'] === plugin.geopackage.ID + '-elevation') {
+        return config;
+      }
+    }
+  }
+
+  return null;
+};
+
+
+/**
+ * @param {Object<string, *>} config The layer config
+ * @return {boolean} If the 3D view uses the layer for its terrain
+ * @private
+ */
+plugin.geopackage.menu.isActiveTerrain_ = function(config) {
+  var active = plugin.geopackage.TerrainProvider.getActive();
+  return !!active && config['id'] === active.getProviderId() + os.ui.data.BaseProvider.ID_DELIMITER +
+      active.getTableName();
+};
+
+
+/**
+ * Show the menu item for a single elevation layer in 3D that is not used for the terrain.
+ * @param {os.ui.menu.layer.Context} context The menu context
+ * @this {os.ui.menu.MenuItem}
+ * @private
+ */
+plugin.geopackage.menu.visibleIfTerrainInactive_ = function(context) {
+  var config = plugin.geopackage.menu.getElevationConfig(context);
+  this.visible = !!config && os.MapContainer.getInstance().is3DEnabled() &&
+      !plugin.geopackage.menu.isActiveTerrain_(config);
+};
+
+
+/**
+ * Show the menu item for a single elevation layer in 3D that is used for the terrain.
+ * @param {os.ui.menu.layer.Context} context The menu context
+ * @this {os.ui.menu.MenuItem}
+ * @private
+ */
+plugin.geopackage.menu.visibleIfTerrainActive_ = function(context) {
+  var config = plugin.geopackage.menu.getElevationConfig(context);
+  this.visible = !!config && os.MapContainer.getInstance().is3DEnabled() &&
+      plugin.geopackage.menu.isActiveTerrain_(config);
+};
+
+
+/**
+ * @param {os.ui.menu.MenuEvent<os.ui.menu.layer.Context>} event The menu event
+ * @private
+ */
+plugin.geopackage.menu.onUseTerrain_ = function(event) {
+  var config = plugin.geopackage.menu.getElevationConfig(event.getContext());
+
+  if (config) {
+    plugin.geopackage.TerrainProvider.setActive(plugin.geopackage.TerrainProvider.fromConfig(config));
+  }
+};
+
+
+/**
+ * @param {os.ui.menu.MenuEvent<os.ui.menu.layer.Context>} event The menu event
+ * @private
+ */
+plugin.geopackage.menu.onStopTerrain_ = function(event) {
+  plugin.geopackage.TerrainProvider.setActive(null);
+};
@@ -0,0 +1,150 @@
+goog.provide('plugin.geopackage.metadata');
+
+goog.require('goog.string');
+
+
+/**
+ * The standard URI of the provenance metadata written for exported GeoPackages and tables. This must match
+ * `PROVENANCE_URI` in the worker.
+ * @type {string}
+ * @const
+ */
+plugin.geopackage.metadata.PROVENANCE_URI = 'https://github.com/ngageoint/opensphere-plugin-geopackage#provenance';
+
+
+/**
+ * Settings keys for the provenance written by exports.
+ * @enum {string}
+ */
+plugin.geopackage.metadata.SettingsKey = {
+  AUTHOR: 'plugin.geopackage.author',
+  CLASSIFICATION: 'plugin.geopackage.classification'
+};
+
+
+/**
+ * Names of common metadata standards, by a fragment of their URI.
+ * @type {!Object<string, string>}
+ * @const
+ */
+plugin.geopackage.metadata.STANDARDS = {
+  'isotc211.org': 'ISO 19115',
+  'fgdc.gov': 'FGDC',
+  'dublincore.org': 'Dublin Core',
+  'purl.org/dc': 'Dublin Core'
+};
+
+
+/**
+ * Labels for the provenance fields.
+ * @type {!Object<string, string>}
+ * @const
+ */
+plugin.geopackage.metadata.PROVENANCE_LABELS = {
+  'author': 'Author',
+  'classification': 'Classification',
+  'source': 'Source Layer',
+  'exported': 'Exported'
+};
+
+
+/**
+ * Get the provenance to write with an export, from the author and classification in the settings.
+ * @param {string=} opt_source The title of the exported layer, if the provenance is for a table
+ * @return {GeoPackageProvenance}
+ */
+plugin.geopackage.metadata.getProvenance = function(opt_source) {
+  var SettingsKey = plugin.geopackage.metadata.SettingsKey;
+
+  return /** @type {GeoPackageProvenance} */ ({
+    author: /** @type {string} */ (os.settings.get(SettingsKey.AUTHOR, '')) || undefined,
+    classification: /** @type {string} */ (os.settings.get(SettingsKey.CLASSIFICATION, '')) || undefined,
+    source: opt_source || undefined,
+    exported: new Date().toISOString()
+  });
+};
+
+
+/**
+ * @param {string} uri The standard URI
+ * @return {string} The name of the standard, or the URI if it is not known
+ */
+plugin.geopackage.metadata.getStandardName = function(uri) {
+  if (uri === plugin.geopackage.metadata.PROVENANCE_URI) {
+    return 'Provenance';
+  }
+
+  for (var fragment in plugin.geopackage.metadata.STANDARDS) {
+    if (uri.indexOf(fragment) > -1) {
+      return plugin.geopackage.metadata.STANDARDS[fragment];
+    }
+  }
+
+  return uri;
+};
+
+
+/**
+ * Format the value of a metadata record as HTML. Provenance is shown as a list of fields, other JSON is indented, and
+ * anything else (such as ISO or FGDC XML) is shown as text.
+ * @param {GeoPackageMetadata} record The record
+ * @return {string}
+ */
+plugin.geopackage.metadata.formatValue = function(record) {
+  var value = record.metadata || '';
+
+  if (record.mimeType === 'application/json') {
+    try {
+      var json = JSON.parse(value);
+
+      if (record.standardUri === plugin.geopackage.metadata.PROVENANCE_URI) {
+        var labels = plugin.geopackage.metadata.PROVENANCE_LABELS;
+        var rows = Object.keys(labels).filter(function(key) {
+          return json[key] != null && json[key] !== '';
+        }).map(function(key) {
+          return '<tr><th class="pr-2">' + labels[key] + '</th><td>' + goog.string.htmlEscape(String(json[key])) +
+              '</td></tr>';
+        });
+
+        return '<table class="small">' + rows.join('') + '</table>';
+      }
+
+      value = JSON.stringify(json, null, 2);
+    } catch (e) {
+      // show the text as it is
+    }
+  }
+
+  return '<pre class="small text-wrap mb-0">' + goog.string.htmlEscape(value) + '</pre>';
+};
+
+
+/**
+ * Format metadata records as HTML, for the Add Data info panel.
+ * @param {Array<GeoPackageMetadata>|undefined} records The records
+ * @param {string} title The heading for the records
+ * @return {string} The HTML, or an empty string if there are no records
+ */
+plugin.geopackage.metadata.toHtml = function(records, title) {
+  if (!records || !records.length) {
+    return '';
+  }
+
+  var html = records.map(function(record) {
+    var heading = goog.string.htmlEscape(plugin.geopackage.metadata.getStandardName(record.standardUri || ''));
+
+    if (record.columnName) {
+      heading += ' (column ' + goog.string.htmlEscape(record.columnName) + ')';
+    }
+
+    if (record.rowId != null) {
+      heading += ' (row ' + record.rowId + ')';
+    }
+
+    return '<div class="mb-2"><div><strong>' + heading + '</strong> <small class="text-muted">' +
+        goog.string.htmlEscape(record.scope || '') + ', ' + goog.string.htmlEscape(record.timestamp || '') +
+        '</small></div>' + plugin.geopackage.metadata.formatValue(record) + '</div>';
+  }).join('');
+
+  return '<h6 class="mt-2">' + title + '</h6>' + html;
+};
@@ -0,0 +1,167 @@
+goog.provide('plugin.geopackage.reproject');
+
+goog.require('goog.Promise');
+goog.require('goog.log');
+goog.require('ol');
+goog.require('ol.proj');
+goog.require('os.map');
+goog.require('os.proj');
+goog.require('plugin.geopackage');
+
+
+/**
+ * Get the projection of a table, registering its definition with proj4 if the projection is not already known.
+ * @param {string|undefined} code The projection code, such as `EPSG:26711`
+ * @param {string=} opt_definition The proj4 string or WKT for the projection, from the worker
+ * @return {ol.proj.Projection} The projection, or null if it is not known and cannot be registered
+ */
+plugin.geopackage.reproject.registerProjection = function(code, opt_definition) {
+  if (!code) {
+    return null;
+  }
+
+  var projection = ol.proj.get(code);
+
+  if (!projection && opt_definition) {
+    try {
+      proj4.defs(code, opt_definition);
+      projection = ol.proj.get(code);
+
+      // proj4 keeps some definitions it cannot use, so make sure it can transform with this one
+      if (projection) {
+        ol.proj.transform([0, 0], os.proj.EPSG4326, projection);
+      }
+    } catch (e) {
+      goog.log.warning(plugin.geopackage.LOGGER, 'Unable to register the ' + code + ' projection: ' + e);
+      projection = null;
+    }
+  }
+
+  return projection;
+};
+
+
+/**
+ * If the map can display tiles in a projection. Tiles in other projections are reprojected by the worker.
+ * @param {ol.proj.Projection} projection The projection
+ * @return {boolean}
+ */
+plugin.geopackage.reproject.canDisplay = function(projection) {
+  return !!projection && (ol.ENABLE_RASTER_REPROJECTION ||
+      ol.proj.equivalent(projection, ol.proj.get(os.map.PROJECTION)));
+};
+
+
+/**
+ * Warp source pixels into a target image. The source pixel for each target pixel is interpolated from the grid of
+ * source pixels at the corners of the grid cell it is in. Target pixels in cells with a missing corner, or outside
+ * the source, are left as they are.
+ * @param {{width: number, height: number, data: !Uint8ClampedArray}} source The source image data
+ * @param {{width: number, height: number, data: !Uint8ClampedArray}} target The target image data
+ * @param {!Array<?number>} grid The source pixel (x, y) of each grid point, by row from the top left
+ * @param {number} gridSize The number of cells along each side of the grid
+ */
+plugin.geopackage.reproject.warp = function(source, target, grid, gridSize) {
+  var stride = gridSize + 1;
+
+  for (var y = 0; y < target.height; y++) {
+    var gridY = (y + 0.5) / target.height * gridSize;
+    var row = Math.min(Math.floor(gridY), gridSize - 1);
+    var fy = gridY - row;
+
+    for (var x = 0; x < target.width; x++) {
+      var gridX = (x + 0.5) / target.width * gridSize;
+      var column = Math.min(Math.floor(gridX), gridSize - 1);
+      var fx = gridX - column;
+
+      var a = (row * stride + column) * 2;
+      var b = a + 2;
+      var c = a + stride * 2;
+      var d = c + 2;
+
+      if (grid[a] == null || grid[b] == null || grid[c] == null || grid[d] == null) {
+        continue;
+      }
+
+      var sourceX = Math.floor((grid[a] * (1 - fx) + grid[b] * fx) * (1 - fy) +
+          (grid[c] * (1 - fx) + grid[d] * fx) * fy);
+      var sourceY = Math.floor((grid[a + 1] * (1 - fx) + grid[b + 1] * fx) * (1 - fy) +
+          (grid[c + 1] * (1 - fx) + grid[d + 1] * fx) * fy);
+
+      if (sourceX >= 0 && sourceX < source.width && sourceY >= 0 && sourceY < source.height) {
+        var from = (sourceY * source.width + sourceX) * 4;
+        var to = (y * target.width + x) * 4;
+
+        for (var i = 0; i < 4; i++) {
+          target.data[to + i] = source.data[from + i];
+        }
+      }
+    }
+  }
+};
+
+
+/**
+ * Load the image of a tile posted by the worker.
+ * @param {string|Array<number>} data The object URL from a web worker, or the tile bytes from the Electron worker
+ * @return {!goog.Promise<Image>} The image, or null if it could not be loaded
+ * @private
+ */
+plugin.geopackage.reproject.loadImage_ = function(data) {
+  var url = goog.isString(data) ? data :
+    URL.createObjectURL(new Blob([new Uint8Array(Int32Array.from(/** @type {!Array<number>} */ (data)))]));
+
+  return new goog.Promise(function(resolve) {
+    var image = new Image();
+
+    /**
+     * @param {Event} event The load or error event
+     */
+    var onLoad = function(event) {
+      URL.revokeObjectURL(url);
+      resolve(event.type === 'load' ? image : null);
+    };
+
+    image.addEventListener('load', onLoad);
+    image.addEventListener('error', onLoad);
+    image.src = url;
+  });
+};
+
+
+/**
+ * Draw a tile from the source tiles posted by the worker. The source tiles are drawn in a mosaic, which is warped to
+ * the tile.
+ * @param {GeoPackageReprojectedTile} data The source tiles
+ * @param {number} width The tile width
+ * @param {number} height The tile height
+ * @return {!goog.Promise<!HTMLCanvasElement>} The tile
+ */
+plugin.geopackage.reproject.render = function(data, width, height) {
+  return goog.Promise.all(data.tiles.map(function(tile) {
+    return plugin.geopackage.reproject.loadImage_(tile.data);
+  })).then(function(images) {
+    var mosaic = /** @type {!HTMLCanvasElement} */ (document.createElement('canvas'));
+    mosaic.width = data.width;
+    mosaic.height = data.height;
+
+    var mosaicContext = mosaic.getContext('2d');
+    images.forEach(function(image, i) {
+      if (image) {
+        mosaicContext.drawImage(image, data.tiles[i].x, data.tiles[i].y);
+      }
+    });
+
+    var canvas = /** @type {!HTMLCanvasElement} */ (document.createElement('canvas'));
+    canvas.width = width;
+    canvas.height = height;
+
+    var context = canvas.getContext('2d');
+    var imageData = context.createImageData(width, height);
+    plugin.geopackage.reproject.warp(mosaicContext.getImageData(0, 0, data.width, data.height), imageData, data.grid,
+        data.gridSize);
+
+    context.putImageData(imageData, 0, 0);
+    return canvas;
+  });
+};
@@ -0,0 +1,273 @@
+goog.provide('plugin.geopackage.style');
+
+goog.require('goog.Promise');
+goog.require('goog.color');
+goog.require('goog.log');
+goog.require('ol.color');
+goog.require('os.style');
+goog.require('os.style.StyleManager');
+goog.require('plugin.geopackage');
+
+
+/**
+ * Logger
+ * @type {goog.log.Logger}
+ * @private
+ * @const
+ */
+plugin.geopackage.style.LOGGER_ = goog.log.getLogger('plugin.geopackage.style');
+
+
+/**
+ * The standard URI of the `gpkg_metadata` rows that hold OpenSphere layer style options for a table. The worker
+ * looks for the same URI when listing tables.
+ * @type {string}
+ * @const
+ */
+plugin.geopackage.style.METADATA_URI = 'https://github.com/ngageoint/opensphere-plugin-geopackage#layer-style';
+
+
+/**
+ * The feature property holding the style read from the NGA feature style extension. The worker looks for the same
+ * property name when reading features.
+ * @type {string}
+ * @const
+ */
+plugin.geopackage.style.FEATURE_FIELD = '_gpkgStyle';
+
+
+/**
+ * The persisted vector layer options that make up the layer style.
+ * @type {!Array<string>}
+ * @const
+ */
+plugin.geopackage.style.LAYER_OPTIONS = ['color', 'fillColor', 'fillOpacity', 'size', 'icon', 'shape', 'centerShape',
+  'lineDash', 'labelColor', 'labelSize', 'labels', 'showLabels'];
+
+
+/**
+ * Get the style options for a layer, to restore the layer style when the table is imported.
+ * @param {os.layer.ILayer} layer The layer
+ * @return {Object<string, *>} The style options, or null if the layer has none
+ */
+plugin.geopackage.style.getLayerOptions = function(layer) {
+  var persisted = layer.persist();
+  var options = null;
+
+  plugin.geopackage.style.LAYER_OPTIONS.forEach(function(key) {
+    if (persisted[key] != null) {
+      options = options || {};
+      options[key] = persisted[key];
+    }
+  });
+
+  return options;
+};
+
+
+/**
+ * Get the style config for a layer.
+ * @param {string} layerId The layer ID
+ * @return {Object<string, *>} The style config
+ */
+plugin.geopackage.style.getLayerConfig = function(layerId) {
+  return os.style.StyleManager.getInstance().getLayerConfig(layerId) || null;
+};
+
+
+/**
+ * Get the style config set on a feature, which overrides the layer style.
+ * @param {ol.Feature} feature The feature
+ * @return {Object<string, *>} The style config, or null if the feature uses the layer style
+ */
+plugin.geopackage.style.getFeatureConfig = function(feature) {
+  var config = feature.get(os.style.StyleType.FEATURE);
+  return /** @type {Object<string, *>} */ (goog.isArray(config) ? config[0] : config) || null;
+};
+
+
+/**
+ * Get the icon URL in a style config.
+ * @param {Object<string, *>} config The style config
+ * @return {string|undefined} The URL, or undefined if the config does not use an icon
+ */
+plugin.geopackage.style.getIconUrl = function(config) {
+  var image = config ? config['image'] : null;
+  return image && image['type'] === 'icon' && image['src'] ? /** @type {string} */ (image['src']) : undefined;
+};
+
+
+/**
+ * Convert an OpenSphere style config to a GeoPackage style. The stroke color falls back to the point color, so
+ * points styled as shapes keep their color.
+ * @param {Object<string, *>} config The style config
+ * @param {Object<string, ?{data: !Uint8Array, width: number, height: number}>=} opt_icons Loaded icons, by URL
+ * @return {?GeoPackageStyle} The style, or null if the config has no colors or icon
+ */
+plugin.geopackage.style.fromConfig = function(config, opt_icons) {
+  if (!config) {
+    return null;
+  }
+
+  var style = /** @type {GeoPackageStyle} */ ({});
+  var image = config['image'];
+  var stroke = config['stroke'];
+  var fill = config['fill'];
+
+  var setColor = function(color, colorField, opacityField) {
+    if (color) {
+      var rgba = ol.color.asArray(/** @type {Array<number>|string} */ (color));
+      style[colorField] = goog.color.rgbArrayToHex(rgba.slice(0, 3)).toUpperCase();
+      style[opacityField] = rgba[3];
+    }
+  };
+
+  setColor(stroke && stroke['color'] || image && (image['color'] || image['fill'] && image['fill']['color']),
+      'color', 'opacity');
+  setColor(fill && fill['color'], 'fillColor', 'fillOpacity');
+
+  if (stroke && stroke['width'] != null) {
+    style.width = /** @type {number} */ (stroke['width']);
+  }
+
+  var url = plugin.geopackage.style.getIconUrl(config);
+  var icon = url && opt_icons ? opt_icons[url] : null;
+
+  if (icon) {
+    var scale = /** @type {number|undefined} */ (image['scale']) || 1;
+    var anchor = /** @type {Array<number>|undefined} */ (image['anchor']) || [0.5, 0.5];
+
+    style.icon = /** @type {GeoPackageIcon} */ ({
+      url: url,
+      width: Math.round(icon.width * scale),
+      height: Math.round(icon.height * scale),
+      anchorU: anchor[0],
+      anchorV: anchor[1]
+    });
+  }
+
+  return style.color || style.fillColor || style.icon ? style : null;
+};
+
+
+/**
+ * Load an icon to write to a GeoPackage.
+ * @param {string} url The icon URL
+ * @return {!goog.Promise<?{data: !Uint8Array, width: number, height: number}>} The PNG bytes and size of the icon,
+ *     or null if the icon could not be loaded
+ */
+plugin.geopackage.style.loadIcon = function(url) {
+  return new goog.Promise(function(resolve) {
+    var image = new Image();
+    image.crossOrigin = 'anonymous';
+
+    /**
+     * Encode the loaded icon.
+     */
+    image.onload = function() {
+      try {
+        resolve({
+          data: plugin.geopackage.encodePNG(image, image.naturalWidth, image.naturalHeight),
+          width: image.naturalWidth,
+          height: image.naturalHeight
+        });
+      } catch (e) {
+        // icons from other origins without CORS headers cannot be read back from the canvas
+        goog.log.warning(plugin.geopackage.style.LOGGER_, 'Could not read icon ' + url + ': ' + e);
+        resolve(null);
+      }
+    };
+
+    /**
+     * Skip icons that fail to load.
+     */
+    image.onerror = function() {
+      goog.log.warning(plugin.geopackage.style.LOGGER_, 'Could not load icon ' + url);
+      resolve(null);
+    };
+
+    image.src = url;
+  });
+};
+
+
+/**
+ * @param {string|undefined} hex The hex color
+ * @param {number|undefined} opacity The opacity
+ * @return {string|undefined} The rgba color, or undefined if there is no color
+ * @private
+ */
+plugin.geopackage.style.toRgba_ = function(hex, opacity) {
+  if (hex) {
+    return ol.color.asString(goog.color.hexToRgb(hex).concat(opacity != null ? opacity : 1));
+  }
+};
+
+
+/**
+ * Convert a GeoPackage style to an OpenSphere feature style config. Icons are shown in their own colors.
+ * @param {GeoPackageStyle} style The style
+ * @return {!Object<string, *>} The style config
+ */
+plugin.geopackage.style.toConfig = function(style) {
+  var config = {};
+  var color = plugin.geopackage.style.toRgba_(style.color, style.opacity);
+  var fillColor = plugin.geopackage.style.toRgba_(style.fillColor, style.fillOpacity);
+
+  if (color) {
+    config['image'] = {'fill': {'color': color}};
+    config['stroke'] = {'color': color};
+
+    if (style.width != null) {
+      config['stroke']['width'] = style.width;
+    }
+  }
+
+  if (fillColor) {
+    config['fill'] = {'color': fillColor};
+  }
+
+  if (style.icon) {
+    config['image'] = {
+      'type': 'icon',
+      'src': style.icon.url,
+      'scale': style.icon.scale || 1,
+      'anchor': [style.icon.anchorU, style.icon.anchorV],
+      'color': 'rgba(255,255,255,1)'
+    };
+  }
+
+  return config;
+};
+
+
+/**
+ * Convert the default style of a GeoPackage table to vector layer options.
+ * @param {GeoPackageStyle} style The style
+ * @return {!Object<string, *>} The layer options
+ */
+plugin.geopackage.style.toLayerOptions = function(style) {
+  var options = {};
+  var color = plugin.geopackage.style.toRgba_(style.color, style.opacity);
+  var fillColor = plugin.geopackage.style.toRgba_(style.fillColor, style.fillOpacity);
+
+  if (color) {
+    options['color'] = color;
+  }
+
+  if (fillColor) {
+    options['fillColor'] = fillColor;
+    options['fillOpacity'] = style.fillOpacity != null ? style.fillOpacity : 1;
+  }
+
+  if (style.width != null) {
+    options['size'] = style.width;
+  }
+
+  if (style.icon) {
+    options['icon'] = {'path': style.icon.url};
+    options['shape'] = os.style.ShapeType.ICON;
+  }
+
+  return options;
+};
@@ -0,0 +1,310 @@
+goog.provide('plugin.geopackage.TileCache');
+
+goog.require('goog.Promise');
+goog.require('goog.array');
+goog.require('goog.async.Delay');
+goog.require('plugin.geopackage');
+goog.require('plugin.geopackage.Client');
+
+
+/**
+ * Cache of the tile images read from GeoPackage tile tables, shared by every layer, so the 2D and 3D views and
+ * layers of the same table do not read a tile from the worker again. The least recently used tiles are dropped when
+ * the images are larger than the cache size in the settings.
+ *
+ * Requests for a tile that is already being read share the request. Tiles requested together are read in batches, so
+ * the worker is sent one message for each batch of tiles from a table rather than one for each tile.
+ *
+ * @constructor
+ */
+plugin.geopackage.TileCache = function() {
+  /**
+   * The cached tiles, by tile key.
+   * @type {!Object<string, plugin.geopackage.CachedTile>}
+   * @private
+   */
+  this.tiles_ = {};
+
+  /**
+   * The keys of the cached tiles, least recently used first.
+   * @type {!Array<string>}
+   * @private
+   */
+  this.keys_ = [];
+
+  /**
+   * The size of the cached tiles, in bytes.
+   * @type {number}
+   * @private
+   */
+  this.bytes_ = 0;
+
+  /**
+   * @type {number}
+   * @private
+   */
+  this.maxBytes_ = Math.max(0, /** @type {number} */ (os.settings.get(plugin.geopackage.TileCache.SIZE_KEY,
+      plugin.geopackage.TileCache.DEFAULT_SIZE))) * 1024 * 1024;
+
+  /**
+   * The tiles being read from the worker, by tile key.
+   * @type {!Object<string, {id: string, promise: !goog.Promise<Blob>}>}
+   * @private
+   */
+  this.pending_ = {};
+
+  /**
+   * The tiles waiting to be sent to the worker, by GeoPackage ID and table.
+   * @type {!Object<string, plugin.geopackage.TileBatch>}
+   * @private
+   */
+  this.batches_ = {};
+
+  /**
+   * Sends the waiting tiles once the tiles requested together have been added.
+   * @type {goog.async.Delay}
+   * @private
+   */
+  this.sendDelay_ = new goog.async.Delay(this.send_, 0, this);
+};
+goog.addSingletonGetter(plugin.geopackage.TileCache);
+
+
+/**
+ * A cached tile image, which is null where the table has no tile.
+ * @typedef {{
+ *   id: string,
+ *   blob: Blob,
+ *   size: number
+ * }}
+ */
+plugin.geopackage.CachedTile;
+
+
+/**
+ * Tiles from a table waiting to be sent to the worker.
+ * @typedef {{
+ *   id: string,
+ *   tableName: string,
+ *   tileCoords: !Array<ol.TileCoord>,
+ *   resolvers: !Array<!goog.promise.Resolver>
+ * }}
+ */
+plugin.geopackage.TileBatch;
+
+
+/**
+ * Settings key for the size of the cache, in megabytes. This is read when the first GeoPackage is opened.
+ * @type {string}
+ * @const
+ */
+plugin.geopackage.TileCache.SIZE_KEY = 'plugin.geopackage.tileCacheSize';
+
+
+/**
+ * The default size of the cache, in megabytes.
+ * @type {number}
+ * @const
+ */
+plugin.geopackage.TileCache.DEFAULT_SIZE = 64;
+
+
+/**
+ * The most tiles to read in one message to the worker.
+ * @type {number}
+ * @const
+ */
+plugin.geopackage.TileCache.BATCH_SIZE = 16;
+
+
+/**
+ * Get a tile image from a tile table.
+ * @param {string} id The GeoPackage ID
+ * @param {string} tableName The table
+ * @param {ol.TileCoord} tileCoord The tile coordinate
+ * @return {!goog.Promise<Blob>} The image, or null if the table has no tile at the coordinate. The image is shared, so
+ *     it should not be changed.
+ */
+plugin.geopackage.TileCache.prototype.getTile = function(id, tableName, tileCoord) {
+  var key = plugin.geopackage.TileCache.getKey_(id, tableName, tileCoord);
+
+  var tile = this.tiles_[key];
+  if (tile) {
+    goog.array.remove(this.keys_, key);
+    this.keys_.push(key);
+    return goog.Promise.resolve(tile.blob);
+  }
+
+  if (!this.pending_[key]) {
+    var batchKey = id + '/' + tableName;
+    var batch = this.batches_[batchKey];
+    if (!batch) {
+      batch = this.batches_[batchKey] = /** @type {plugin.geopackage.TileBatch} */ ({
+        id: id,
+        tableName: tableName,
+        tileCoords: [],
+        resolvers: []
+      });
+    }
+
+    var resolver = goog.Promise.withResolver();
+    batch.tileCoords.push(tileCoord.slice());
+    batch.resolvers.push(resolver);
+
+    var promise = resolver.promise.then(function(data) {
+      var blob = plugin.geopackage.TileCache.toBlob_(/** @type {ArrayBuffer|Array<number>} */ (data));
+
+      // the tile is not kept if the cache was cleared while it was read
+      if (this.pending_[key] && this.pending_[key].promise === promise) {
+        delete this.pending_[key];
+        this.add_(key, id, blob);
+      }
+
+      return blob;
+    }, function(e) {
+      if (this.pending_[key] && this.pending_[key].promise === promise) {
+        delete this.pending_[key];
+      }
+
+      throw e;
+    }, this);
+
+    this.pending_[key] = {id: id, promise: promise};
+    this.sendDelay_.start();
+  }
+
+  return this.pending_[key].promise;
+};
+
+
+/**
+ * Drop the cached tiles for a GeoPackage, such as when it is closed or opened again. Tiles being read when the cache
+ * is cleared are not cached.
+ * @param {string=} opt_id The GeoPackage ID. Every tile is dropped by default.
+ */
+plugin.geopackage.TileCache.prototype.clear = function(opt_id) {
+  this.keys_ = this.keys_.filter(function(key) {
+    var tile = this.tiles_[key];
+    if (opt_id == null || tile.id === opt_id) {
+      this.bytes_ -= tile.size;
+      delete this.tiles_[key];
+      return false;
+    }
+
+    return true;
+  }, this);
+
+  for (var key in this.pending_) {
+    if (opt_id == null || this.pending_[key].id === opt_id) {
+      delete this.pending_[key];
+    }
+  }
+};
+
+
+/**
+ * Get the size of the cached tiles.
+ * @return {number} The size, in bytes
+ */
+plugin.geopackage.TileCache.prototype.getBytes = function() {
+  return this.bytes_;
+};
+
+
+/**
+ * Cache a tile, dropping the least recently used tiles to keep the cache under its size.
+ * @param {string} key The tile key
+ * @param {string} id The GeoPackage ID
+ * @param {Blob} blob The image
+ * @private
+ */
+plugin.geopackage.TileCache.prototype.add_ = function(key, id, blob) {
+  var size = (blob ? blob.size : 0) + key.length * 2;
+  if (size > this.maxBytes_) {
+    return;
+  }
+
+  this.tiles_[key] = /** @type {plugin.geopackage.CachedTile} */ ({
+    id: id,
+    blob: blob,
+    size: size
+  });
+  this.keys_.push(key);
+  this.bytes_ += size;
+
+  while (this.bytes_ > this.maxBytes_) {
+    var oldKey = this.keys_.shift();
+    this.bytes_ -= this.tiles_[oldKey].size;
+    delete this.tiles_[oldKey];
+  }
+};
+
+
+/**
+ * Send the waiting tiles to the worker.
+ * @private
+ */
+plugin.geopackage.TileCache.prototype.send_ = function() {
+  var batches = this.batches_;
+  this.batches_ = {};
+
+  var size = plugin.geopackage.TileCache.BATCH_SIZE;
+
+  for (var batchKey in batches) {
+    var batch = batches[batchKey];
+
+    for (var i = 0; i < batch.tileCoords.length; i += size) {
+      this.sendBatch_(batch.id, batch.tableName, batch.tileCoords.slice(i, i + size),
+          batch.resolvers.slice(i, i + size));
+    }
+  }
+};
+
+
+/**
+ * Read a batch of tiles from the worker.
+ * @param {string} id The GeoPackage ID
+ * @param {string} tableName The table
+ * @param {!Array<ol.TileCoord>} tileCoords The tile coordinates
+ * @param {!Array<!goog.promise.Resolver>} resolvers The resolver for each tile
+ * @private
+ */
+plugin.geopackage.TileCache.prototype.sendBatch_ = function(id, tableName, tileCoords, resolvers) {
+  plugin.geopackage.Client.getInstance().getTiles(id, tableName, tileCoords).then(function(tiles) {
+    resolvers.forEach(function(resolver, i) {
+      resolver.resolve(tiles[i]);
+    });
+  }, function(e) {
+    resolvers.forEach(function(resolver) {
+      resolver.reject(e);
+    });
+  });
+};
+
+
+/**
+ * @param {string} id The GeoPackage ID
+ * @param {string} tableName The table
+ * @param {ol.TileCoord} tileCoord The tile coordinate
+ * @return {string} The tile key
+ * @private
+ */
+plugin.geopackage.TileCache.getKey_ = function(id, tableName, tileCoord) {
+  return id + '/' + tableName + '/' + tileCoord.join('/');
+};
+
+
+/**
+ * @param {ArrayBuffer|Array<number>} data The image bytes from a web worker, or the Electron worker
+ * @return {Blob} The image
+ * @private
+ */
+plugin.geopackage.TileCache.toBlob_ = function(data) {
+  if (data instanceof ArrayBuffer) {
+    return new Blob([data]);
+  } else if (goog.isArray(data)) {
+    return new Blob([new Uint8Array(/** @type {!Array<number>} */ (data))]);
+  }
+
+  return null;
+};
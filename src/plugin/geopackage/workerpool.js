@@ -0,0 +1,351 @@
+goog.provide('plugin.geopackage.WorkerPool');
+
+goog.require('goog.events.EventType');
+goog.require('plugin.geopackage');
+
+
+/**
+ * A pool of GeoPackage workers that looks like a single worker. Each GeoPackage is opened in one worker, chosen when
+ * its first message is sent, and its messages always go to that worker. Responses from every worker are passed to the
+ * message listeners of the pool.
+ *
+ * Messages are scheduled per GeoPackage. Tile and elevation requests are sent right away. Feature loads, exports,
+ * downloads and validation are background requests: only one per GeoPackage is sent to the worker at a time, so tile
+ * and elevation requests do not wait behind a backlog of them in the worker. Other messages keep their order with the background requests.
+ *
+ * @param {number} size The most workers to start
+ * @param {function():!Worker} createWorker Function to start a worker
+ * @constructor
+ */
+plugin.geopackage.WorkerPool = function(size, createWorker) {
+  /**
+   * @type {number}
+   * @private
+   */
+  this.size_ = Math.max(1, Math.floor(size) || 1);
+
+  /**
+   * @type {function():!Worker}
+   * @private
+   */
+  this.createWorker_ = createWorker;
+
+  /**
+   * The started workers, with the number of GeoPackages open in each.
+   * @type {!Array<{worker: !Worker, databases: number}>}
+   * @private
+   */
+  this.slots_ = [];
+
+  /**
+   * The worker slot of each GeoPackage, by ID.
+   * @type {!Object<string, {worker: !Worker, databases: number}>}
+   * @private
+   */
+  this.affinity_ = {};
+
+  /**
+   * The messages waiting to be sent for each GeoPackage, and the scheduler and request IDs of the background request
+   * the worker is busy with, by GeoPackage ID.
+   * @type {!Object<string, plugin.geopackage.WorkerQueue>}
+   * @private
+   */
+  this.queues_ = {};
+
+  /**
+   * @type {!Array<function((Event|GeoPackageWorkerResponse))>}
+   * @private
+   */
+  this.listeners_ = [];
+
+  /**
+   * @type {number}
+   * @private
+   */
+  this.nextSchedulerId_ = 1;
+};
+
+
+/**
+ * The messages waiting to be sent for a GeoPackage, and the scheduler and request IDs of the background request the
+ * worker is busy with.
+ * @typedef {{
+ *   messages: !Array<{msg: GeoPackageWorkerMessage, transfer: (Array<Transferable>|undefined)}>,
+ *   pending: ?number,
+ *   requestId: (string|undefined)
+ * }}
+ */
+plugin.geopackage.WorkerQueue;
+
+
+/**
+ * Settings key for the number of workers. This is read when the first GeoPackage message is sent.
+ * @type {string}
+ * @const
+ */
+plugin.geopackage.WorkerPool.SIZE_KEY = 'plugin.geopackage.workers';
+
+
+/**
+ * Get the number of workers to start when it is not configured. One core is left for the application, and no more
+ * than four workers are started by default, as each one loads the GeoPackage library.
+ * @return {number}
+ */
+plugin.geopackage.WorkerPool.getDefaultSize = function() {
+  return Math.max(1, Math.min(4, (navigator.hardwareConcurrency || 2) - 1));
+};
+
+
+/**
+ * Message types for tiles and elevations, which are sent as soon as they are posted so the map and terrain do not wait
+ * on background requests.
+ * @type {!Array<string>}
+ * @const
+ */
+plugin.geopackage.WorkerPool.TILE_TYPES = [
+  plugin.geopackage.MsgType.GET_TILE,
+  plugin.geopackage.MsgType.GET_TILES,
+  plugin.geopackage.MsgType.GET_REPROJECTED_TILE,
+  plugin.geopackage.MsgType.GET_VECTOR_TILE,
+  plugin.geopackage.MsgType.GET_COVERAGE_TILE,
+  plugin.geopackage.MsgType.GET_COVERAGE_GRID,
+  plugin.geopackage.MsgType.GET_ELEVATIONS
+];
+
+
+/**
+ * Message types for background requests, which are sent one at a time for each GeoPackage.
+ * @type {!Array<string>}
+ * @const
+ */
+plugin.geopackage.WorkerPool.BACKGROUND_TYPES = [
+  plugin.geopackage.MsgType.GET_FEATURES,
+  plugin.geopackage.MsgType.QUERY_FEATURES,
+  plugin.geopackage.MsgType.EXPORT,
+  plugin.geopackage.MsgType.DOWNLOAD,
+  plugin.geopackage.MsgType.VALIDATE
+];
+
+
+/**
+ * Message types for streamed features, which are finished when the worker sends a success with no features.
+ * @type {!Array<string>}
+ * @const
+ */
+plugin.geopackage.WorkerPool.STREAM_TYPES = [
+  plugin.geopackage.MsgType.GET_FEATURES,
+  plugin.geopackage.MsgType.QUERY_FEATURES
+];
+
+
+/**
+ * Add a listener for the responses of every worker.
+ * @param {string} type The event type. Only message events are passed on from the workers.
+ * @param {function((Event|GeoPackageWorkerResponse))} listener The listener
+ */
+plugin.geopackage.WorkerPool.prototype.addEventListener = function(type, listener) {
+  if (type === goog.events.EventType.MESSAGE && this.listeners_.indexOf(listener) < 0) {
+    this.listeners_.push(listener);
+  }
+};
+
+
+/**
+ * Remove a listener for the responses of every worker.
+ * @param {string} type The event type
+ * @param {function((Event|GeoPackageWorkerResponse))} listener The listener
+ */
+plugin.geopackage.WorkerPool.prototype.removeEventListener = function(type, listener) {
+  if (type === goog.events.EventType.MESSAGE) {
+    var index = this.listeners_.indexOf(listener);
+    if (index > -1) {
+      this.listeners_.splice(index, 1);
+    }
+  }
+};
+
+
+/**
+ * Send a message to the worker for its GeoPackage. Messages without a GeoPackage ID are sent to every worker, starting
+ * one if none has started.
+ * @param {GeoPackageWorkerMessage} msg The message
+ * @param {Array<Transferable>=} opt_transfer Objects to transfer to the worker, such as the GeoPackage contents
+ */
+plugin.geopackage.WorkerPool.prototype.postMessage = function(msg, opt_transfer) {
+  if (!msg.id) {
+    // messages that are not for a GeoPackage need a worker to answer them
+    if (!this.slots_.length) {
+      this.startWorker_();
+    }
+
+    this.slots_.forEach(function(slot) {
+      slot.worker.postMessage(msg);
+    });
+  } else if (plugin.geopackage.WorkerPool.TILE_TYPES.indexOf(msg.type) > -1) {
+    this.getSlot_(msg.id).worker.postMessage(msg, opt_transfer);
+  } else if (msg.type === plugin.geopackage.MsgType.CANCEL) {
+    this.cancel_(msg);
+  } else {
+    if (!this.queues_[msg.id]) {
+      this.queues_[msg.id] = /** @type {plugin.geopackage.WorkerQueue} */ ({
+        messages: [],
+        pending: null,
+        requestId: undefined
+      });
+    }
+
+    this.queues_[msg.id].messages.push({msg: msg, transfer: opt_transfer});
+    this.dispatch_(msg.id);
+  }
+};
+
+
+/**
+ * Get the number of started workers.
+ * @return {number}
+ */
+plugin.geopackage.WorkerPool.prototype.getWorkerCount = function() {
+  return this.slots_.length;
+};
+
+
+/**
+ * Get the worker slot for a GeoPackage. New GeoPackages go to a new worker until the pool is full, and then to the
+ * worker with the fewest open GeoPackages.
+ * @param {string} id The GeoPackage ID
+ * @return {{worker: !Worker, databases: number}}
+ * @private
+ */
+plugin.geopackage.WorkerPool.prototype.getSlot_ = function(id) {
+  var slot = this.affinity_[id];
+
+  if (!slot) {
+    this.slots_.forEach(function(candidate) {
+      if (!slot || candidate.databases < slot.databases) {
+        slot = candidate;
+      }
+    });
+
+    if (!slot || (slot.databases > 0 && this.slots_.length < this.size_)) {
+      slot = this.startWorker_();
+    }
+
+    slot.databases++;
+    this.affinity_[id] = slot;
+  }
+
+  return slot;
+};
+
+
+/**
+ * Start a worker.
+ * @return {{worker: !Worker, databases: number}} The slot for the worker
+ * @private
+ */
+plugin.geopackage.WorkerPool.prototype.startWorker_ = function() {
+  var slot = {worker: this.createWorker_(), databases: 0};
+  slot.worker.addEventListener(goog.events.EventType.MESSAGE, this.onMessage_.bind(this, slot));
+  this.slots_.push(slot);
+
+  return slot;
+};
+
+
+/**
+ * Send the queued messages for a GeoPackage, up to the next background request or close if the worker is busy with
+ * a background request.
+ * @param {string} id The GeoPackage ID
+ * @private
+ */
+plugin.geopackage.WorkerPool.prototype.dispatch_ = function(id) {
+  var queue = this.queues_[id];
+
+  while (queue && queue.messages.length) {
+    var msg = queue.messages[0].msg;
+    var transfer = queue.messages[0].transfer;
+    var isClose = msg.type === plugin.geopackage.MsgType.CLOSE;
+    var isBackground = plugin.geopackage.WorkerPool.BACKGROUND_TYPES.indexOf(msg.type) > -1;
+
+    if ((isClose || isBackground) && queue.pending != null) {
+      break;
+    }
+
+    queue.messages.shift();
+
+    if (isBackground) {
+      msg.schedulerId = this.nextSchedulerId_++;
+      queue.pending = msg.schedulerId;
+      queue.requestId = msg.requestId;
+    }
+
+    if (isClose) {
+      // the next message for the GeoPackage opens it again, possibly in another worker
+      var slot = this.affinity_[id];
+      if (slot) {
+        slot.worker.postMessage(msg);
+        slot.databases--;
+        delete this.affinity_[id];
+      }
+    } else {
+      this.getSlot_(id).worker.postMessage(msg, transfer);
+    }
+  }
+
+  if (queue && !queue.messages.length && queue.pending == null) {
+    delete this.queues_[id];
+  }
+};
+
+
+/**
+ * Cancel a request. Queued messages for the request are dropped, and a request the worker is streaming no longer
+ * holds up the queue, as the worker stops without a response.
+ * @param {GeoPackageWorkerMessage} msg The cancel message
+ * @private
+ */
+plugin.geopackage.WorkerPool.prototype.cancel_ = function(msg) {
+  var queue = this.queues_[msg.id];
+
+  if (queue) {
+    queue.messages = queue.messages.filter(function(queued) {
+      return !msg.requestId || queued.msg.requestId !== msg.requestId;
+    });
+  }
+
+  var slot = this.affinity_[msg.id];
+  if (slot) {
+    slot.worker.postMessage(msg);
+  }
+
+  if (queue && queue.pending != null && msg.requestId && queue.requestId === msg.requestId) {
+    queue.pending = null;
+  }
+
+  this.dispatch_(msg.id);
+};
+
+
+/**
+ * @param {{worker: !Worker, databases: number}} slot The worker slot
+ * @param {Event|GeoPackageWorkerResponse} evt The message event from a web worker, or the message from a process
+ * @private
+ */
+plugin.geopackage.WorkerPool.prototype.onMessage_ = function(slot, evt) {
+  var msg = /** @type {GeoPackageWorkerResponse} */ (evt instanceof Event ? evt.data : evt);
+  var request = msg && msg.message;
+
+  this.listeners_.slice().forEach(function(listener) {
+    listener(evt);
+  });
+
+  if (request && request.schedulerId != null) {
+    var queue = this.queues_[request.id];
+
+    if (queue && queue.pending === request.schedulerId && (msg.type === plugin.geopackage.MsgType.ERROR ||
+        plugin.geopackage.WorkerPool.STREAM_TYPES.indexOf(request.type) < 0 || msg.data === 0)) {
+      queue.pending = null;
+      this.dispatch_(request.id);
+    }
+  }
+};
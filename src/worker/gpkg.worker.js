@@ -37,13 +37,21 @@ var isWin = function() {
 
 
 /**
- * @param {string} reason
+ * @param {*} reason The reason, or the error that was thrown
  * @param {GeoPackageWorkerMessage} originalMsg
  */
 var handleError = function(reason, originalMsg) {
   // don't send anything potentially large back in the error message
   delete originalMsg.data;
 
+  // errors do not survive being sent from the Electron worker, so send their message
+  reason = reason instanceof Error ? reason.message : String(reason);
+
+  if (originalMsg.type === 'export') {
+    // the export stops when a command fails, so forget the styles written for it
+    delete exportStyles[originalMsg.id];
+  }
+
   postMessage({type: MsgType.ERROR, reason: reason, message: originalMsg});
 };
 
@@ -51,19 +59,21 @@ var handleError = function(reason, originalMsg) {
 /**
  * @param {GeoPackageWorkerMessage} originalMsg
  * @param {*=} opt_data
+ * @param {Array<Transferable>=} opt_transfer The objects in the data to transfer from a web worker. A buffer sent as
+ *     the data is transferred without this.
  */
-var success = function(originalMsg, opt_data) {
+var success = function(originalMsg, opt_data, opt_transfer) {
   var msg = {
     message: originalMsg,
     type: MsgType.SUCCESS
   };
 
-  var transferables;
+  var transferables = isNode ? undefined : opt_transfer;
 
   if (opt_data != null) {
     msg.data = opt_data;
 
-    if (!isNode) {
+    if (!isNode && !transferables) {
       if (msg.data instanceof ArrayBuffer) {
         transferables = [msg.data];
       } else if (ArrayBuffer.isView(msg.data)) {
@@ -120,9 +130,13 @@ var openGpkg = function(msg) {
   geopackage.open(data)
       .then(function(gpkg) {
         gpkgById[msg.id] = gpkg;
+        registerProjections(gpkg);
+        registerFunctions(gpkg);
         success(msg);
       })
       .catch(function(err) {
+        // keep the file to report what is wrong with it
+        invalidById[msg.id] = data;
         handleError(err, msg);
       });
 };
@@ -159,6 +173,10 @@ var closeGpkg = function(msg) {
     gpkg.close();
     delete gpkgById[msg.id];
   }
+
+  delete invalidById[msg.id];
+  delete exportStyles[msg.id];
+  clearCoverages(msg.id);
 };
 
 
@@ -270,6 +288,9 @@ var listDescriptors = function(msg) {
 
   if (gpkg) {
     try {
+      // each table is shown with the metadata for the whole GeoPackage, as the GeoPackage has no descriptor
+      var packageMetadata = getMetadata(gpkg);
+
       var tileConfigs = gpkg.getTileTables().map(function(tableName) {
         var tileDao = gpkg.getTileDao(tableName);
         var info = gpkg.getInfoForTable(tileDao);
@@ -284,7 +305,9 @@ var listDescriptors = function(msg) {
             minZoom: Math.round(info.minZoom),
             maxZoom: Math.round(info.maxZoom),
             resolutions: fixResolutions(tileMatrices.map(getTileMatrixToResolutionMapper(info))),
-            tileSizes: fixSizes(tileMatrices.map(tileMatrixToTileSize))
+            tileSizes: fixSizes(tileMatrices.map(tileMatrixToTileSize)),
+            metadata: getMetadata(gpkg, tableName),
+            packageMetadata: packageMetadata
           };
 
           if (info.contents) {
@@ -295,6 +318,7 @@ var listDescriptors = function(msg) {
           if (info.srs) {
             config.projection = info.srs.organization.toUpperCase() + ':' +
                 (info.srs.organization_coordsys_id || info.srs.id);
+            config.projectionDefinition = registerProjection(gpkg, config.projection, info.srs.definition);
           }
 
           if (info.tileMatrixSet) {
@@ -305,6 +329,14 @@ var listDescriptors = function(msg) {
               info.tileMatrixSet.maxY];
 
             config.extentProjection = config.projection || 'EPSG:' + info.tileMatrixSet.srsId;
+            config.wgs84Extent = getWgs84Extent(config.extent, config.extentProjection);
+          }
+
+          if (isCoverageTable(info)) {
+            config.type = 'geopackage-elevation';
+          } else if (isVectorTileTable(gpkg, tileDao, info)) {
+            config.type = 'geopackage-vector-tile';
+            config.vectorLayers = getVectorTileLayers(gpkg, tableName);
           }
 
           return config;
@@ -323,11 +355,25 @@ var listDescriptors = function(msg) {
             });
           });
 
+          // eslint-disable-next-line google-camelcase/google-camelcase
+          var geometryType = featureDao.geometryColumns.geometry_type_name;
+
           var config = {
             type: 'geopackage-vector',
             title: info.tableName,
             tableName: info.tableName,
-            dbColumns: cols
+            primaryKey: featureDao.table.getPkColumn().name,
+            geometryColumn: featureDao.getGeometryColumnName(),
+            dbColumns: cols,
+            layerStyle: getLayerStyle(gpkg, tableName),
+            featureStyle: getTableStyle(gpkg, tableName, geometryType),
+            relations: getTableRelations(gpkg, tableName).filter(function(relation) {
+              return FEATURE_STYLE_TABLES.indexOf(relation.tableName) < 0;
+            }).map(function(relation) {
+              return relation.tableName;
+            }),
+            metadata: getMetadata(gpkg, tableName),
+            packageMetadata: packageMetadata
           };
 
           if (info.contents) {
@@ -335,11 +381,53 @@ var listDescriptors = function(msg) {
             config.description = info.contents.description || config.description;
           }
 
+          if (info.srs) {
+            // features are reprojected to EPSG:4326 when they are read, so this is only the projection of the table
+            config.tableProjection = info.srs.organization.toUpperCase() + ':' +
+                (info.srs.organization_coordsys_id || info.srs.id);
+            config.projectionDefinition = registerProjection(gpkg, config.tableProjection, info.srs.definition);
+          }
+
           return config;
         }
       });
 
-      success(msg, tileConfigs.concat(featureConfigs));
+      var attributeConfigs = gpkg.getAttributesTables().filter(function(tableName) {
+        // style and icon tables are read with their features
+        return FEATURE_STYLE_TABLES.indexOf(tableName) < 0;
+      }).map(function(tableName) {
+        // the library cannot describe attributes tables with getInfoForTable, so read the contents directly
+        var dao = gpkg.getAttributeDaoWithTableName(tableName);
+        var contents = gpkg.connection.get('SELECT identifier, description FROM gpkg_contents WHERE table_name = ?',
+            [tableName]);
+
+        var config = {
+          type: 'geopackage-attributes',
+          title: tableName,
+          tableName: tableName,
+          primaryKey: dao.table.getPkColumn().name,
+          dbColumns: dao.table.columns.map(function(col) {
+            return {
+              type: col.getTypeName().toLowerCase(),
+              name: col.name
+            };
+          }),
+          relations: getTableRelations(gpkg, tableName).map(function(relation) {
+            return relation.tableName;
+          }),
+          metadata: getMetadata(gpkg, tableName),
+          packageMetadata: packageMetadata
+        };
+
+        if (contents) {
+          config.title = contents.identifier || config.title;
+          config.description = contents.description || config.description;
+        }
+
+        return config;
+      });
+
+      success(msg, tileConfigs.concat(featureConfigs, attributeConfigs));
     } catch (e) {
       handleError(e, msg);
       return;
@@ -393,26 +481,61 @@ var getTile = function(msg) {
 
 
 /**
+ * The most tiles to read for one `getTiles` message.
+ * @type {number}
+ * @const
+ */
+var MAX_BATCH_TILES = 64;
+
+
+/**
+ * Reads several tiles from a tile table, to save a round trip for each tile. The result has the image bytes of each
+ * tile in the order of the `tileCoords` on the message, or null where the table has no tile. The bytes are
+ * transferred from a web worker, and are sent as an array of numbers from the Electron worker.
  * @param {GeoPackageWorkerMessage} msg
  */
-var getFeatures = function(msg) {
+var getTiles = function(msg) {
   var gpkg = getGpkg(msg);
+  if (!gpkg) {
+    return;
+  }
 
   if (!msg.tableName) {
     handleError('tableName property must be set', msg);
     return;
   }
 
+  var tileCoords = msg.tileCoords;
+  if (!Array.isArray(tileCoords) || !tileCoords.length || tileCoords.length > MAX_BATCH_TILES ||
+      !tileCoords.every(function(tileCoord) {
+        return Array.isArray(tileCoord) && tileCoord.length === 3;
+      })) {
+    handleError('tileCoords property must be set to between 1 and ' + MAX_BATCH_TILES + ' [z, x, y] coordinates',
+        msg);
+    return;
+  }
+
   try {
-    var result = geopackage.iterateGeoJSONFeaturesFromTable(gpkg, msg.tableName);
-    var itr = result.results;
-    var record = itr.next();
-    while (record) {
-      success(msg, record.value);
-      record = record.done ? null : itr.next();
-    }
+    var tileDao = gpkg.getTileDao(msg.tableName);
+    var transferables = [];
+
+    var tiles = tileCoords.map(function(tileCoord) {
+      var tile = tileDao.queryForTile(tileCoord[1], -tileCoord[2] - 1, tileCoord[0]);
+      if (!tile) {
+        return null;
+      }
+
+      var data = new Uint8Array(tile.getTileData());
+      if (isNode) {
+        return Array.from(data);
+      }
+
+      var buffer = data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+      transferables.push(buffer);
+      return buffer;
+    });
 
-    success(msg, 0);
+    success(msg, tiles, transferables);
   } catch (e) {
     handleError(e, msg);
   }
@@ -420,133 +543,405 @@ var getFeatures = function(msg) {
 
 
 /**
- * @param {GeoPackageWorkerMessage} msg
+ * Projections that proj4 could not use, by code.
+ * @type {Object<string, boolean>}
  */
-var exportCreate = function(msg) {
-  if (!msg.id) {
-    handleError('id property must be set', msg);
-    return;
+var unusableProjections = {};
+
+
+/**
+ * The number of cells along each side of the grid of coordinates transformed for a reprojected tile. Source pixels
+ * are interpolated between the grid points, which is accurate to well under a pixel for tiles of a few degrees.
+ * @type {number}
+ * @const
+ */
+var REPROJECTION_GRID_SIZE = 16;
+
+
+/**
+ * The most source tiles read for a reprojected tile. Coarser zoom levels are read when more tiles would be needed.
+ * @type {number}
+ * @const
+ */
+var MAX_REPROJECTION_TILES = 16;
+
+
+/**
+ * Gets the proj4 definition of a spatial reference system, registering it with the library if the library does not
+ * already know the projection. The definitions shipped with the library are preferred to the WKT in the GeoPackage,
+ * as proj4 cannot read every WKT.
+ * @param {Geopackage} gpkg The GeoPackage
+ * @param {string} code The projection code, such as `EPSG:26711`
+ * @param {string=} opt_wkt The definition from `gpkg_spatial_ref_sys`
+ * @return {string|undefined} The definition, or undefined if the projection is not defined or cannot be read
+ */
+var registerProjection = function(gpkg, code, opt_wkt) {
+  var definition = geopackage.proj4Defs[code];
+
+  if (!definition && opt_wkt && opt_wkt.trim() && opt_wkt !== 'undefined') {
+    definition = opt_wkt.trim();
   }
 
-  var url = msg.url || (isNode ? 'tmp.gpkg' : undefined);
+  // the GeoPackage class is not exported, but its projections are shared by every instance
+  var GeoPackage = gpkg.constructor;
 
-  geopackage.create(url)
-      .then(function(gpkg) {
-        if (gpkg) {
-          gpkgById[msg.id] = gpkg;
-          success(msg);
+  if (definition && !unusableProjections[code] && !GeoPackage.hasProjection(code)) {
+    try {
+      GeoPackage.addProjection(code, definition);
+
+      // proj4 keeps some definitions it cannot use, so make sure it can transform with this one
+      transformCoordinate([0, 0], 'EPSG:4326', code);
+    } catch (e) {
+      unusableProjections[code] = true;
+    }
+  }
+
+  // the projection is not usable, so the map should not try it either
+  return unusableProjections[code] ? undefined : definition;
+};
+
+
+/**
+ * Registers the spatial reference systems of a GeoPackage that the library does not know. The library cannot read
+ * tables in unknown projections, so this is done when the GeoPackage is opened.
+ * @param {Geopackage} gpkg The GeoPackage
+ */
+var registerProjections = function(gpkg) {
+  try {
+    gpkg.connection.all('SELECT organization, organization_coordsys_id, definition FROM gpkg_spatial_ref_sys')
+        .forEach(function(row) {
+          // eslint-disable-next-line google-camelcase/google-camelcase
+          var code = String(row.organization).toUpperCase() + ':' + row.organization_coordsys_id;
+          registerProjection(gpkg, code, row.definition);
+        });
+  } catch (e) {
+    // the validation report covers a broken spatial reference system table
+  }
+};
+
+
+/**
+ * Gets the extent in EPSG:4326 of an extent in another projection. The edges are sampled, as they are curved in
+ * projections such as UTM.
+ * @param {Array<number>} extent The extent
+ * @param {string} projection The projection of the extent
+ * @return {Array<number>|undefined} The extent, or undefined if it cannot be transformed
+ */
+var getWgs84Extent = function(extent, projection) {
+  var result = [Infinity, Infinity, -Infinity, -Infinity];
+  var steps = 8;
+
+  try {
+    for (var i = 0; i <= steps; i++) {
+      var x = extent[0] + (extent[2] - extent[0]) * i / steps;
+      var y = extent[1] + (extent[3] - extent[1]) * i / steps;
+
+      [[x, extent[1]], [x, extent[3]], [extent[0], y], [extent[2], y]].forEach(function(coordinate) {
+        var lonLat = transformCoordinate(coordinate, projection, 'EPSG:4326');
+
+        if (isFinite(lonLat[0]) && isFinite(lonLat[1])) {
+          result[0] = Math.min(result[0], lonLat[0]);
+          result[1] = Math.min(result[1], lonLat[1]);
+          result[2] = Math.max(result[2], lonLat[0]);
+          result[3] = Math.max(result[3], lonLat[1]);
         }
-      })
-      .catch(function(err) {
-        handleError(err, msg);
       });
+    }
+  } catch (e) {
+    return undefined;
+  }
+
+  return result[0] <= result[2] && result[1] <= result[3] ? result : undefined;
 };
 
 
 /**
- * @param {GeoPackageWorkerMessage} msg
+ * Gets the range of tiles in a tile matrix covering a bounding box, clamped to the matrix.
+ * @param {Object} matrixSet The tile matrix set
+ * @param {Object} matrix The tile matrix
+ * @param {Array<number>} bounds The bounding box, in the projection of the tile matrix set
+ * @return {{minColumn: number, maxColumn: number, minRow: number, maxRow: number}}
  */
-var exportCreateTable = function(msg) {
+var getTileRange = function(matrixSet, matrix, bounds) {
+  /* eslint-disable google-camelcase/google-camelcase */
+  var tileSpanX = (matrixSet.max_x - matrixSet.min_x) / matrix.matrix_width;
+  var tileSpanY = (matrixSet.max_y - matrixSet.min_y) / matrix.matrix_height;
+
+  var clamp = function(value, max) {
+    return Math.max(0, Math.min(max - 1, Math.floor(value)));
+  };
+
+  // rows count down from the top of the tile matrix set
+  return {
+    minColumn: clamp((bounds[0] - matrixSet.min_x) / tileSpanX, matrix.matrix_width),
+    maxColumn: clamp((bounds[2] - matrixSet.min_x) / tileSpanX, matrix.matrix_width),
+    minRow: clamp((matrixSet.max_y - bounds[3]) / tileSpanY, matrix.matrix_height),
+    maxRow: clamp((matrixSet.max_y - bounds[1]) / tileSpanY, matrix.matrix_height)
+  };
+  /* eslint-enable google-camelcase/google-camelcase */
+};
+
+
+/**
+ * Gets the source tiles covering a tile in another projection, for the map to warp into the tile when it cannot
+ * display the projection of the table. The corners of a grid over the requested tile are transformed to the table
+ * projection, and the tiles under them are read at the zoom level nearest the requested resolution. The response has
+ * the tiles, their position in a mosaic of the tiles, and the grid points as mosaic pixels (null where a point cannot
+ * be transformed). There is no response data if the tile does not overlap the table.
+ * @param {GeoPackageWorkerMessage} msg The message, with the tile extent in `msg.projection` and the tile size
+ */
+var getReprojectedTile = function(msg) {
   var gpkg = getGpkg(msg);
+  if (!gpkg) {
+    return;
+  }
 
   if (!msg.tableName) {
     handleError('tableName property must be set', msg);
     return;
   }
 
-  if (!msg.columns) {
-    handleError('columns property must be set', msg);
+  if (!msg.extent || !msg.tileSize) {
+    handleError('extent and tileSize properties must be set', msg);
     return;
   }
 
-  var FeatureColumn = geopackage.FeatureColumn;
-  var DataType = geopackage.DataTypes.GPKGDataType;
-
-  // disable camelcase checks for external library that does not conform to the rule
   /* eslint-disable google-camelcase/google-camelcase */
-  var geometryColumns = new geopackage.GeometryColumns();
-  geometryColumns.table_name = msg.tableName;
-  geometryColumns.column_name = 'geometry';
-  geometryColumns.geometry_type_name = 'GEOMETRY';
-  geometryColumns.z = 2;
-  geometryColumns.m = 0;
-  /* eslint-enable google-camelcase/google-camelcase */
+  try {
+    var tileDao = gpkg.getTileDao(msg.tableName);
+    var matrixSet = tileDao.tileMatrixSet;
+    var tableProjection = tileDao.projection;
+
+    var projection = msg.projection || 'EPSG:4326';
+    var extent = msg.extent;
+    var size = REPROJECTION_GRID_SIZE;
+    var points = [];
+    var bounds = [Infinity, Infinity, -Infinity, -Infinity];
+
+    for (var j = 0; j <= size; j++) {
+      for (var i = 0; i <= size; i++) {
+        var point = null;
+
+        try {
+          point = transformCoordinate([
+            extent[0] + (extent[2] - extent[0]) * i / size,
+            extent[3] - (extent[3] - extent[1]) * j / size
+          ], projection, tableProjection);
+        } catch (e) {
+          // the point is outside the projection
+        }
 
-  var columns = [];
-  columns.push(FeatureColumn.createPrimaryKeyColumnWithIndexAndName(0, 'id'));
-  columns.push(FeatureColumn.createGeometryColumn(1, 'geometry', 'GEOMETRY', false, null));
+        if (point && isFinite(point[0]) && isFinite(point[1])) {
+          bounds[0] = Math.min(bounds[0], point[0]);
+          bounds[1] = Math.min(bounds[1], point[1]);
+          bounds[2] = Math.max(bounds[2], point[0]);
+          bounds[3] = Math.max(bounds[3], point[1]);
+        } else {
+          point = null;
+        }
 
-  msg.columns.forEach(function(col) {
-    if (col.field.toLowerCase() === 'id' || col.field.toLowerCase() === 'geometry' ||
-        col.field === 'TIME_START' || col.field === 'TIME_STOP') {
+        points.push(point);
+      }
+    }
+
+    if (bounds[0] > bounds[2] || bounds[0] >= matrixSet.max_x || bounds[2] <= matrixSet.min_x ||
+        bounds[1] >= matrixSet.max_y || bounds[3] <= matrixSet.min_y || !tileDao.tileMatrices.length) {
+      success(msg);
       return;
     }
 
-    var type = DataType.GPKG_DT_TEXT;
-    var defaultValue = '';
-    var colType = col.type.toLowerCase();
+    var resolution = Math.min((bounds[2] - bounds[0]) / msg.tileSize[0], (bounds[3] - bounds[1]) / msg.tileSize[1]);
+    var matrices = tileDao.tileMatrices;
+    var index = matrices.indexOf(getTileMatrixForResolution(tileDao, resolution));
+    var matrix = matrices[index];
+    var range = getTileRange(matrixSet, matrix, bounds);
 
-    if (colType === 'decimal') {
-      type = DataType.GPKG_DT_REAL;
-      defaultValue = null;
-    } else if (colType === 'integer') {
-      type = DataType.GPKG_DT_INTEGER;
-      defaultValue = null;
-    } else if (colType === 'datetime') {
-      type = DataType.GPKG_DT_TEXT;
-      defaultValue = null;
+    while (index > 0 && (range.maxColumn - range.minColumn + 1) * (range.maxRow - range.minRow + 1) >
+        MAX_REPROJECTION_TILES) {
+      matrix = matrices[--index];
+      range = getTileRange(matrixSet, matrix, bounds);
     }
 
-    if (col.field === 'recordTime') {
-      columns.push(FeatureColumn.createColumnWithIndex(columns.length,
-          'TIME_START', DataType.GPKG_DT_DATETIME, false, null));
-      columns.push(FeatureColumn.createColumnWithIndex(columns.length,
-          'TIME_STOP', DataType.GPKG_DT_DATETIME, false, null));
-    } else {
-      columns.push(FeatureColumn.createColumnWithIndex(columns.length, col.field, type, false, defaultValue));
+    var tiles = [];
+
+    for (var row = range.minRow; row <= range.maxRow; row++) {
+      for (var column = range.minColumn; column <= range.maxColumn; column++) {
+        var tile = tileDao.queryForTile(column, row, matrix.zoom_level);
+
+        if (tile) {
+          var array = tile.getTileData();
+
+          tiles.push({
+            x: (column - range.minColumn) * matrix.tile_width,
+            y: (row - range.minRow) * matrix.tile_height,
+            data: isNode ? Array.from(new Int32Array(array)) : URL.createObjectURL(new Blob([array]))
+          });
+        }
+      }
     }
-  });
 
-  try {
-    geopackage.createFeatureTable(gpkg, msg.tableName, geometryColumns, columns);
-    success(msg);
+    if (!tiles.length) {
+      success(msg);
+      return;
+    }
+
+    var tileSpanX = (matrixSet.max_x - matrixSet.min_x) / matrix.matrix_width;
+    var tileSpanY = (matrixSet.max_y - matrixSet.min_y) / matrix.matrix_height;
+    var originX = matrixSet.min_x + range.minColumn * tileSpanX;
+    var originY = matrixSet.max_y - range.minRow * tileSpanY;
+    var pixelX = tileSpanX / matrix.tile_width;
+    var pixelY = tileSpanY / matrix.tile_height;
+    var grid = [];
+
+    points.forEach(function(point) {
+      grid.push(point ? (point[0] - originX) / pixelX : null, point ? (originY - point[1]) / pixelY : null);
+    });
+
+    success(msg, /** @type {GeoPackageReprojectedTile} */ ({
+      width: (range.maxColumn - range.minColumn + 1) * matrix.tile_width,
+      height: (range.maxRow - range.minRow + 1) * matrix.tile_height,
+      tiles: tiles,
+      gridSize: size,
+      grid: grid
+    }));
   } catch (e) {
     handleError(e, msg);
   }
+  /* eslint-enable google-camelcase/google-camelcase */
+};
+
+
+/**
+ * The `gpkg_contents` data types of vector tile tables in the OGC vector tiles extension. Early drafts of the
+ * extension omitted the hyphen.
+ * @type {Array<string>}
+ * @const
+ */
+var VECTOR_TILE_DATA_TYPES = ['vector-tiles', 'vectortiles'];
+
+
+/**
+ * The `gpkg_extensions` names marking a tile table as Mapbox vector tiles.
+ * @type {Array<string>}
+ * @const
+ */
+var VECTOR_TILE_EXTENSIONS = ['im_vector_tiles', 'im_vector_tiles_mapbox'];
+
+
+/**
+ * @param {Uint8Array|Buffer} data The tile data
+ * @return {boolean} If the data is gzip compressed
+ */
+var isGzip = function(data) {
+  return data.length > 1 && data[0] === 0x1f && data[1] === 0x8b;
+};
+
+
+/**
+ * Tests if a tile table holds Mapbox vector tiles. Tables that are not declared by their content type or an
+ * extension are detected by their first tile, which is either gzip compressed or starts with an MVT layer field.
+ * @param {Geopackage} gpkg The GeoPackage
+ * @param {Object} tileDao The tile DAO
+ * @param {Object} info The table info
+ * @return {boolean}
+ */
+var isVectorTileTable = function(gpkg, tileDao, info) {
+  if (info.contents && VECTOR_TILE_DATA_TYPES.indexOf(info.contents.dataType) > -1) {
+    return true;
+  }
+
+  if (gpkg.connection.isTableExists('gpkg_extensions')) {
+    var sql = 'SELECT COUNT(*) AS count FROM gpkg_extensions WHERE table_name = ? AND extension_name IN (' +
+        VECTOR_TILE_EXTENSIONS.map(function() {
+          return '?';
+        }).join(',') + ')';
+
+    if (gpkg.connection.get(sql, [info.tableName].concat(VECTOR_TILE_EXTENSIONS)).count > 0) {
+      return true;
+    }
+  }
+
+  var row = gpkg.connection.get('SELECT tile_data FROM ' + quoteIdentifier(tileDao.gpkgTableName) + ' LIMIT 1');
+  var data = row ? row['tile_data'] : null;
+  return !!data && (isGzip(data) || data[0] === 0x1a);
+};
+
+
+/**
+ * Gets the names of the layers in a vector tile table from the OGC vector tiles extension.
+ * @param {Geopackage} gpkg The GeoPackage
+ * @param {string} tableName The tile table
+ * @return {Array<string>|undefined} The layer names, or undefined if the table does not list its layers
+ */
+var getVectorTileLayers = function(gpkg, tableName) {
+  if (gpkg.connection.isTableExists('gpkgext_vt_layers')) {
+    var rows = gpkg.connection.all('SELECT name FROM gpkgext_vt_layers WHERE table_name = ? ORDER BY id', [tableName]);
+    if (rows.length) {
+      return rows.map(function(row) {
+        return row.name;
+      });
+    }
+  }
+};
+
+
+/**
+ * @param {Uint8Array|Buffer} data The compressed data
+ * @param {string} format The compression format, either `gzip` or `deflate` (a zlib stream)
+ * @return {!Promise<Uint8Array|Buffer>} The decompressed data
+ */
+var decompress = function(data, format) {
+  if (isNode) {
+    var zlib = require('zlib');
+    return Promise.resolve(format === 'gzip' ? zlib.gunzipSync(data) : zlib.inflateSync(data));
+  }
+
+  if (typeof DecompressionStream === 'undefined') {
+    return Promise.reject('Compressed tiles are not supported by this browser');
+  }
+
+  var stream = new Blob([data]).stream().pipeThrough(new DecompressionStream(format));
+  return new Response(stream).arrayBuffer().then(function(buffer) {
+    return new Uint8Array(buffer);
+  });
 };
 
 
 /**
+ * Gets a Mapbox vector tile. The tile data is decompressed if it was stored with gzip.
  * @param {GeoPackageWorkerMessage} msg
  */
-var exportGeoJSON = function(msg) {
+var getVectorTile = function(msg) {
   var gpkg = getGpkg(msg);
+  if (!gpkg) {
+    return;
+  }
 
   if (!msg.tableName) {
     handleError('tableName property must be set', msg);
     return;
   }
 
-  if (!msg.data || typeof msg.data !== 'object') {
-    handleError('GeoJSON feature not found on msg.data', msg);
+  if (!msg.tileCoord || msg.tileCoord.length !== 3) {
+    handleError('tileCoord [z, x, y] must have a length of exactly 3', msg);
     return;
   }
 
   try {
-    var geojson = msg.data;
-    var props = geojson.properties;
-
-    // time start and stop are ISO8601 strings, and the new API needs dates
-    if ('TIME_START' in props) {
-      props.TIME_START = new Date(Date.parse(props.TIME_START));
-    }
+    var tileDao = gpkg.getTileDao(msg.tableName);
+    var tile = tileDao.queryForTile(msg.tileCoord[1], -msg.tileCoord[2] - 1, msg.tileCoord[0]);
 
-    if ('TIME_STOP' in props) {
-      props.TIME_STOP = new Date(Date.parse(props.TIME_STOP));
+    if (!tile) {
+      success(msg);
+      return;
     }
 
-    geopackage.addGeoJSONFeatureToGeoPackage(gpkg, geojson, msg.tableName);
-    success(msg);
+    var data = tile.getTileData();
+    (isGzip(data) ? decompress(data, 'gzip') : Promise.resolve(data)).then(function(tileData) {
+      success(msg, isNode ? Array.from(tileData) : new Uint8Array(tileData));
+    }).catch(function(e) {
+      handleError(e, msg);
+    });
   } catch (e) {
     handleError(e, msg);
   }
@@ -554,66 +949,4006 @@ var exportGeoJSON = function(msg) {
 
 
 /**
- * @type {Object<string, {data: Uint8Array, index: number}>}
+ * The `gpkg_contents` data type of tables in the tiled gridded coverage extension.
+ * @type {string}
+ * @const
  */
-var exportsById = {};
+var COVERAGE_DATA_TYPE = '2d-gridded-coverage';
 
 
 /**
- * @param {GeoPackageWorkerMessage} msg
+ * The number of decoded coverage tiles to keep for sampling.
+ * @type {number}
+ * @const
  */
-var exportWrite = function(msg) {
-  var gpkg = getGpkg(msg);
-
-  gpkg.export(function(err, data) {
-    if (err) {
-      handleError(err, msg);
-      return;
-    }
+var COVERAGE_CACHE_SIZE = 64;
 
-    exportsById[msg.id] = {
-      data: new Uint8Array(data),
-      index: 0
-    };
 
-    success(msg);
-  });
-};
+/**
+ * Coverage tables that have been read, by GeoPackage ID and table name.
+ * @type {Object<string, Object>}
+ */
+var coverages = {};
 
 
 /**
- * @param {GeoPackageWorkerMessage} msg
+ * Decoded coverage tiles, by coverage key and tile coordinate.
+ * @type {Object<string, Promise<?{width: number, height: number, values: Float32Array}>>}
  */
-var exportGetChunk = function(msg) {
-  if (!msg.id) {
-    handleError('id property must be set', msg);
-    return;
-  }
-
-  var ex = exportsById[msg.id];
+var coverageTiles = {};
 
-  if (!ex) {
-    handleError('an export for the id has not been started', msg);
-    return;
-  }
 
-  var data = ex.data;
+/**
+ * The keys of the decoded coverage tiles, least recently used first.
+ * @type {Array<string>}
+ */
+var coverageTileKeys = [];
 
-  if (isNode) {
-    var limit = Math.min(ex.index + (1024 * 1024) + 1, ex.data.length);
-    var data = Array.from(ex.data.subarray(ex.index, limit));
-    ex.index = limit;
-  }
 
-  success(msg, data);
+/**
+ * @param {Object} info The table info
+ * @return {boolean} If the table is a gridded coverage
+ */
+var isCoverageTable = function(info) {
+  return !!info.contents && info.contents.dataType === COVERAGE_DATA_TYPE;
 };
 
 
 /**
- * @param {GeoPackageWorkerMessage} msg
+ * Gets a gridded coverage table, with the scale, offset and null value from the coverage ancillary table.
+ * @param {Geopackage} gpkg The GeoPackage
+ * @param {GeoPackageWorkerMessage} msg The message, with the GeoPackage ID and table name
+ * @return {Object} The coverage
  */
-var exportWriteFinish = function(msg) {
-  closeGpkg(msg);
+var getCoverage = function(gpkg, msg) {
+  var key = msg.id + '#' + msg.tableName;
+
+  if (!coverages[key]) {
+    var tileDao = gpkg.getTileDao(msg.tableName);
+    var info = gpkg.getInfoForTable(tileDao);
+
+    if (!info || !isCoverageTable(info)) {
+      throw new Error(msg.tableName + ' is not a gridded coverage table');
+    }
+
+    var ancillary = gpkg.connection.isTableExists('gpkg_2d_gridded_coverage_ancillary') ?
+      gpkg.connection.get('SELECT * FROM gpkg_2d_gridded_coverage_ancillary WHERE tile_matrix_set_name = ?',
+          [msg.tableName]) : null;
+    ancillary = ancillary || {};
+
+    var isFloat = ancillary['datatype'] === 'float';
+    var dataNull = ancillary['data_null'];
+
+    coverages[key] = {
+      key: key,
+      tableName: msg.tableName,
+      tileDao: tileDao,
+      projection: tileDao.projection,
+      isFloat: isFloat,
+      scale: ancillary['scale'] != null ? ancillary['scale'] : 1,
+      offset: ancillary['offset'] != null ? ancillary['offset'] : 0,
+      // float tiles are read as 32 bit floats, so the null value must be rounded the same way to match
+      dataNull: dataNull == null ? undefined : isFloat ? Math.fround(dataNull) : dataNull,
+      // values are at the center of each grid cell unless they are at the corners
+      cellOffset: ancillary['grid_cell_encoding'] === 'grid-value-is-corner' ? 0 : 0.5
+    };
+  }
+
+  return coverages[key];
+};
+
+
+/**
+ * Removes the coverages and decoded tiles for a GeoPackage.
+ * @param {string} id The GeoPackage ID
+ */
+var clearCoverages = function(id) {
+  var prefix = id + '#';
+
+  for (var key in coverages) {
+    if (key.indexOf(prefix) === 0) {
+      delete coverages[key];
+    }
+  }
+
+  coverageTileKeys = coverageTileKeys.filter(function(tileKey) {
+    if (tileKey.indexOf(prefix) === 0) {
+      delete coverageTiles[tileKey];
+      return false;
+    }
+
+    return true;
+  });
+};
+
+
+/**
+ * Paeth predictor for PNG filter type 4.
+ * @param {number} a The byte to the left
+ * @param {number} b The byte above
+ * @param {number} c The byte above and to the left
+ * @return {number}
+ */
+var paeth = function(a, b, c) {
+  var p = a + b - c;
+  var pa = Math.abs(p - a);
+  var pb = Math.abs(p - b);
+  var pc = Math.abs(p - c);
+  return pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+};
+
+
+/**
+ * Decodes a 16 bit grayscale PNG, the format of integer coverage tiles.
+ * @param {Uint8Array|Buffer} data The PNG data
+ * @return {!Promise<{width: number, height: number, values: Uint16Array}>}
+ */
+var decodePng16 = function(data) {
+  var view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+
+  if (data.length < 8 || view.getUint32(0) !== 0x89504e47 || view.getUint32(4) !== 0x0d0a1a0a) {
+    return Promise.reject('Integer coverage tiles must be PNG images');
+  }
+
+  var header;
+  var parts = [];
+  var size = 0;
+
+  for (var pos = 8; pos + 8 <= data.length;) {
+    var length = view.getUint32(pos);
+    var type = String.fromCharCode(data[pos + 4], data[pos + 5], data[pos + 6], data[pos + 7]);
+    var start = pos + 8;
+
+    if (type === 'IHDR') {
+      header = {
+        width: view.getUint32(start),
+        height: view.getUint32(start + 4),
+        bitDepth: data[start + 8],
+        colorType: data[start + 9],
+        interlace: data[start + 12]
+      };
+    } else if (type === 'IDAT') {
+      parts.push(data.subarray(start, start + length));
+      size += length;
+    } else if (type === 'IEND') {
+      break;
+    }
+
+    // skip the chunk and its CRC
+    pos = start + length + 4;
+  }
+
+  if (!header || header.bitDepth !== 16 || header.colorType !== 0 || header.interlace !== 0) {
+    return Promise.reject('Integer coverage tiles must be non-interlaced 16 bit grayscale PNGs');
+  }
+
+  var compressed = new Uint8Array(size);
+  parts.reduce(function(offset, part) {
+    compressed.set(part, offset);
+    return offset + part.length;
+  }, 0);
+
+  return decompress(compressed, 'deflate').then(function(filtered) {
+    var bpp = 2;
+    var stride = header.width * bpp;
+    var bytes = new Uint8Array(stride * header.height);
+
+    for (var y = 0; y < header.height; y++) {
+      var filter = filtered[y * (stride + 1)];
+      var src = y * (stride + 1) + 1;
+      var dst = y * stride;
+
+      for (var x = 0; x < stride; x++) {
+        var a = x >= bpp ? bytes[dst + x - bpp] : 0;
+        var b = y > 0 ? bytes[dst + x - stride] : 0;
+        var c = x >= bpp && y > 0 ? bytes[dst + x - stride - bpp] : 0;
+        var value = filtered[src + x];
+
+        if (filter === 1) {
+          value += a;
+        } else if (filter === 2) {
+          value += b;
+        } else if (filter === 3) {
+          value += (a + b) >> 1;
+        } else if (filter === 4) {
+          value += paeth(a, b, c);
+        }
+
+        bytes[dst + x] = value;
+      }
+    }
+
+    var values = new Uint16Array(header.width * header.height);
+    for (var i = 0, n = values.length; i < n; i++) {
+      values[i] = (bytes[i * 2] << 8) | bytes[i * 2 + 1];
+    }
+
+    return {width: header.width, height: header.height, values: values};
+  });
+};
+
+
+/**
+ * Decodes TIFF LZW compressed data.
+ * @param {Uint8Array|Buffer} input The compressed data
+ * @return {!Uint8Array} The decompressed data
+ */
+var decodeLzw = function(input) {
+  var output = [];
+  var prefix = new Int16Array(4096);
+  var suffix = new Uint8Array(4096);
+  var first = new Uint8Array(4096);
+  var lengths = new Uint16Array(4096);
+
+  for (var i = 0; i < 256; i++) {
+    prefix[i] = -1;
+    suffix[i] = first[i] = i;
+    lengths[i] = 1;
+  }
+
+  var next = 258;
+  var codeLength = 9;
+  var previous = -1;
+  var totalBits = input.length * 8;
+
+  var write = function(code) {
+    var start = output.length;
+    for (var k = lengths[code] - 1; k >= 0; k--) {
+      output[start + k] = suffix[code];
+      code = prefix[code];
+    }
+  };
+
+  for (var bit = 0; bit + codeLength <= totalBits;) {
+    var code = 0;
+    for (var j = 0; j < codeLength; j++, bit++) {
+      code = (code << 1) | ((input[bit >> 3] >> (7 - (bit & 7))) & 1);
+    }
+
+    if (code === 257) {
+      // end of information
+      break;
+    } else if (code === 256) {
+      // clear the table
+      next = 258;
+      codeLength = 9;
+      previous = -1;
+    } else {
+      if (previous > -1 && next < 4096) {
+        // the new entry is the previous string and the first byte of this one, which is itself for a code that is
+        // not in the table yet
+        prefix[next] = previous;
+        suffix[next] = code < next ? first[code] : first[previous];
+        first[next] = first[previous];
+        lengths[next] = lengths[previous] + 1;
+        next++;
+      }
+
+      write(code);
+      previous = code;
+
+      // TIFF increases the code length one code early
+      if (next + 1 >= (1 << codeLength) && codeLength < 12) {
+        codeLength++;
+      }
+    }
+  }
+
+  return Uint8Array.from(output);
+};
+
+
+/**
+ * Decodes a single band 32 bit float TIFF, the format of float coverage tiles. The image must be stored in strips,
+ * either uncompressed or with LZW or Deflate compression.
+ * @param {Uint8Array|Buffer} data The TIFF data
+ * @return {!Promise<{width: number, height: number, values: Float32Array}>}
+ */
+var decodeFloatTiff = function(data) {
+  var view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  var little = data[0] === 0x49;
+
+  if (data.length < 8 || view.getUint16(2, little) !== 42) {
+    return Promise.reject('Float coverage tiles must be TIFF images');
+  }
+
+  var ifd = view.getUint32(4, little);
+  var tags = {};
+
+  for (var i = 0, n = view.getUint16(ifd, little); i < n; i++) {
+    var entry = ifd + 2 + i * 12;
+    var type = view.getUint16(entry + 2, little);
+    var count = view.getUint32(entry + 4, little);
+
+    // only SHORT and LONG values are needed
+    if (type === 3 || type === 4) {
+      var size = type === 3 ? 2 : 4;
+      var offset = count * size > 4 ? view.getUint32(entry + 8, little) : entry + 8;
+      var values = [];
+
+      for (var j = 0; j < count; j++) {
+        values.push(type === 3 ? view.getUint16(offset + j * 2, little) : view.getUint32(offset + j * 4, little));
+      }
+
+      tags[view.getUint16(entry, little)] = values;
+    }
+  }
+
+  var getTag = function(tag, defaultValue) {
+    return tags[tag] ? tags[tag][0] : defaultValue;
+  };
+
+  var width = getTag(256);
+  var height = getTag(257);
+  var compression = getTag(259, 1);
+  var stripOffsets = tags[273];
+  var stripByteCounts = tags[279];
+
+  if (getTag(258) !== 32 || getTag(339) !== 3 || getTag(277, 1) !== 1 || getTag(317, 1) !== 1 || !stripOffsets ||
+      !stripByteCounts) {
+    return Promise.reject('Float coverage tiles must be single band 32 bit float TIFFs in strips without a predictor');
+  }
+
+  return Promise.all(stripOffsets.map(function(stripOffset, index) {
+    var strip = data.subarray(stripOffset, stripOffset + stripByteCounts[index]);
+
+    if (compression === 1) {
+      return strip;
+    } else if (compression === 5) {
+      return decodeLzw(strip);
+    } else if (compression === 8 || compression === 32946) {
+      return decompress(strip, 'deflate');
+    }
+
+    throw new Error('TIFF compression ' + compression + ' is not supported');
+  })).then(function(strips) {
+    var bytes = new Uint8Array(width * height * 4);
+    strips.reduce(function(position, strip) {
+      bytes.set(strip.subarray(0, bytes.length - position), position);
+      return position + strip.length;
+    }, 0);
+
+    var floats = new Float32Array(width * height);
+    var bytesView = new DataView(bytes.buffer);
+    for (var k = 0, m = floats.length; k < m; k++) {
+      floats[k] = bytesView.getFloat32(k * 4, little);
+    }
+
+    return {width: width, height: height, values: floats};
+  });
+};
+
+
+/**
+ * Reads the values in a coverage tile. The stored values are scaled and offset by the tile and coverage ancillary
+ * values, and null values are NaN.
+ * @param {Geopackage} gpkg The GeoPackage
+ * @param {Object} coverage The coverage
+ * @param {number} zoom The zoom level
+ * @param {number} column The tile column
+ * @param {number} row The tile row
+ * @return {!Promise<?{width: number, height: number, values: Float32Array}>} The tile values, or null if there is no
+ *     tile
+ */
+var readCoverageTile = function(gpkg, coverage, zoom, column, row) {
+  var key = coverage.key + '#' + zoom + '/' + column + '/' + row;
+
+  if (coverageTiles[key]) {
+    // keep the most recently read tiles at the end
+    coverageTileKeys.splice(coverageTileKeys.indexOf(key), 1);
+    coverageTileKeys.push(key);
+  } else {
+    var tile = coverage.tileDao.queryForTile(column, row, zoom);
+    var promise = Promise.resolve(null);
+
+    if (tile) {
+      var ancillary = gpkg.connection.isTableExists('gpkg_2d_gridded_tile_ancillary') ?
+        gpkg.connection.get('SELECT scale, "offset" FROM gpkg_2d_gridded_tile_ancillary ' +
+            'WHERE tpudt_name = ? AND tpudt_id = ?', [coverage.tableName, tile.getId()]) : null;
+      var tileScale = ancillary && ancillary['scale'] != null ? ancillary['scale'] : 1;
+      var tileOffset = ancillary && ancillary['offset'] != null ? ancillary['offset'] : 0;
+      var data = tile.getTileData();
+
+      promise = (coverage.isFloat ? decodeFloatTiff(data) : decodePng16(data)).then(function(image) {
+        var values = new Float32Array(image.values.length);
+
+        for (var i = 0, n = values.length; i < n; i++) {
+          var value = image.values[i];
+          values[i] = value === coverage.dataNull || value !== value ? NaN :
+            (value * tileScale + tileOffset) * coverage.scale + coverage.offset;
+        }
+
+        return {width: image.width, height: image.height, values: values};
+      });
+
+      promise.catch(function() {
+        // try again next time
+        if (coverageTiles[key] === promise) {
+          delete coverageTiles[key];
+          coverageTileKeys.splice(coverageTileKeys.indexOf(key), 1);
+        }
+      });
+    }
+
+    coverageTiles[key] = promise;
+    coverageTileKeys.push(key);
+
+    if (coverageTileKeys.length > COVERAGE_CACHE_SIZE) {
+      delete coverageTiles[coverageTileKeys.shift()];
+    }
+  }
+
+  return coverageTiles[key];
+};
+
+
+/**
+ * @param {Array<number>} coordinate The coordinate
+ * @param {string} from The source projection
+ * @param {string} to The target projection
+ * @return {Array<number>} The transformed coordinate
+ */
+var transformCoordinate = function(coordinate, from, to) {
+  if (from === to) {
+    return coordinate;
+  }
+
+  // the library only exposes its projections through bounding boxes
+  var bbox = new geopackage.BoundingBox(coordinate[0], coordinate[0], coordinate[1], coordinate[1])
+      .projectBoundingBox(from, to);
+  return [bbox.minLongitude, bbox.minLatitude];
+};
+
+
+/**
+ * Gets the zoom level of a coverage to sample at a resolution. The coarsest level that is at least as fine as the
+ * resolution is used, or the finest level if none are.
+ * @param {Object} coverage The coverage
+ * @param {number} resolution The resolution, in coverage units per value
+ * @return {number} The zoom level
+ */
+var getCoverageZoom = function(coverage, resolution) {
+  // eslint-disable-next-line google-camelcase/google-camelcase
+  return getTileMatrixForResolution(coverage.tileDao, resolution).zoom_level;
+};
+
+
+/**
+ * Gets the tile matrix of a tile table to read at a resolution. The coarsest matrix that is at least as fine as the
+ * resolution is used, or the finest matrix if none are.
+ * @param {Object} tileDao The tile DAO
+ * @param {number} resolution The resolution, in table units per pixel
+ * @return {Object} The tile matrix
+ */
+var getTileMatrixForResolution = function(tileDao, resolution) {
+  var matrices = tileDao.tileMatrices;
+
+  for (var i = 0; i < matrices.length; i++) {
+    // eslint-disable-next-line google-camelcase/google-camelcase
+    if (matrices[i].pixel_x_size <= resolution) {
+      return matrices[i];
+    }
+  }
+
+  return matrices[matrices.length - 1];
+};
+
+
+/**
+ * Samples a coverage at coordinates in the coverage projection, interpolating between the four nearest values.
+ * @param {Geopackage} gpkg The GeoPackage
+ * @param {Object} coverage The coverage
+ * @param {number} zoom The zoom level to sample
+ * @param {Array<Array<number>>} coordinates The coordinates
+ * @return {!Promise<Array<?number>>} The values, or null where the coverage has no value
+ */
+var sampleCoverage = function(gpkg, coverage, zoom, coordinates) {
+  /* eslint-disable google-camelcase/google-camelcase */
+  var matrix = coverage.tileDao.getTileMatrixWithZoomLevel(zoom);
+  var tileMatrixSet = coverage.tileDao.tileMatrixSet;
+  var tileWidth = matrix.tile_width;
+  var tileHeight = matrix.tile_height;
+  var gridWidth = matrix.matrix_width * tileWidth;
+  var gridHeight = matrix.matrix_height * tileHeight;
+
+  // the grid cells around each coordinate, and the interpolation weights
+  var cells = coordinates.map(function(coordinate) {
+    var x = (coordinate[0] - tileMatrixSet.min_x) / matrix.pixel_x_size - coverage.cellOffset;
+    var y = (tileMatrixSet.max_y - coordinate[1]) / matrix.pixel_y_size - coverage.cellOffset;
+    /* eslint-enable google-camelcase/google-camelcase */
+
+    var x0 = Math.max(0, Math.min(gridWidth - 1, Math.floor(x)));
+    var y0 = Math.max(0, Math.min(gridHeight - 1, Math.floor(y)));
+
+    return {
+      x0: x0,
+      y0: y0,
+      x1: Math.min(gridWidth - 1, x0 + 1),
+      y1: Math.min(gridHeight - 1, y0 + 1),
+      dx: Math.max(0, Math.min(1, x - x0)),
+      dy: Math.max(0, Math.min(1, y - y0)),
+      outside: x < -1 || y < -1 || x > gridWidth || y > gridHeight
+    };
+  });
+
+  var tiles = {};
+  var tileKeys = [];
+  var addTile = function(gx, gy) {
+    var key = Math.floor(gx / tileWidth) + '/' + Math.floor(gy / tileHeight);
+    if (!(key in tiles)) {
+      tiles[key] = null;
+      tileKeys.push(key);
+    }
+  };
+
+  cells.forEach(function(cell) {
+    if (!cell.outside) {
+      addTile(cell.x0, cell.y0);
+      addTile(cell.x1, cell.y0);
+      addTile(cell.x0, cell.y1);
+      addTile(cell.x1, cell.y1);
+    }
+  });
+
+  return Promise.all(tileKeys.map(function(key) {
+    var parts = key.split('/');
+    return readCoverageTile(gpkg, coverage, zoom, Number(parts[0]), Number(parts[1])).then(function(tile) {
+      tiles[key] = tile;
+    });
+  })).then(function() {
+    var getValue = function(gx, gy) {
+      var tile = tiles[Math.floor(gx / tileWidth) + '/' + Math.floor(gy / tileHeight)];
+      var tx = gx % tileWidth;
+      var ty = gy % tileHeight;
+      return tile && tx < tile.width && ty < tile.height ? tile.values[ty * tile.width + tx] : NaN;
+    };
+
+    return cells.map(function(cell) {
+      if (cell.outside) {
+        return null;
+      }
+
+      var samples = [
+        [getValue(cell.x0, cell.y0), (1 - cell.dx) * (1 - cell.dy)],
+        [getValue(cell.x1, cell.y0), cell.dx * (1 - cell.dy)],
+        [getValue(cell.x0, cell.y1), (1 - cell.dx) * cell.dy],
+        [getValue(cell.x1, cell.y1), cell.dx * cell.dy]
+      ];
+
+      // leave out missing values rather than pulling the result toward zero
+      var total = 0;
+      var weights = 0;
+      samples.forEach(function(sample) {
+        if (sample[0] === sample[0] && sample[1] > 0) {
+          total += sample[0] * sample[1];
+          weights += sample[1];
+        }
+      });
+
+      return weights > 0 ? total / weights : null;
+    });
+  });
+};
+
+
+/**
+ * @param {Float32Array} values The values
+ * @return {Float32Array|Array<?number>} The values to post, as an array in Electron
+ */
+var getCoveragePayload = function(values) {
+  // NaN does not survive the JSON messages of the node process
+  return isNode ? Array.from(values, function(value) {
+    return value === value ? value : null;
+  }) : values;
+};
+
+
+/**
+ * Gets the values in a coverage tile, as `{width, height, values}` with NaN (or null in Electron) where there is no
+ * value.
+ * @param {GeoPackageWorkerMessage} msg
+ */
+var getCoverageTile = function(msg) {
+  var gpkg = getGpkg(msg);
+  if (!gpkg) {
+    return;
+  }
+
+  if (!msg.tableName) {
+    handleError('tableName property must be set', msg);
+    return;
+  }
+
+  if (!msg.tileCoord || msg.tileCoord.length !== 3) {
+    handleError('tileCoord [z, x, y] must have a length of exactly 3', msg);
+    return;
+  }
+
+  try {
+    var coverage = getCoverage(gpkg, msg);
+    readCoverageTile(gpkg, coverage, msg.tileCoord[0], msg.tileCoord[1], -msg.tileCoord[2] - 1).then(function(tile) {
+      success(msg, tile ? {width: tile.width, height: tile.height, values: getCoveragePayload(tile.values)} :
+        undefined);
+    }).catch(function(e) {
+      handleError(e, msg);
+    });
+  } catch (e) {
+    handleError(e, msg);
+  }
+};
+
+
+/**
+ * Samples a coverage on a grid covering an extent, as for a terrain heightmap. The grid includes the edges of the
+ * extent, with rows from north to south. The data on the message is the `{width, height}` of the grid, and the result
+ * is the values with 0 where there is no value.
+ * @param {GeoPackageWorkerMessage} msg
+ */
+var getCoverageGrid = function(msg) {
+  var gpkg = getGpkg(msg);
+  if (!gpkg) {
+    return;
+  }
+
+  if (!msg.tableName) {
+    handleError('tableName property must be set', msg);
+    return;
+  }
+
+  if (!msg.extent || msg.extent.length !== 4) {
+    handleError('extent [minX, minY, maxX, maxY] property must be set', msg);
+    return;
+  }
+
+  if (!msg.data || !(msg.data.width > 1) || !(msg.data.height > 1)) {
+    handleError('data property must be set to the {width, height} of the grid', msg);
+    return;
+  }
+
+  try {
+    var coverage = getCoverage(gpkg, msg);
+    var projection = msg.projection || 'EPSG:4326';
+    var extent = msg.extent;
+    var width = msg.data.width;
+    var height = msg.data.height;
+    var coordinates = [];
+
+    for (var y = 0; y < height; y++) {
+      for (var x = 0; x < width; x++) {
+        coordinates.push(transformCoordinate([
+          extent[0] + (extent[2] - extent[0]) * x / (width - 1),
+          extent[3] - (extent[3] - extent[1]) * y / (height - 1)
+        ], projection, coverage.projection));
+      }
+    }
+
+    // sample at the resolution of the grid across the middle of the extent
+    var middle = coordinates.slice((height >> 1) * width, ((height >> 1) + 1) * width);
+    var resolution = Math.abs(middle[width - 1][0] - middle[0][0]) / (width - 1);
+
+    sampleCoverage(gpkg, coverage, getCoverageZoom(coverage, resolution), coordinates).then(function(values) {
+      success(msg, isNode ? values.map(function(value) {
+        return value || 0;
+      }) : Float32Array.from(values, function(value) {
+        return value || 0;
+      }));
+    }).catch(function(e) {
+      handleError(e, msg);
+    });
+  } catch (e) {
+    handleError(e, msg);
+  }
+};
+
+
+/**
+ * The most elevations to sample along a line in one message.
+ * @type {number}
+ * @const
+ */
+var MAX_ELEVATION_SAMPLES = 10000;
+
+
+/**
+ * The mean radius of the earth, in meters, for distances along sampled lines.
+ * @type {number}
+ * @const
+ */
+var EARTH_RADIUS = 6371008.8;
+
+
+/**
+ * @param {Array<number>} a The first lon/lat coordinate
+ * @param {Array<number>} b The second lon/lat coordinate
+ * @return {number} The great circle distance between the coordinates, in meters
+ */
+var getDistance = function(a, b) {
+  var toRadians = Math.PI / 180;
+  var dLat = (b[1] - a[1]) * toRadians;
+  var dLon = (b[0] - a[0]) * toRadians;
+  var h = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+      Math.cos(a[1] * toRadians) * Math.cos(b[1] * toRadians) * Math.sin(dLon / 2) * Math.sin(dLon / 2);
+
+  return 2 * EARTH_RADIUS * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+};
+
+
+/**
+ * Gets evenly spaced points along a line.
+ * @param {Array<Array<number>>} vertices The line vertices
+ * @param {string} projection The projection of the vertices
+ * @param {number} samples The number of points
+ * @return {{coordinates: !Array<Array<number>>, distances: !Array<number>}} The points, and their distances along
+ *     the line in meters
+ */
+var getLineSamples = function(vertices, projection, samples) {
+  if (vertices.length < 2) {
+    return {coordinates: vertices.slice(0, 1), distances: [0]};
+  }
+
+  var lengths = [0];
+  var lonLat = transformCoordinate(vertices[0], projection, 'EPSG:4326');
+
+  for (var i = 1; i < vertices.length; i++) {
+    var next = transformCoordinate(vertices[i], projection, 'EPSG:4326');
+    lengths.push(lengths[i - 1] + getDistance(lonLat, next));
+    lonLat = next;
+  }
+
+  var total = lengths[lengths.length - 1];
+  var coordinates = [];
+  var distances = [];
+  var segment = 1;
+
+  for (var j = 0; j < samples; j++) {
+    var distance = total * j / (samples - 1);
+
+    while (segment < vertices.length - 1 && lengths[segment] < distance) {
+      segment++;
+    }
+
+    var start = vertices[segment - 1];
+    var end = vertices[segment];
+    var length = lengths[segment] - lengths[segment - 1];
+    var ratio = length > 0 ? Math.min(1, (distance - lengths[segment - 1]) / length) : 0;
+
+    coordinates.push([start[0] + (end[0] - start[0]) * ratio, start[1] + (end[1] - start[1]) * ratio]);
+    distances.push(distance);
+  }
+
+  return {coordinates: coordinates, distances: distances};
+};
+
+
+/**
+ * Samples the elevations in a coverage at points, or evenly along a line for an elevation profile. The data on the
+ * message is the `{coordinates, line, samples, resolution}` of the request, where the coordinates are in the message
+ * projection (EPSG:4326 by default) and the resolution is in coverage units. The finest zoom level is sampled unless
+ * a resolution is given. The result is the `{coordinates, elevations, distances}` of the samples, with null elevations
+ * where the coverage has no value and distances in meters along the line.
+ * @param {GeoPackageWorkerMessage} msg
+ */
+var getElevations = function(msg) {
+  var gpkg = getGpkg(msg);
+  if (!gpkg) {
+    return;
+  }
+
+  if (!msg.tableName) {
+    handleError('tableName property must be set', msg);
+    return;
+  }
+
+  var data = msg.data;
+  if (!data || !Array.isArray(data.coordinates) || !data.coordinates.length) {
+    handleError('data property must be set to the {coordinates} to sample', msg);
+    return;
+  }
+
+  try {
+    var coverage = getCoverage(gpkg, msg);
+    var projection = msg.projection || 'EPSG:4326';
+    var coordinates = data.coordinates;
+    var distances;
+
+    if (data.line) {
+      var samples = Math.max(2, Math.min(MAX_ELEVATION_SAMPLES, Math.round(data.samples) || 100));
+      var line = getLineSamples(coordinates, projection, samples);
+      coordinates = line.coordinates;
+      distances = line.distances;
+    }
+
+    var zoom = getCoverageZoom(coverage, data.resolution > 0 ? data.resolution : 0);
+    var projected = coordinates.map(function(coordinate) {
+      return transformCoordinate(coordinate, projection, coverage.projection);
+    });
+
+    sampleCoverage(gpkg, coverage, zoom, projected).then(function(elevations) {
+      // the request coordinates are replaced by the result
+      delete msg.data;
+
+      success(msg, {
+        coordinates: coordinates,
+        elevations: elevations,
+        distances: distances
+      });
+    }).catch(function(e) {
+      handleError(e, msg);
+    });
+  } catch (e) {
+    handleError(e, msg);
+  }
+};
+
+
+/**
+ * The attributes tables of the NGA feature style extension.
+ * @type {!Array<string>}
+ * @const
+ */
+var FEATURE_STYLE_TABLES = ['nga_style', 'nga_icon'];
+
+
+/**
+ * Gets the tables linked to a table by the related tables extension. Each relation is described from the side of the
+ * table, as `{tableName, relationName, mappingTable, column, relatedColumn, primaryColumn, relatedPrimaryColumn}`
+ * where `column` is the mapping table column holding the IDs of the table.
+ * @param {Geopackage} gpkg The GeoPackage
+ * @param {string} tableName The table
+ * @return {!Array<Object>} The relations
+ */
+var getTableRelations = function(gpkg, tableName) {
+  if (!gpkg.connection.isTableExists('gpkgext_relations')) {
+    return [];
+  }
+
+  var rows = gpkg.connection.all('SELECT * FROM gpkgext_relations WHERE base_table_name = ? OR ' +
+      'related_table_name = ? ORDER BY id', [tableName, tableName]);
+
+  /* eslint-disable google-camelcase/google-camelcase */
+  return rows.map(function(row) {
+    var isBase = row.base_table_name === tableName;
+
+    return {
+      tableName: isBase ? row.related_table_name : row.base_table_name,
+      relationName: row.relation_name,
+      mappingTable: row.mapping_table_name,
+      column: isBase ? 'base_id' : 'related_id',
+      relatedColumn: isBase ? 'related_id' : 'base_id',
+      primaryColumn: isBase ? row.base_primary_column : row.related_primary_column,
+      relatedPrimaryColumn: isBase ? row.related_primary_column : row.base_primary_column
+    };
+  });
+  /* eslint-enable google-camelcase/google-camelcase */
+};
+
+
+/**
+ * The most attribute rows to post in one message.
+ * @type {number}
+ * @const
+ */
+var MAX_ATTRIBUTE_ROWS = 1000;
+
+
+/**
+ * @param {*} value The column value
+ * @return {*} The value to post, with binary data summarized so that pages stay small
+ */
+var toAttributeValue = function(value) {
+  return value instanceof Uint8Array || isNode && Buffer.isBuffer(value) ? '(' + value.length + ' bytes)' : value;
+};
+
+
+/**
+ * Queries a page of rows from an attributes (non-spatial) table. The data on the message is the
+ * `{offset, limit, sort, descending, search, join}` of the query, where `search` matches text in any column and `join`
+ * names a table linked by the related tables extension, whose columns are added (without geometries) for each related
+ * row. The result is the `{columns, rows, total}` of the page, with each row as an array of values in column order.
+ * @param {GeoPackageWorkerMessage} msg
+ */
+var queryAttributes = function(msg) {
+  var gpkg = getGpkg(msg);
+  if (!gpkg) {
+    return;
+  }
+
+  if (!msg.tableName) {
+    handleError('tableName property must be set', msg);
+    return;
+  }
+
+  try {
+    if (gpkg.getAttributesTables().indexOf(msg.tableName) < 0) {
+      throw new Error(msg.tableName + ' is not an attributes table');
+    }
+
+    var data = msg.data || {};
+    var dao = gpkg.getAttributeDaoWithTableName(msg.tableName);
+    var primaryKey = dao.table.getPkColumn().name;
+
+    // the columns of the page, and the SQL expressions that select them
+    var columns = [];
+    var expressions = [];
+
+    dao.table.columns.forEach(function(column) {
+      columns.push(column.name);
+      expressions.push('a.' + quoteIdentifier(column.name));
+    });
+
+    var from = quoteIdentifier(msg.tableName) + ' a';
+
+    if (data.join) {
+      var relation = getTableRelations(gpkg, msg.tableName).find(function(relation) {
+        return relation.tableName === data.join;
+      });
+
+      if (!relation) {
+        throw new Error(data.join + ' is not related to ' + msg.tableName);
+      }
+
+      var relatedColumns = gpkg.connection.all('PRAGMA table_info(' + quoteIdentifier(relation.tableName) + ')');
+      var geometryColumn = gpkg.getFeatureTables().indexOf(relation.tableName) > -1 ?
+        gpkg.getFeatureDao(relation.tableName).getGeometryColumnName() : undefined;
+
+      relatedColumns.forEach(function(column) {
+        if (column.name !== geometryColumn) {
+          columns.push(relation.tableName + '.' + column.name);
+          expressions.push('r.' + quoteIdentifier(column.name));
+        }
+      });
+
+      from += ' LEFT JOIN ' + quoteIdentifier(relation.mappingTable) + ' m ON m.' + relation.column + ' = a.' +
+          quoteIdentifier(relation.primaryColumn || primaryKey) +
+          ' LEFT JOIN ' + quoteIdentifier(relation.tableName) + ' r ON r.' +
+          quoteIdentifier(relation.relatedPrimaryColumn) + ' = m.' + relation.relatedColumn;
+    }
+
+    var where = '';
+    var whereArgs = [];
+
+    if (data.search) {
+      where = ' WHERE ' + expressions.map(function(expression) {
+        whereArgs.push('%' + data.search + '%');
+        return 'CAST(' + expression + ' AS TEXT) LIKE ?';
+      }).join(' OR ');
+    }
+
+    var sortIndex = columns.indexOf(data.sort);
+    var order = ' ORDER BY ' + (sortIndex > -1 ? expressions[sortIndex] : 'a.' + quoteIdentifier(primaryKey)) +
+        (data.descending ? ' DESC' : ' ASC');
+
+    var limit = Math.max(1, Math.min(MAX_ATTRIBUTE_ROWS, Math.round(data.limit) || 100));
+    var offset = Math.max(0, Math.round(data.offset) || 0);
+
+    var total = gpkg.connection.get('SELECT COUNT(*) AS count FROM ' + from + where, whereArgs).count;
+    var rows = gpkg.connection.all('SELECT ' + expressions.map(function(expression, i) {
+      return expression + ' AS c' + i;
+    }).join(', ') + ' FROM ' + from + where + order + ' LIMIT ? OFFSET ?', whereArgs.concat([limit, offset]));
+
+    success(msg, {
+      columns: columns,
+      rows: rows.map(function(row) {
+        return columns.map(function(column, i) {
+          return toAttributeValue(row['c' + i]);
+        });
+      }),
+      total: total
+    });
+  } catch (e) {
+    handleError(e, msg);
+  }
+};
+
+
+/**
+ * The most related rows to post for each relation of a feature.
+ * @type {number}
+ * @const
+ */
+var MAX_RELATED_ROWS = 100;
+
+
+/**
+ * @param {Geopackage} gpkg The GeoPackage
+ * @param {string} tableName The table
+ * @return {Array<string>} The columns of the table
+ */
+var getTableColumns = function(gpkg, tableName) {
+  return gpkg.connection.all('PRAGMA table_info(' + quoteIdentifier(tableName) + ')').map(function(column) {
+    return column.name;
+  });
+};
+
+
+/**
+ * Gets the rows related to a feature by the related tables extension. The result is a list of
+ * `{tableName, relationName, columns, rows, ids, contentTypes}` for each relation with rows, where each row is an
+ * array of values in column order (without geometries, and with binary data summarized). Media relations also have
+ * the content type of each row, and the media is read with `getMedia` by the row ID.
+ * @param {GeoPackageWorkerMessage} msg
+ */
+var getRelated = function(msg) {
+  var gpkg = getGpkg(msg);
+  if (!gpkg) {
+    return;
+  }
+
+  if (!msg.tableName) {
+    handleError('tableName property must be set', msg);
+    return;
+  }
+
+  if (msg.featureId == null) {
+    handleError('featureId property must be set', msg);
+    return;
+  }
+
+  try {
+    var featureTables = gpkg.getFeatureTables();
+    var results = [];
+
+    getTableRelations(gpkg, msg.tableName).forEach(function(relation) {
+      if (FEATURE_STYLE_TABLES.indexOf(relation.tableName) > -1) {
+        // styles are applied to the features rather than listed
+        return;
+      }
+
+      var primaryColumn = relation.relatedPrimaryColumn;
+      var where = ' WHERE ' + quoteIdentifier(primaryColumn) + ' IN (SELECT ' + relation.relatedColumn + ' FROM ' +
+          quoteIdentifier(relation.mappingTable) + ' WHERE ' + relation.column + ' = ?)';
+
+      var rows = gpkg.connection.all('SELECT * FROM ' + quoteIdentifier(relation.tableName) + where +
+          ' ORDER BY ' + quoteIdentifier(primaryColumn) + ' LIMIT ' + MAX_RELATED_ROWS, [msg.featureId]);
+
+      if (rows.length) {
+        var geometryColumn = featureTables.indexOf(relation.tableName) > -1 ?
+          gpkg.getFeatureDao(relation.tableName).getGeometryColumnName() : undefined;
+        var columns = getTableColumns(gpkg, relation.tableName).filter(function(column) {
+          return column !== geometryColumn;
+        });
+        var isMedia = columns.indexOf('data') > -1 && columns.indexOf('content_type') > -1;
+
+        results.push({
+          tableName: relation.tableName,
+          relationName: relation.relationName,
+          columns: columns,
+          rows: rows.map(function(row) {
+            return columns.map(function(column) {
+              return toAttributeValue(row[column]);
+            });
+          }),
+          ids: rows.map(function(row) {
+            return row[primaryColumn];
+          }),
+          contentTypes: isMedia ? rows.map(function(row) {
+            // eslint-disable-next-line google-camelcase/google-camelcase
+            return row.content_type;
+          }) : undefined
+        });
+      }
+    });
+
+    success(msg, results);
+  } catch (e) {
+    handleError(e, msg);
+  }
+};
+
+
+/**
+ * Gets the data in a row of a media table, as `{data, contentType}`. The featureId on the message is the ID of the
+ * media row.
+ * @param {GeoPackageWorkerMessage} msg
+ */
+var getMedia = function(msg) {
+  var gpkg = getGpkg(msg);
+  if (!gpkg) {
+    return;
+  }
+
+  if (!msg.tableName) {
+    handleError('tableName property must be set', msg);
+    return;
+  }
+
+  if (msg.featureId == null) {
+    handleError('featureId property must be set', msg);
+    return;
+  }
+
+  try {
+    var primaryKey = gpkg.connection.all('PRAGMA table_info(' + quoteIdentifier(msg.tableName) + ')')
+        .find(function(column) {
+          return column.pk;
+        });
+
+    if (!primaryKey) {
+      throw new Error(msg.tableName + ' does not have a primary key');
+    }
+
+    var row = gpkg.connection.get('SELECT data, content_type FROM ' + quoteIdentifier(msg.tableName) + ' WHERE ' +
+        quoteIdentifier(primaryKey.name) + ' = ?', [msg.featureId]);
+
+    if (!row) {
+      throw new Error('No media with ID ' + msg.featureId + ' in ' + msg.tableName);
+    }
+
+    var data = new Uint8Array(row.data);
+
+    success(msg, {
+      // eslint-disable-next-line google-camelcase/google-camelcase
+      contentType: row.content_type,
+      data: isNode ? Array.from(data) : data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength)
+    });
+  } catch (e) {
+    handleError(e, msg);
+  }
+};
+
+
+/**
+ * The most rows a SQL query can return.
+ * @type {number}
+ * @const
+ */
+var MAX_SQL_ROWS = 10000;
+
+
+/**
+ * Matches statements that only read from the database: a SELECT, a WITH clause before a SELECT, or a VALUES list.
+ * Comments before the statement are skipped.
+ * @type {RegExp}
+ * @const
+ */
+var READ_STATEMENT_REGEX = /^(\s|--[^\n]*(\n|$)|\/\*[\s\S]*?\*\/)*(SELECT|WITH|VALUES)\b/i;
+
+
+/**
+ * The GeoJSON types of the WKB geometry type codes, less one.
+ * @type {Array<string>}
+ * @const
+ */
+var WKB_TYPES = ['Point', 'LineString', 'Polygon', 'MultiPoint', 'MultiLineString', 'MultiPolygon',
+  'GeometryCollection'];
+
+
+/**
+ * Reads a WKB geometry as GeoJSON. Z values are kept and M values are dropped.
+ * @param {DataView} view The bytes
+ * @param {number} offset The offset of the geometry
+ * @return {{geometry: Object, offset: number}} The geometry, and the offset of the bytes after it
+ */
+var readWkbGeometry = function(view, offset) {
+  var littleEndian = view.getUint8(offset) === 1;
+  var code = view.getUint32(offset + 1, littleEndian);
+  offset += 5;
+
+  // ISO WKB adds 1000 to the type for Z, 2000 for M and 3000 for both
+  var dimensions = Math.floor(code / 1000);
+  var hasZ = dimensions === 1 || dimensions === 3;
+  var size = 2 + (hasZ ? 1 : 0) + (dimensions >= 2 ? 1 : 0);
+  var type = WKB_TYPES[code % 1000 - 1];
+
+  if (!type) {
+    throw new Error('WKB geometry type ' + code + ' is not supported');
+  }
+
+  var readCount = function() {
+    var count = view.getUint32(offset, littleEndian);
+    offset += 4;
+    return count;
+  };
+
+  var readPoint = function() {
+    var coordinate = [];
+    for (var i = 0; i < size; i++) {
+      coordinate.push(view.getFloat64(offset + i * 8, littleEndian));
+    }
+
+    offset += size * 8;
+    return coordinate.slice(0, hasZ ? 3 : 2);
+  };
+
+  var readPoints = function() {
+    var points = [];
+    for (var i = 0, n = readCount(); i < n; i++) {
+      points.push(readPoint());
+    }
+
+    return points;
+  };
+
+  var readGeometries = function() {
+    var geometries = [];
+    for (var i = 0, n = readCount(); i < n; i++) {
+      var result = readWkbGeometry(view, offset);
+      geometries.push(result.geometry);
+      offset = result.offset;
+    }
+
+    return geometries;
+  };
+
+  var geometry = {type: type};
+
+  if (type === 'Point') {
+    geometry.coordinates = readPoint();
+  } else if (type === 'LineString') {
+    geometry.coordinates = readPoints();
+  } else if (type === 'Polygon') {
+    geometry.coordinates = [];
+    for (var i = 0, n = readCount(); i < n; i++) {
+      geometry.coordinates.push(readPoints());
+    }
+  } else if (type === 'GeometryCollection') {
+    geometry.geometries = readGeometries();
+  } else {
+    geometry.coordinates = readGeometries().map(function(child) {
+      return child.coordinates;
+    });
+  }
+
+  return {geometry: geometry, offset: offset};
+};
+
+
+/**
+ * Gets a function reading GeoPackage geometry blobs as GeoJSON geometries in EPSG:4326. The systems in the blob
+ * headers are looked up once each.
+ * @param {Geopackage} gpkg The GeoPackage
+ * @return {function(Uint8Array):Object} The function, returning null for empty or unreadable geometries
+ */
+var getGeometryReader = function(gpkg) {
+  var reprojections = {};
+
+  return function(blob) {
+    var header = readGeometryHeader(blob);
+    if (header.error || header.empty) {
+      return null;
+    }
+
+    var srsId = /** @type {number} */ (header.srsId);
+
+    try {
+      if (!(srsId in reprojections)) {
+        var srs = gpkg.getSpatialReferenceSystemDao().getBySrsId(srsId);
+        reprojections[srsId] = srs ? getWgs84Reprojection(srs, srs.getProjection()) : null;
+      }
+
+      var geometry = readWkbGeometry(new DataView(blob.buffer, blob.byteOffset, blob.byteLength),
+          /** @type {number} */ (header.offset)).geometry;
+
+      if (reprojections[srsId]) {
+        reprojections[srsId](geometry);
+      }
+
+      return geometry;
+    } catch (e) {
+      return null;
+    }
+  };
+};
+
+
+/**
+ * Reads the rows of a statement with the database driver, which (unlike the library) keeps the order and names of
+ * the columns.
+ * @param {Geopackage} gpkg The GeoPackage
+ * @param {string} sql The statement
+ * @return {{columns: Array<string>, rows: Array<Array<*>>}}
+ */
+var readSqlRows = function(gpkg, sql) {
+  var statement = gpkg.connection.getDBConnection().prepare(sql);
+  var columns;
+  var rows = [];
+
+  if (typeof statement.raw === 'function') {
+    // better-sqlite3, in Electron
+    if (!statement.reader) {
+      throw new Error('The statement does not return rows');
+    }
+
+    columns = statement.columns().map(function(column) {
+      return column.name;
+    });
+    rows = statement.raw(true).all();
+  } else {
+    // sql.js, in the browser, which only names the columns once there is a row
+    try {
+      while (statement.step()) {
+        columns = columns || statement.getColumnNames();
+        rows.push(statement.get());
+      }
+    } finally {
+      statement.free();
+    }
+  }
+
+  return {columns: columns || [], rows: rows};
+};
+
+
+/**
+ * Runs a read-only SQL query. The data on the message is the `{sql, limit}` of the query, where the SQL is a single
+ * SELECT (or WITH or VALUES) statement. The database refuses changes while the query runs, so statements that get
+ * past the check are still unable to write. The result is the `{columns, rows, truncated, geometryColumn,
+ * geometries}` of the query, with each row as an array of values in column order and `truncated` set if there were
+ * more rows than the limit. The first column of GeoPackage geometries is the geometry column, and its geometries are
+ * read as GeoJSON in EPSG:4326 (with the type of each geometry in the rows).
+ * @param {GeoPackageWorkerMessage} msg
+ */
+var querySql = function(msg) {
+  var gpkg = getGpkg(msg);
+  if (!gpkg) {
+    return;
+  }
+
+  var data = msg.data || {};
+  var sql = typeof data.sql === 'string' ? data.sql.replace(/[\s;]+$/, '') : '';
+
+  if (!sql) {
+    handleError('data property must be set to the {sql} to run', msg);
+    return;
+  }
+
+  if (!READ_STATEMENT_REGEX.test(sql)) {
+    handleError('Only SELECT statements can be run', msg);
+    return;
+  }
+
+  var limit = Math.max(1, Math.min(MAX_SQL_ROWS, Math.round(data.limit) || 1000));
+  var queryOnly = false;
+
+  try {
+    gpkg.connection.run('PRAGMA query_only = ON');
+    queryOnly = true;
+
+    // selecting from the statement limits the rows, and fails for anything but a single query. the line break keeps
+    // a trailing comment from hiding the parenthesis.
+    var result = readSqlRows(gpkg, 'SELECT * FROM (' + sql + '\n) LIMIT ' + (limit + 1));
+    var truncated = result.rows.length > limit;
+    var rows = result.rows.slice(0, limit);
+
+    var geometryColumn = result.columns.findIndex(function(column, i) {
+      return rows.some(function(row) {
+        return row[i] instanceof Uint8Array && !readGeometryHeader(row[i]).error;
+      });
+    });
+
+    var geometries;
+    if (geometryColumn > -1) {
+      var readGeometry = getGeometryReader(gpkg);
+      geometries = rows.map(function(row) {
+        var value = row[geometryColumn];
+        return value instanceof Uint8Array ? readGeometry(value) : null;
+      });
+    }
+
+    success(msg, {
+      columns: result.columns,
+      rows: rows.map(function(row, i) {
+        return row.map(function(value, j) {
+          if (j === geometryColumn && geometries[i]) {
+            return geometries[i].type;
+          }
+
+          return toAttributeValue(value);
+        });
+      }),
+      truncated: truncated,
+      geometryColumn: geometryColumn,
+      geometries: geometries
+    });
+  } catch (e) {
+    handleError(e, msg);
+  } finally {
+    if (queryOnly) {
+      gpkg.connection.run('PRAGMA query_only = OFF');
+    }
+  }
+};
+
+
+/**
+ * The `application_id` of GeoPackages from version 1.2 ("GPKG").
+ * @type {number}
+ * @const
+ */
+var GPKG_APPLICATION_ID = 0x47504B47;
+
+
+/**
+ * The `application_id` of GeoPackages from before version 1.2 ("GP10" and "GP11").
+ * @type {Array<number>}
+ * @const
+ */
+var OLD_APPLICATION_IDS = [0x47503130, 0x47503131];
+
+
+/**
+ * The `gpkg_contents` data types of tile tables, including those from the gridded coverage and vector tiles
+ * extensions.
+ * @type {Array<string>}
+ * @const
+ */
+var TILE_DATA_TYPES = ['tiles', '2d-gridded-coverage'].concat(VECTOR_TILE_DATA_TYPES);
+
+
+/**
+ * The number of geometries read from each feature table when checking the geometry blob headers.
+ * @type {number}
+ * @const
+ */
+var MAX_VALIDATED_GEOMETRIES = 1000;
+
+
+/**
+ * The sizes of the envelope in a geometry blob header, by envelope indicator.
+ * @type {Array<number>}
+ * @const
+ */
+var ENVELOPE_SIZES = [0, 32, 48, 48, 64];
+
+
+/**
+ * The suffixes of the triggers that keep an RTree spatial index up to date.
+ * @type {Array<string>}
+ * @const
+ */
+var RTREE_TRIGGERS = ['insert', 'update1', 'update2', 'update3', 'update4', 'delete'];
+
+
+/**
+ * GeoPackages that failed to open, by ID, so they can still be validated.
+ * @type {Object<string, (string|Uint8Array)>}
+ */
+var invalidById = {};
+
+
+/**
+ * Collects the results of validating a GeoPackage.
+ * @param {string=} opt_tableName The table the results are for, or undefined for the whole GeoPackage
+ * @param {Array<GeoPackageValidationResult>=} opt_results The results to add to
+ * @constructor
+ */
+var ValidationReport = function(opt_tableName, opt_results) {
+  this.tableName = opt_tableName;
+  this.results = opt_results || [];
+};
+
+
+/**
+ * @param {string} status The status: pass, warn or fail
+ * @param {string} check The check
+ * @param {string} message What was found
+ */
+ValidationReport.prototype.add = function(status, check, message) {
+  this.results.push(/** @type {GeoPackageValidationResult} */ ({
+    tableName: this.tableName,
+    check: check,
+    status: status,
+    message: message
+  }));
+};
+
+
+/**
+ * @param {string} tableName The table
+ * @return {ValidationReport} A report for the table that adds to the same results
+ */
+ValidationReport.prototype.forTable = function(tableName) {
+  return new ValidationReport(tableName, this.results);
+};
+
+
+/**
+ * @param {Object} connection The database connection
+ * @param {string} name The table
+ * @return {boolean} If the table exists
+ */
+var tableExists = function(connection, name) {
+  return !!connection.get('SELECT name FROM sqlite_master WHERE type IN (\'table\', \'view\') AND name = ?', [name]);
+};
+
+
+/**
+ * @param {number} value The value
+ * @return {string} The value as four ASCII characters, as application IDs are written
+ */
+var toFourCC = function(value) {
+  return String.fromCharCode((value >>> 24) & 255, (value >>> 16) & 255, (value >>> 8) & 255, value & 255);
+};
+
+
+/**
+ * Checks the file header and the integrity of the database.
+ * @param {Object} connection The database connection
+ * @param {ValidationReport} report The report
+ */
+var validateFile = function(connection, report) {
+  // disable camelcase checks for the pragma names
+  /* eslint-disable google-camelcase/google-camelcase */
+  var applicationId = connection.get('PRAGMA application_id').application_id >>> 0;
+  var userVersion = connection.get('PRAGMA user_version').user_version;
+  /* eslint-enable google-camelcase/google-camelcase */
+
+  if (applicationId === GPKG_APPLICATION_ID) {
+    report.add('pass', 'Application ID', 'The application ID is GPKG');
+  } else if (OLD_APPLICATION_IDS.indexOf(applicationId) > -1) {
+    report.add('warn', 'Application ID', 'The application ID is ' + toFourCC(applicationId) +
+        ', from GeoPackage 1.0 or 1.1. GeoPackage 1.2 and later use GPKG.');
+  } else {
+    report.add('fail', 'Application ID', 'The application ID is ' + applicationId + ' rather than GPKG, so this is ' +
+        'not marked as a GeoPackage');
+  }
+
+  if (applicationId === GPKG_APPLICATION_ID) {
+    if (userVersion >= 10200) {
+      report.add('pass', 'User Version', 'The file is GeoPackage version ' + Math.floor(userVersion / 10000) + '.' +
+          Math.floor(userVersion % 10000 / 100) + '.' + userVersion % 100);
+    } else {
+      report.add('fail', 'User Version', 'The user version is ' + userVersion + '. GeoPackages with the GPKG ' +
+          'application ID must have a version of at least 10200 (1.2.0).');
+    }
+  }
+
+  var problems = connection.all('PRAGMA quick_check').map(function(row) {
+    // eslint-disable-next-line google-camelcase/google-camelcase
+    return row.quick_check;
+  }).filter(function(value) {
+    return value !== 'ok';
+  });
+
+  if (problems.length) {
+    report.add('fail', 'Integrity', 'The database is corrupt: ' + problems.slice(0, 5).join('; '));
+  } else {
+    report.add('pass', 'Integrity', 'The database passed the SQLite integrity check');
+  }
+
+  var foreignKeyTables = {};
+  connection.all('PRAGMA foreign_key_check').forEach(function(row) {
+    foreignKeyTables[row.table] = true;
+  });
+
+  if (Object.keys(foreignKeyTables).length) {
+    report.add('fail', 'Foreign Keys', 'Rows refer to rows that do not exist in: ' +
+        Object.keys(foreignKeyTables).join(', '));
+  } else {
+    report.add('pass', 'Foreign Keys', 'All foreign keys refer to existing rows');
+  }
+};
+
+
+/**
+ * Checks the tables that every GeoPackage must have, and the spatial reference systems.
+ * @param {Object} connection The database connection
+ * @param {ValidationReport} report The report
+ * @return {boolean} If the tables exist to check the contents
+ */
+var validateRequiredTables = function(connection, report) {
+  var missing = ['gpkg_spatial_ref_sys', 'gpkg_contents'].filter(function(name) {
+    return !tableExists(connection, name);
+  });
+
+  if (missing.length) {
+    report.add('fail', 'Required Tables', 'The GeoPackage does not have the required ' + missing.join(' and ') +
+        ' table' + (missing.length > 1 ? 's' : ''));
+    return false;
+  }
+
+  var dataTypes = connection.all('SELECT DISTINCT data_type FROM gpkg_contents').map(function(row) {
+    // eslint-disable-next-line google-camelcase/google-camelcase
+    return row.data_type;
+  });
+
+  if (dataTypes.indexOf('features') > -1 && !tableExists(connection, 'gpkg_geometry_columns')) {
+    missing.push('gpkg_geometry_columns');
+  }
+
+  if (dataTypes.some(function(type) {
+    return TILE_DATA_TYPES.indexOf(type) > -1;
+  })) {
+    ['gpkg_tile_matrix_set', 'gpkg_tile_matrix'].forEach(function(name) {
+      if (!tableExists(connection, name)) {
+        missing.push(name);
+      }
+    });
+  }
+
+  if (missing.length) {
+    report.add('fail', 'Required Tables', 'The GeoPackage has feature or tile tables but does not have the ' +
+        missing.join(', ') + ' table' + (missing.length > 1 ? 's' : ''));
+  } else {
+    report.add('pass', 'Required Tables', 'The GeoPackage has the required tables');
+  }
+
+  var srsIds = connection.all('SELECT srs_id, definition FROM gpkg_spatial_ref_sys').map(function(row) {
+    // eslint-disable-next-line google-camelcase/google-camelcase
+    return row.srs_id;
+  });
+
+  var missingSrs = [4326, -1, 0].filter(function(srsId) {
+    return srsIds.indexOf(srsId) < 0;
+  });
+
+  if (missingSrs.length) {
+    report.add('fail', 'Spatial Reference Systems', 'The required spatial reference systems are missing: ' +
+        missingSrs.join(', '));
+  } else {
+    report.add('pass', 'Spatial Reference Systems', 'The required spatial reference systems are defined');
+  }
+
+  var undefinedSrs = connection.all('SELECT srs_id FROM gpkg_spatial_ref_sys WHERE srs_id NOT IN (-1, 0) AND ' +
+      '(definition IS NULL OR TRIM(definition) = \'\' OR LOWER(definition) = \'undefined\')').map(function(row) {
+    // eslint-disable-next-line google-camelcase/google-camelcase
+    return row.srs_id;
+  });
+
+  if (undefinedSrs.length) {
+    report.add('warn', 'SRS Definitions', 'Spatial reference systems have no WKT definition, so their data may not ' +
+        'be reprojected: ' + undefinedSrs.join(', '));
+  } else {
+    report.add('pass', 'SRS Definitions', 'All spatial reference systems have a definition');
+  }
+
+  return true;
+};
+
+
+/**
+ * @param {Object} connection The database connection
+ * @param {number} srsId The SRS ID
+ * @return {boolean} If the GeoPackage defines the SRS
+ */
+var hasSrs = function(connection, srsId) {
+  return !!connection.get('SELECT srs_id FROM gpkg_spatial_ref_sys WHERE srs_id = ?', [srsId]);
+};
+
+
+/**
+ * Checks the header of a geometry blob.
+ * @param {Uint8Array} blob The geometry blob
+ * @return {{error: (string|undefined), srsId: (number|undefined), empty: (boolean|undefined),
+ *     offset: (number|undefined)}} The error, or the SRS ID in the header, whether the geometry is empty and the offset
+ *     of the WKB geometry after the header
+ */
+var readGeometryHeader = function(blob) {
+  if (blob.length < 8 || blob[0] !== 0x47 || blob[1] !== 0x50) {
+    return {error: 'does not start with the GP magic number'};
+  }
+
+  if (blob[2] !== 0) {
+    return {error: 'has version ' + blob[2] + ' rather than 0'};
+  }
+
+  var flags = blob[3];
+  var envelope = (flags >> 1) & 7;
+
+  if (envelope >= ENVELOPE_SIZES.length) {
+    return {error: 'has an invalid envelope indicator of ' + envelope};
+  }
+
+  var headerLength = 8 + ENVELOPE_SIZES[envelope];
+  if (blob.length < headerLength + 5) {
+    return {error: 'is too short for its header and a WKB geometry'};
+  }
+
+  var byteOrder = blob[headerLength];
+  if (byteOrder !== 0 && byteOrder !== 1) {
+    return {error: 'does not have WKB after the header'};
+  }
+
+  var view = new DataView(blob.buffer, blob.byteOffset, blob.byteLength);
+  return {
+    srsId: view.getInt32(4, (flags & 1) === 1),
+    empty: (flags & 0x10) !== 0,
+    offset: headerLength
+  };
+};
+
+
+/**
+ * Checks a feature table: its geometry column, a sample of its geometry blobs, and its RTree spatial index.
+ * @param {Object} connection The database connection
+ * @param {Object} contents The `gpkg_contents` row
+ * @param {ValidationReport} report The report for the table
+ */
+var validateFeatureTable = function(connection, contents, report) {
+  // disable camelcase checks for the column names
+  /* eslint-disable google-camelcase/google-camelcase */
+  var tableName = contents.table_name;
+  var geometryColumns = tableExists(connection, 'gpkg_geometry_columns') ?
+    connection.get('SELECT * FROM gpkg_geometry_columns WHERE table_name = ?', [tableName]) : null;
+
+  if (!geometryColumns) {
+    report.add('fail', 'Geometry Column', 'The table is not in gpkg_geometry_columns');
+    return;
+  }
+
+  var column = geometryColumns.column_name;
+  var srsId = geometryColumns.srs_id;
+  /* eslint-enable google-camelcase/google-camelcase */
+
+  var hasColumn = connection.all('PRAGMA table_info(' + quoteIdentifier(tableName) + ')').some(function(row) {
+    return row.name === column;
+  });
+
+  if (!hasColumn) {
+    report.add('fail', 'Geometry Column', 'The table does not have the ' + column + ' geometry column');
+    return;
+  }
+
+  if (!hasSrs(connection, srsId)) {
+    report.add('fail', 'Geometry Column', 'The geometry column uses spatial reference system ' + srsId +
+        ', which is not defined');
+  } else {
+    report.add('pass', 'Geometry Column', 'The ' + column + ' column uses spatial reference system ' + srsId);
+  }
+
+  var invalid = 0;
+  var wrongSrs = 0;
+  var firstError;
+  var checked = 0;
+  var sql = 'SELECT ' + quoteIdentifier(column) + ' AS geom FROM ' + quoteIdentifier(tableName) + ' WHERE ' +
+      quoteIdentifier(column) + ' IS NOT NULL LIMIT ' + MAX_VALIDATED_GEOMETRIES;
+
+  connection.all(sql).forEach(function(row) {
+    checked++;
+
+    var header = row.geom instanceof Uint8Array ? readGeometryHeader(row.geom) :
+      {error: 'is not a blob'};
+
+    if (header.error) {
+      invalid++;
+      firstError = firstError || header.error;
+    } else if (header.srsId !== srsId) {
+      wrongSrs++;
+    }
+  });
+
+  if (invalid) {
+    report.add('fail', 'Geometry Blobs', invalid + ' of ' + checked + ' geometries checked are not valid ' +
+        'GeoPackage geometries. The first ' + firstError + '.');
+  } else if (checked) {
+    report.add('pass', 'Geometry Blobs', 'The ' + checked + ' geometries checked have valid headers');
+  }
+
+  if (wrongSrs) {
+    report.add('warn', 'Geometry Blobs', wrongSrs + ' geometries have a spatial reference system other than ' +
+        srsId + ' in their header');
+  }
+
+  var rtree = 'rtree_' + tableName + '_' + column;
+  var indexed = tableExists(connection, 'gpkg_extensions') && !!connection.get('SELECT extension_name FROM ' +
+      'gpkg_extensions WHERE table_name = ? AND column_name = ? AND extension_name = ?',
+  [tableName, column, 'gpkg_rtree_index']);
+
+  if (indexed) {
+    if (!tableExists(connection, rtree)) {
+      report.add('fail', 'Spatial Index', 'The RTree index is registered in gpkg_extensions, but the ' + rtree +
+          ' table does not exist');
+    } else {
+      var missing = RTREE_TRIGGERS.filter(function(suffix) {
+        return !connection.get('SELECT name FROM sqlite_master WHERE type = \'trigger\' AND name = ?',
+            [rtree + '_' + suffix]);
+      });
+
+      if (missing.length) {
+        report.add('fail', 'Spatial Index', 'The RTree index is missing the triggers that keep it up to date: ' +
+            missing.map(function(suffix) {
+              return rtree + '_' + suffix;
+            }).join(', '));
+      } else {
+        report.add('pass', 'Spatial Index', 'The RTree index has its triggers');
+      }
+    }
+  } else if (tableExists(connection, rtree)) {
+    report.add('warn', 'Spatial Index', 'The ' + rtree + ' table exists, but the RTree index is not registered in ' +
+        'gpkg_extensions');
+  } else {
+    report.add('pass', 'Spatial Index', 'The table does not have an RTree index');
+  }
+};
+
+
+/**
+ * Checks a tile table: its tile matrix set, that each tile matrix covers the tile matrix set, and that the tiles are
+ * in the tile matrices.
+ * @param {Object} connection The database connection
+ * @param {Object} contents The `gpkg_contents` row
+ * @param {ValidationReport} report The report for the table
+ */
+var validateTileTable = function(connection, contents, report) {
+  // disable camelcase checks for the column names
+  /* eslint-disable google-camelcase/google-camelcase */
+  var tableName = contents.table_name;
+  var matrixSet = tableExists(connection, 'gpkg_tile_matrix_set') ?
+    connection.get('SELECT * FROM gpkg_tile_matrix_set WHERE table_name = ?', [tableName]) : null;
+
+  if (!matrixSet) {
+    report.add('fail', 'Tile Matrix Set', 'The table is not in gpkg_tile_matrix_set');
+    return;
+  }
+
+  if (!hasSrs(connection, matrixSet.srs_id)) {
+    report.add('fail', 'Tile Matrix Set', 'The tile matrix set uses spatial reference system ' + matrixSet.srs_id +
+        ', which is not defined');
+  } else {
+    report.add('pass', 'Tile Matrix Set', 'The tile matrix set uses spatial reference system ' + matrixSet.srs_id);
+  }
+
+  var matrices = tableExists(connection, 'gpkg_tile_matrix') ?
+    connection.all('SELECT * FROM gpkg_tile_matrix WHERE table_name = ? ORDER BY zoom_level', [tableName]) : [];
+
+  if (!matrices.length) {
+    report.add('warn', 'Tile Matrices', 'The table has no tile matrices, so none of its tiles can be displayed');
+    return;
+  }
+
+  var width = matrixSet.max_x - matrixSet.min_x;
+  var height = matrixSet.max_y - matrixSet.min_y;
+  var mismatched = matrices.filter(function(matrix) {
+    var matrixWidth = matrix.matrix_width * matrix.tile_width * matrix.pixel_x_size;
+    var matrixHeight = matrix.matrix_height * matrix.tile_height * matrix.pixel_y_size;
+    return Math.abs(matrixWidth - width) > width * 1e-6 || Math.abs(matrixHeight - height) > height * 1e-6;
+  }).map(function(matrix) {
+    return matrix.zoom_level;
+  });
+  /* eslint-enable google-camelcase/google-camelcase */
+
+  if (mismatched.length) {
+    report.add('fail', 'Tile Matrices', 'The tiles and pixel sizes do not cover the tile matrix set at zoom levels ' +
+        mismatched.join(', ') + ', so the tiles will be drawn in the wrong place');
+  } else {
+    report.add('pass', 'Tile Matrices', 'The ' + matrices.length + ' tile matrices cover the tile matrix set');
+  }
+
+  var table = quoteIdentifier(tableName);
+  var unmatched = connection.get('SELECT COUNT(*) AS count FROM ' + table + ' WHERE zoom_level NOT IN ' +
+      '(SELECT zoom_level FROM gpkg_tile_matrix WHERE table_name = ?)', [tableName]).count;
+  var outside = connection.get('SELECT COUNT(*) AS count FROM ' + table + ' t JOIN gpkg_tile_matrix m ON ' +
+      'm.table_name = ? AND m.zoom_level = t.zoom_level WHERE t.tile_column < 0 OR t.tile_row < 0 OR ' +
+      't.tile_column >= m.matrix_width OR t.tile_row >= m.matrix_height', [tableName]).count;
+
+  if (unmatched || outside) {
+    report.add('fail', 'Tiles', (unmatched ? unmatched + ' tiles are at zoom levels without a tile matrix. ' : '') +
+        (outside ? outside + ' tiles are outside of their tile matrix.' : ''));
+  } else {
+    report.add('pass', 'Tiles', 'All tiles are within their tile matrix');
+  }
+};
+
+
+/**
+ * Checks a GeoPackage against the requirements of the GeoPackage specification.
+ * @param {Object} connection The database connection
+ * @return {!Array<GeoPackageValidationResult>} The results
+ */
+var validateConnection = function(connection) {
+  var report = new ValidationReport();
+  validateFile(connection, report);
+
+  if (validateRequiredTables(connection, report)) {
+    connection.all('SELECT * FROM gpkg_contents ORDER BY table_name').forEach(function(contents) {
+      // eslint-disable-next-line google-camelcase/google-camelcase
+      var tableReport = report.forTable(contents.table_name);
+      // eslint-disable-next-line google-camelcase/google-camelcase
+      var dataType = contents.data_type;
+
+      // eslint-disable-next-line google-camelcase/google-camelcase
+      if (!tableExists(connection, contents.table_name)) {
+        tableReport.add('fail', 'Table', 'The table is listed in gpkg_contents, but does not exist');
+        return;
+      }
+
+      // eslint-disable-next-line google-camelcase/google-camelcase
+      if (contents.srs_id != null && !hasSrs(connection, contents.srs_id)) {
+        // eslint-disable-next-line google-camelcase/google-camelcase
+        tableReport.add('fail', 'Contents', 'The contents use spatial reference system ' + contents.srs_id +
+            ', which is not defined');
+      }
+
+      if (dataType === 'features') {
+        validateFeatureTable(connection, contents, tableReport);
+      } else if (TILE_DATA_TYPES.indexOf(dataType) > -1) {
+        validateTileTable(connection, contents, tableReport);
+      } else if (dataType === 'attributes') {
+        tableReport.add('pass', 'Table', 'The attributes table exists');
+      } else {
+        tableReport.add('warn', 'Contents', 'The data type ' + dataType + ' is not known, so the table is not ' +
+            'displayed');
+      }
+    });
+  }
+
+  return report.results;
+};
+
+
+/**
+ * Validates a GeoPackage against the requirements of the GeoPackage specification, responding with a pass, warn or
+ * fail result for each check. GeoPackages that failed to open are validated from the file they were opened with.
+ * @param {GeoPackageWorkerMessage} msg
+ */
+var validate = function(msg) {
+  if (!msg.id) {
+    handleError('id property must be set', msg);
+    return;
+  }
+
+  var gpkg = gpkgById[msg.id];
+
+  if (gpkg) {
+    try {
+      success(msg, validateConnection(gpkg.connection));
+    } catch (e) {
+      handleError(e, msg);
+    }
+  } else if (msg.id in invalidById) {
+    var notSqlite = function(err) {
+      var result = /** @type {GeoPackageValidationResult} */ ({
+        check: 'SQLite',
+        status: 'fail',
+        message: 'The file is not a SQLite database: ' + (err && err.message || err)
+      });
+
+      success(msg, [result]);
+    };
+
+    geopackage.GeoPackageConnection.connect(invalidById[msg.id])
+        .then(function(connection) {
+          try {
+            // the file is not read until the first query
+            connection.get('PRAGMA schema_version');
+          } catch (e) {
+            connection.close();
+            notSqlite(e);
+            return;
+          }
+
+          try {
+            success(msg, validateConnection(connection));
+          } catch (e) {
+            handleError(e, msg);
+          } finally {
+            connection.close();
+          }
+        }, notSqlite);
+  } else {
+    handleError('No GeoPackage exists for the given ID', msg);
+  }
+};
+
+
+/**
+ * The number of features to post per message when streaming features.
+ * @type {number}
+ * @const
+ */
+var FEATURE_BATCH_SIZE = 500;
+
+
+/**
+ * Feature requests that are still streaming, by request ID.
+ * @type {Object<string, boolean>}
+ */
+var activeRequests = {};
+
+
+/**
+ * Posts the GeoJSON features from the iterator in batches of `{features, loaded, total}`, followed by a 0 to signal
+ * the end of the results. Each batch is posted from a new task so that a cancel message can be handled in between.
+ * @param {GeoPackageWorkerMessage} msg
+ * @param {Iterator<Object>} itr
+ * @param {number} total The number of rows the iterator will visit
+ * @param {function(Object):boolean=} opt_filter Optional filter, return false to skip a feature
+ */
+var sendFeatures = function(msg, itr, total, opt_filter) {
+  var requestId = msg.requestId;
+  var loaded = 0;
+
+  if (requestId) {
+    activeRequests[requestId] = true;
+  }
+
+  var nextBatch = function() {
+    if (requestId && !activeRequests[requestId]) {
+      // the request was cancelled
+      return;
+    }
+
+    try {
+      var features = [];
+      var record = itr.next();
+
+      while (!record.done) {
+        loaded++;
+
+        if (record.value && (!opt_filter || opt_filter(record.value))) {
+          features.push(record.value);
+        }
+
+        if (features.length === FEATURE_BATCH_SIZE) {
+          break;
+        }
+
+        record = itr.next();
+      }
+
+      if (features.length) {
+        success(msg, {
+          features: features,
+          loaded: loaded,
+          total: Math.max(total, loaded)
+        });
+      }
+
+      if (record.done) {
+        delete activeRequests[requestId];
+        success(msg, 0);
+      } else {
+        setTimeout(nextBatch, 0);
+      }
+    } catch (e) {
+      delete activeRequests[requestId];
+      handleError(e, msg);
+    }
+  };
+
+  nextBatch();
+};
+
+
+/**
+ * Stops streaming features for a request.
+ * @param {GeoPackageWorkerMessage} msg
+ */
+var cancelRequest = function(msg) {
+  if (!msg.requestId) {
+    handleError('requestId property must be set', msg);
+    return;
+  }
+
+  delete activeRequests[msg.requestId];
+};
+
+
+/**
+ * Comparison operators supported in structured filters, mapped to their SQL operator.
+ * @type {Object<string, string>}
+ * @const
+ */
+var FILTER_COMPARISONS = {
+  '=': '=',
+  '!=': '<>',
+  '<': '<',
+  '<=': '<=',
+  '>': '>',
+  '>=': '>='
+};
+
+
+/**
+ * @param {string} name The column name
+ * @return {string} The quoted SQL identifier
+ */
+var quoteIdentifier = function(name) {
+  return '"' + name.replace(/"/g, '""') + '"';
+};
+
+
+/**
+ * Translates a SQL LIKE pattern, with `\` as the escape character, to a GLOB pattern. GLOB matches case.
+ * @param {string} pattern The LIKE pattern
+ * @return {string} The GLOB pattern
+ */
+var likeToGlob = function(pattern) {
+  var glob = '';
+
+  for (var i = 0, n = pattern.length; i < n; i++) {
+    var c = pattern.charAt(i);
+
+    if (c === '\\' && i + 1 < n) {
+      c = pattern.charAt(++i);
+    } else if (c === '%') {
+      glob += '*';
+      continue;
+    } else if (c === '_') {
+      glob += '?';
+      continue;
+    }
+
+    // characters that are special to GLOB are matched literally in brackets
+    glob += c === '*' || c === '?' || c === '[' ? '[' + c + ']' : c;
+  }
+
+  return glob;
+};
+
+
+/**
+ * Translates a structured filter to a parameterized SQL expression. Column names are checked against the table so
+ * that only values (never identifiers) come from the filter as parameters.
+ * @param {GeoPackageFilter} filter The filter
+ * @param {Object<string, boolean>} columns The column names in the table
+ * @param {Array<*>} whereArgs Array to receive the query parameters
+ * @return {string} The SQL expression
+ */
+var filterToSql = function(filter, columns, whereArgs) {
+  var op = filter.op;
+
+  if (op === 'and' || op === 'or') {
+    if (!filter.filters || !filter.filters.length) {
+      throw new Error('Filter operator "' + op + '" requires at least one child filter');
+    }
+
+    return '(' + filter.filters.map(function(child) {
+      return filterToSql(child, columns, whereArgs);
+    }).join(' ' + op.toUpperCase() + ' ') + ')';
+  }
+
+  if (op === 'not') {
+    if (!filter.filters || filter.filters.length !== 1) {
+      throw new Error('Filter operator "not" requires exactly one child filter');
+    }
+
+    return '(NOT ' + filterToSql(filter.filters[0], columns, whereArgs) + ')';
+  }
+
+  if (!filter.column || !columns[filter.column]) {
+    throw new Error('Filter column "' + filter.column + '" does not exist in the table');
+  }
+
+  var column = quoteIdentifier(filter.column);
+
+  if (op in FILTER_COMPARISONS) {
+    whereArgs.push(filter.value);
+    return column + ' ' + FILTER_COMPARISONS[op] + ' ?' + (filter.matchCase === false ? ' COLLATE NOCASE' : '');
+  } else if (op === 'like') {
+    if (filter.matchCase === false) {
+      whereArgs.push(filter.value);
+      return 'lower(' + column + ') LIKE lower(?) ESCAPE \'\\\'';
+    }
+
+    // LIKE ignores case in SQLite, so match case with the equivalent GLOB
+    whereArgs.push(likeToGlob(String(filter.value)));
+    return column + ' GLOB ?';
+  } else if (op === 'null') {
+    return column + ' IS NULL';
+  } else if (op === 'between') {
+    if (!filter.values || filter.values.length !== 2) {
+      throw new Error('Filter operator "between" requires a lower and upper value');
+    }
+
+    whereArgs.push(filter.values[0], filter.values[1]);
+    return column + ' BETWEEN ? AND ?';
+  }
+
+  throw new Error('Unsupported filter operator "' + op + '"');
+};
+
+
+/**
+ * Translates a time range query to a SQL expression. Features without a time are always included, matching how
+ * OpenSphere displays features without a time.
+ * @param {GeoPackageTimeQuery} time The time query
+ * @param {Object<string, boolean>} columns The column names in the table
+ * @param {Array<*>} whereArgs Array to receive the query parameters
+ * @return {string} The SQL expression
+ */
+var timeToSql = function(time, columns, whereArgs) {
+  var startColumn = time.startColumn;
+  var endColumn = time.endColumn || startColumn;
+
+  if (!startColumn || !columns[startColumn] || !columns[endColumn]) {
+    throw new Error('Time columns do not exist in the table');
+  }
+
+  var start = new Date(time.start).toISOString();
+  var end = new Date(time.end).toISOString();
+
+  // compare with julianday so datetimes with and without fractional seconds or a time zone compare correctly
+  var startSql = 'julianday(' + quoteIdentifier(startColumn) + ')';
+
+  if (endColumn === startColumn) {
+    whereArgs.push(start, end);
+    return '(' + quoteIdentifier(startColumn) + ' IS NULL OR ' + startSql +
+        ' BETWEEN julianday(?) AND julianday(?))';
+  }
+
+  var endSql = 'julianday(' + quoteIdentifier(endColumn) + ')';
+  whereArgs.push(end, start);
+  return '((' + quoteIdentifier(startColumn) + ' IS NULL OR ' + startSql + ' <= julianday(?)) AND (' +
+      quoteIdentifier(endColumn) + ' IS NULL OR ' + endSql + ' >= julianday(?)))';
+};
+
+
+/**
+ * Builds the WHERE clause for the structured filter and time range on a message.
+ * @param {Object} featureDao The feature DAO
+ * @param {GeoPackageWorkerMessage} msg The message
+ * @param {Object=} opt_bbox Optional bounding box in EPSG:4326 that the geometry envelopes must intersect
+ * @return {{where: string, whereArgs: Array<*>}}
+ */
+var getFilterQuery = function(featureDao, msg, opt_bbox) {
+  var columns = {};
+  featureDao.table.columns.forEach(function(col) {
+    columns[col.name] = true;
+  });
+
+  var whereArgs = [];
+  var clauses = [];
+
+  if (msg.filter) {
+    clauses.push(filterToSql(msg.filter, columns, whereArgs));
+  }
+
+  if (msg.time) {
+    clauses.push(timeToSql(msg.time, columns, whereArgs));
+  }
+
+  if (opt_bbox) {
+    clauses.push(ENVELOPE_INTERSECTS_FUNCTION + '(' + quoteIdentifier(featureDao.getGeometryColumnName()) +
+        ', ?, ?, ?, ?, ?) = 1');
+    // eslint-disable-next-line google-camelcase/google-camelcase
+    whereArgs.push(featureDao.getSrs().srs_id, opt_bbox.minLongitude, opt_bbox.maxLongitude, opt_bbox.minLatitude,
+        opt_bbox.maxLatitude);
+  }
+
+  return {
+    where: clauses.join(' AND '),
+    whereArgs: whereArgs
+  };
+};
+
+
+/**
+ * The library leaves a primary key column named `id` out of the GeoJSON properties. Add it back so that features
+ * can be written back to their row after they are edited.
+ * @param {Object} featureDao The feature DAO
+ * @param {function(Object):boolean=} opt_filter Optional filter to run after adding the primary key
+ * @return {function(Object):boolean} The feature filter
+ */
+var getPrimaryKeyFilter = function(featureDao, opt_filter) {
+  var pk = featureDao.table.getPkColumn().name;
+
+  return function(feature) {
+    if (feature.properties && !(pk in feature.properties)) {
+      feature.properties[pk] = feature.id;
+    }
+
+    return !opt_filter || opt_filter(feature);
+  };
+};
+
+
+/**
+ * The GeoJSON property holding the style of a feature from the NGA feature style extension. This must match
+ * `plugin.geopackage.style.FEATURE_FIELD`.
+ * @type {string}
+ * @const
+ */
+var FEATURE_STYLE_FIELD = '_gpkgStyle';
+
+
+/**
+ * @param {Uint8Array|Buffer} data The image data
+ * @param {string} contentType The image content type
+ * @return {string} The data URL
+ */
+var getDataUrl = function(data, contentType) {
+  var base64;
+
+  if (isNode) {
+    base64 = Buffer.from(data).toString('base64');
+  } else {
+    // convert in chunks to stay under the argument limit of fromCharCode
+    var binary = '';
+    for (var i = 0, n = data.length; i < n; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, data.subarray(i, i + 0x8000));
+    }
+    base64 = btoa(binary);
+  }
+
+  return 'data:' + (contentType || 'image/png') + ';base64,' + base64;
+};
+
+
+/**
+ * @param {Object} iconDao The icon DAO
+ * @param {Object} iconRow The icon row
+ * @return {GeoPackageIcon} The icon, with the embedded image as a data URL
+ */
+var readIcon = function(iconDao, iconRow) {
+  var data = iconRow.getData();
+  var icon = {
+    url: getDataUrl(data, iconRow.getContentType()),
+    width: iconRow.getWidth(),
+    height: iconRow.getHeight(),
+    anchorU: iconRow.getAnchorUOrDefault(),
+    anchorV: iconRow.getAnchorVOrDefault()
+  };
+
+  try {
+    // the library only exposes the image size through the dimensions of a row without a width or height
+    var image = iconDao.newRow();
+    image.setData(data);
+
+    var imageWidth = image.getDerivedDimensions()[0];
+    var dimensions = iconRow.getDerivedDimensions();
+    icon.width = dimensions[0];
+    icon.height = dimensions[1];
+    icon.scale = imageWidth ? icon.width / imageWidth : 1;
+  } catch (e) {
+    // without the image size, the icon is displayed at its natural size
+  }
+
+  return icon;
+};
+
+
+/**
+ * Reads the style mapping rows of a table, by base ID and then by geometry type. Default mappings, which apply to all
+ * geometry types, are under an empty string.
+ * @param {Object} mappingDao The style or icon mapping DAO
+ * @return {Object<string, Object<string, number>>} The related style or icon row IDs
+ */
+var readStyleMappings = function(mappingDao) {
+  var mappings = {};
+
+  if (mappingDao) {
+    mappingDao.queryForAll().forEach(function(row) {
+      var byType = mappings[row['base_id']] = mappings[row['base_id']] || {};
+      byType[row['geometry_type_name'] || ''] = row['related_id'];
+    });
+  }
+
+  return mappings;
+};
+
+
+/**
+ * Creates a reader for styles in the NGA feature style extension. Style and icon rows are only read and converted
+ * once, so features sharing a style share the same object.
+ * @param {Object} extension The feature style extension
+ * @param {Object} styleMappingDao The style mapping DAO
+ * @param {Object} iconMappingDao The icon mapping DAO
+ * @return {function(*, string=):(GeoPackageStyle|undefined)} Reads the style for a base ID and geometry type
+ */
+var createStyleReader = function(extension, styleMappingDao, iconMappingDao) {
+  var styleMappings = readStyleMappings(styleMappingDao);
+  var iconMappings = readStyleMappings(iconMappingDao);
+  var styles = {};
+  var icons = {};
+  var combined = {};
+
+  var getRelatedId = function(mappings, baseId, geometryType) {
+    var byType = mappings[baseId];
+    if (byType) {
+      var id = geometryType ? byType[geometryType] : undefined;
+      return id != null ? id : byType[''];
+    }
+  };
+
+  var getStyle = function(id) {
+    if (!(id in styles)) {
+      var row = extension.getStyleDao().queryForId(id);
+      var style = styles[id] = row ? {} : null;
+
+      if (row) {
+        if (row.getHexColor()) {
+          style.color = row.getHexColor();
+          style.opacity = row.getOpacityOrDefault();
+        }
+
+        if (row.getWidth() != null) {
+          style.width = row.getWidth();
+        }
+
+        if (row.getFillHexColor()) {
+          style.fillColor = row.getFillHexColor();
+          style.fillOpacity = row.getFillOpacityOrDefault();
+        }
+      }
+    }
+
+    return styles[id];
+  };
+
+  var getIcon = function(id) {
+    if (!(id in icons)) {
+      var iconDao = extension.getIconDao();
+      var row = iconDao.queryForId(id);
+      icons[id] = row ? readIcon(iconDao, row) : null;
+    }
+
+    return icons[id];
+  };
+
+  return function(baseId, opt_geometryType) {
+    var styleId = getRelatedId(styleMappings, baseId, opt_geometryType);
+    var iconId = getRelatedId(iconMappings, baseId, opt_geometryType);
+    var key = styleId + ',' + iconId;
+
+    if (!(key in combined)) {
+      var style = styleId != null ? getStyle(styleId) : null;
+      var icon = iconId != null ? getIcon(iconId) : null;
+
+      combined[key] = style || icon ? Object.assign({}, style, icon ? {icon: icon} : null) : undefined;
+    }
+
+    return combined[key];
+  };
+};
+
+
+/**
+ * Reads the default style of a feature table from the NGA feature style extension.
+ * @param {Geopackage} gpkg The GeoPackage
+ * @param {string} tableName The feature table
+ * @param {string=} opt_geometryType The geometry type of the table
+ * @return {GeoPackageStyle|undefined} The style, or undefined if the table does not have one
+ */
+var getTableStyle = function(gpkg, tableName, opt_geometryType) {
+  var extension = gpkg.getFeatureStyleExtension();
+
+  if (extension.has(tableName)) {
+    var contentsId = extension.contentsIdExtension.getIdByTableName(tableName);
+
+    if (contentsId != null) {
+      var read = createStyleReader(extension, extension.getTableStyleMappingDao(tableName),
+          extension.getTableIconMappingDao(tableName));
+      return read(contentsId, opt_geometryType);
+    }
+  }
+};
+
+
+/**
+ * Sets the style of each feature from the NGA feature style extension on the feature properties. Features without
+ * their own style use the table style.
+ * @param {Geopackage} gpkg The GeoPackage
+ * @param {string} tableName The feature table
+ * @param {function(Object):boolean=} opt_filter Optional filter to run before reading the style
+ * @return {function(Object):boolean|undefined} The feature filter
+ */
+var getFeatureStyleFilter = function(gpkg, tableName, opt_filter) {
+  var extension = gpkg.getFeatureStyleExtension();
+
+  if (!extension.has(tableName)) {
+    return opt_filter;
+  }
+
+  var read = createStyleReader(extension, extension.getStyleMappingDao(tableName),
+      extension.getIconMappingDao(tableName));
+
+  return function(feature) {
+    if (opt_filter && !opt_filter(feature)) {
+      return false;
+    }
+
+    var style = read(feature.id, feature.geometry ? feature.geometry.type.toUpperCase() : undefined);
+    if (style && feature.properties) {
+      feature.properties[FEATURE_STYLE_FIELD] = style;
+    }
+
+    return true;
+  };
+};
+
+
+/**
+ * The spatial reference system passed to the library when parsing features, so that it leaves the geometries in the
+ * table projection. The library only reprojects features from systems with a definition, so the worker reprojects
+ * them itself.
+ * @type {Object}
+ * @const
+ */
+var UNPROJECTED_SRS = {
+  organization: 'EPSG',
+  // eslint-disable-next-line google-camelcase/google-camelcase
+  organization_coordsys_id: 4326
+};
+
+
+/**
+ * Transforms the coordinates of a GeoJSON geometry in place. Values past X and Y (such as Z and M) are kept.
+ * @param {Object} geometry The geometry
+ * @param {function(Array<number>):Array<number>} transform The coordinate transform
+ */
+var transformGeometry = function(geometry, transform) {
+  var transformCoordinates = function(coordinates) {
+    if (typeof coordinates[0] === 'number') {
+      return transform(coordinates).concat(coordinates.slice(2));
+    }
+
+    return coordinates.map(transformCoordinates);
+  };
+
+  if (geometry.type === 'GeometryCollection') {
+    geometry.geometries.forEach(function(child) {
+      transformGeometry(child, transform);
+    });
+  } else if (geometry.coordinates) {
+    geometry.coordinates = transformCoordinates(geometry.coordinates);
+  }
+};
+
+
+/**
+ * Checks if the geometries in a spatial reference system are in EPSG:4326. Geometries in the undefined cartesian and
+ * geographic systems are assumed to be.
+ * @param {Object} srs The `gpkg_spatial_ref_sys` row
+ * @return {boolean} If the system is EPSG:4326, or is undefined
+ */
+var isWgs84Srs = function(srs) {
+  var organization = String(srs.organization).toUpperCase();
+
+  // eslint-disable-next-line google-camelcase/google-camelcase
+  return organization === 'NONE' || (organization === 'EPSG' && srs.organization_coordsys_id === 4326);
+};
+
+
+/**
+ * Gets a function reprojecting GeoJSON geometries in a spatial reference system to EPSG:4326 in place. Geometries in
+ * the undefined cartesian and geographic systems are assumed to already be in EPSG:4326.
+ * @param {Object} srs The `gpkg_spatial_ref_sys` row
+ * @param {Object} projection The projection of the system
+ * @return {?function(Object)} The function, or null if the system is EPSG:4326
+ */
+var getWgs84Reprojection = function(srs, projection) {
+  if (isWgs84Srs(srs)) {
+    return null;
+  }
+
+  var transform = function(coordinate) {
+    return transformCoordinate(coordinate, projection, 'EPSG:4326');
+  };
+
+  return function(geometry) {
+    if (geometry) {
+      transformGeometry(geometry, transform);
+    }
+  };
+};
+
+
+/**
+ * Iterates the GeoJSON features in a table that match the structured filter and time range on a message, if it has
+ * them, within the page given by the offset and limit on the message. The geometries are reprojected to EPSG:4326.
+ * @param {Geopackage} gpkg The GeoPackage
+ * @param {GeoPackageWorkerMessage} msg The message
+ * @param {Object=} opt_bbox Optional bounding box in EPSG:4326 that the geometry envelopes must intersect
+ * @return {{results: Iterator<Object>, total: number}}
+ */
+var iterateFilteredGeoJSONFeatures = function(gpkg, msg, opt_bbox) {
+  var featureDao = gpkg.getFeatureDao(msg.tableName);
+  var query = getFilterQuery(featureDao, msg, opt_bbox);
+  // the library resolves the table projection from the system, including systems registered from their WKT
+  var reproject = getWgs84Reprojection(featureDao.getSrs(), featureDao.projection);
+  var columnMap = geopackage.createDataColumnMap(featureDao);
+
+  // pages of the matching features are read in the order of the table, as with attributes tables
+  var offset = Math.max(0, Math.floor(msg.offset) || 0);
+  var limit = msg.limit != null ? Math.max(0, Math.floor(msg.limit)) : -1;
+  var count = featureDao.connection.count(featureDao.gpkgTableName, query.where, query.whereArgs);
+  var sql = 'SELECT * FROM ' + quoteIdentifier(featureDao.gpkgTableName) +
+      (query.where ? ' WHERE ' + query.where : '') +
+      ' ORDER BY ' + quoteIdentifier(featureDao.table.getPkColumn().name) + ' LIMIT ? OFFSET ?';
+  var iterator = featureDao.connection.each(sql, query.whereArgs.concat([limit, offset]));
+
+  return {
+    results: {
+      next: function() {
+        var nextRow = iterator.next();
+        if (nextRow.done) {
+          return {done: true};
+        }
+
+        var feature = geopackage.parseFeatureRowIntoGeoJSON(featureDao.getRow(nextRow.value), UNPROJECTED_SRS,
+            columnMap);
+
+        if (reproject) {
+          reproject(feature.geometry);
+        }
+
+        return {
+          value: feature,
+          done: false
+        };
+      }
+    },
+    total: Math.max(0, limit > -1 ? Math.min(limit, count - offset) : count - offset)
+  };
+};
+
+
+/**
+ * @param {GeoPackageWorkerMessage} msg
+ */
+var getFeatures = function(msg) {
+  var gpkg = getGpkg(msg);
+  if (!gpkg) {
+    return;
+  }
+
+  if (!msg.tableName) {
+    handleError('tableName property must be set', msg);
+    return;
+  }
+
+  try {
+    var featureDao = gpkg.getFeatureDao(msg.tableName);
+    var result = iterateFilteredGeoJSONFeatures(gpkg, msg);
+    sendFeatures(msg, result.results, result.total,
+        getPrimaryKeyFilter(featureDao, getFeatureStyleFilter(gpkg, msg.tableName)));
+  } catch (e) {
+    handleError(e, msg);
+  }
+};
+
+
+/**
+ * Expands an extent to include all of the coordinates in a (possibly nested) GeoJSON coordinate array.
+ * @param {Array} coords
+ * @param {Array<number>} extent [minX, minY, maxX, maxY]
+ */
+var extendExtentWithCoordinates = function(coords, extent) {
+  if (typeof coords[0] === 'number') {
+    extent[0] = Math.min(extent[0], coords[0]);
+    extent[1] = Math.min(extent[1], coords[1]);
+    extent[2] = Math.max(extent[2], coords[0]);
+    extent[3] = Math.max(extent[3], coords[1]);
+  } else {
+    for (var i = 0, n = coords.length; i < n; i++) {
+      extendExtentWithCoordinates(coords[i], extent);
+    }
+  }
+};
+
+
+/**
+ * @param {Object} geometry The GeoJSON geometry
+ * @return {Array<number>} The extent [minX, minY, maxX, maxY]
+ */
+var getGeometryExtent = function(geometry) {
+  var extent = [Infinity, Infinity, -Infinity, -Infinity];
+
+  if (geometry) {
+    if (geometry.type === 'GeometryCollection') {
+      geometry.geometries.forEach(function(geom) {
+        var geomExtent = getGeometryExtent(geom);
+        extendExtentWithCoordinates([geomExtent.slice(0, 2), geomExtent.slice(2)], extent);
+      });
+    } else if (geometry.coordinates) {
+      extendExtentWithCoordinates(geometry.coordinates, extent);
+    }
+  }
+
+  return extent;
+};
+
+
+/**
+ * The SQL function that tests whether the envelope of a geometry intersects a bounding box in EPSG:4326, called as
+ * `gpkg_envelope_intersects(geom, srs_id, minLongitude, maxLongitude, minLatitude, maxLatitude)`.
+ * @type {string}
+ * @const
+ */
+var ENVELOPE_INTERSECTS_FUNCTION = 'gpkg_envelope_intersects';
+
+
+/**
+ * Registers the SQL functions used in feature queries. A function cannot be replaced while a query using it is still
+ * being read, so they are registered once when the GeoPackage is opened.
+ * @param {Geopackage} gpkg The GeoPackage
+ */
+var registerFunctions = function(gpkg) {
+  // the projection of each spatial reference system, or null if it is EPSG:4326
+  var projections = {};
+
+  var getProjection = function(srsId) {
+    if (!(srsId in projections)) {
+      var srsDao = gpkg.getSpatialReferenceSystemDao();
+      var srs = srsDao.getBySrsId(srsId);
+      projections[srsId] = srs && !isWgs84Srs(srs) ? srsDao.getProjection(srs) : null;
+    }
+
+    return projections[srsId];
+  };
+
+  gpkg.connection.registerFunction(ENVELOPE_INTERSECTS_FUNCTION, function(data, srsId, minX, maxX, minY, maxY) {
+    if (!data) {
+      return 0;
+    }
+
+    try {
+      var geometryData = new geopackage.GeometryData(data);
+      var envelope = geometryData.envelope;
+      var extent = envelope ? [envelope.minX, envelope.minY, envelope.maxX, envelope.maxY] :
+        geometryData.geometry ? getGeometryExtent(geometryData.geometry.toGeoJSON()) : null;
+
+      if (!extent || !isFinite(extent[0])) {
+        return 0;
+      }
+
+      var projection = getProjection(srsId);
+      if (projection) {
+        var bbox = new geopackage.BoundingBox(extent[0], extent[2], extent[1], extent[3])
+            .projectBoundingBox(projection, 'EPSG:4326');
+        extent = [bbox.minLongitude, bbox.minLatitude, bbox.maxLongitude, bbox.maxLatitude];
+      }
+
+      return extent[0] <= maxX && extent[2] >= minX && extent[1] <= maxY && extent[3] >= minY ? 1 : 0;
+    } catch (e) {
+      // leave out geometries that cannot be read
+      return 0;
+    }
+  });
+};
+
+
+/**
+ * Queries the features intersecting an extent, optionally matching a structured filter and time range. The RTree
+ * spatial index (or the NGA geometry index) is used for unfiltered queries when the table has one, otherwise the
+ * geometry envelopes are checked in the query, so that the total is the number of features in the extent.
+ * @param {GeoPackageWorkerMessage} msg
+ */
+var queryFeatures = function(msg) {
+  var gpkg = getGpkg(msg);
+  if (!gpkg) {
+    return;
+  }
+
+  if (!msg.tableName) {
+    handleError('tableName property must be set', msg);
+    return;
+  }
+
+  if (!msg.extent || msg.extent.length !== 4) {
+    handleError('extent [minX, minY, maxX, maxY] property must be set', msg);
+    return;
+  }
+
+  try {
+    var extent = msg.extent;
+    var projection = msg.projection || 'EPSG:4326';
+    var bbox = new geopackage.BoundingBox(extent[0], extent[2], extent[1], extent[3]);
+
+    if (projection !== 'EPSG:4326') {
+      bbox = bbox.projectBoundingBox(projection, 'EPSG:4326');
+    }
+
+    var featureDao = gpkg.getFeatureDao(msg.tableName);
+
+    // the spatial index cannot be combined with the filter query or a page of the table, so check the envelopes of
+    // the matching features
+    if (!msg.filter && !msg.time && msg.offset == null && msg.limit == null && featureDao.isIndexed()) {
+      // the index only compares envelopes, so skip the library's geometry verification (which drops multi-geometries)
+      var itr = featureDao.queryForGeoJSONIndexedFeaturesWithBoundingBox(bbox, true);
+      sendFeatures(msg, itr, featureDao.countInBoundingBox(bbox, 'EPSG:4326'), getPrimaryKeyFilter(featureDao,
+          getFeatureStyleFilter(gpkg, msg.tableName, function(feature) {
+            // features from the index query do not include the type
+            feature.type = 'Feature';
+            return true;
+          })));
+    } else {
+      var result = iterateFilteredGeoJSONFeatures(gpkg, msg, bbox);
+      sendFeatures(msg, result.results, result.total,
+          getPrimaryKeyFilter(featureDao, getFeatureStyleFilter(gpkg, msg.tableName)));
+    }
+  } catch (e) {
+    handleError(e, msg);
+  }
+};
+
+
+/**
+ * Gets the column values for a GeoJSON feature being written to a table. Properties are matched to columns by name
+ * or by their data column display name, and anything that is not a column (or is the primary key or geometry) is
+ * dropped.
+ * @param {Object} featureDao The feature DAO
+ * @param {Object} properties The GeoJSON properties
+ * @return {Object<string, *>} The values by column name
+ */
+var getFeatureValues = function(featureDao, properties) {
+  var DataType = geopackage.DataTypes.GPKGDataType;
+  var columnMap = geopackage.createDataColumnMap(featureDao);
+  var geometryColumn = featureDao.getGeometryColumnName();
+  var values = {};
+
+  featureDao.table.columns.forEach(function(col) {
+    if (col.primaryKey || col.name === geometryColumn) {
+      return;
+    }
+
+    var key = col.name;
+    if (!(key in properties) && columnMap && columnMap[key]) {
+      key = columnMap[key].displayName;
+    }
+
+    if (!(key in properties)) {
+      return;
+    }
+
+    var value = properties[key];
+
+    if (col.dataType === DataType.GPKG_DT_DATE || col.dataType === DataType.GPKG_DT_DATETIME) {
+      // the library converts dates with toISOString, so empty values must be left out
+      value = value != null && value !== '' ? new Date(value) : null;
+
+      if (!value || isNaN(value.getTime())) {
+        return;
+      }
+    } else if (col.dataType === DataType.GPKG_DT_BOOLEAN && value != null) {
+      // the library only writes true as 1
+      value = value === true || value === 1 || String(value).toLowerCase() === 'true';
+    } else if (col.dataType === DataType.GPKG_DT_BLOB && value != null && typeof value === 'object') {
+      // blobs arrive as arrays from the node parent process, and as array buffers or views from the browser
+      value = ArrayBuffer.isView(value) ? new Uint8Array(value.buffer, value.byteOffset, value.byteLength) :
+          new Uint8Array(value);
+      value = isNode ? Buffer.from(value) : value;
+    }
+
+    values[col.name] = value;
+  });
+
+  return values;
+};
+
+
+/**
+ * Gets the DAO for a feature table that is about to be written. The RTree index triggers call SQL functions that the
+ * library only registers when it creates the index itself, so register them for tables that were already indexed.
+ * @param {Geopackage} gpkg The GeoPackage
+ * @param {string} tableName The table name
+ * @return {Object} The feature DAO
+ */
+var getEditableFeatureDao = function(gpkg, tableName) {
+  var featureDao = gpkg.getFeatureDao(tableName);
+  var rtreeIndex = featureDao.featureTableIndex.rtreeIndex;
+
+  if (rtreeIndex && rtreeIndex.extensionExists) {
+    rtreeIndex.createAllFunctions();
+  }
+
+  return featureDao;
+};
+
+
+/**
+ * @param {GeoPackageWorkerMessage} msg
+ * @return {boolean} Whether or not the message has what is needed to write a feature
+ */
+var validateFeatureEdit = function(msg) {
+  if (!msg.tableName) {
+    handleError('tableName property must be set', msg);
+    return false;
+  }
+
+  if (!msg.data || typeof msg.data !== 'object' || !msg.data.geometry) {
+    handleError('GeoJSON feature with a geometry not found on msg.data', msg);
+    return false;
+  }
+
+  return true;
+};
+
+
+/**
+ * Writes a GeoJSON feature (in EPSG:4326) to a table as a new row, or in place of an existing row.
+ *
+ * The library cannot write a GeoJSON geometry to an existing row, so the feature is always inserted as a new row
+ * (which also handles reprojection and indexing). When replacing a row, columns missing from the feature keep their
+ * values (such as a time column replaced by a time mapping on import), and the new row is then moved to the original
+ * primary key. The steps are run in one transaction, so a failed write leaves the table as it was.
+ *
+ * @param {Geopackage} gpkg The GeoPackage
+ * @param {GeoPackageWorkerMessage} msg The message, with the feature on data
+ * @param {number=} opt_id The primary key of the row to replace
+ * @return {number} The primary key of the written row
+ */
+var writeFeature = function(gpkg, msg, opt_id) {
+  var DataType = geopackage.DataTypes.GPKGDataType;
+  var featureDao = getEditableFeatureDao(gpkg, msg.tableName);
+  var table = quoteIdentifier(featureDao.gpkgTableName);
+  var pkName = featureDao.table.getPkColumn().name;
+  var pk = quoteIdentifier(pkName);
+  var geometryColumn = featureDao.getGeometryColumnName();
+  var geometry = quoteIdentifier(geometryColumn);
+  var values = getFeatureValues(featureDao, msg.data.properties || {});
+
+  if (opt_id != null && !featureDao.queryForId(opt_id)) {
+    throw new Error('No feature exists for the given featureId');
+  }
+
+  var assignments = [];
+  var args = [];
+
+  featureDao.table.columns.forEach(function(col) {
+    var column = quoteIdentifier(col.name);
+
+    if (col.primaryKey || col.name === geometryColumn) {
+      return;
+    } else if (col.name in values) {
+      if (typeof values[col.name] === 'number' && (col.dataType === DataType.GPKG_DT_REAL ||
+          col.dataType === DataType.GPKG_DT_DOUBLE || col.dataType === DataType.GPKG_DT_FLOAT)) {
+        // whole numbers are bound as integers, which fails the type checks GDAL puts on floating point columns
+        assignments.push(column + ' = CAST(? AS REAL)');
+        args.push(values[col.name]);
+        delete values[col.name];
+      } else if (values[col.name] === null && col.dataType === DataType.GPKG_DT_BOOLEAN) {
+        // the library writes null booleans as false
+        assignments.push(column + ' = NULL');
+        delete values[col.name];
+      }
+    } else if (opt_id != null) {
+      assignments.push(column + ' = (SELECT ' + column + ' FROM ' + table + ' WHERE ' + pk + ' = ?)');
+      args.push(opt_id);
+    }
+  });
+
+  var feature = {
+    type: 'Feature',
+    geometry: msg.data.geometry,
+    properties: values
+  };
+
+  // the library drops measures, and reprojecting the feature replaces its coordinates
+  var measured = msg.layout && msg.layout.indexOf('M') > -1 ? getPositions(msg.data.geometry) : null;
+
+  var connection = featureDao.connection;
+
+  return runInTransaction(connection, function() {
+    // the row replacing an existing row should not use up an AUTOINCREMENT value
+    var hasSequence = opt_id != null && connection.isTableExists('sqlite_sequence');
+    var sequence = hasSequence ?
+      connection.get('SELECT seq FROM sqlite_sequence WHERE name = ?', [featureDao.gpkgTableName]) : undefined;
+
+    var id = geopackage.addGeoJSONFeatureToGeoPackageAndIndex(gpkg, feature, msg.tableName);
+
+    if (assignments.length) {
+      args.push(id);
+      connection.run('UPDATE ' + table + ' SET ' + assignments.join(', ') + ' WHERE ' + pk + ' = ?', args);
+    }
+
+    if (measured) {
+      setMeasures(featureDao, id, measured, /** @type {string} */ (msg.layout));
+    }
+
+    if (opt_id != null) {
+      featureDao.deleteById(opt_id);
+
+      // set the geometry as well, so the RTree index triggers move the index entry to the original primary key
+      connection.run('UPDATE ' + table + ' SET ' + pk + ' = ?, ' + geometry + ' = ' + geometry +
+          ' WHERE ' + pk + ' = ?', [opt_id, id]);
+
+      if (featureDao.featureTableIndex.getTableIndex()) {
+        // and move the NGA geometry index entry
+        connection.run('DELETE FROM nga_geometry_index WHERE table_name = ? AND geom_id = ?',
+            [msg.tableName, opt_id]);
+        connection.run('UPDATE nga_geometry_index SET geom_id = ? WHERE table_name = ? AND geom_id = ?',
+            [opt_id, msg.tableName, id]);
+      }
+
+      if (sequence) {
+        connection.run('UPDATE sqlite_sequence SET seq = ? WHERE name = ?', [sequence.seq, featureDao.gpkgTableName]);
+      } else if (hasSequence) {
+        connection.run('DELETE FROM sqlite_sequence WHERE name = ?', [featureDao.gpkgTableName]);
+      }
+
+      id = opt_id;
+    }
+
+    return id;
+  });
+};
+
+
+/**
+ * Runs a function in a transaction, so its changes to the GeoPackage are either all kept or, if it throws, all rolled
+ * back. A savepoint is used so the transaction can be nested in another.
+ * @param {Object} connection The GeoPackage connection
+ * @param {function():T} fn The function
+ * @return {T} The result of the function
+ * @template T
+ */
+var runInTransaction = function(connection, fn) {
+  connection.run('SAVEPOINT gpkg_worker_write');
+
+  try {
+    var result = fn();
+    connection.run('RELEASE gpkg_worker_write');
+    return result;
+  } catch (e) {
+    connection.run('ROLLBACK TO gpkg_worker_write');
+    connection.run('RELEASE gpkg_worker_write');
+    throw e;
+  }
+};
+
+
+/**
+ * @param {Object} geometry A GeoJSON geometry
+ * @return {Array<Array<number>>} Copies of the positions in the geometry, in order
+ */
+var getPositions = function(geometry) {
+  var positions = [];
+
+  var addPositions = function(geojson) {
+    if (geojson.type === 'GeometryCollection') {
+      geojson.geometries.forEach(addPositions);
+    } else {
+      (function flatten(coordinates) {
+        if (typeof coordinates[0] === 'number') {
+          positions.push(coordinates.slice());
+        } else {
+          coordinates.forEach(flatten);
+        }
+      })(geojson.coordinates);
+    }
+  };
+
+  addPositions(geometry);
+  return positions;
+};
+
+
+/**
+ * Adds measures to the geometry of a row. GeoJSON has no measures, so the library reads the third value in each
+ * position as Z and drops the fourth, and the row geometry must be fixed with the layout of the original geometry.
+ * @param {Object} featureDao The feature DAO
+ * @param {number} id The primary key of the row
+ * @param {Array<Array<number>>} positions The positions of the original geometry, from {@link getPositions}
+ * @param {string} layout The coordinate layout of the geometry, `XYM` or `XYZM`
+ */
+var setMeasures = function(featureDao, id, positions, layout) {
+  var hasZ = layout === 'XYZM';
+  var points = [];
+
+  var addPoints = function(geom) {
+    geom.hasZ = hasZ;
+    geom.hasM = true;
+
+    var children = geom.points || geom.lineStrings || geom.polygons || geom.geometries ||
+        (geom.exteriorRing ? [geom.exteriorRing].concat(geom.interiorRings) : null);
+
+    if (children) {
+      children.forEach(function(child) {
+        if (Array.isArray(child)) {
+          // polygon rings are arrays of points
+          child.forEach(addPoints);
+        } else {
+          addPoints(child);
+        }
+      });
+    } else {
+      points.push(geom);
+    }
+  };
+
+  var geometryData = featureDao.queryForId(id).getGeometry();
+  addPoints(geometryData.geometry);
+
+  points.forEach(function(point, i) {
+    var position = positions[i] || [];
+    point.z = hasZ ? position[2] : undefined;
+    point.m = position[hasZ ? 3 : 2];
+  });
+
+  featureDao.connection.run('UPDATE ' + quoteIdentifier(featureDao.gpkgTableName) + ' SET ' +
+      quoteIdentifier(featureDao.getGeometryColumnName()) + ' = ? WHERE ' +
+      quoteIdentifier(featureDao.table.getPkColumn().name) + ' = ?', [geometryData.toData(), id]);
+};
+
+
+/**
+ * Inserts a GeoJSON feature (in EPSG:4326) into a table. Responds with the primary key of the new row.
+ * @param {GeoPackageWorkerMessage} msg
+ */
+var editInsert = function(msg) {
+  var gpkg = getGpkg(msg);
+
+  if (gpkg && validateFeatureEdit(msg)) {
+    try {
+      success(msg, writeFeature(gpkg, msg));
+    } catch (e) {
+      handleError(e, msg);
+    }
+  }
+};
+
+
+/**
+ * Replaces the row with the given primary key with a GeoJSON feature (in EPSG:4326). Responds with the primary key.
+ * @param {GeoPackageWorkerMessage} msg
+ */
+var editUpdate = function(msg) {
+  var gpkg = getGpkg(msg);
+  if (!gpkg) {
+    return;
+  }
+
+  if (msg.featureId == null) {
+    handleError('featureId property must be set', msg);
+    return;
+  }
+
+  if (gpkg && validateFeatureEdit(msg)) {
+    try {
+      success(msg, writeFeature(gpkg, msg, msg.featureId));
+    } catch (e) {
+      handleError(e, msg);
+    }
+  }
+};
+
+
+/**
+ * Deletes the row with the given primary key. Responds with the number of deleted rows.
+ * @param {GeoPackageWorkerMessage} msg
+ */
+var editDelete = function(msg) {
+  var gpkg = getGpkg(msg);
+  if (!gpkg) {
+    return;
+  }
+
+  if (!msg.tableName) {
+    handleError('tableName property must be set', msg);
+    return;
+  }
+
+  if (msg.featureId == null) {
+    handleError('featureId property must be set', msg);
+    return;
+  }
+
+  if (gpkg) {
+    try {
+      success(msg, getEditableFeatureDao(gpkg, msg.tableName).deleteById(msg.featureId));
+    } catch (e) {
+      handleError(e, msg);
+    }
+  }
+};
+
+
+/**
+ * This corresponds to plugin.geopackage.EditCommands
+ */
+var EditCommands = {
+  insert: editInsert,
+  update: editUpdate,
+  delete: editDelete
+};
+
+
+/**
+ * @param {GeoPackageWorkerMessage} msg
+ */
+var editGpkg = function(msg) {
+  if (!msg.command) {
+    handleError('command property must be set', msg);
+    return;
+  }
+
+  if (msg.command in EditCommands) {
+    EditCommands[msg.command](msg);
+  } else {
+    handleError('Unknown command type', msg);
+  }
+};
+
+
+/**
+ * Responds with the current contents of an open GeoPackage, so that edits to an in-memory database can be saved.
+ * @param {GeoPackageWorkerMessage} msg
+ */
+var downloadGpkg = function(msg) {
+  var gpkg = getGpkg(msg);
+
+  if (gpkg) {
+    gpkg.export(function(err, data) {
+      if (err) {
+        handleError(err, msg);
+        return;
+      }
+
+      success(msg, isNode ? Array.from(new Uint8Array(data)) : new Uint8Array(data));
+    });
+  }
+};
+
+
+/**
+ * IDs of the GeoPackages created by exports. Exports can also append to a GeoPackage that is already open, which
+ * must stay open when the export finishes.
+ * @type {Object<string, boolean>}
+ */
+var createdExports = {};
+
+
+/**
+ * @param {GeoPackageWorkerMessage} msg
+ */
+var exportCreate = function(msg) {
+  if (!msg.id) {
+    handleError('id property must be set', msg);
+    return;
+  }
+
+  var url = msg.url || (isNode ? 'tmp.gpkg' : undefined);
+
+  geopackage.create(url)
+      .then(function(gpkg) {
+        if (gpkg) {
+          gpkgById[msg.id] = gpkg;
+          createdExports[msg.id] = true;
+          registerFunctions(gpkg);
+
+          return (msg.metadata ? setProvenance(gpkg, null, msg.metadata) : Promise.resolve()).then(function() {
+            success(msg);
+          });
+        }
+      })
+      .catch(function(err) {
+        handleError(err, msg);
+      });
+};
+
+
+/**
+ * Creates a feature table with the geometry column declared in `msg.projection` (EPSG:4326 by default) and contents
+ * covering `msg.extent` in that projection. Features are always written in EPSG:4326 and reprojected to the table.
+ * Responds with the table name, which has a suffix added if the GeoPackage already has a table by the requested
+ * name that cannot be appended to. A table that is appended to keeps its own projection and extent.
+ *
+ * The `msg.data` has the geometry type, Z and M values of the geometry column, and optionally the table `style` for
+ * the feature style extension and the OpenSphere `layerOptions` to restore the layer style on import. The
+ * `msg.metadata` provenance is saved for the table, including tables that are appended to.
+ * @param {GeoPackageWorkerMessage} msg
+ */
+var exportCreateTable = function(msg) {
+  var gpkg = getGpkg(msg);
+  if (!gpkg) {
+    return;
+  }
+
+  if (!msg.tableName) {
+    handleError('tableName property must be set', msg);
+    return;
+  }
+
+  if (!msg.columns) {
+    handleError('columns property must be set', msg);
+    return;
+  }
+
+  var FeatureColumn = geopackage.FeatureColumn;
+  var DataType = geopackage.DataTypes.GPKGDataType;
+  var geometryInfo = msg.data || {};
+  var geometryType = geometryInfo.geometryType || 'GEOMETRY';
+
+  // disable camelcase checks for external library that does not conform to the rule
+  /* eslint-disable google-camelcase/google-camelcase */
+  var geometryColumns = new geopackage.GeometryColumns();
+  geometryColumns.table_name = msg.tableName;
+  geometryColumns.column_name = 'geometry';
+  geometryColumns.geometry_type_name = geometryType;
+  geometryColumns.z = geometryInfo.z != null ? geometryInfo.z : 2;
+  geometryColumns.m = geometryInfo.m != null ? geometryInfo.m : 0;
+  /* eslint-enable google-camelcase/google-camelcase */
+
+  var columns = [];
+  columns.push(FeatureColumn.createPrimaryKeyColumnWithIndexAndName(0, 'id'));
+  columns.push(FeatureColumn.createGeometryColumn(1, 'geometry', geometryType, false, null));
+
+  msg.columns.forEach(function(col) {
+    if (col.field.toLowerCase() === 'id' || col.field.toLowerCase() === 'geometry' ||
+        col.field === 'TIME_START' || col.field === 'TIME_STOP') {
+      return;
+    }
+
+    if (col.field === 'recordTime') {
+      columns.push(FeatureColumn.createColumnWithIndex(columns.length,
+          'TIME_START', DataType.GPKG_DT_DATETIME, false, null));
+      columns.push(FeatureColumn.createColumnWithIndex(columns.length,
+          'TIME_STOP', DataType.GPKG_DT_DATETIME, false, null));
+    } else {
+      columns.push(FeatureColumn.createColumnWithIndex(columns.length, col.field, getColumnDataType(col.type), false,
+          null));
+    }
+  });
+
+  try {
+    var tableName = msg.tableName;
+
+    if (gpkg.isTable(tableName)) {
+      if (gpkg.hasFeatureTable(tableName) && canAppend(gpkg.getFeatureDao(tableName), columns)) {
+        // keep the style of the existing table
+        Promise.resolve(msg.metadata ? setProvenance(gpkg, tableName, msg.metadata) : undefined)
+            .then(function() {
+              success(msg, tableName);
+            })
+            .catch(function(err) {
+              handleError(err, msg);
+            });
+        return;
+      }
+
+      tableName = getUniqueTableName(gpkg, tableName);
+      // eslint-disable-next-line google-camelcase/google-camelcase
+      geometryColumns.table_name = tableName;
+    }
+
+    var projection = msg.projection || 'EPSG:4326';
+    var extent = msg.extent || (projection === 'EPSG:4326' ? [-180, -90, 180, 90] : null);
+    if (!extent) {
+      handleError('extent property must be set for the ' + projection + ' projection', msg);
+      return;
+    }
+
+    var srsId = getSrsId(gpkg, projection);
+    if (srsId == null) {
+      handleError('Features cannot be exported in the ' + projection + ' projection', msg);
+      return;
+    }
+
+    var boundingBox = new geopackage.BoundingBox(extent[0], extent[2], extent[1], extent[3]);
+
+    geopackage.createFeatureTableWithDataColumnsAndBoundingBox(gpkg, tableName, geometryColumns, columns, null,
+        boundingBox, srsId)
+        .then(function() {
+          return geometryInfo.style ? setFeatureStyle(gpkg, msg, tableName, geometryInfo.style) : undefined;
+        })
+        .then(function() {
+          return geometryInfo.layerOptions ? setLayerStyle(gpkg, tableName, geometryInfo.layerOptions) : undefined;
+        })
+        .then(function() {
+          return msg.metadata ? setProvenance(gpkg, tableName, msg.metadata) : undefined;
+        })
+        .then(function() {
+          success(msg, tableName);
+        })
+        .catch(function(err) {
+          handleError(err, msg);
+        });
+  } catch (e) {
+    handleError(e, msg);
+  }
+};
+
+
+/**
+ * @param {string} type A GeoPackage data type name, or an OpenSphere column type
+ * @return {number} The GeoPackage data type
+ */
+var getColumnDataType = function(type) {
+  var DataType = geopackage.DataTypes.GPKGDataType;
+  var name = (type || '').toUpperCase();
+
+  if (name in DataType && name !== geopackage.DataTypes.GPKG_DT_GEOMETRY_NAME) {
+    return DataType[name];
+  }
+
+  switch (name) {
+    case 'DECIMAL':
+      return DataType.GPKG_DT_REAL;
+    case 'INTEGER':
+      return DataType.GPKG_DT_INTEGER;
+    default:
+      return DataType.GPKG_DT_TEXT;
+  }
+};
+
+
+/**
+ * @param {number} dataType The GeoPackage data type
+ * @return {string} The kind of values stored in columns of the type
+ */
+var getTypeAffinity = function(dataType) {
+  var DataType = geopackage.DataTypes.GPKGDataType;
+
+  switch (dataType) {
+    case DataType.GPKG_DT_BOOLEAN:
+    case DataType.GPKG_DT_TINYINT:
+    case DataType.GPKG_DT_SMALLINT:
+    case DataType.GPKG_DT_MEDIUMINT:
+    case DataType.GPKG_DT_INT:
+    case DataType.GPKG_DT_INTEGER:
+    case DataType.GPKG_DT_FLOAT:
+    case DataType.GPKG_DT_DOUBLE:
+    case DataType.GPKG_DT_REAL:
+      return 'numeric';
+    case DataType.GPKG_DT_TEXT:
+    case DataType.GPKG_DT_DATE:
+    case DataType.GPKG_DT_DATETIME:
+      return 'text';
+    default:
+      return 'blob';
+  }
+};
+
+
+/**
+ * If exported features can be appended to an existing table. Every exported column must match a column in the table
+ * (by name or data column display name) that holds the same kind of values. Other columns in the table are left null.
+ * @param {Object} featureDao The DAO for the existing table
+ * @param {Array<Object>} columns The columns the export would create
+ * @return {boolean}
+ */
+var canAppend = function(featureDao, columns) {
+  var columnMap = geopackage.createDataColumnMap(featureDao);
+  var geometryColumn = featureDao.getGeometryColumnName();
+  var tableColumns = featureDao.table.columns.filter(function(col) {
+    return !col.primaryKey && col.name !== geometryColumn;
+  });
+
+  return columns.every(function(column) {
+    if (column.primaryKey || column.name === 'geometry') {
+      return true;
+    }
+
+    return tableColumns.some(function(col) {
+      var displayName = columnMap && columnMap[col.name] ? columnMap[col.name].displayName : undefined;
+      return (col.name === column.name || displayName === column.name) &&
+          getTypeAffinity(col.dataType) === getTypeAffinity(column.dataType);
+    });
+  });
+};
+
+
+/**
+ * @param {Geopackage} gpkg The GeoPackage
+ * @param {string} tableName The requested table name
+ * @return {string} A name based on the requested name that is not used by another table
+ */
+var getUniqueTableName = function(gpkg, tableName) {
+  var i = 1;
+  while (gpkg.isTable(tableName + '_' + i)) {
+    i++;
+  }
+
+  return tableName + '_' + i;
+};
+
+
+/**
+ * Creates a tile table with a tile matrix for each zoom level in `msg.data.matrices`. The tile matrix set covers
+ * `msg.data.extent` and the table contents cover `msg.extent`, both in `msg.projection`. Responds with the table name,
+ * which has a suffix added if the GeoPackage already has a table by the requested name. The `msg.metadata` provenance is
+ * saved for the table.
+ * @param {GeoPackageWorkerMessage} msg
+ */
+var exportCreateTileTable = function(msg) {
+  var gpkg = getGpkg(msg);
+
+  if (!gpkg) {
+    return;
+  }
+
+  if (!msg.tableName) {
+    handleError('tableName property must be set', msg);
+    return;
+  }
+
+  if (!msg.extent || !msg.data || !msg.data.extent || !msg.data.matrices || !msg.data.matrices.length) {
+    handleError('extent and data properties with the tile matrix set must be set', msg);
+    return;
+  }
+
+  var srsId = getSrsId(gpkg, msg.projection);
+  if (srsId == null) {
+    handleError('Tiles cannot be exported in the ' + msg.projection + ' projection', msg);
+    return;
+  }
+
+  var BoundingBox = geopackage.BoundingBox;
+  var tableName = gpkg.isTable(msg.tableName) ? getUniqueTableName(gpkg, msg.tableName) : msg.tableName;
+  var extent = msg.extent;
+  var matrixSetExtent = msg.data.extent;
+
+  gpkg.createTileTableWithTableName(tableName,
+      new BoundingBox(extent[0], extent[2], extent[1], extent[3]), srsId,
+      new BoundingBox(matrixSetExtent[0], matrixSetExtent[2], matrixSetExtent[1], matrixSetExtent[3]), srsId)
+      .then(function() {
+        var tileMatrixDao = gpkg.getTileMatrixDao();
+
+        // disable camelcase checks for external library that does not conform to the rule
+        /* eslint-disable google-camelcase/google-camelcase */
+        msg.data.matrices.forEach(function(matrix) {
+          var tileMatrix = tileMatrixDao.createObject();
+          tileMatrix.table_name = tableName;
+          tileMatrix.zoom_level = matrix.zoom;
+          tileMatrix.matrix_width = matrix.matrixWidth;
+          tileMatrix.matrix_height = matrix.matrixHeight;
+          tileMatrix.tile_width = matrix.tileWidth;
+          tileMatrix.tile_height = matrix.tileHeight;
+          tileMatrix.pixel_x_size = matrix.pixelXSize;
+          tileMatrix.pixel_y_size = matrix.pixelYSize;
+          tileMatrixDao.create(tileMatrix);
+        });
+        /* eslint-enable google-camelcase/google-camelcase */
+
+        return msg.metadata ? setProvenance(gpkg, tableName, msg.metadata) : undefined;
+      })
+      .then(function() {
+        success(msg, tableName);
+      })
+      .catch(function(err) {
+        handleError(err, msg);
+      });
+};
+
+
+/**
+ * Gets the projection codes that new tables can be declared in, which are the EPSG systems the library can create
+ * with {@link getSrsId}.
+ * @return {!Array<string>} The projection codes
+ */
+var getExportProjections = function() {
+  var codes = Object.keys(geopackage.proj4Defs).filter(function(code) {
+    return /^EPSG:\d+$/.test(code);
+  });
+
+  ['EPSG:4326', 'EPSG:3857'].forEach(function(code) {
+    if (codes.indexOf(code) < 0) {
+      codes.push(code);
+    }
+  });
+
+  return codes;
+};
+
+
+/**
+ * Lists the projection codes that new tables can be declared in.
+ * @param {GeoPackageWorkerMessage} msg
+ */
+var listProjections = function(msg) {
+  success(msg, getExportProjections());
+};
+
+
+/**
+ * Gets the ID of the spatial reference system in a GeoPackage for an EPSG code.
+ * @param {Geopackage} gpkg The GeoPackage
+ * @param {number} coordsysId The EPSG code
+ * @return {?number} The SRS ID, or null if the GeoPackage does not have the system
+ */
+var findEpsgSrsId = function(gpkg, coordsysId) {
+  var row = gpkg.connection.get('SELECT srs_id FROM gpkg_spatial_ref_sys WHERE UPPER(organization) = ? AND ' +
+      'organization_coordsys_id = ? ORDER BY srs_id', ['EPSG', coordsysId]);
+
+  // eslint-disable-next-line google-camelcase/google-camelcase
+  return row ? row.srs_id : null;
+};
+
+
+/**
+ * Gets the spatial reference system ID for a projection code, adding the system to the GeoPackage if it is one that
+ * the library can create. The system is found by its organization and code, as a GeoPackage may use other SRS IDs.
+ * EPSG systems other than WGS 84 and Web Mercator are defined by the proj4 definitions that ship with the library,
+ * which it also uses to reproject features to the system.
+ * @param {Geopackage} gpkg The GeoPackage
+ * @param {string|undefined} code The projection code, such as `EPSG:3857`
+ * @return {?number} The SRS ID, or null if the GeoPackage does not have the projection
+ */
+var getSrsId = function(gpkg, code) {
+  var match = code ? /^EPSG:(\d+)$/i.exec(code) : null;
+  if (!match) {
+    return null;
+  }
+
+  var coordsysId = Number(match[1]);
+  var srsId = findEpsgSrsId(gpkg, coordsysId);
+
+  if (srsId == null) {
+    var srsDao = gpkg.getSpatialReferenceSystemDao();
+    var isFree = !srsDao.getBySrsId(coordsysId);
+
+    if (coordsysId === 4326 && isFree) {
+      srsDao.createWgs84();
+    } else if (coordsysId === 3857 && isFree) {
+      srsDao.createWebMercator();
+    } else {
+      var definition = geopackage.proj4Defs['EPSG:' + coordsysId];
+      if (!definition) {
+        return null;
+      }
+
+      // disable camelcase checks for external library that does not conform to the rule
+      /* eslint-disable google-camelcase/google-camelcase */
+      var srs = srsDao.createObject();
+      srs.srs_name = 'EPSG:' + coordsysId;
+      srs.srs_id = isFree ? coordsysId :
+        gpkg.connection.get('SELECT MAX(srs_id) + 1 AS id FROM gpkg_spatial_ref_sys').id;
+      srs.organization = 'EPSG';
+      srs.organization_coordsys_id = coordsysId;
+      srs.definition = definition.trim();
+      srs.description = 'proj4 definition';
+      /* eslint-enable google-camelcase/google-camelcase */
+      srsDao.create(srs);
+    }
+
+    srsId = findEpsgSrsId(gpkg, coordsysId);
+  }
+
+  return srsId;
+};
+
+
+/**
+ * Writes an image to a tile table. The `msg.tileCoord` is the `[zoom, column, row]` of the tile in the table's tile
+ * matrix, and `msg.data` has the image bytes.
+ * @param {GeoPackageWorkerMessage} msg
+ */
+var exportTile = function(msg) {
+  var gpkg = getGpkg(msg);
+
+  if (!gpkg) {
+    return;
+  }
+
+  if (!msg.tableName) {
+    handleError('tableName property must be set', msg);
+    return;
+  }
+
+  if (!msg.tileCoord || msg.tileCoord.length !== 3) {
+    handleError('tileCoord [zoom, column, row] must be set', msg);
+    return;
+  }
+
+  if (!msg.data) {
+    handleError('tile data not found on msg.data', msg);
+    return;
+  }
+
+  try {
+    var tileData = isNode ? Buffer.from(msg.data) : new Uint8Array(msg.data);
+    gpkg.addTile(tileData, msg.tableName, msg.tileCoord[0], msg.tileCoord[2], msg.tileCoord[1]);
+
+    // do not copy the image back with the response
+    msg.data = undefined;
+    success(msg);
+  } catch (e) {
+    handleError(e, msg);
+  }
+};
+
+
+/**
+ * The standard URI of the metadata with the OpenSphere layer style options for a table. This must match
+ * `plugin.geopackage.style.METADATA_URI`.
+ * @type {string}
+ * @const
+ */
+var LAYER_STYLE_URI = 'https://github.com/ngageoint/opensphere-plugin-geopackage#layer-style';
+
+
+/**
+ * Style and icon rows written by each export, so features with the same style share a row, and the icon images sent
+ * for the export by URL.
+ * @type {Object<string, {styles: Object<string, Object>, icons: Object<string, Object>, images: Object<string, *>}>}
+ */
+var exportStyles = {};
+
+
+/**
+ * Sets the default style of a feature table, or of a feature in it, with the NGA feature style extension.
+ * @param {Geopackage} gpkg The GeoPackage
+ * @param {GeoPackageWorkerMessage} msg The export message
+ * @param {string} tableName The feature table
+ * @param {GeoPackageStyle} style The style
+ * @param {number=} opt_featureId The feature, if not styling the table
+ * @return {Promise}
+ */
+var setFeatureStyle = function(gpkg, msg, tableName, style, opt_featureId) {
+  var extension = gpkg.getFeatureStyleExtension();
+  var cache = exportStyles[msg.id] = exportStyles[msg.id] || {styles: {}, icons: {}, images: {}};
+  var forTable = opt_featureId == null;
+  var promise = Promise.resolve();
+
+  if (style.color || style.fillColor) {
+    // the relationships are created one at a time because they share the extension row
+    promise = promise.then(function() {
+      return forTable ? extension.createTableStyleRelationship(tableName) :
+        extension.createStyleRelationship(tableName);
+    }).then(function() {
+      var key = JSON.stringify([style.color, style.opacity, style.width, style.fillColor, style.fillOpacity]);
+      var styleRow = cache.styles[key];
+
+      if (!styleRow) {
+        styleRow = cache.styles[key] = extension.getStyleDao().newRow();
+
+        if (style.color) {
+          styleRow.setColor(style.color, style.opacity != null ? style.opacity : 1);
+        }
+
+        if (style.width != null) {
+          styleRow.setWidth(style.width);
+        }
+
+        if (style.fillColor) {
+          styleRow.setFillColor(style.fillColor, style.fillOpacity != null ? style.fillOpacity : 1);
+        }
+      }
+
+      return forTable ? extension.setTableStyleDefault(tableName, styleRow) :
+        extension.setStyleDefault(tableName, opt_featureId, styleRow);
+    });
+  }
+
+  var icon = style.icon;
+  if (icon && icon.data) {
+    cache.images[icon.url] = isNode ? Buffer.from(icon.data) : new Uint8Array(icon.data);
+  }
+
+  if (icon && cache.images[icon.url]) {
+    promise = promise.then(function() {
+      return forTable ? extension.createTableIconRelationship(tableName) :
+        extension.createIconRelationship(tableName);
+    }).then(function() {
+      var key = JSON.stringify([icon.url, icon.width, icon.height, icon.anchorU, icon.anchorV]);
+      var iconRow = cache.icons[key];
+
+      if (!iconRow) {
+        iconRow = cache.icons[key] = extension.getIconDao().newRow();
+        iconRow.setData(cache.images[icon.url]);
+        iconRow.setContentType('image/png');
+        iconRow.setName(icon.url);
+        iconRow.setWidth(icon.width);
+        iconRow.setHeight(icon.height);
+        iconRow.setAnchorU(icon.anchorU);
+        iconRow.setAnchorV(icon.anchorV);
+      }
+
+      return forTable ? extension.setTableIconDefault(tableName, iconRow) :
+        extension.setIconDefault(tableName, opt_featureId, iconRow);
+    });
+  }
+
+  return promise;
+};
+
+
+/**
+ * Adds a metadata record to the GeoPackage, creating the metadata extension tables if needed.
+ * @param {Geopackage} gpkg The GeoPackage
+ * @param {?string} tableName The table the metadata describes, or null if it describes the whole GeoPackage
+ * @param {string} standardUri The URI of the metadata standard
+ * @param {string} mimeType The MIME type of the metadata
+ * @param {string} value The metadata
+ * @return {Promise}
+ */
+var addMetadata = function(gpkg, tableName, standardUri, mimeType, value) {
+  return new geopackage.MetadataExtension(gpkg).getOrCreateExtension()
+      .then(function() {
+        return gpkg.createMetadataTable();
+      })
+      .then(function() {
+        return gpkg.createMetadataReferenceTable();
+      })
+      .then(function() {
+        // disable camelcase checks for external library that does not conform to the rule
+        /* eslint-disable google-camelcase/google-camelcase */
+        var metadata = new geopackage.Metadata();
+        metadata.md_scope = 'dataset';
+        metadata.md_standard_uri = standardUri;
+        metadata.mime_type = mimeType;
+        metadata.metadata = value;
+
+        var reference = new geopackage.MetadataReference();
+        reference.setReferenceScopeType(tableName ? 'table' : 'geopackage');
+        reference.table_name = tableName;
+        reference.timestamp = new Date();
+        reference.md_file_id = gpkg.getMetadataDao().create(metadata);
+        /* eslint-enable google-camelcase/google-camelcase */
+
+        gpkg.getMetadataReferenceDao().create(reference);
+      });
+};
+
+
+/**
+ * Saves the OpenSphere layer style options for a table as metadata.
+ * @param {Geopackage} gpkg The GeoPackage
+ * @param {string} tableName The table
+ * @param {Object} options The layer style options
+ * @return {Promise}
+ */
+var setLayerStyle = function(gpkg, tableName, options) {
+  return addMetadata(gpkg, tableName, LAYER_STYLE_URI, 'application/json', JSON.stringify(options));
+};
+
+
+/**
+ * Gets the OpenSphere layer style options saved for a table.
+ * @param {Geopackage} gpkg The GeoPackage
+ * @param {string} tableName The table
+ * @return {Object|undefined} The layer style options, or undefined if the table has none
+ */
+var getLayerStyle = function(gpkg, tableName) {
+  if (!gpkg.connection.isTableExists('gpkg_metadata') || !gpkg.connection.isTableExists('gpkg_metadata_reference')) {
+    return undefined;
+  }
+
+  // use the latest if the table was styled more than once
+  var sql = 'SELECT m.metadata FROM gpkg_metadata m JOIN gpkg_metadata_reference r ON r.md_file_id = m.id ' +
+      'WHERE r.reference_scope = ? AND r.table_name = ? AND m.md_standard_uri = ? ORDER BY m.id DESC';
+  var row = gpkg.connection.get(sql, ['table', tableName, LAYER_STYLE_URI]);
+
+  try {
+    return row ? JSON.parse(row.metadata) : undefined;
+  } catch (e) {
+    return undefined;
+  }
+};
+
+
+/**
+ * The standard URI of the provenance metadata written for exported tables. This must match
+ * `plugin.geopackage.metadata.PROVENANCE_URI`.
+ * @type {string}
+ * @const
+ */
+var PROVENANCE_URI = 'https://github.com/ngageoint/opensphere-plugin-geopackage#provenance';
+
+
+/**
+ * Saves where and when a table or GeoPackage was exported, and by whom, as metadata.
+ * @param {Geopackage} gpkg The GeoPackage
+ * @param {?string} tableName The table, or null for the whole GeoPackage
+ * @param {GeoPackageProvenance} provenance The provenance
+ * @return {Promise}
+ */
+var setProvenance = function(gpkg, tableName, provenance) {
+  return addMetadata(gpkg, tableName, PROVENANCE_URI, 'application/json', JSON.stringify(provenance));
+};
+
+
+/**
+ * Gets the metadata records for a table, or for the whole GeoPackage. The records for a table include those for its
+ * columns and rows. The layer style options saved by exports are left out, as they are read with the table.
+ * @param {Geopackage} gpkg The GeoPackage
+ * @param {string=} opt_tableName The table, or undefined for the records about the whole GeoPackage
+ * @return {!Array<GeoPackageMetadata>} The records, oldest first
+ */
+var getMetadata = function(gpkg, opt_tableName) {
+  if (!gpkg.connection.isTableExists('gpkg_metadata') || !gpkg.connection.isTableExists('gpkg_metadata_reference')) {
+    return [];
+  }
+
+  var sql = 'SELECT m.md_scope, m.md_standard_uri, m.mime_type, m.metadata, r.reference_scope, r.column_name, ' +
+      'r.row_id_value, r.timestamp FROM gpkg_metadata m JOIN gpkg_metadata_reference r ON r.md_file_id = m.id ' +
+      'WHERE ' + (opt_tableName ? 'r.table_name = ?' : 'r.reference_scope = \'geopackage\'') +
+      ' AND m.md_standard_uri != ? ORDER BY m.id';
+  var params = opt_tableName ? [opt_tableName, LAYER_STYLE_URI] : [LAYER_STYLE_URI];
+
+  // disable camelcase checks for the column names
+  /* eslint-disable google-camelcase/google-camelcase */
+  return gpkg.connection.all(sql, params).map(function(row) {
+    return /** @type {GeoPackageMetadata} */ ({
+      scope: row.md_scope,
+      standardUri: row.md_standard_uri,
+      mimeType: row.mime_type,
+      metadata: row.metadata,
+      referenceScope: row.reference_scope,
+      columnName: row.column_name || undefined,
+      rowId: row.row_id_value != null ? row.row_id_value : undefined,
+      timestamp: row.timestamp
+    });
+  });
+  /* eslint-enable google-camelcase/google-camelcase */
+};
+
+
+/**
+ * @param {GeoPackageWorkerMessage} msg
+ */
+var exportGeoJSON = function(msg) {
+  var gpkg = getGpkg(msg);
+
+  if (!msg.tableName) {
+    handleError('tableName property must be set', msg);
+    return;
+  }
+
+  if (!msg.data || typeof msg.data !== 'object') {
+    handleError('GeoJSON feature not found on msg.data', msg);
+    return;
+  }
+
+  try {
+    // this converts the values to the column types and handles tables that are indexed or were appended to
+    var id = writeFeature(gpkg, msg);
+
+    if (msg.style) {
+      setFeatureStyle(gpkg, msg, msg.tableName, msg.style, id)
+          .then(function() {
+            success(msg);
+          })
+          .catch(function(err) {
+            handleError(err, msg);
+          });
+    } else {
+      success(msg);
+    }
+  } catch (e) {
+    handleError(e, msg);
+  }
+};
+
+
+/**
+ * @type {Object<string, {data: Uint8Array, index: number}>}
+ */
+var exportsById = {};
+
+
+/**
+ * @param {GeoPackageWorkerMessage} msg
+ */
+var exportWrite = function(msg) {
+  var gpkg = getGpkg(msg);
+  delete exportStyles[msg.id];
+
+  gpkg.export(function(err, data) {
+    if (err) {
+      handleError(err, msg);
+      return;
+    }
+
+    exportsById[msg.id] = {
+      data: new Uint8Array(data),
+      index: 0
+    };
+
+    success(msg);
+  });
+};
+
+
+/**
+ * @param {GeoPackageWorkerMessage} msg
+ */
+var exportGetChunk = function(msg) {
+  if (!msg.id) {
+    handleError('id property must be set', msg);
+    return;
+  }
+
+  var ex = exportsById[msg.id];
+
+  if (!ex) {
+    handleError('an export for the id has not been started', msg);
+    return;
+  }
+
+  var data = ex.data;
+
+  if (isNode) {
+    var limit = Math.min(ex.index + (1024 * 1024) + 1, ex.data.length);
+    var data = Array.from(ex.data.subarray(ex.index, limit));
+    ex.index = limit;
+  }
+
+  success(msg, data);
+};
+
+
+/**
+ * @param {GeoPackageWorkerMessage} msg
+ */
+var exportWriteFinish = function(msg) {
+  if (createdExports[msg.id]) {
+    closeGpkg(msg);
+  }
+
+  delete createdExports[msg.id];
   delete exportsById[msg.id];
   success(msg);
 };
@@ -622,7 +4957,9 @@ var exportWriteFinish = function(msg) {
 var ExportCommands = {
   create: exportCreate,
   createTable: exportCreateTable,
+  createTileTable: exportCreateTileTable,
   geojson: exportGeoJSON,
+  tile: exportTile,
   write: exportWrite,
   getChunk: exportGetChunk,
   writeFinish: exportWriteFinish
@@ -662,8 +4999,24 @@ var MsgCommands = {
   open: openGpkg,
   close: closeGpkg,
   listDescriptors: listDescriptors,
+  listProjections: listProjections,
   getTile: getTile,
+  getTiles: getTiles,
+  getReprojectedTile: getReprojectedTile,
+  getVectorTile: getVectorTile,
+  getCoverageTile: getCoverageTile,
+  getCoverageGrid: getCoverageGrid,
+  getElevations: getElevations,
+  queryAttributes: queryAttributes,
+  getRelated: getRelated,
+  getMedia: getMedia,
+  querySql: querySql,
+  validate: validate,
   getFeatures: getFeatures,
+  queryFeatures: queryFeatures,
+  cancel: cancelRequest,
+  edit: editGpkg,
+  download: downloadGpkg,
   export: exportGpkg
 };
 
@@ -0,0 +1,151 @@
+goog.require('os.data.DataManager');
+goog.require('plugin.geopackage.GeoPackageProvider');
+goog.require('plugin.geopackage.api');
+
+
+describe('plugin.geopackage.api', function() {
+  plugin['geopackage']['ROOT'] = 'base/';
+  var baseUrl = '/base/test/resources/geopackage/';
+
+  it('should read tables and pages of features from open GeoPackages', function() {
+    var p = new plugin.geopackage.GeoPackageProvider();
+    p.setUrl(baseUrl + 'gdal_sample_v1.2_no_extensions.gpkg');
+
+    var loaded = false;
+    var tables = null;
+    var all = null;
+    var page = null;
+
+    p.listen(os.data.DataProviderEventType.LOADED, function() {
+      loaded = true;
+    });
+
+    runs(function() {
+      os.dataManager.addProvider(p);
+      p.load();
+    });
+
+    waitsFor(function() {
+      return loaded;
+    }, 'GeoPackage to load', 5000);
+
+    runs(function() {
+      expect(plugin.geopackage.api.getProviders()).toContain(p);
+      expect(plugin.geopackage.api.getProvider(p.getId())).toBe(p);
+
+      plugin.geopackage.api.getTables(p.getId()).then(function(value) {
+        tables = value;
+      });
+
+      plugin.geopackage.api.getFeatures(p.getId(), 'point2d').then(function(value) {
+        all = value;
+      });
+
+      plugin.geopackage.api.getFeatures(p.getId(), 'point2d', {offset: 1, limit: 1}).then(function(value) {
+        page = value;
+      });
+    });
+
+    waitsFor(function() {
+      return !!tables && !!all && !!page;
+    }, 'requests to finish', 5000);
+
+    runs(function() {
+      expect(tables.map(function(config) {
+        return config['tableName'];
+      })).toContain('point2d');
+
+      expect(all.length).toBe(2);
+      expect(page.length).toBe(1);
+      expect(page[0]).toEqual(all[1]);
+
+      os.dataManager.removeProvider(p.getId());
+    });
+  });
+
+  it('should reject requests for GeoPackages that are not open', function() {
+    var error = null;
+
+    runs(function() {
+      plugin.geopackage.api.getTables('not-open').thenCatch(function(e) {
+        error = e;
+      });
+    });
+
+    waitsFor(function() {
+      return !!error;
+    }, 'request to fail', 1000);
+
+    runs(function() {
+      expect(error.message).toContain('not-open');
+    });
+  });
+
+  it('should read pages of attributes tables', function() {
+    var p = new plugin.geopackage.GeoPackageProvider();
+    p.setUrl(baseUrl + 'sample1_2.gpkg');
+
+    var loaded = false;
+    var pages = null;
+    var error = null;
+
+    p.listen(os.data.DataProviderEventType.LOADED, function() {
+      loaded = true;
+    });
+
+    runs(function() {
+      os.dataManager.addProvider(p);
+      p.load();
+    });
+
+    waitsFor(function() {
+      return loaded;
+    }, 'GeoPackage to load', 10000);
+
+    runs(function() {
+      var id = p.getId();
+
+      goog.Promise.all([
+        plugin.geopackage.api.getAttributes(id, 'countiestbl'),
+        plugin.geopackage.api.getAttributes(id, 'countiestbl', {offset: 10, limit: 5}),
+        plugin.geopackage.api.getAttributes(id, 'countiestbl', {sort: 'NAME', descending: true, limit: 2}),
+        plugin.geopackage.api.getAttributes(id, 'countiestbl', {search: 'lake of the'})
+      ]).then(function(values) {
+        pages = values;
+      });
+
+      plugin.geopackage.api.getAttributes(id, 'counties').thenCatch(function(e) {
+        error = e;
+      });
+    });
+
+    waitsFor(function() {
+      return !!pages && !!error;
+    }, 'requests to finish', 5000);
+
+    runs(function() {
+      var getColumns = function(page, count) {
+        return page.rows.map(function(row) {
+          return row.slice(0, count);
+        });
+      };
+
+      expect(pages[0].columns.slice(0, 3)).toEqual(['OBJECTID', 'NAME', 'STATE_NAME']);
+      expect(pages[0].rows.length).toBe(100);
+      expect(pages[0].total).toBe(3141);
+
+      expect(getColumns(pages[1], 1)).toEqual([[11], [12], [13], [14], [15]]);
+      expect(pages[1].total).toBe(3141);
+
+      expect(getColumns(pages[2], 3)).toEqual([[242, 'Ziebach', 'South Dakota'], [2875, 'Zavala', 'Texas']]);
+
+      // the search matches text in any column, ignoring case
+      expect(getColumns(pages[3], 3)).toEqual([[1, 'Lake of the Woods', 'Minnesota']]);
+      expect(pages[3].total).toBe(1);
+
+      expect(error.message).toContain('counties is not an attributes table');
+
+      os.dataManager.removeProvider(p.getId());
+    });
+  });
+});
@@ -0,0 +1,130 @@
+goog.require('plugin.geopackage');
+goog.require('plugin.geopackage.Client');
+goog.require('plugin.geopackage.mock');
+
+
+describe('plugin.geopackage.Client', function() {
+  var fileName = 'gdal_sample_v1.2_no_extensions.gpkg';
+
+  it('should answer each request with its own response', function() {
+    var client = plugin.geopackage.Client.getInstance();
+    var provider = plugin.geopackage.mock.load(fileName, 'client-test');
+    var id = provider.getId();
+    var configs = null;
+    var tiles = [];
+    var errors = [];
+
+    waitsFor(function() {
+      return !provider.isLoading();
+    }, 'GeoPackage to open', 5000);
+
+    runs(function() {
+      client.list(id).then(function(value) {
+        configs = value;
+      });
+
+      // the same tile requested twice gets two responses
+      var onTile = function(data) {
+        tiles.push(data);
+      };
+      client.getTile(id, 'byte_png', [0, 0, -1]).then(onTile);
+      client.getTile(id, 'byte_png', [0, 0, -1]).then(onTile);
+
+      client.getTile(id, 'not_a_table', [0, 0, 0]).thenCatch(function(e) {
+        errors.push(e);
+      });
+    });
+
+    waitsFor(function() {
+      return !!configs && tiles.length === 2 && errors.length === 1;
+    }, 'tiles to load', 5000);
+
+    runs(function() {
+      expect(configs.length).toBeGreaterThan(0);
+      expect(tiles[0]).toBeTruthy();
+      expect(tiles[1]).toBeTruthy();
+      expect(errors[0] instanceof Error).toBe(true);
+      provider.dispose();
+    });
+  });
+
+  it('should stream features and stop cancelled queries', function() {
+    var client = plugin.geopackage.Client.getInstance();
+    var provider = plugin.geopackage.mock.load(fileName, 'client-stream-test');
+    var id = provider.getId();
+    var features = [];
+    var done = false;
+    var cancelled = null;
+
+    waitsFor(function() {
+      return !provider.isLoading();
+    }, 'GeoPackage to open', 5000);
+
+    runs(function() {
+      var query = client.query(id, 'point2d', {}, function(batch) {});
+      query.thenCatch(function(e) {
+        cancelled = e;
+      });
+      client.cancel(query);
+
+      client.query(id, 'point2d', {}, function(batch) {
+        features = features.concat(batch.features);
+      }).then(function() {
+        done = true;
+      });
+    });
+
+    waitsFor(function() {
+      return done && !!cancelled;
+    }, 'features to load', 5000);
+
+    runs(function() {
+      expect(features.length).toBe(2);
+      expect(cancelled instanceof goog.Promise.CancellationError).toBe(true);
+      provider.dispose();
+    });
+  });
+
+  it('should run read-only SQL queries', function() {
+    var client = plugin.geopackage.Client.getInstance();
+    var provider = plugin.geopackage.mock.load(fileName, 'client-sql-test');
+    var id = provider.getId();
+    var result = null;
+    var errors = [];
+
+    waitsFor(function() {
+      return !provider.isLoading();
+    }, 'GeoPackage to open', 5000);
+
+    runs(function() {
+      client.querySql(id, {sql: 'DELETE FROM point2d'}).thenCatch(function(e) {
+        errors.push(e);
+      });
+
+      client.querySql(id, {sql: 'SELECT 1; DELETE FROM point2d'}).thenCatch(function(e) {
+        errors.push(e);
+      });
+
+      client.querySql(id, {sql: 'SELECT fid, geom, strfield FROM point2d ORDER BY fid', limit: 1}).then(
+          function(value) {
+            result = value;
+          });
+    });
+
+    waitsFor(function() {
+      return !!result && errors.length === 2;
+    }, 'queries to run', 5000);
+
+    runs(function() {
+      expect(result.columns).toEqual(['fid', 'geom', 'strfield']);
+      expect(result.rows).toEqual([[1, 'Point', 'foo']]);
+      expect(result.truncated).toBe(true);
+      expect(result.geometryColumn).toBe(1);
+      expect(result.geometries).toEqual([{type: 'Point', coordinates: [1, 2]}]);
+      expect(errors.map(function(e) {
+        return e.message;
+      })).toContain('Only SELECT statements can be run');
+      provider.dispose();
+    });
+  });
+});
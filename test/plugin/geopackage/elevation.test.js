@@ -0,0 +1,39 @@
+goog.require('plugin.geopackage.elevation');
+
+
+describe('plugin.geopackage.elevation', function() {
+  it('should blend colors between the stops of the ramp', function() {
+    var ramp = plugin.geopackage.elevation.COLOR_RAMP;
+
+    expect(plugin.geopackage.elevation.getColor(-10000)).toEqual(ramp[0].color);
+    expect(plugin.geopackage.elevation.getColor(10000)).toEqual(ramp[ramp.length - 1].color);
+    expect(plugin.geopackage.elevation.getColor(ramp[3].elevation)).toEqual(ramp[3].color);
+
+    var middle = plugin.geopackage.elevation.getColor((ramp[3].elevation + ramp[4].elevation) / 2);
+    middle.forEach(function(value, i) {
+      expect(value).toBe(Math.round((ramp[3].color[i] + ramp[4].color[i]) / 2));
+    });
+  });
+
+  it('should shade slopes facing away from the light', function() {
+    // the light is from the northwest, so a slope rising to the west faces away from it
+    var values = [200, 100, 0, 200, 100, 0, 200, 100, 0];
+    var shade = plugin.geopackage.elevation.getHillshade(3, 3, values, 100);
+    var flat = plugin.geopackage.elevation.getHillshade(3, 3, [5, 5, 5, 5, 5, 5, 5, 5, 5], 100);
+
+    expect(flat[4]).toBeCloseTo(Math.cos(45 * Math.PI / 180), 5);
+    expect(shade[4]).toBeLessThan(flat[4]);
+
+    var reversed = plugin.geopackage.elevation.getHillshade(3, 3, values.slice().reverse(), 100);
+    expect(reversed[4]).toBeGreaterThan(flat[4]);
+  });
+
+  it('should read missing elevations from the Electron worker as NaN', function() {
+    var values = plugin.geopackage.elevation.toFloat32Array([1, null, 3]);
+
+    expect(values[0]).toBe(1);
+    expect(isNaN(values[1])).toBe(true);
+    expect(values[2]).toBe(3);
+    expect(plugin.geopackage.elevation.toFloat32Array(new Float32Array([2]).buffer)[0]).toBe(2);
+  });
+});
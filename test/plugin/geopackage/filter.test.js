@@ -0,0 +1,81 @@
+goog.require('plugin.geopackage.filter');
+
+
+describe('plugin.geopackage.filter', function() {
+  it('should translate comparisons', function() {
+    var xml = '<PropertyIsEqualTo><PropertyName>NAME</PropertyName><Literal>test</Literal></PropertyIsEqualTo>';
+
+    expect(plugin.geopackage.filter.fromOGC(xml)).toEqual({
+      op: '=',
+      column: 'NAME',
+      value: 'test'
+    });
+  });
+
+  it('should translate comparisons that ignore case', function() {
+    var xml = '<PropertyIsEqualTo matchCase="false"><PropertyName>NAME</PropertyName><Literal>test</Literal>' +
+        '</PropertyIsEqualTo>';
+
+    expect(plugin.geopackage.filter.fromOGC(xml)).toEqual({
+      op: '=',
+      column: 'NAME',
+      value: 'test',
+      matchCase: false
+    });
+  });
+
+  it('should translate logical operators with namespaced elements', function() {
+    var xml = '<ogc:Filter xmlns:ogc="http://www.opengis.net/ogc"><ogc:Or>' +
+        '<ogc:PropertyIsGreaterThan><ogc:PropertyName>A</ogc:PropertyName><ogc:Literal>5</ogc:Literal>' +
+        '</ogc:PropertyIsGreaterThan>' +
+        '<ogc:Not><ogc:PropertyIsNull><ogc:PropertyName>B</ogc:PropertyName></ogc:PropertyIsNull></ogc:Not>' +
+        '</ogc:Or></ogc:Filter>';
+
+    expect(plugin.geopackage.filter.fromOGC(xml)).toEqual({
+      op: 'or',
+      filters: [{
+        op: '>',
+        column: 'A',
+        value: '5'
+      }, {
+        op: 'not',
+        filters: [{
+          op: 'null',
+          column: 'B'
+        }]
+      }]
+    });
+  });
+
+  it('should translate between', function() {
+    var xml = '<PropertyIsBetween><PropertyName>A</PropertyName>' +
+        '<LowerBoundary><Literal>1</Literal></LowerBoundary>' +
+        '<UpperBoundary><Literal>10</Literal></UpperBoundary></PropertyIsBetween>';
+
+    expect(plugin.geopackage.filter.fromOGC(xml)).toEqual({
+      op: 'between',
+      column: 'A',
+      values: ['1', '10']
+    });
+  });
+
+  it('should translate like patterns', function() {
+    expect(plugin.geopackage.filter.likeToSql('*abc.', '*', '.', '\\')).toBe('%abc_');
+    expect(plugin.geopackage.filter.likeToSql('100%_\\*', '*', '.', '\\')).toBe('100\\%\\_*');
+
+    var xml = '<PropertyIsLike wildCard="*" singleChar="." escape="\\">' +
+        '<PropertyName>NAME</PropertyName><Literal>*test*</Literal></PropertyIsLike>';
+
+    expect(plugin.geopackage.filter.fromOGC(xml)).toEqual({
+      op: 'like',
+      column: 'NAME',
+      value: '%test%'
+    });
+  });
+
+  it('should not translate unsupported filters', function() {
+    expect(plugin.geopackage.filter.fromOGC('<And><BBOX><PropertyName>geom</PropertyName></BBOX></And>')).toBe(null);
+    expect(plugin.geopackage.filter.fromOGC('<And></And>')).toBe(null);
+    expect(plugin.geopackage.filter.fromOGC('not xml')).toBe(null);
+  });
+});
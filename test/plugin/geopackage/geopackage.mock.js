@@ -0,0 +1,68 @@
+goog.provide('plugin.geopackage.mock');
+
+goog.require('goog.Promise');
+goog.require('goog.events.EventType');
+goog.require('goog.string');
+goog.require('plugin.geopackage');
+goog.require('plugin.geopackage.GeoPackageProvider');
+
+
+/**
+ * The URL of the GeoPackages in the test resources.
+ * @type {string}
+ * @const
+ */
+plugin.geopackage.mock.RESOURCES_URL = '/base/test/resources/geopackage/';
+
+
+/**
+ * Open a GeoPackage from the test resources. The GeoPackage is open in the worker once the provider is done loading.
+ * @param {string} fileName The file name
+ * @param {string} id The provider ID, which is also the ID of the GeoPackage in the worker
+ * @return {!plugin.geopackage.GeoPackageProvider}
+ */
+plugin.geopackage.mock.load = function(fileName, id) {
+  plugin['geopackage']['ROOT'] = 'base/';
+
+  var provider = new plugin.geopackage.GeoPackageProvider();
+  provider.setId(id);
+  provider.setUrl(plugin.geopackage.mock.RESOURCES_URL + fileName);
+  provider.load();
+
+  return provider;
+};
+
+
+/**
+ * Send a message to the worker and wait for its response.
+ * @param {GeoPackageWorkerMessage} msg The message
+ * @param {function(*)=} opt_onData Called with each response to a streamed request, which ends with 0
+ * @return {!goog.Promise} Resolved with the data of the response, or rejected with the reason the request failed
+ */
+plugin.geopackage.mock.send = function(msg, opt_onData) {
+  var worker = plugin.geopackage.getWorker();
+  msg.requestId = goog.string.getRandomString();
+
+  return new goog.Promise(function(resolve, reject) {
+    var listener = function(e) {
+      var response = /** @type {GeoPackageWorkerResponse} */ (e instanceof window.Event ? e.data : e);
+
+      if (!response.message || response.message.requestId !== msg.requestId) {
+        return;
+      }
+
+      if (response.type !== plugin.geopackage.MsgType.SUCCESS) {
+        worker.removeEventListener(goog.events.EventType.MESSAGE, listener);
+        reject(new Error(String(response.reason)));
+      } else if (!opt_onData || response.data === 0) {
+        worker.removeEventListener(goog.events.EventType.MESSAGE, listener);
+        resolve(response.data);
+      } else {
+        opt_onData(response.data);
+      }
+    };
+
+    worker.addEventListener(goog.events.EventType.MESSAGE, listener);
+    worker.postMessage(msg);
+  });
+};
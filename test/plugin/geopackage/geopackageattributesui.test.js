@@ -0,0 +1,152 @@
+goog.require('goog.array');
+goog.require('plugin.geopackage.AttributesUICtrl');
+goog.require('plugin.geopackage.mock');
+
+
+describe('plugin.geopackage.AttributesUICtrl', function() {
+  /**
+   * Open the window controller for an attributes table.
+   * @param {!plugin.geopackage.GeoPackageProvider} provider The provider
+   * @param {string} tableName The table name
+   * @return {!plugin.geopackage.AttributesUICtrl}
+   */
+  var createController = function(provider, tableName) {
+    var node = goog.array.find(provider.getChildren(), function(node) {
+      return node.getDescriptor().getBaseConfig()['tableName'] === tableName;
+    });
+
+    var ctrl = null;
+    inject(function($rootScope) {
+      var scope = $rootScope.$new();
+      scope['descriptor'] = node.getDescriptor();
+      ctrl = new plugin.geopackage.AttributesUICtrl(scope);
+    });
+
+    return ctrl;
+  };
+
+  /**
+   * @param {!plugin.geopackage.AttributesUICtrl} ctrl The controller
+   * @param {number} count The number of columns
+   * @return {!Array<!Array<*>>} The first columns of the rows in the page
+   */
+  var getColumns = function(ctrl, count) {
+    return ctrl['rows'].map(function(row) {
+      return row.slice(0, count);
+    });
+  };
+
+  it('should page through, sort and search attributes tables', function() {
+    var provider = plugin.geopackage.mock.load('sample1_2.gpkg', 'attributes-ui-test');
+    var ctrl = null;
+
+    waitsFor(function() {
+      return !provider.isLoading();
+    }, 'GeoPackage to open', 10000);
+
+    runs(function() {
+      ctrl = createController(provider, 'countiestbl');
+      expect(ctrl['loading']).toBe(true);
+    });
+
+    waitsFor(function() {
+      return !ctrl['loading'];
+    }, 'the first page to load', 5000);
+
+    runs(function() {
+      expect(ctrl['columns'].slice(0, 3)).toEqual(['OBJECTID', 'NAME', 'STATE_NAME']);
+      expect(ctrl['rows'].length).toBe(plugin.geopackage.AttributesUICtrl.PAGE_SIZE);
+      expect(ctrl['total']).toBe(3141);
+
+      ctrl.next();
+    });
+
+    waitsFor(function() {
+      return !ctrl['loading'];
+    }, 'the next page to load', 5000);
+
+    runs(function() {
+      expect(ctrl['offset']).toBe(100);
+      expect(ctrl['rows'][0][0]).toBe(101);
+
+      // sorting by the same column again reverses the sort
+      ctrl.setSort('NAME');
+      ctrl.setSort('NAME');
+    });
+
+    waitsFor(function() {
+      return !ctrl['loading'];
+    }, 'the sorted page to load', 5000);
+
+    runs(function() {
+      expect(ctrl['offset']).toBe(0);
+      expect(getColumns(ctrl, 3).slice(0, 2)).toEqual([[242, 'Ziebach', 'South Dakota'], [2875, 'Zavala', 'Texas']]);
+
+      // the search matches text in any column, ignoring case
+      ctrl['search'] = 'lake of the';
+      ctrl.first();
+    });
+
+    waitsFor(function() {
+      return !ctrl['loading'];
+    }, 'the search to load', 5000);
+
+    runs(function() {
+      expect(getColumns(ctrl, 3)).toEqual([[1, 'Lake of the Woods', 'Minnesota']]);
+      expect(ctrl['total']).toBe(1);
+      provider.dispose();
+    });
+  });
+
+  it('should show an error for tables that are not attributes tables', function() {
+    var provider = plugin.geopackage.mock.load('sample1_2.gpkg', 'attributes-ui-error-test');
+    var ctrl = null;
+
+    waitsFor(function() {
+      return !provider.isLoading();
+    }, 'GeoPackage to open', 10000);
+
+    runs(function() {
+      ctrl = createController(provider, 'counties');
+    });
+
+    waitsFor(function() {
+      return !ctrl['loading'];
+    }, 'the query to fail', 5000);
+
+    runs(function() {
+      expect(ctrl['rows']).toEqual([]);
+      expect(ctrl['error']).toContain('counties is not an attributes table');
+      provider.dispose();
+    });
+  });
+
+  it('should join the related rows of another table', function() {
+    var provider = plugin.geopackage.mock.load('related_tables.gpkg', 'attributes-ui-join-test');
+    var ctrl = null;
+
+    waitsFor(function() {
+      return !provider.isLoading();
+    }, 'GeoPackage to open', 5000);
+
+    runs(function() {
+      ctrl = createController(provider, 'visits');
+      expect(ctrl['relations']).toEqual(['sites']);
+
+      ctrl['join'] = 'sites';
+      ctrl.first();
+    });
+
+    waitsFor(function() {
+      return !ctrl['loading'];
+    }, 'the joined rows to load', 5000);
+
+    runs(function() {
+      expect(ctrl['columns']).toEqual(['id', 'visitor', 'visited', 'sites.fid', 'sites.name']);
+      expect(ctrl['rows'].map(function(row) {
+        return row[4];
+      })).toEqual(['North', 'North', 'South']);
+      provider.dispose();
+    });
+  });
+});
@@ -0,0 +1,376 @@
+goog.require('goog.array');
+goog.require('ol.Feature');
+goog.require('ol.geom.MultiPolygon');
+goog.require('ol.geom.Point');
+goog.require('plugin.geopackage');
+goog.require('plugin.geopackage.Exporter');
+goog.require('plugin.geopackage.mock');
+
+
+describe('plugin.geopackage.Exporter', function() {
+  var createFeature = function(properties) {
+    return new ol.Feature(properties);
+  };
+
+  /**
+   * @param {string} id The GeoPackage ID
+   * @param {plugin.geopackage.ExportCommands} command The export command
+   * @param {Object} fields The fields of the command
+   * @return {!goog.Promise}
+   */
+  var exportCommand = function(id, command, fields) {
+    var msg = /** @type {GeoPackageWorkerMessage} */ (fields);
+    msg.id = id;
+    msg.type = plugin.geopackage.MsgType.EXPORT;
+    msg.command = command;
+
+    return plugin.geopackage.mock.send(msg);
+  };
+
+  /**
+   * @param {string} id The GeoPackage ID
+   * @param {string} tableName The table
+   * @return {!goog.Promise<!Array<Object>>} The features in the table
+   */
+  var getFeatures = function(id, tableName) {
+    var features = [];
+    return plugin.geopackage.mock.send(/** @type {GeoPackageWorkerMessage} */ ({
+      id: id,
+      type: plugin.geopackage.MsgType.GET_FEATURES,
+      tableName: tableName
+    }), function(batch) {
+      features = features.concat(batch.features);
+    }).then(function() {
+      return features;
+    });
+  };
+
+  /**
+   * @param {string} id The GeoPackage ID
+   * @return {!goog.Promise<!Array<Object>>} The layer configs for the tables in the GeoPackage
+   */
+  var list = function(id) {
+    return plugin.geopackage.mock.send(/** @type {GeoPackageWorkerMessage} */ ({
+      id: id,
+      type: plugin.geopackage.MsgType.LIST_DESCRIPTORS
+    }));
+  };
+
+  it('should use the type of typed columns', function() {
+    var getColumnType = plugin.geopackage.Exporter.getColumnType;
+    expect(getColumnType({field: 'A', type: 'boolean'}, [])).toBe('BOOLEAN');
+    expect(getColumnType({field: 'A', type: 'datetime'}, [])).toBe('DATETIME');
+    expect(getColumnType({field: 'A', type: 'decimal'}, [])).toBe('REAL');
+  });
+
+  it('should type untyped columns by their values', function() {
+    var features = [
+      createFeature({'B': true, 'I': 1, 'R': 1, 'D': new Date(0), 'S': 'text', 'X': null}),
+      createFeature({'B': null, 'I': 2, 'R': 1.5, 'D': null, 'S': 5, 'X': ''})
+    ];
+
+    var getType = function(field) {
+      return plugin.geopackage.Exporter.getColumnType({field: field, type: 'string'}, features);
+    };
+
+    expect(getType('B')).toBe('BOOLEAN');
+    expect(getType('I')).toBe('INTEGER');
+    expect(getType('R')).toBe('REAL');
+    expect(getType('D')).toBe('DATETIME');
+    expect(getType('S')).toBe('TEXT');
+    expect(getType('X')).toBe('TEXT');
+  });
+
+  it('should determine the geometry type and dimensions', function() {
+    var features = [
+      createFeature({geometry: new ol.geom.Point([1, 2, 3], 'XYZ')}),
+      createFeature({geometry: new ol.geom.Point([1, 2, 3, 4], 'XYZM')})
+    ];
+
+    expect(plugin.geopackage.Exporter.getGeometryInfo(features)).toEqual({
+      'geometryType': 'POINT',
+      'z': 1,
+      'm': 2
+    });
+
+    features.push(createFeature({geometry: new ol.geom.MultiPolygon([])}));
+    expect(plugin.geopackage.Exporter.getGeometryInfo(features)).toEqual({
+      'geometryType': 'GEOMETRY',
+      'z': 2,
+      'm': 2
+    });
+  });
+
+  it('should append to a compatible table in the projection of the table', function() {
+    var provider = plugin.geopackage.mock.load('sample1_2.gpkg', 'exporter-append-test');
+    var id = provider.getId();
+    var results = null;
+    var errors = [];
+
+    waitsFor(function() {
+      return !provider.isLoading();
+    }, 'GeoPackage to open', 10000);
+
+    runs(function() {
+      var values = [];
+      var add = function(value) {
+        values.push(value);
+      };
+
+      // the table is appended to without an extent, which a new table in the projection would need
+      exportCommand(id, plugin.geopackage.ExportCommands.CREATE_TABLE, {
+        tableName: 'counties',
+        projection: 'EPSG:32631',
+        columns: [{field: 'NAME', type: 'string'}]
+      }).then(add).then(function() {
+        return exportCommand(id, plugin.geopackage.ExportCommands.GEOJSON, {
+          tableName: 'counties',
+          data: {type: 'Feature', geometry: {type: 'Point', coordinates: [-77, 38.9]}, properties: {NAME: 'Appended'}}
+        });
+      }).then(function() {
+        return getFeatures(id, 'counties');
+      }).then(add).then(function() {
+        // a new table is still checked
+        return exportCommand(id, plugin.geopackage.ExportCommands.CREATE_TABLE, {
+          tableName: 'counties',
+          projection: 'EPSG:32631',
+          columns: [{field: 'NAME', type: 'decimal'}]
+        });
+      }).thenCatch(function(e) {
+        errors.push(e);
+      }).then(function() {
+        results = values;
+      });
+    });
+
+    waitsFor(function() {
+      return !!results;
+    }, 'tables to be created', 10000);
+
+    runs(function() {
+      expect(results[0]).toBe('counties');
+      expect(results[1].length).toBe(3142);
+      expect(results[1][3141].properties['NAME']).toBe('Appended');
+      expect(errors.length).toBe(1);
+      expect(errors[0].message).toContain('extent property must be set');
+      provider.dispose();
+    });
+  });
+
+  it('should add a table by another name when the existing table cannot be appended to', function() {
+    var provider = plugin.geopackage.mock.load('sample1_2.gpkg', 'exporter-add-table-test');
+    var id = provider.getId();
+    var tableName = null;
+    var configs = null;
+    var features = null;
+
+    waitsFor(function() {
+      return !provider.isLoading();
+    }, 'GeoPackage to open', 10000);
+
+    runs(function() {
+      // NAME is text in counties
+      exportCommand(id, plugin.geopackage.ExportCommands.CREATE_TABLE, {
+        tableName: 'counties',
+        columns: [{field: 'NAME', type: 'decimal'}]
+      }).then(function(value) {
+        tableName = value;
+        return exportCommand(id, plugin.geopackage.ExportCommands.GEOJSON, {
+          tableName: tableName,
+          data: {type: 'Feature', geometry: {type: 'Point', coordinates: [-77, 38.9]}, properties: {NAME: 3}}
+        });
+      }).then(function() {
+        return list(id);
+      }).then(function(value) {
+        configs = value;
+        return getFeatures(id, tableName);
+      }).then(function(value) {
+        features = value;
+      });
+    });
+
+    waitsFor(function() {
+      return !!features;
+    }, 'table to be added', 10000);
+
+    runs(function() {
+      expect(tableName).toBe('counties_1');
+      expect(configs.map(function(config) {
+        return config.tableName;
+      })).toEqual(['counties', 'counties_1', 'countiestbl']);
+      expect(features.length).toBe(1);
+      expect(features[0].properties['NAME']).toBe(3);
+      provider.dispose();
+    });
+  });
+
+  it('should write exported tiles to a tile table with a tile matrix for each zoom level', function() {
+    var provider = plugin.geopackage.mock.load('gdal_sample_v1.2_no_extensions.gpkg', 'exporter-tile-test');
+    var id = provider.getId();
+    var size = 20037508.342789244;
+    var tableName = null;
+    var config = null;
+    var tiles = null;
+
+    waitsFor(function() {
+      return !provider.isLoading();
+    }, 'GeoPackage to open', 5000);
+
+    runs(function() {
+      var canvas = document.createElement('canvas');
+      canvas.width = canvas.height = 256;
+
+      var binary = atob(canvas.toDataURL('image/png').split(',')[1]);
+      var image = new Uint8Array(binary.length);
+      for (var i = 0; i < binary.length; i++) {
+        image[i] = binary.charCodeAt(i);
+      }
+
+      exportCommand(id, plugin.geopackage.ExportCommands.CREATE_TILE_TABLE, {
+        tableName: 'exported_tiles',
+        projection: 'EPSG:3857',
+        extent: [0, 0, size, size],
+        data: {
+          extent: [-size, -size, size, size],
+          matrices: [0, 1].map(function(zoom) {
+            var tiles = Math.pow(2, zoom);
+            var resolution = 2 * size / (256 * tiles);
+            return {
+              zoom: zoom,
+              matrixWidth: tiles,
+              matrixHeight: tiles,
+              tileWidth: 256,
+              tileHeight: 256,
+              pixelXSize: resolution,
+              pixelYSize: resolution
+            };
+          })
+        }
+      }).then(function(value) {
+        tableName = value;
+
+        // the top right tile at zoom 1, in GeoPackage tile rows
+        return exportCommand(id, plugin.geopackage.ExportCommands.TILE, {
+          tableName: tableName,
+          tileCoord: [1, 1, 0],
+          data: image.buffer
+        });
+      }).then(function() {
+        return list(id);
+      }).then(function(configs) {
+        config = goog.array.find(configs, function(config) {
+          return config.tableName === tableName;
+        });
+
+        return goog.Promise.all([[1, 1, -1], [1, 0, -1]].map(function(tileCoord) {
+          return plugin.geopackage.mock.send(/** @type {GeoPackageWorkerMessage} */ ({
+            id: id,
+            type: plugin.geopackage.MsgType.GET_TILE,
+            tableName: tableName,
+            tileCoord: tileCoord
+          }));
+        }));
+      }).then(function(value) {
+        tiles = value;
+      });
+    });
+
+    waitsFor(function() {
+      return !!tiles;
+    }, 'tiles to be exported', 10000);
+
+    runs(function() {
+      expect(tableName).toBe('exported_tiles');
+      expect(config.type).toBe('geopackage-tile');
+      expect(config.projection).toBe('EPSG:3857');
+      expect(config.minZoom).toBe(0);
+      expect(config.maxZoom).toBe(1);
+      expect(config.extent).toEqual([-size, -size, size, size]);
+      expect(tiles[0]).toBeTruthy();
+      expect(tiles[1]).toBeFalsy();
+      provider.dispose();
+    });
+  });
+
+  it('should write features in the projection of the table', function() {
+    var provider = plugin.geopackage.mock.load('sample1_2.gpkg', 'exporter-projection-test');
+    var id = provider.getId();
+    var results = null;
+
+    waitsFor(function() {
+      return !provider.isLoading();
+    }, 'GeoPackage to open', 10000);
+
+    runs(function() {
+      var values = [];
+      var add = function(value) {
+        values.push(value);
+      };
+
+      exportCommand(id, plugin.geopackage.ExportCommands.CREATE_TABLE, {
+        tableName: 'utm',
+        projection: 'EPSG:32618',
+        extent: [300000, 4300000, 400000, 4400000],
+        columns: [{field: 'NAME', type: 'string'}]
+      }).then(add).then(function() {
+        return exportCommand(id, plugin.geopackage.ExportCommands.GEOJSON, {
+          tableName: 'utm',
+          data: {type: 'Feature', geometry: {type: 'Point', coordinates: [-77, 38.9]}, properties: {NAME: 'DC'}}
+        });
+      }).then(function() {
+        return getFeatures(id, 'utm');
+      }).then(add).then(function() {
+        return exportCommand(id, plugin.geopackage.ExportCommands.CREATE_TABLE, {
+          tableName: 'unknown',
+          projection: 'EPSG:99999',
+          extent: [0, 0, 1, 1],
+          columns: []
+        });
+      }).thenCatch(function(e) {
+        add(e.message);
+      }).then(function() {
+        results = values;
+      });
+    });
+
+    waitsFor(function() {
+      return !!results;
+    }, 'features to be exported', 10000);
+
+    runs(function() {
+      expect(results[0]).toBe('utm');
+
+      // features are read back in EPSG:4326
+      var features = results[1];
+      expect(features.length).toBe(1);
+      expect(features[0].geometry.coordinates[0]).toBeCloseTo(-77, 6);
+      expect(features[0].geometry.coordinates[1]).toBeCloseTo(38.9, 6);
+
+      expect(results[2]).toBe('Features cannot be exported in the EPSG:99999 projection');
+      provider.dispose();
+    });
+  });
+
+  it('should list the projections that new tables can be declared in', function() {
+    var projections = null;
+
+    runs(function() {
+      plugin.geopackage.mock.send(/** @type {GeoPackageWorkerMessage} */ ({
+        type: plugin.geopackage.MsgType.LIST_PROJECTIONS
+      })).then(function(value) {
+        projections = value;
+      });
+    });
+
+    waitsFor(function() {
+      return !!projections;
+    }, 'projections to be listed', 5000);
+
+    runs(function() {
+      expect(projections).toContain('EPSG:4326');
+      expect(projections).toContain('EPSG:3857');
+      expect(projections).toContain('EPSG:32618');
+      expect(projections).not.toContain('EPSG:99999');
+    });
+  });
+});
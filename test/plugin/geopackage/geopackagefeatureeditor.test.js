@@ -0,0 +1,109 @@
+goog.require('ol.Feature');
+goog.require('ol.geom.Point');
+goog.require('ol.proj');
+goog.require('ol.source.Vector');
+goog.require('os.map');
+goog.require('plugin.geopackage');
+goog.require('plugin.geopackage.FeatureEditor');
+goog.require('plugin.geopackage.mock');
+
+
+describe('plugin.geopackage.FeatureEditor', function() {
+  /**
+   * @param {string} id The GeoPackage ID
+   * @param {Array<number>} extent The extent, in EPSG:4326
+   * @return {!goog.Promise<!Array<Object>>} The features in the extent
+   */
+  var query = function(id, extent) {
+    var features = [];
+    return plugin.geopackage.mock.send(/** @type {GeoPackageWorkerMessage} */ ({
+      id: id,
+      type: plugin.geopackage.MsgType.QUERY_FEATURES,
+      tableName: 'counties',
+      extent: extent,
+      projection: 'EPSG:4326'
+    }), function(batch) {
+      features = features.concat(batch.features);
+    }).then(function() {
+      return features;
+    });
+  };
+
+  var createPoint = function(coordinate) {
+    return new ol.geom.Point(ol.proj.fromLonLat(coordinate, os.map.PROJECTION));
+  };
+
+  it('should write feature edits to the table', function() {
+    var provider = plugin.geopackage.mock.load('sample1_2.gpkg', 'feature-editor-test');
+    var source = new ol.source.Vector();
+    var editor = null;
+    var loaded = null;
+    var inserted = null;
+    var results = null;
+
+    waitsFor(function() {
+      return !provider.isLoading();
+    }, 'GeoPackage to open', 5000);
+
+    runs(function() {
+      editor = new plugin.geopackage.FeatureEditor(source, provider.getId(), 'counties', 'OBJECTID',
+          ['OBJECTID', 'NAME']);
+
+      // features read from the table have a primary key
+      loaded = new ol.Feature({
+        'OBJECTID': 1,
+        'NAME': 'Lake of the Woods',
+        'geometry': createPoint([-95, 49])
+      });
+      source.addFeature(loaded);
+
+      inserted = new ol.Feature({
+        'NAME': 'Inserted',
+        'geometry': createPoint([5, 5])
+      });
+      source.addFeature(inserted);
+
+      loaded.set('NAME', 'Edited');
+      loaded.setGeometry(createPoint([10, 20]));
+    });
+
+    waitsFor(function() {
+      return inserted.get('OBJECTID') != null;
+    }, 'the feature to be inserted', 5000);
+
+    runs(function() {
+      // the update does not use up an AUTOINCREMENT value, so the insert gets the next one
+      expect(inserted.get('OBJECTID')).toBe(3142);
+
+      editor.deleteFeatures([inserted]);
+
+      var values = [];
+      query(provider.getId(), [9.5, 19.5, 10.5, 20.5]).then(function(features) {
+        values.push(features);
+        return query(provider.getId(), [4.5, 4.5, 5.5, 5.5]);
+      }).then(function(features) {
+        values.push(features);
+        results = values;
+      });
+    });
+
+    waitsFor(function() {
+      return !!results;
+    }, 'features to load', 5000);
+
+    runs(function() {
+      // an update keeps the primary key and the columns that were not edited, and is in the spatial index
+      expect(results[0].length).toBe(1);
+      expect(results[0][0].id).toBe(1);
+      expect(results[0][0].geometry.coordinates[0]).toBeCloseTo(10, 6);
+      expect(results[0][0].geometry.coordinates[1]).toBeCloseTo(20, 6);
+      expect(results[0][0].properties['NAME']).toBe('Edited');
+      expect(results[0][0].properties['STATE_NAME']).toBe('Minnesota');
+
+      expect(results[1]).toEqual([]);
+
+      editor.dispose();
+      provider.dispose();
+    });
+  });
+});
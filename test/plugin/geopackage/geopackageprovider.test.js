@@ -44,6 +44,11 @@ describe('plugin.geopackage.GeoPackageProvider', function() {
       var prefix = p.getId() + os.ui.data.BaseProvider.ID_DELIMITER;
 
       var expected = [{
+        id: prefix + 'attribute_table',
+        title: 'attribute_table',
+        layerType: plugin.geopackage.GeoPackageProvider.TABLES,
+        icons: plugin.geopackage.GeoPackageProvider.TABLE_ICON
+      }, {
         id: prefix + 'byte_jpeg',
         title: 'byte_jpeg',
         layerType: os.layer.LayerType.TILES,
@@ -87,7 +92,8 @@ describe('plugin.geopackage.GeoPackageProvider', function() {
         id: prefix + 'linestring2d',
         title: 'linestring2d',
         layerType: os.layer.LayerType.FEATURES,
-        icons: os.ui.Icons.FEATURES
+        icons: os.ui.Icons.FEATURES,
+        tableProjection: 'EPSG:4326'
       }, {
         id: prefix + 'linestring3d',
         title: 'linestring3d',
@@ -137,7 +143,8 @@ describe('plugin.geopackage.GeoPackageProvider', function() {
         id: prefix + 'polygon2d',
         title: 'polygon2d',
         layerType: os.layer.LayerType.FEATURES,
-        icons: os.ui.Icons.FEATURES
+        icons: os.ui.Icons.FEATURES,
+        tableProjection: 'EPSG:32631'
       }, {
         id: prefix + 'polygon3d',
         title: 'polygon3d',
@@ -201,4 +208,113 @@ describe('plugin.geopackage.GeoPackageProvider', function() {
       expect(p.getErrorMessage()).toContain('Request failed');
     });
   });
+
+  it('should reject elevation requests for tables that are not coverages', function() {
+    var p = new plugin.geopackage.GeoPackageProvider();
+    p.setUrl(baseUrl + 'gdal_sample_v1.2_no_extensions.gpkg');
+
+    var loaded = false;
+    var error = null;
+
+    p.listen(os.data.DataProviderEventType.LOADED, function() {
+      loaded = true;
+    });
+
+    runs(function() {
+      p.load();
+    });
+
+    waitsFor(function() {
+      return loaded;
+    }, 'GeoPackage to load', 5000);
+
+    runs(function() {
+      p.getElevations('byte_png', [[-117, 33.9]]).thenCatch(function(e) {
+        error = e;
+      });
+    });
+
+    waitsFor(function() {
+      return !!error;
+    }, 'elevation request to fail', 5000);
+
+    runs(function() {
+      expect(error.message).toContain('not a gridded coverage table');
+    });
+  });
+
+  it('should validate GeoPackages against the specification', function() {
+    var p = new plugin.geopackage.GeoPackageProvider();
+    p.setUrl(baseUrl + 'gdal_sample_v1.2_no_extensions.gpkg');
+
+    var loaded = false;
+    var results = null;
+
+    p.listen(os.data.DataProviderEventType.LOADED, function() {
+      loaded = true;
+    });
+
+    runs(function() {
+      p.load();
+    });
+
+    waitsFor(function() {
+      return loaded;
+    }, 'GeoPackage to load', 5000);
+
+    runs(function() {
+      p.validate().then(function(value) {
+        results = value;
+      });
+    });
+
+    waitsFor(function() {
+      return !!results;
+    }, 'validation to finish', 5000);
+
+    runs(function() {
+      var checks = results.map(function(result) {
+        return result.check;
+      });
+
+      expect(checks).toContain('Application ID');
+      expect(checks).toContain('Required Tables');
+      expect(results.some(function(result) {
+        return result.tableName === 'byte_png' && result.check === 'Tile Matrices';
+      })).toBe(true);
+    });
+  });
+
+  it('should list the tables related to each table', function() {
+    var p = new plugin.geopackage.GeoPackageProvider();
+    p.setUrl(baseUrl + 'related_tables.gpkg');
+
+    var loaded = false;
+
+    p.listen(os.data.DataProviderEventType.LOADED, function() {
+      loaded = true;
+    });
+
+    runs(function() {
+      p.load();
+    });
+
+    waitsFor(function() {
+      return loaded;
+    }, 'GeoPackage to load', 5000);
+
+    runs(function() {
+      var relations = {};
+      p.getChildren().forEach(function(node) {
+        var config = node.getDescriptor().getBaseConfig();
+        relations[config['tableName']] = config['relations'];
+      });
+
+      expect(relations).toEqual({
+        'sites': ['visits', 'photos'],
+        'visits': ['sites'],
+        'photos': ['sites']
+      });
+    });
+  });
 });
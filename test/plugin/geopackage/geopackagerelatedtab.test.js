@@ -0,0 +1,80 @@
+goog.require('goog.Promise');
+goog.require('plugin.geopackage');
+goog.require('plugin.geopackage.RelatedTabCtrl');
+goog.require('plugin.geopackage.mock');
+
+
+describe('plugin.geopackage.RelatedTabCtrl', function() {
+  it('should open images and PDFs', function() {
+    var ctrl = plugin.geopackage.RelatedTabCtrl.prototype;
+    expect(ctrl.isImage({'contentType': 'image/png'})).toBe(true);
+    expect(ctrl.isImage({'contentType': 'application/pdf'})).toBe(false);
+    expect(ctrl.isImage({'contentType': null})).toBe(false);
+    expect(ctrl.isPdf({'contentType': 'application/pdf'})).toBe(true);
+    expect(ctrl.isPdf({'contentType': 'image/png'})).toBe(false);
+  });
+
+  it('should read the related rows and media of a feature', function() {
+    var provider = plugin.geopackage.mock.load('related_tables.gpkg', 'related-tab-test');
+    var results = null;
+
+    var send = function(type, tableName, featureId) {
+      return plugin.geopackage.mock.send(/** @type {GeoPackageWorkerMessage} */ ({
+        id: provider.getId(),
+        type: type,
+        tableName: tableName,
+        featureId: featureId
+      })).thenCatch(function(e) {
+        return e.message;
+      });
+    };
+
+    waitsFor(function() {
+      return !provider.isLoading();
+    }, 'GeoPackage to open', 5000);
+
+    runs(function() {
+      var MsgType = plugin.geopackage.MsgType;
+
+      goog.Promise.all([
+        send(MsgType.GET_RELATED, 'sites', 1),
+        send(MsgType.GET_RELATED, 'visits', 3),
+        send(MsgType.GET_MEDIA, 'photos', 1),
+        send(MsgType.GET_MEDIA, 'photos', 9)
+      ]).then(function(values) {
+        results = values;
+      });
+    });
+
+    waitsFor(function() {
+      return !!results;
+    }, 'related rows to load', 5000);
+
+    runs(function() {
+      // the rows of each relation of the feature, with media summarized
+      var related = results[0];
+      expect(related.length).toBe(2);
+      expect(related[0].tableName).toBe('visits');
+      expect(related[0].columns).toEqual(['id', 'visitor', 'visited']);
+      expect(related[0].rows).toEqual([[1, 'Ann', '2020-01-01T00:00:00Z'], [2, 'Bo', '2020-02-01T00:00:00Z']]);
+      expect(related[1].tableName).toBe('photos');
+      expect(related[1].rows).toEqual([[1, '(712 bytes)', 'image/png']]);
+      expect(related[1].ids).toEqual([1]);
+      expect(related[1].contentTypes).toEqual(['image/png']);
+
+      // relations are also read from the related table, without geometries
+      expect(results[1].length).toBe(1);
+      expect(results[1][0].tableName).toBe('sites');
+      expect(results[1][0].columns).toEqual(['fid', 'name']);
+      expect(results[1][0].rows).toEqual([[2, 'South']]);
+
+      var media = results[2];
+      var bytes = new Uint8Array(media.data);
+      expect(media.contentType).toBe('image/png');
+      expect(bytes.length).toBe(712);
+      expect(Array.prototype.slice.call(bytes, 0, 4)).toEqual([0x89, 0x50, 0x4e, 0x47]);
+      expect(results[3]).toBe('No media with ID 9 in photos');
+      provider.dispose();
+    });
+  });
+});
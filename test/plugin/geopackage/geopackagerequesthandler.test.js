@@ -0,0 +1,357 @@
+goog.require('goog.Promise');
+goog.require('goog.Uri');
+goog.require('os.load.LoadingManager');
+goog.require('plugin.geopackage');
+goog.require('plugin.geopackage.RequestHandler');
+goog.require('plugin.geopackage.mock');
+
+
+describe('plugin.geopackage.RequestHandler', function() {
+  /**
+   * Read features with a new request handler.
+   * @param {string} url The request URL
+   * @return {!goog.Promise<!Array<Object>>} The features
+   */
+  var execute = function(url) {
+    return new goog.Promise(function(resolve, reject) {
+      var handler = new plugin.geopackage.RequestHandler();
+      handler.listenOnce(goog.net.EventType.SUCCESS, function() {
+        resolve(handler.getResponse() || []);
+      });
+      handler.listenOnce(goog.net.EventType.ERROR, function() {
+        reject(new Error(handler.getErrors()[0]));
+      });
+      handler.execute('GET', new goog.Uri(url));
+    });
+  };
+
+  /**
+   * @param {!Array<Object>} features The features
+   * @return {!Array<number>} The feature IDs, in order
+   */
+  var getIds = function(features) {
+    return features.map(function(feature) {
+      return feature.id;
+    }).sort(function(a, b) {
+      return a - b;
+    });
+  };
+
+  it('should query features by extent', function() {
+    var counties = plugin.geopackage.mock.load('sample1_2.gpkg', 'request-handler-extent-test');
+    var points = plugin.geopackage.mock.load('gdal_sample_v1.2_no_extensions.gpkg', 'request-handler-extent-test-2');
+    var results = null;
+
+    waitsFor(function() {
+      return !counties.isLoading() && !points.isLoading();
+    }, 'GeoPackages to open', 5000);
+
+    runs(function() {
+      var values = [];
+      var add = function(features) {
+        values.push(getIds(features));
+      };
+
+      // counties has an RTree index
+      execute('gpkg://' + counties.getId() + '/counties?bbox=-95.3,48.4,-94.5,49.3').then(add).then(function() {
+        return execute('gpkg://' + counties.getId() + '/counties?bbox=-10618000,6180000,-10520000,6318000' +
+            '&srs=EPSG:3857');
+      }).then(add).then(function() {
+        // point2d does not, so its geometry envelopes are checked
+        return execute('gpkg://' + points.getId() + '/point2d?bbox=0,1,2,3');
+      }).then(add).then(function() {
+        return execute('gpkg://' + points.getId() + '/point2d?bbox=10,10,11,11');
+      }).then(add).then(function() {
+        results = values;
+      });
+    });
+
+    waitsFor(function() {
+      return !!results;
+    }, 'features to load', 10000);
+
+    runs(function() {
+      expect(results[0]).toEqual([1, 23, 42]);
+      expect(results[1]).toEqual([1, 23, 42]);
+      expect(results[2]).toEqual([1]);
+      expect(results[3]).toEqual([]);
+      counties.dispose();
+      points.dispose();
+    });
+  });
+
+  it('should report progress and reset its response for each request', function() {
+    var lm = os.load.LoadingManager.getInstance();
+    var provider = plugin.geopackage.mock.load('gdal_sample_v1.2_no_extensions.gpkg', 'request-handler-test');
+    var handler = new plugin.geopackage.RequestHandler();
+    var progress = [];
+    var done = 0;
+    var failed = 0;
+
+    handler.listen(goog.net.EventType.PROGRESS, function() {
+      progress.push(handler.getProgress());
+    });
+    handler.listen(goog.net.EventType.SUCCESS, function() {
+      done++;
+    });
+    handler.listen(goog.net.EventType.ERROR, function() {
+      failed++;
+    });
+
+    waitsFor(function() {
+      return !provider.isLoading();
+    }, 'GeoPackage to open', 5000);
+
+    runs(function() {
+      handler.execute('GET', new goog.Uri('gpkg://' + provider.getId() + '/not_a_table'));
+    });
+
+    waitsFor(function() {
+      return failed === 1;
+    }, 'request to fail', 5000);
+
+    runs(function() {
+      expect(handler.getErrors().length).toBe(1);
+      expect(handler.getStatusCode()).toBe(500);
+
+      spyOn(lm, 'addLoadingTask').andCallThrough();
+      spyOn(lm, 'removeLoadingTask').andCallThrough();
+
+      handler.execute('GET', new goog.Uri('gpkg://' + provider.getId() + '/point2d'));
+
+      // a large table is shown as a loading task while its batches are read
+      handler.onBatch(/** @type {GeoPackageFeatureBatch} */ ({features: [], loaded: 1, total: 10}));
+      expect(handler.getProgress()).toBe(0.1);
+      expect(lm.addLoadingTask).toHaveBeenCalled();
+      expect(lm.addLoadingTask.mostRecentCall.args[1]).toContain('1 of 10');
+    });
+
+    waitsFor(function() {
+      return done === 1;
+    }, 'features to load', 5000);
+
+    runs(function() {
+      expect(handler.getErrors()).toBe(null);
+      expect(handler.getStatusCode()).not.toBe(500);
+      expect(handler.getResponse().length).toBe(2);
+      expect(handler.getProgress()).toBe(1);
+      expect(progress[progress.length - 1]).toBe(1);
+      expect(lm.removeLoadingTask).toHaveBeenCalled();
+
+      // a reused handler does not add to the last response
+      handler.execute('GET', new goog.Uri('gpkg://' + provider.getId() + '/point2d'));
+    });
+
+    waitsFor(function() {
+      return done === 2;
+    }, 'features to load again', 5000);
+
+    runs(function() {
+      expect(handler.getResponse().length).toBe(2);
+      handler.dispose();
+      provider.dispose();
+    });
+  });
+
+  it('should read large tables in batches and stop reading cancelled requests in the worker', function() {
+    var provider = plugin.geopackage.mock.load('sample1_2.gpkg', 'request-handler-batch-test');
+    var handler = new plugin.geopackage.RequestHandler();
+    var worker = plugin.geopackage.getWorker();
+    var batches = [];
+    var posted = null;
+    var done = false;
+    var result = null;
+
+    var onMessage = function(e) {
+      var msg = /** @type {GeoPackageWorkerResponse} */ (e instanceof window.Event ? e.data : e);
+      if (posted && msg.message && msg.message.id === provider.getId() && msg.message.tableName === 'counties') {
+        posted.push(msg.data);
+      }
+    };
+
+    spyOn(handler, 'onBatch').andCallFake(function(batch) {
+      batches.push({features: batch.features.length, loaded: batch.loaded, total: batch.total});
+    });
+    handler.listen(goog.net.EventType.SUCCESS, function() {
+      done = true;
+    });
+
+    waitsFor(function() {
+      return !provider.isLoading();
+    }, 'GeoPackage to open', 5000);
+
+    runs(function() {
+      handler.execute('GET', new goog.Uri('gpkg://' + provider.getId() + '/counties'));
+    });
+
+    waitsFor(function() {
+      return done;
+    }, 'features to load', 10000);
+
+    runs(function() {
+      expect(batches.map(function(batch) {
+        return batch.features;
+      })).toEqual([500, 500, 500, 500, 500, 500, 141]);
+      expect(batches.map(function(batch) {
+        return batch.loaded;
+      })).toEqual([500, 1000, 1500, 2000, 2500, 3000, 3141]);
+      expect(batches.every(function(batch) {
+        return batch.total === 3141;
+      })).toBe(true);
+
+      // only the features in the extent are counted
+      batches = [];
+      done = false;
+      handler.execute('GET', new goog.Uri('gpkg://' + provider.getId() + '/counties?bbox=-95.3,48.4,-94.5,49.3'));
+    });
+
+    waitsFor(function() {
+      return done;
+    }, 'features in the extent to load', 10000);
+
+    runs(function() {
+      expect(batches).toEqual([{features: 3, loaded: 3, total: 3}]);
+
+      posted = [];
+      worker.addEventListener(goog.events.EventType.MESSAGE, onMessage);
+
+      handler.onBatch.andCallFake(function() {
+        handler.abort();
+      });
+      handler.execute('GET', new goog.Uri('gpkg://' + provider.getId() + '/counties'));
+    });
+
+    waitsFor(function() {
+      return posted.length > 0;
+    }, 'the first batch', 10000);
+
+    runs(function() {
+      // the worker handles the cancel before this request, so every batch it sent has been received after
+      plugin.geopackage.mock.send(/** @type {GeoPackageWorkerMessage} */ ({
+        id: provider.getId(),
+        type: plugin.geopackage.MsgType.LIST_DESCRIPTORS
+      })).then(function(value) {
+        result = value;
+      });
+    });
+
+    waitsFor(function() {
+      return !!result;
+    }, 'the worker to list the tables', 10000);
+
+    runs(function() {
+      // the worker stops reading the table, and does not signal the end of the results
+      expect(posted.length).toBeLessThan(7);
+      expect(posted).not.toContain(0);
+      expect(handler.getResponse()).toBe(null);
+
+      worker.removeEventListener(goog.events.EventType.MESSAGE, onMessage);
+      handler.dispose();
+      provider.dispose();
+    });
+  });
+
+  it('should push filters down to the worker', function() {
+    var provider = plugin.geopackage.mock.load('gdal_sample_v1.2_no_extensions.gpkg', 'request-handler-filter-test');
+    var results = null;
+
+    var filter = function(xml) {
+      return execute('gpkg://' + provider.getId() + '/point2d?filter=' + encodeURIComponent(xml)).then(getIds);
+    };
+
+    var like = function(pattern, matchCase) {
+      return filter('<PropertyIsLike wildCard="*" singleChar="." escape="\\" matchCase="' + matchCase + '">' +
+          '<PropertyName>strfield</PropertyName><Literal>' + pattern + '</Literal></PropertyIsLike>');
+    };
+
+    waitsFor(function() {
+      return !provider.isLoading();
+    }, 'GeoPackage to open', 5000);
+
+    runs(function() {
+      var values = [];
+      var add = function(value) {
+        values.push(value);
+      };
+
+      // feature 1 has the strfield "foo"
+      filter('<PropertyIsEqualTo><PropertyName>strfield</PropertyName><Literal>foo</Literal></PropertyIsEqualTo>')
+          .then(add).then(function() {
+            return filter('<PropertyIsEqualTo matchCase="false"><PropertyName>strfield</PropertyName>' +
+                '<Literal>FOO</Literal></PropertyIsEqualTo>');
+          }).then(add).then(function() {
+            return like('F*', true);
+          }).then(add).then(function() {
+            return like('F*', false);
+          }).then(add).then(function() {
+            return like('f.o', true);
+          }).then(add).then(function() {
+            results = values;
+          });
+    });
+
+    waitsFor(function() {
+      return !!results;
+    }, 'features to load', 5000);
+
+    runs(function() {
+      expect(results[0]).toEqual([1]);
+      expect(results[1]).toEqual([1]);
+
+      // the case of the literal differs from the value, so only the filter that ignores case matches it
+      expect(results[2]).toEqual([]);
+      expect(results[3]).toEqual([1]);
+      expect(results[4]).toEqual([1]);
+      provider.dispose();
+    });
+  });
+
+  it('should query features by time range', function() {
+    var provider = plugin.geopackage.mock.load('gdal_sample_v1.2_no_extensions.gpkg', 'request-handler-time-test');
+    var results = null;
+
+    var query = function(start, end, columns) {
+      return execute('gpkg://' + provider.getId() + '/point2d?time=' + start + '/' + end + '&timeColumns=' + columns)
+          .then(getIds, function(e) {
+            return e.message;
+          });
+    };
+
+    waitsFor(function() {
+      return !provider.isLoading();
+    }, 'GeoPackage to open', 5000);
+
+    runs(function() {
+      var values = [];
+      var add = function(value) {
+        values.push(value);
+      };
+
+      // feature 1 is at 2014-06-07T14:20:00Z (starting 2014-06-07), and feature 2 has no time
+      query('2014-06-07T14:00:00Z', '2014-06-07T15:00:00Z', 'datetimefield').then(add).then(function() {
+        return query('2014-06-07T15:00:00Z', '2014-06-07T16:00:00Z', 'datetimefield');
+      }).then(add).then(function() {
+        return query('2014-06-07T12:00:00Z', '2014-06-07T13:00:00Z', 'datefield,datetimefield');
+      }).then(add).then(function() {
+        return query('2014-06-07T15:00:00Z', '2014-06-07T16:00:00Z', 'datefield,datetimefield');
+      }).then(add).then(function() {
+        return query('2014-06-07T14:00:00Z', '2014-06-07T15:00:00Z', 'not_a_column');
+      }).then(add).then(function() {
+        results = values;
+      });
+    });
+
+    waitsFor(function() {
+      return !!results;
+    }, 'features to load', 5000);
+
+    runs(function() {
+      expect(results[0]).toEqual([1, 2]);
+      expect(results[1]).toEqual([2]);
+      expect(results[2]).toEqual([1, 2]);
+      expect(results[3]).toEqual([2]);
+      expect(results[4]).toContain('Time columns do not exist in the table');
+      provider.dispose();
+    });
+  });
+});
@@ -0,0 +1,88 @@
+goog.require('goog.Promise');
+goog.require('ol.Feature');
+goog.require('plugin.geopackage');
+goog.require('plugin.geopackage.VectorTileLayerConfig');
+goog.require('plugin.geopackage.mock');
+
+
+describe('plugin.geopackage.VectorTileLayerConfig', function() {
+  it('should style each layer in its own color', function() {
+    var styleFunction = plugin.geopackage.VectorTileLayerConfig.createStyleFunction(['water', 'roads']);
+    var roads = styleFunction(new ol.Feature({'layer': 'roads'}), 1);
+    var water = styleFunction(new ol.Feature({'layer': 'water'}), 1);
+
+    expect(styleFunction(new ol.Feature({'layer': 'roads'}), 1)).toBe(roads);
+    expect(water).not.toBe(roads);
+
+    var rgb = goog.color.hexToRgb(plugin.geopackage.VectorTileLayerConfig.getLayerColor(1));
+    expect(roads.getStroke().getColor()).toBe(ol.color.asString(rgb.concat(1)));
+  });
+
+  it('should assign colors to layers that are not listed', function() {
+    var styleFunction = plugin.geopackage.VectorTileLayerConfig.createStyleFunction();
+    var buildings = styleFunction(new ol.Feature({'layer': 'buildings'}), 1);
+
+    var rgb = goog.color.hexToRgb(plugin.geopackage.VectorTileLayerConfig.getLayerColor(0));
+    expect(buildings.getStroke().getColor()).toBe(ol.color.asString(rgb.concat(1)));
+  });
+
+  it('should detect vector tile tables and read their tiles', function() {
+    var provider = plugin.geopackage.mock.load('vector_tiles.gpkg', 'vector-tile-test');
+    var configs = null;
+    var tiles = null;
+
+    waitsFor(function() {
+      return !provider.isLoading();
+    }, 'GeoPackage to open', 5000);
+
+    runs(function() {
+      plugin.geopackage.mock.send(/** @type {GeoPackageWorkerMessage} */ ({
+        id: provider.getId(),
+        type: plugin.geopackage.MsgType.LIST_DESCRIPTORS
+      })).then(function(value) {
+        configs = value;
+        return goog.Promise.all(['vt_extension', 'vt_tile', 'vt_contents'].map(function(tableName) {
+          return plugin.geopackage.mock.send(/** @type {GeoPackageWorkerMessage} */ ({
+            id: provider.getId(),
+            type: plugin.geopackage.MsgType.GET_VECTOR_TILE,
+            tableName: tableName,
+            tileCoord: [0, 0, -1]
+          }));
+        }));
+      }).then(function(value) {
+        tiles = value;
+      });
+    });
+
+    waitsFor(function() {
+      return !!tiles;
+    }, 'tiles to load', 5000);
+
+    runs(function() {
+      var types = {};
+      var layers = {};
+      configs.forEach(function(config) {
+        types[config.tableName] = config.type;
+        layers[config.tableName] = config.vectorLayers;
+      });
+
+      // vt_contents is declared by its content data type, vt_extension by an extension, and vt_tile by its tile
+      expect(types).toEqual({
+        'image_tiles': 'geopackage-tile',
+        'vt_contents': 'geopackage-vector-tile',
+        'vt_extension': 'geopackage-vector-tile',
+        'vt_tile': 'geopackage-vector-tile'
+      });
+      expect(layers['vt_contents']).toEqual(['water', 'roads']);
+
+      // the gzip compressed tile is decompressed by the worker
+      var compressed = new Uint8Array(tiles[0]);
+      var uncompressed = new Uint8Array(tiles[1]);
+      expect(uncompressed.length).toBe(54);
+      expect(uncompressed[0]).toBe(0x1a);
+      expect(Array.prototype.slice.call(compressed)).toEqual(Array.prototype.slice.call(uncompressed));
+      expect(tiles[2]).toBeFalsy();
+      provider.dispose();
+    });
+  });
+});
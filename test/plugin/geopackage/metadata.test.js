@@ -0,0 +1,47 @@
+goog.require('plugin.geopackage.metadata');
+
+
+describe('plugin.geopackage.metadata', function() {
+  it('should name common metadata standards', function() {
+    expect(plugin.geopackage.metadata.getStandardName('http://www.isotc211.org/2005/gmd')).toBe('ISO 19115');
+    expect(plugin.geopackage.metadata.getStandardName('http://www.fgdc.gov/metadata/csdgm')).toBe('FGDC');
+    expect(plugin.geopackage.metadata.getStandardName(plugin.geopackage.metadata.PROVENANCE_URI)).toBe('Provenance');
+    expect(plugin.geopackage.metadata.getStandardName('http://example.com/other')).toBe('http://example.com/other');
+  });
+
+  it('should escape metadata documents', function() {
+    var html = plugin.geopackage.metadata.toHtml([{
+      scope: 'dataset',
+      standardUri: 'http://www.isotc211.org/2005/gmd',
+      mimeType: 'text/xml',
+      metadata: '<gmd:MD_Metadata/>',
+      referenceScope: 'table',
+      timestamp: '2020-01-01T00:00:00.000Z'
+    }], 'Table Metadata');
+
+    expect(html).toContain('Table Metadata');
+    expect(html).toContain('ISO 19115');
+    expect(html).toContain('&lt;gmd:MD_Metadata/&gt;');
+    expect(html).not.toContain('<gmd:');
+  });
+
+  it('should list the provenance fields', function() {
+    var html = plugin.geopackage.metadata.formatValue({
+      scope: 'dataset',
+      standardUri: plugin.geopackage.metadata.PROVENANCE_URI,
+      mimeType: 'application/json',
+      metadata: JSON.stringify({author: 'A. Analyst', source: 'Roads', exported: '2020-01-01T00:00:00.000Z'}),
+      referenceScope: 'table',
+      timestamp: '2020-01-01T00:00:00.000Z'
+    });
+
+    expect(html).toContain('Author</th><td>A. Analyst');
+    expect(html).toContain('Source Layer</th><td>Roads');
+    expect(html).not.toContain('Classification');
+  });
+
+  it('should not add anything without records', function() {
+    expect(plugin.geopackage.metadata.toHtml(undefined, 'Table Metadata')).toBe('');
+    expect(plugin.geopackage.metadata.toHtml([], 'Table Metadata')).toBe('');
+  });
+});
@@ -0,0 +1,55 @@
+goog.require('plugin.geopackage.reproject');
+
+
+describe('plugin.geopackage.reproject', function() {
+  var createImage = function(width, height, values) {
+    var data = new Uint8ClampedArray(width * height * 4);
+    (values || []).forEach(function(value, i) {
+      data[i * 4] = value;
+      data[i * 4 + 3] = 255;
+    });
+
+    return {width: width, height: height, data: data};
+  };
+
+  var getValues = function(image) {
+    var values = [];
+    for (var i = 0; i < image.width * image.height; i++) {
+      values.push(image.data[i * 4]);
+    }
+    return values;
+  };
+
+  it('should warp source pixels through the grid', function() {
+    var source = createImage(2, 2, [1, 2, 3, 4]);
+
+    var target = createImage(2, 2);
+    plugin.geopackage.reproject.warp(source, target, [0, 0, 2, 0, 0, 2, 2, 2], 1);
+    expect(getValues(target)).toEqual([1, 2, 3, 4]);
+
+    // a grid running right to left mirrors the source
+    var mirrored = createImage(2, 2);
+    plugin.geopackage.reproject.warp(source, mirrored, [2, 0, 0, 0, 2, 2, 0, 2], 1);
+    expect(getValues(mirrored)).toEqual([2, 1, 4, 3]);
+
+    // a grid over the top left source pixel scales it up
+    var scaled = createImage(4, 4);
+    plugin.geopackage.reproject.warp(source, scaled, [0, 0, 1, 0, 0, 1, 1, 1], 1);
+    expect(getValues(scaled)).toEqual([1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1]);
+  });
+
+  it('should leave pixels without a source empty', function() {
+    var source = createImage(2, 2, [1, 2, 3, 4]);
+
+    // the right column of the grid cannot be transformed, so the right cell is empty
+    var target = createImage(4, 2);
+    plugin.geopackage.reproject.warp(source, target,
+        [0, 0, 1, 0, null, null, 0, 1, 1, 1, null, null, 0, 2, 1, 2, null, null], 2);
+    expect(getValues(target)).toEqual([1, 1, 0, 0, 3, 3, 0, 0]);
+
+    // the grid is outside the source
+    var outside = createImage(2, 2);
+    plugin.geopackage.reproject.warp(source, outside, [5, 5, 7, 5, 5, 7, 7, 7], 1);
+    expect(getValues(outside)).toEqual([0, 0, 0, 0]);
+  });
+});
@@ -0,0 +1,85 @@
+goog.require('plugin.geopackage.style');
+
+
+describe('plugin.geopackage.style', function() {
+  it('should convert stroke and fill colors', function() {
+    var style = plugin.geopackage.style.fromConfig({
+      'stroke': {'color': 'rgba(255,0,0,0.5)', 'width': 3},
+      'fill': {'color': [0, 255, 0, 0.25]}
+    });
+
+    expect(style).toEqual({
+      color: '#FF0000',
+      opacity: 0.5,
+      width: 3,
+      fillColor: '#00FF00',
+      fillOpacity: 0.25
+    });
+  });
+
+  it('should use the point color without a stroke', function() {
+    var style = plugin.geopackage.style.fromConfig({
+      'image': {'type': 'circle', 'radius': 3, 'fill': {'color': 'rgba(0,0,255,1)'}}
+    });
+
+    expect(style.color).toBe('#0000FF');
+    expect(style.opacity).toBe(1);
+  });
+
+  it('should add loaded icons at their scaled size', function() {
+    var url = 'http://localhost/icon.png';
+    var config = {
+      'image': {'type': 'icon', 'src': url, 'scale': 2, 'anchor': [0.5, 1]}
+    };
+
+    expect(plugin.geopackage.style.getIconUrl(config)).toBe(url);
+    expect(plugin.geopackage.style.fromConfig(config)).toBeNull();
+
+    var icons = {};
+    icons[url] = {data: new Uint8Array(1), width: 16, height: 8};
+
+    expect(plugin.geopackage.style.fromConfig(config, icons).icon).toEqual({
+      url: url,
+      width: 32,
+      height: 16,
+      anchorU: 0.5,
+      anchorV: 1
+    });
+  });
+
+  it('should convert GeoPackage styles to feature style configs', function() {
+    var config = plugin.geopackage.style.toConfig({
+      color: '#FF0000',
+      opacity: 0.5,
+      width: 3,
+      fillColor: '#00FF00',
+      fillOpacity: 0.25
+    });
+
+    expect(config['stroke']).toEqual({'color': 'rgba(255,0,0,0.5)', 'width': 3});
+    expect(config['fill']).toEqual({'color': 'rgba(0,255,0,0.25)'});
+    expect(config['image']['fill']['color']).toBe('rgba(255,0,0,0.5)');
+
+    config = plugin.geopackage.style.toConfig({
+      icon: {url: 'data:image/png;base64,', width: 32, height: 16, anchorU: 0.5, anchorV: 1, scale: 2}
+    });
+
+    expect(config['image']['type']).toBe('icon');
+    expect(config['image']['scale']).toBe(2);
+    expect(config['image']['anchor']).toEqual([0.5, 1]);
+  });
+
+  it('should convert the table style to layer options', function() {
+    var options = plugin.geopackage.style.toLayerOptions({
+      color: '#0000FF',
+      fillColor: '#0000FF',
+      fillOpacity: 0.5,
+      icon: {url: 'data:image/png;base64,', width: 16, height: 16, anchorU: 0.5, anchorV: 1}
+    });
+
+    expect(options['color']).toBe('rgba(0,0,255,1)');
+    expect(options['fillColor']).toBe('rgba(0,0,255,0.5)');
+    expect(options['fillOpacity']).toBe(0.5);
+    expect(options['icon']).toEqual({'path': 'data:image/png;base64,'});
+  });
+});
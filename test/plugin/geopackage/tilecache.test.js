@@ -0,0 +1,58 @@
+goog.require('plugin.geopackage.TileCache');
+goog.require('plugin.geopackage.mock');
+
+
+describe('plugin.geopackage.TileCache', function() {
+  it('should share requests for a tile and cache the image', function() {
+    var cache = plugin.geopackage.TileCache.getInstance();
+    var provider = plugin.geopackage.mock.load('gdal_sample_v1.2_no_extensions.gpkg', 'tile-cache-test');
+    var id = provider.getId();
+    var first = null;
+    var second = null;
+    var tiles = null;
+    var cached = null;
+    var bytes = 0;
+
+    waitsFor(function() {
+      return !provider.isLoading();
+    }, 'GeoPackage to open', 5000);
+
+    runs(function() {
+      bytes = cache.getBytes();
+      first = cache.getTile(id, 'byte_png', [0, 0, -1]);
+      second = cache.getTile(id, 'byte_png', [0, 0, -1]);
+      var missing = cache.getTile(id, 'byte_png', [0, 5, -9]);
+
+      goog.Promise.all([first, missing]).then(function(values) {
+        tiles = values;
+      });
+    });
+
+    waitsFor(function() {
+      return !!tiles;
+    }, 'tiles to load', 5000);
+
+    runs(function() {
+      expect(second).toBe(first);
+      expect(tiles[0] instanceof Blob).toBe(true);
+      expect(tiles[1]).toBe(null);
+      expect(cache.getBytes()).toBeGreaterThan(bytes + tiles[0].size);
+
+      cache.getTile(id, 'byte_png', [0, 0, -1]).then(function(blob) {
+        cached = blob;
+      });
+    });
+
+    waitsFor(function() {
+      return !!cached;
+    }, 'cached tile', 1000);
+
+    runs(function() {
+      expect(cached).toBe(tiles[0]);
+
+      cache.clear(id);
+      expect(cache.getBytes()).toBe(bytes);
+      provider.dispose();
+    });
+  });
+});
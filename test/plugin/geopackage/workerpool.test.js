@@ -0,0 +1,135 @@
+goog.require('plugin.geopackage');
+goog.require('plugin.geopackage.WorkerPool');
+
+
+describe('plugin.geopackage.WorkerPool', function() {
+  var MsgType = plugin.geopackage.MsgType;
+  var workers;
+  var pool;
+
+  var createWorker = function() {
+    var worker = {
+      messages: [],
+      listeners: [],
+      postMessage: function(msg) {
+        worker.messages.push(msg);
+      },
+      addEventListener: function(type, listener) {
+        worker.listeners.push(listener);
+      },
+      respond: function(msg) {
+        worker.listeners.forEach(function(listener) {
+          listener(msg);
+        });
+      }
+    };
+
+    workers.push(worker);
+    return worker;
+  };
+
+  var getTypes = function(worker) {
+    return worker.messages.map(function(msg) {
+      return msg.type;
+    });
+  };
+
+  beforeEach(function() {
+    workers = [];
+    pool = new plugin.geopackage.WorkerPool(2, createWorker);
+  });
+
+  it('should keep each GeoPackage in one worker and spread them up to the pool size', function() {
+    pool.postMessage({id: 'a', type: MsgType.OPEN});
+    pool.postMessage({id: 'b', type: MsgType.OPEN});
+    pool.postMessage({id: 'c', type: MsgType.OPEN});
+    pool.postMessage({id: 'a', type: MsgType.LIST_DESCRIPTORS});
+
+    expect(pool.getWorkerCount()).toBe(2);
+    expect(workers[0].messages.map(function(msg) {
+      return msg.id;
+    })).toEqual(['a', 'c', 'a']);
+    expect(workers[1].messages.map(function(msg) {
+      return msg.id;
+    })).toEqual(['b']);
+
+    // closing releases the worker, so the next GeoPackage goes to the one with fewer open
+    pool.postMessage({id: 'a', type: MsgType.CLOSE});
+    pool.postMessage({id: 'c', type: MsgType.CLOSE});
+    pool.postMessage({id: 'd', type: MsgType.OPEN});
+    expect(workers[0].messages.length).toBe(6);
+    expect(workers[0].messages[5].id).toBe('d');
+  });
+
+  it('should send tiles while a background request is running', function() {
+    pool.postMessage({id: 'a', type: MsgType.OPEN});
+    pool.postMessage({id: 'a', type: MsgType.GET_FEATURES, requestId: '1'});
+    pool.postMessage({id: 'a', type: MsgType.EXPORT, requestId: '2'});
+    pool.postMessage({id: 'a', type: MsgType.GET_TILE, requestId: '3'});
+
+    var worker = workers[0];
+    expect(getTypes(worker)).toEqual([MsgType.OPEN, MsgType.GET_FEATURES, MsgType.GET_TILE]);
+
+    // streamed features are done when the worker sends none
+    var features = worker.messages[1];
+    worker.respond({type: MsgType.SUCCESS, message: features, data: [{}]});
+    expect(worker.messages.length).toBe(3);
+
+    worker.respond({type: MsgType.SUCCESS, message: features, data: 0});
+    expect(getTypes(worker)).toEqual([MsgType.OPEN, MsgType.GET_FEATURES, MsgType.GET_TILE, MsgType.EXPORT]);
+  });
+
+  it('should send elevation requests while a background request is running', function() {
+    pool.postMessage({id: 'a', type: MsgType.OPEN});
+    pool.postMessage({id: 'a', type: MsgType.QUERY_FEATURES, requestId: '1'});
+    pool.postMessage({id: 'a', type: MsgType.GET_COVERAGE_GRID, requestId: '2'});
+    pool.postMessage({id: 'a', type: MsgType.GET_ELEVATIONS, requestId: '3'});
+
+    expect(getTypes(workers[0])).toEqual([MsgType.OPEN, MsgType.QUERY_FEATURES, MsgType.GET_COVERAGE_GRID,
+      MsgType.GET_ELEVATIONS]);
+  });
+
+  it('should close a GeoPackage after its background request', function() {
+    pool.postMessage({id: 'a', type: MsgType.OPEN});
+    pool.postMessage({id: 'a', type: MsgType.VALIDATE, requestId: '1'});
+    pool.postMessage({id: 'a', type: MsgType.CLOSE});
+
+    var worker = workers[0];
+    expect(getTypes(worker)).toEqual([MsgType.OPEN, MsgType.VALIDATE]);
+
+    worker.respond({type: MsgType.ERROR, message: worker.messages[1], reason: 'failed'});
+    expect(getTypes(worker)).toEqual([MsgType.OPEN, MsgType.VALIDATE, MsgType.CLOSE]);
+  });
+
+  it('should drop cancelled requests', function() {
+    pool.postMessage({id: 'a', type: MsgType.OPEN});
+    pool.postMessage({id: 'a', type: MsgType.GET_FEATURES, requestId: '1'});
+    pool.postMessage({id: 'a', type: MsgType.QUERY_FEATURES, requestId: '2'});
+    pool.postMessage({id: 'a', type: MsgType.DOWNLOAD, requestId: '3'});
+
+    pool.postMessage({id: 'a', type: MsgType.CANCEL, requestId: '2'});
+    pool.postMessage({id: 'a', type: MsgType.CANCEL, requestId: '1'});
+
+    expect(getTypes(workers[0])).toEqual([MsgType.OPEN, MsgType.GET_FEATURES, MsgType.CANCEL, MsgType.CANCEL,
+      MsgType.DOWNLOAD]);
+  });
+
+  it('should pass responses from every worker to its listeners', function() {
+    var responses = [];
+    var listener = function(msg) {
+      responses.push(msg);
+    };
+
+    pool.addEventListener(goog.events.EventType.MESSAGE, listener);
+    pool.postMessage({id: 'a', type: MsgType.OPEN});
+    pool.postMessage({id: 'b', type: MsgType.OPEN});
+
+    workers[0].respond({type: MsgType.SUCCESS, message: workers[0].messages[0]});
+    workers[1].respond({type: MsgType.SUCCESS, message: workers[1].messages[0]});
+    expect(responses.length).toBe(2);
+
+    pool.removeEventListener(goog.events.EventType.MESSAGE, listener);
+    workers[0].respond({type: MsgType.SUCCESS, message: workers[0].messages[0]});
+    expect(responses.length).toBe(2);
+  });
+});